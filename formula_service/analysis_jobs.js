@@ -0,0 +1,227 @@
+const { v4: uuidv4 } = require('uuid');
+
+// 완료된 작업 결과 보관 시간 (이후 조회 시 404)
+const DEFAULT_JOB_RETENTION_MS = 10 * 60 * 1000;
+
+/**
+ * 비동기 분석 작업 관리자
+ * 업로드 요청은 작업 ID를 즉시 반환하고, 분석은 백그라운드에서 실행
+ * 작업 상태: queued → running → completed | failed | cancelled (워커 대기열에서 기다리는 동안은 queued)
+ * 진행 이벤트(step/sheet/done)는 구독자에게 전달되며, 늦게 구독해도 지난 단계와 시트별 최신 진행 상황을 다시 받음
+ * 작업 정보는 인스턴스 메모리에만 있으므로 작업을 생성한 인스턴스로 조회해야 함
+ */
+class AnalysisJobManager {
+  constructor(options = {}) {
+    this.retentionMs = options.retentionMs || DEFAULT_JOB_RETENTION_MS;
+    this.jobs = new Map();
+  }
+
+  /**
+   * 작업 생성 및 실행
+   * @param {string} sessionId - 작업 대상 세션 ID
+   * @param {Function} run - async (signal, onProgress, onStart) => 분석 결과 ({ success, cancelled, error, ... })
+   *   onStart는 실제로 실행을 시작할 때 호출 (호출 전까지 작업은 queued)
+   * @returns {Object} 작업 객체
+   */
+  create(sessionId, run) {
+    const job = {
+      jobId: uuidv4(),
+      sessionId,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      result: null,
+      progress: { steps: [], sheets: {} },
+      listeners: new Set(),
+      controller: new AbortController()
+    };
+    this.jobs.set(job.jobId, job);
+
+    // 응답을 먼저 보낸 뒤 실행
+    setImmediate(() => this.execute(job, run));
+    return job;
+  }
+
+  async execute(job, run) {
+    if (job.status === 'cancelled') return;
+
+    try {
+      const result = await run(job.controller.signal, event => this.emit(job, event), () => this.start(job));
+      // 대기 중에 취소되어 이미 종료된 작업
+      if (job.finishedAt) return;
+      job.result = result;
+
+      if (result?.cancelled || job.controller.signal.aborted) {
+        job.status = 'cancelled';
+        job.error = result?.error || null;
+      } else if (result?.success === false) {
+        job.status = 'failed';
+        job.error = result.error;
+      } else {
+        job.status = 'completed';
+      }
+    } catch (error) {
+      if (job.finishedAt) return;
+      const cancelled = job.controller.signal.aborted;
+      job.status = cancelled ? 'cancelled' : 'failed';
+      job.error = cancelled ? '분석이 취소되었습니다.' : error.message;
+    }
+
+    this.finish(job);
+  }
+
+  start(job) {
+    if (job.status !== 'queued') return;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+  }
+
+  finish(job) {
+    job.finishedAt = job.finishedAt || new Date().toISOString();
+    job.controller = null;
+
+    this.emit(job, this.doneEvent(job));
+    job.listeners.clear();
+
+    // 보관 시간이 지나면 결과 삭제
+    setTimeout(() => this.jobs.delete(job.jobId), this.retentionMs).unref();
+  }
+
+  /**
+   * 진행 이벤트 기록 및 구독자에게 전달
+   * @param {Object} job - 작업 객체
+   * @param {Object} event - { type: 'step' | 'sheet' | 'done', ... }
+   */
+  emit(job, event) {
+    if (event.type === 'step') {
+      job.progress.steps.push(event);
+    } else if (event.type === 'sheet') {
+      job.progress.sheets[event.sheet] = event;
+    }
+
+    job.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn(`⚠️  작업 이벤트 전달 실패: ${job.jobId} - ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * 진행 이벤트 구독 (지난 이벤트를 먼저 전달, 종료된 작업이면 done 이벤트까지 전달)
+   * @param {Object} job - 작업 객체
+   * @param {Function} listener - (event) => void
+   * @returns {Function} 구독 해제 함수
+   */
+  subscribe(job, listener) {
+    job.progress.steps.forEach(listener);
+    Object.values(job.progress.sheets).forEach(listener);
+
+    if (job.finishedAt) {
+      listener(this.doneEvent(job));
+      return () => {};
+    }
+
+    job.listeners.add(listener);
+    return () => job.listeners.delete(listener);
+  }
+
+  doneEvent(job) {
+    return {
+      type: 'done',
+      status: job.status,
+      error: job.error,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * 작업 조회 (세션이 일치하지 않으면 undefined)
+   * @param {string} sessionId - 세션 ID
+   * @param {string} jobId - 작업 ID
+   */
+  get(sessionId, jobId) {
+    const job = this.jobs.get(jobId);
+    return job && job.sessionId === sessionId ? job : undefined;
+  }
+
+  /**
+   * 세션에서 실행 중이거나 대기 중인 작업 조회
+   * @param {string} sessionId - 세션 ID
+   */
+  getActiveJob(sessionId) {
+    return [...this.jobs.values()].find(job => job.sessionId === sessionId && isActive(job));
+  }
+
+  /**
+   * 작업 취소 요청
+   * 대기 중인 작업은 즉시 취소되며, 실행 중인 작업은 실행 함수가 signal을 확인하여 중단 (분석 작업은 워커를 종료)
+   * @param {Object} job - 작업 객체
+   * @returns {boolean} 취소 요청 여부 (이미 종료된 작업이면 false)
+   */
+  cancel(job) {
+    if (!isActive(job)) return false;
+
+    job.controller.abort();
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      this.finish(job);
+    }
+    return true;
+  }
+
+  /**
+   * 세션의 모든 진행 중인 작업 취소 (세션 삭제 시)
+   * @param {string} sessionId - 세션 ID
+   */
+  cancelSessionJobs(sessionId) {
+    this.jobs.forEach(job => {
+      if (job.sessionId === sessionId) this.cancel(job);
+    });
+  }
+
+  /**
+   * 작업 상태 (결과 제외)
+   * @param {Object} job - 작업 객체
+   */
+  describe(job) {
+    return {
+      jobId: job.jobId,
+      sessionId: job.sessionId,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error,
+      progress: {
+        step: job.progress.steps[job.progress.steps.length - 1]?.step || null,
+        sheets: Object.values(job.progress.sheets).map(({ sheet, cellsScanned, totalCells }) => ({
+          sheet,
+          cellsScanned,
+          totalCells
+        }))
+      },
+      hasResult: !!job.result
+    };
+  }
+
+  /**
+   * 상태별 작업 수
+   */
+  getStats() {
+    const stats = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    this.jobs.forEach(job => {
+      stats[job.status]++;
+    });
+    return stats;
+  }
+}
+
+function isActive(job) {
+  return job.status === 'queued' || job.status === 'running';
+}
+
+module.exports = AnalysisJobManager;
@@ -0,0 +1,61 @@
+const { parentPort } = require('worker_threads');
+const IntegratedEngine = require('./integrated_engine');
+const ExcelConverter = require('./excel_converter');
+const { createWorkbookSnapshot } = require('./workbook_snapshot');
+const { loadFunctionPlugins } = require('./function_plugins');
+
+// 워커 스레드는 HyperFormula 함수 등록 상태를 공유하지 않으므로 플러그인을 따로 등록
+loadFunctionPlugins();
+
+/**
+ * 분석 워커 스레드 (worker_pool.js에서 실행)
+ * 작업 유형별 처리 함수는 (task, onProgress) => 결과 형태로 구현
+ * 취소는 워커 풀이 워커를 종료하여 처리하므로 작업 안에서 취소를 확인하지 않음
+ */
+const TASK_HANDLERS = {
+  // 통합 분석: 결과와 함께 워크북 스냅샷을 반환하여 메인 스레드 세션에 반영
+  async analyze(task, onProgress) {
+    const engine = new IntegratedEngine(task.sessionId, task.engineOptions);
+    try {
+      const result = await engine.analyzeExcelFile(toBuffer(task.buffer), {
+        ...task.options,
+        onProgress
+      });
+      return {
+        result,
+        workbook: result.success && engine.hyperFormula ? createWorkbookSnapshot(engine.hyperFormula) : null
+      };
+    } finally {
+      engine.cleanup();
+    }
+  },
+
+  // ExcelJS ↔ HyperFormula 변환 호환성 테스트
+  async convertTest(task) {
+    return new ExcelConverter().testConversion(toBuffer(task.buffer));
+  }
+};
+
+parentPort.on('message', async message => {
+  const { taskId, task } = message;
+
+  try {
+    const handler = TASK_HANDLERS[task.type];
+    if (!handler) {
+      throw new Error(`지원하지 않는 워커 작업입니다: ${task.type}`);
+    }
+
+    const result = await handler(task, event => {
+      parentPort.postMessage({ type: 'progress', taskId, event });
+    });
+    parentPort.postMessage({ type: 'result', taskId, result });
+  } catch (error) {
+    // statusCode/type은 메인 스레드 응답 코드에 그대로 사용
+    parentPort.postMessage({ type: 'error', taskId, error: error.message, statusCode: error.statusCode, errorType: error.type });
+  }
+});
+
+// postMessage로 전달된 Uint8Array를 Buffer로 변환 (복사 없음)
+function toBuffer(data) {
+  return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+}
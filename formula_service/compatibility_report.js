@@ -602,7 +602,7 @@ class CompatibilityReport {
         'SpecialFeatures': [
           ['Feature', 'Supported by HyperFormula', 'Supported by ExcelJS', 'Compatibility'],
           ['Array Formulas', 'Limited', 'Yes', 'Partial'],
-          ['Named Ranges', 'No', 'Yes', 'No'],
+          ['Named Ranges', 'Yes', 'Yes', 'Partial'],
           ['Conditional Formatting', 'No', 'Yes', 'No'],
           ['Data Validation', 'No', 'Yes', 'No'],
           ['Charts', 'No', 'Yes', 'No'],
@@ -645,7 +645,7 @@ class CompatibilityReport {
         },
         issues: [
           'HyperFormula does not support Excel formatting features',
-          'Named ranges not directly supported in HyperFormula',
+          'Multi-area and external-workbook named ranges cannot be converted to HyperFormula named expressions',
           'Charts and images require ExcelJS-only workflow'
         ],
         warnings: [
@@ -844,9 +844,9 @@ class CompatibilityReport {
       },
       {
         category: 'Named Ranges',
-        issue: 'Named ranges are not directly supported in HyperFormula',
-        severity: 'Medium',
-        workaround: 'Convert named ranges to cell references'
+        issue: 'Multi-area (union) and external-workbook named ranges are not supported in HyperFormula',
+        severity: 'Low',
+        workaround: 'Unconverted names are reported in analysis.conversion.warnings'
       }
     ];
     
@@ -0,0 +1,799 @@
+const { DetailedCellError, ErrorType } = require('hyperformula');
+const { getPopulatedCells } = require('./sheet_cells');
+const { summarizeFormula } = require('./formula_parser');
+const { translateFormula, DEFAULT_LANGUAGE } = require('./formula_locale');
+
+/**
+ * 수식 셀 참조(precedent) 그래프
+ *
+ * 노드는 수식 셀('시트명!A1'), 간선은 수식 셀 → 수식이 직접 참조하는 셀·범위
+ * - 참조는 HyperFormula getCellPrecedents() 기준 (OFFSET 등 HyperFormula가 해석한 참조 포함)
+ * - 이름 정의를 통한 참조는 이름 정의 수식의 참조로 풀어서 연결
+ * - 범위 참조는 그래프에 포함된 수식 셀로 펼쳐서 연결 (값 셀은 순환에 관여하지 않음)
+ * - 그래프 도구용 내보내기(exportDependencyGraph)에서는 입력 셀과 범위도 노드로 포함
+ */
+
+// 순환 참조 심각도 기준
+const HIGH_SEVERITY_CYCLE_CELLS = 5;       // 순환에 포함된 셀 수
+const HIGH_SEVERITY_AFFECTED_CELLS = 10;   // 순환 결과(#CYCLE!)가 전파된 셀 수
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+// 의존성 그래프 내보내기의 노드 단위 (exportDependencyGraph 참고)
+const GRAPH_COLLAPSE_MODES = ['none', 'range', 'sheet'];
+
+// 영향 분석 대상 범위의 최대 셀 수
+const MAX_IMPACT_RANGE_CELLS = 100000;
+
+/**
+ * 잘못된 셀·범위 참조 (HTTP 400으로 응답)
+ */
+class CellReferenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CellReferenceError';
+    this.statusCode = 400;
+    this.type = 'invalid_cell_reference';
+  }
+}
+
+class DependencyGraph {
+  /**
+   * @param {HyperFormula} hyperFormula - HyperFormula 인스턴스
+   * @param {Object} [options]
+   * @param {string|Object} [options.locale] - HyperFormula 설정의 수식 로캘 (기본 세션 로캘을 쓰는 경우)
+   */
+  constructor(hyperFormula, { locale = DEFAULT_LANGUAGE } = {}) {
+    this.hyperFormula = hyperFormula;
+    this.locale = locale;
+    this.sheetNames = new Map(hyperFormula.getSheetNames().map(name => [hyperFormula.getSheetId(name), name]));
+    this.sheetOrder = [...this.sheetNames.keys()];
+    this.cells = new Map();        // 키 → { key, sheet, sheetName, row, col, address, formula }
+    this.precedents = new Map();   // 키 → [HyperFormula 셀 주소 또는 범위 { start, end }]
+    this.columnIndex = new Map();  // 시트 ID → Map(열 → 정렬된 행 목록), 범위 펼치기용
+  }
+
+  /**
+   * 통합 문서의 수식 셀과 직접 참조를 그래프에 추가
+   * @param {Function} [filter] - (address, value) => boolean, 포함할 수식 셀 (생략 시 모든 수식 셀)
+   * @returns {DependencyGraph} this
+   */
+  build(filter = () => true) {
+    this.sheetOrder.forEach(sheetId => {
+      getPopulatedCells(this.hyperFormula, sheetId).forEach(address => {
+        if (!this.hyperFormula.doesCellHaveFormula(address)) return;
+        if (!filter(address, this.hyperFormula.getCellValue(address))) return;
+        this.addCell(address);
+      });
+    });
+
+    this.columnIndex.forEach(columns => columns.forEach(rows => rows.sort((a, b) => a - b)));
+    return this;
+  }
+
+  // 수식 셀 노드와 직접 참조 추가
+  addCell(address) {
+    const key = this.cellKey(address);
+    const formula = this.hyperFormula.getCellFormula(address);
+
+    this.cells.set(key, {
+      key,
+      sheet: address.sheet,
+      sheetName: this.sheetNames.get(address.sheet),
+      row: address.row,
+      col: address.col,
+      address: columnLabel(address.col) + (address.row + 1),
+      formula
+    });
+
+    this.precedents.set(key, this.cellPrecedents(address, formula));
+
+    const columns = this.columnIndex.get(address.sheet) || new Map();
+    this.columnIndex.set(address.sheet, columns);
+    const rows = columns.get(address.col) || [];
+    columns.set(address.col, rows);
+    rows.push(address.row);
+  }
+
+  /**
+   * 수식 셀이 직접 참조하는 셀·범위
+   * @param {Object} address - HyperFormula 셀 주소
+   * @param {string} [formula] - 셀 수식 (생략 시 조회)
+   * @returns {Array} HyperFormula 셀 주소 또는 범위 { start, end }
+   */
+  cellPrecedents(address, formula = this.hyperFormula.getCellFormula(address)) {
+    // 이름 정의는 HyperFormula가 별도 주소(시트 ID < 0)로 돌려주므로 이름 정의 수식의 참조로 대체
+    const precedents = this.hyperFormula.getCellPrecedents(address)
+      .filter(precedent => (precedent.start || precedent).sheet >= 0);
+    precedents.push(...this.resolveNamedReferences(this.summarize(formula).names, address.sheet));
+    return precedents;
+  }
+
+  // 이름 정의가 가리키는 셀·범위 (이름 정의 안의 이름도 따라감)
+  resolveNamedReferences(names, sheetId, visited = new Set()) {
+    const references = [];
+
+    names.forEach(text => {
+      const [, sheetName, name] = text.match(/^(?:'?(.*?)'?!)?([^!]+)$/);
+      const scope = sheetName ? this.hyperFormula.getSheetId(sheetName) : sheetId;
+      const formula = this.hyperFormula.getNamedExpressionFormula(name, scope)
+        ?? this.hyperFormula.getNamedExpressionFormula(name);
+
+      const visitKey = `${scope}:${name.toUpperCase()}`;
+      if (!formula || visited.has(visitKey)) return;
+      visited.add(visitKey);
+
+      const summary = this.summarize(formula);
+      summary.references.forEach(reference => {
+        const range = this.hyperFormula.simpleCellRangeFromString(reference.text, scope ?? sheetId);
+        const cell = range ? null : this.hyperFormula.simpleCellAddressFromString(reference.text, scope ?? sheetId);
+        if (range || cell) references.push(range || cell);
+      });
+      references.push(...this.resolveNamedReferences(summary.names, scope ?? sheetId, visited));
+    });
+
+    return references;
+  }
+
+  // 로캘 수식을 영문 문법으로 바꾸어 요약
+  summarize(formula) {
+    return summarizeFormula(translateFormula(formula, this.locale, DEFAULT_LANGUAGE));
+  }
+
+  /**
+   * 셀 키 (예: Sheet1!A1, 시트명은 따옴표 없이)
+   * @param {Object} address - HyperFormula 셀 주소 { sheet, row, col }
+   * @returns {string}
+   */
+  cellKey({ sheet, row, col }) {
+    return `${this.sheetNames.get(sheet)}!${columnLabel(col)}${row + 1}`;
+  }
+
+  /**
+   * 수식 셀이 참조하는 그래프 안의 수식 셀 (범위는 펼침)
+   * @param {string} key - 셀 키
+   * @returns {string[]} 셀 키 목록 (중복 제거)
+   */
+  formulaPrecedents(key) {
+    const keys = new Set();
+
+    (this.precedents.get(key) || []).forEach(precedent => {
+      if (!precedent.start) {
+        const precedentKey = this.cellKey(precedent);
+        if (this.cells.has(precedentKey)) keys.add(precedentKey);
+        return;
+      }
+
+      cellsInRange(this.columnIndex, precedent).forEach(address => keys.add(this.cellKey(address)));
+    });
+
+    return [...keys];
+  }
+
+  /**
+   * 범위 키 (예: Sheet1!A1:B5, 열 전체 Sheet1!A:A, 행 전체 Sheet1!1:1)
+   * @param {Object} range - HyperFormula 범위 { start, end } (열·행 전체 범위는 끝 행·열이 Infinity)
+   * @returns {string}
+   */
+  rangeKey({ start, end }) {
+    const sheetName = this.sheetNames.get(start.sheet);
+    if (end.row === Infinity) {
+      return `${sheetName}!${columnLabel(start.col)}:${columnLabel(end.col)}`;
+    }
+    if (end.col === Infinity) {
+      return `${sheetName}!${start.row + 1}:${end.row + 1}`;
+    }
+    return `${sheetName}!${columnLabel(start.col)}${start.row + 1}:${columnLabel(end.col)}${end.row + 1}`;
+  }
+
+  /**
+   * 강한 연결 요소 (Tarjan, 재귀 없이 스택으로 순회)
+   * @returns {Object} { components: [[셀 키]], adjacency: Map(키 → 참조 셀 키) }
+   */
+  findStronglyConnectedComponents() {
+    const adjacency = new Map([...this.cells.keys()].map(key => [key, this.formulaPrecedents(key)]));
+    const index = new Map();
+    const low = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let counter = 0;
+
+    const visit = key => {
+      index.set(key, counter);
+      low.set(key, counter);
+      counter++;
+      stack.push(key);
+      onStack.add(key);
+    };
+
+    for (const root of this.cells.keys()) {
+      if (index.has(root)) continue;
+
+      visit(root);
+      const work = [{ key: root, next: 0 }];
+
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        const edges = adjacency.get(frame.key);
+
+        if (frame.next < edges.length) {
+          const target = edges[frame.next++];
+          if (!index.has(target)) {
+            visit(target);
+            work.push({ key: target, next: 0 });
+          } else if (onStack.has(target)) {
+            low.set(frame.key, Math.min(low.get(frame.key), index.get(target)));
+          }
+          continue;
+        }
+
+        work.pop();
+        if (work.length > 0) {
+          const parent = work[work.length - 1].key;
+          low.set(parent, Math.min(low.get(parent), low.get(frame.key)));
+        }
+
+        if (low.get(frame.key) === index.get(frame.key)) {
+          const component = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.push(member);
+          } while (member !== frame.key);
+          components.push(component);
+        }
+      }
+    }
+
+    return { components, adjacency };
+  }
+
+  /**
+   * 순환 참조 (둘 이상의 셀로 된 강한 연결 요소 또는 자기 자신을 참조하는 셀)
+   * @returns {Array} [{ cells, chain, affectedCells }]
+   *   cells: 시트·행·열 순서, chain: 첫 셀에서 참조를 따라 다시 첫 셀로 돌아오는 경로
+   */
+  findCycles() {
+    const { components, adjacency } = this.findStronglyConnectedComponents();
+    const cycles = components
+      .filter(component => component.length > 1 || adjacency.get(component[0]).includes(component[0]))
+      .map(component => component.sort((a, b) => this.compareCells(a, b)));
+
+    const dependents = reverseAdjacency(adjacency);
+
+    return cycles.map(cells => ({
+      cells,
+      chain: shortestLoop(cells[0], new Set(cells), adjacency),
+      affectedCells: countReachable(cells, dependents) - cells.length
+    }));
+  }
+
+  // 시트 순서 → 행 → 열
+  compareCells(a, b) {
+    const cellA = this.cells.get(a);
+    const cellB = this.cells.get(b);
+    return this.sheetOrder.indexOf(cellA.sheet) - this.sheetOrder.indexOf(cellB.sheet)
+      || cellA.row - cellB.row
+      || cellA.col - cellB.col;
+  }
+}
+
+/**
+ * 통합 문서의 순환 참조 탐지
+ * HyperFormula가 #CYCLE!로 계산한 셀(순환에 포함된 셀과 그 결과를 참조하는 셀)만으로 그래프를 만들어
+ * 강한 연결 요소를 찾으므로, 순환 결과가 전파되었을 뿐인 셀은 순환으로 보고하지 않음
+ * @param {HyperFormula} hyperFormula - HyperFormula 인스턴스
+ * @param {Object} [options]
+ * @param {string|Object} [options.locale] - HyperFormula 설정의 수식 로캘
+ * @param {Function} [options.localizeFormula] - 보고용 수식 변환 (기본: 그대로)
+ * @returns {Array} [{ id, cells, chain, length, sheets, severity, description, affectedCells, formulas: [{ cell, formula }] }]
+ */
+function findCircularReferences(hyperFormula, { locale, localizeFormula = formula => formula } = {}) {
+  const graph = new DependencyGraph(hyperFormula, { locale }).build((address, value) => value instanceof DetailedCellError && value.type === ErrorType.CYCLE);
+  if (graph.cells.size === 0) {
+    return [];
+  }
+
+  return graph.findCycles()
+    .map(({ cells, chain, affectedCells }) => {
+      const sheets = [...new Set(cells.map(key => graph.cells.get(key).sheetName))];
+      const severity = cycleSeverity(cells.length, sheets.length, affectedCells);
+
+      return {
+        cells,
+        chain,
+        length: cells.length,
+        sheets,
+        severity,
+        description: cells.length === 1
+          ? `${cells[0]} 셀이 자기 자신을 참조합니다.`
+          : `${cells.length}개 셀이 서로 참조합니다 (${sheets.join(', ')}).`,
+        affectedCells,
+        formulas: cells.map(key => ({ cell: key, formula: localizeFormula(graph.cells.get(key).formula) }))
+      };
+    })
+    .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || graph.compareCells(a.cells[0], b.cells[0]))
+    .map((cycle, index) => ({ id: index + 1, ...cycle }));
+}
+
+/**
+ * 통합 문서 의존성 그래프 내보내기 (그래프 도구용 노드·간선 목록)
+ * 간선 방향은 참조하는 쪽 → 참조되는 쪽 (수식 셀 → 참조 셀·범위, 범위 → 범위 안의 값이 있는 셀)
+ * - none: 셀(formula·input)과 범위(range) 노드, reference·member 간선
+ * - range: 범위 노드로 접음 (범위 안의 입력 셀은 노드로 만들지 않고 범위 안의 수식 셀만 member로 연결)
+ * - sheet: 시트 노드와 시트 간 참조 수(weight) 간선 (같은 시트 안의 참조는 노드의 internalReferences)
+ * @param {HyperFormula} hyperFormula - HyperFormula 인스턴스
+ * @param {Object} [options]
+ * @param {string} [options.collapse] - none | range | sheet (기본 none)
+ * @param {string|Object} [options.locale] - HyperFormula 설정의 수식 로캘
+ * @param {Function} [options.localizeFormula] - 보고용 수식 변환 (기본: 그대로)
+ * @returns {Object} { collapse, nodes, edges, summary: { sheets, formulaCells, nodes, edges } }
+ */
+function exportDependencyGraph(hyperFormula, { collapse = 'none', locale, localizeFormula = formula => formula } = {}) {
+  const graph = new DependencyGraph(hyperFormula, { locale }).build();
+  const populated = new Map(graph.sheetOrder.map(sheetId => [sheetId, getPopulatedCells(hyperFormula, sheetId)]));
+  const { nodes, edges } = collapse === 'sheet'
+    ? sheetLevelGraph(graph, populated)
+    : cellLevelGraph(graph, populated, { collapseRanges: collapse === 'range', localizeFormula });
+
+  return {
+    collapse,
+    nodes,
+    edges,
+    summary: {
+      sheets: graph.sheetOrder.length,
+      formulaCells: graph.cells.size,
+      nodes: nodes.length,
+      edges: edges.length
+    }
+  };
+}
+
+// 셀·범위 노드 그래프
+function cellLevelGraph(graph, populated, { collapseRanges, localizeFormula }) {
+  const hyperFormula = graph.hyperFormula;
+  const columnIndex = new Map([...populated].map(([sheetId, addresses]) => [sheetId, indexByColumn(addresses)]));
+  const nodes = new Map();
+  const edges = new Map();
+
+  const addEdge = (source, target, type) => {
+    const id = `${source}\u0000${target}`;
+    if (!edges.has(id)) edges.set(id, { source, target, type });
+  };
+
+  const addCellNode = address => {
+    const key = graph.cellKey(address);
+    if (nodes.has(key)) return key;
+
+    const cell = graph.cells.get(key);
+    const value = serializeValue(hyperFormula.getCellValue(address));
+    nodes.set(key, cell
+      ? { id: key, type: 'formula', sheet: cell.sheetName, address: cell.address, formula: localizeFormula(cell.formula), value }
+      : { id: key, type: 'input', sheet: graph.sheetNames.get(address.sheet), address: columnLabel(address.col) + (address.row + 1), value });
+    return key;
+  };
+
+  graph.cells.forEach(cell => addCellNode(cell));
+
+  graph.precedents.forEach((precedents, key) => precedents.forEach(precedent => {
+    if (!precedent.start) {
+      addEdge(key, addCellNode(precedent), 'reference');
+      return;
+    }
+
+    const rangeKey = graph.rangeKey(precedent);
+    if (!nodes.has(rangeKey)) {
+      const members = cellsInRange(columnIndex, precedent);
+      nodes.set(rangeKey, {
+        id: rangeKey,
+        type: 'range',
+        sheet: graph.sheetNames.get(precedent.start.sheet),
+        range: rangeKey.slice(rangeKey.lastIndexOf('!') + 1),
+        cells: members.length
+      });
+      members
+        .filter(address => !collapseRanges || graph.cells.has(graph.cellKey(address)))
+        .forEach(address => addEdge(rangeKey, addCellNode(address), 'member'));
+    }
+    addEdge(key, rangeKey, 'reference');
+  }));
+
+  return { nodes: [...nodes.values()], edges: [...edges.values()] };
+}
+
+// 시트 노드 그래프 (간선 weight = 시트 간 참조 수, 범위 참조는 1개로 계산)
+function sheetLevelGraph(graph, populated) {
+  const nodes = new Map(graph.sheetOrder.map(sheetId => {
+    const name = graph.sheetNames.get(sheetId);
+    return [sheetId, { id: name, type: 'sheet', sheet: name, formulaCells: 0, inputCells: populated.get(sheetId).length, internalReferences: 0 }];
+  }));
+  const edges = new Map();
+
+  graph.cells.forEach(cell => {
+    const source = nodes.get(cell.sheet);
+    source.formulaCells++;
+    source.inputCells--;
+
+    graph.precedents.get(cell.key).forEach(precedent => {
+      const targetSheet = (precedent.start || precedent).sheet;
+      if (targetSheet === cell.sheet) {
+        source.internalReferences++;
+        return;
+      }
+
+      const target = nodes.get(targetSheet);
+      const id = `${source.id}\u0000${target.id}`;
+      const edge = edges.get(id) || { source: source.id, target: target.id, type: 'reference', weight: 0 };
+      edge.weight++;
+      edges.set(id, edge);
+    });
+  });
+
+  return { nodes: [...nodes.values()], edges: [...edges.values()] };
+}
+
+// 범위 안의 셀 주소 (columnIndex: 시트 ID → Map(열 → 정렬된 행 목록), 열·행 전체 범위 포함)
+function cellsInRange(columnIndex, { start, end }) {
+  const columns = columnIndex.get(start.sheet);
+  if (!columns) return [];
+
+  const addresses = [];
+  columns.forEach((rows, col) => {
+    if (col < start.col || col > end.col) return;
+    for (let i = lowerBound(rows, start.row); i < rows.length && rows[i] <= end.row; i++) {
+      addresses.push({ sheet: start.sheet, row: rows[i], col });
+    }
+  });
+  return addresses;
+}
+
+// 셀 주소 목록 → Map(열 → 정렬된 행 목록)
+function indexByColumn(addresses) {
+  const columns = new Map();
+  addresses.forEach(({ row, col }) => {
+    const rows = columns.get(col) || [];
+    columns.set(col, rows);
+    rows.push(row);
+  });
+  columns.forEach(rows => rows.sort((a, b) => a - b));
+  return columns;
+}
+
+// 셀 값을 JSON용으로 변환 (오류 객체는 '#DIV/0!' 등 문자열로)
+function serializeValue(value) {
+  if (value instanceof DetailedCellError) {
+    return value.value;
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * 셀·범위 참조 문자열을 HyperFormula 범위로 변환
+ * 시트명은 따옴표 없이 써도 되며(예: 요약!B3, My Sheet!A1:A5), 생략하면 첫 번째 시트
+ * @param {HyperFormula} hyperFormula - HyperFormula 인스턴스
+ * @param {string} reference - 셀(Sheet1!A1) 또는 범위(Sheet1!A1:B5) 참조
+ * @returns {Object} { start, end } (셀이면 start와 end가 같음)
+ * @throws {CellReferenceError} 시트가 없거나 참조 형식이 잘못된 경우 (열·행 전체 범위 포함)
+ */
+function parseCellReference(hyperFormula, reference) {
+  if (typeof reference !== 'string' || reference.trim() === '') {
+    throw new CellReferenceError('셀 또는 범위 참조를 지정해야 합니다 (예: Sheet1!A1, Sheet1!A1:B5).');
+  }
+
+  const text = reference.trim();
+  const separator = text.lastIndexOf('!');
+  const sheetName = separator >= 0 ? text.slice(0, separator).replace(/^'(.*)'$/, '$1').replace(/''/g, '\'') : null;
+  const sheetId = sheetName === null ? hyperFormula.getSheetId(hyperFormula.getSheetNames()[0]) : hyperFormula.getSheetId(sheetName);
+  if (sheetId === undefined) {
+    throw new CellReferenceError(`시트를 찾을 수 없습니다: ${sheetName ?? reference}`);
+  }
+
+  const local = text.slice(separator + 1);
+  const range = /^\$?[A-Z]+\$?\d+:\$?[A-Z]+\$?\d+$/i.test(local) ? hyperFormula.simpleCellRangeFromString(local, sheetId) : undefined;
+  const cell = /^\$?[A-Z]+\$?\d+$/i.test(local) ? hyperFormula.simpleCellAddressFromString(local, sheetId) : undefined;
+  if (!range && !cell) {
+    throw new CellReferenceError(`셀 또는 범위 참조 형식이 잘못되었습니다: ${reference} (예: Sheet1!A1, Sheet1!A1:B5)`);
+  }
+
+  return range || { start: cell, end: cell };
+}
+
+/**
+ * 셀·범위를 바꾸었을 때 영향을 받는 모든 종속 셀 (HyperFormula getCellDependents() 기준)
+ * 거리는 대상에서 참조를 따라 올라간 단계 수 (대상을 직접 참조하면 1), 범위 참조는 단계로 세지 않음
+ * 다른 셀이 참조하지 않는 종속 셀은 최종 출력(finalOutput)으로 표시
+ * @param {HyperFormula} hyperFormula - HyperFormula 인스턴스
+ * @param {string} reference - 셀 또는 범위 참조 (parseCellReference 참고)
+ * @param {Object} [options]
+ * @param {Function} [options.localizeFormula] - 보고용 수식 변환 (기본: 그대로)
+ * @returns {Object} { target, totalDependents, maxDistance, finalOutputs, dependents, bySheet, byDistance }
+ * @throws {CellReferenceError} 참조가 잘못되었거나 범위가 너무 큰 경우
+ */
+function findDependents(hyperFormula, reference, { localizeFormula = formula => formula } = {}) {
+  const graph = new DependencyGraph(hyperFormula);
+  const target = parseCellReference(hyperFormula, reference);
+  const { start, end } = target;
+  const cellCount = (end.row - start.row + 1) * (end.col - start.col + 1);
+  if (cellCount > MAX_IMPACT_RANGE_CELLS) {
+    throw new CellReferenceError(`범위가 너무 큽니다: ${cellCount}개 셀 (최대 ${MAX_IMPACT_RANGE_CELLS}개)`);
+  }
+
+  const seeds = [];
+  for (let row = start.row; row <= end.row; row++) {
+    for (let col = start.col; col <= end.col; col++) {
+      seeds.push({ sheet: start.sheet, row, col });
+    }
+  }
+
+  // 너비 우선으로 한 단계씩 (범위 노드는 그 범위를 참조하는 셀로 펼침)
+  const seedKeys = new Set(seeds.map(address => graph.cellKey(address)));
+  const found = new Map();   // 키 → { address, distance, finalOutput }
+  let frontier = seeds;
+  for (let distance = 1; frontier.length > 0; distance++) {
+    const next = [];
+    frontier.forEach(address => {
+      const dependents = directDependents(graph, address);
+      const entry = found.get(graph.cellKey(address));
+      if (entry) entry.finalOutput = dependents.length === 0;
+
+      dependents.forEach(dependent => {
+        const key = graph.cellKey(dependent);
+        if (seedKeys.has(key) || found.has(key)) return;
+        found.set(key, { address: dependent, distance, finalOutput: false });
+        next.push(dependent);
+      });
+    });
+    frontier = next;
+  }
+
+  const sheetIndex = sheetId => graph.sheetOrder.indexOf(sheetId);
+  const dependents = [...found]
+    .sort(([, a], [, b]) => a.distance - b.distance
+      || sheetIndex(a.address.sheet) - sheetIndex(b.address.sheet)
+      || a.address.row - b.address.row
+      || a.address.col - b.address.col)
+    .map(([key, { address, distance, finalOutput }]) => ({
+      cell: key,
+      sheet: graph.sheetNames.get(address.sheet),
+      address: columnLabel(address.col) + (address.row + 1),
+      distance,
+      formula: localizeFormula(hyperFormula.getCellFormula(address)),
+      value: serializeValue(hyperFormula.getCellValue(address)),
+      finalOutput
+    }));
+
+  const bySheet = graph.sheetOrder
+    .map(sheetId => graph.sheetNames.get(sheetId))
+    .map(sheet => ({ sheet, cells: dependents.filter(dependent => dependent.sheet === sheet).map(dependent => dependent.cell) }))
+    .filter(group => group.cells.length > 0);
+  const byDistance = [];
+  dependents.forEach(dependent => {
+    const group = byDistance[dependent.distance - 1] || { distance: dependent.distance, cells: [] };
+    byDistance[dependent.distance - 1] = group;
+    group.cells.push(dependent.cell);
+  });
+
+  return {
+    target: start === end ? graph.cellKey(start) : graph.rangeKey(target),
+    totalDependents: dependents.length,
+    maxDistance: byDistance.length,
+    finalOutputs: dependents.filter(dependent => dependent.finalOutput).map(dependent => dependent.cell),
+    dependents,
+    bySheet,
+    byDistance
+  };
+}
+
+/**
+ * 셀의 참조(precedent) 계보 트리 (입력 상수까지)
+ * 같은 셀·범위를 두 번째로 만나면 하위 트리를 다시 펼치지 않고 repeated로, 경로에 이미 있는 셀은 circular로 표시
+ * @param {HyperFormula} hyperFormula - HyperFormula 인스턴스
+ * @param {string} reference - 셀 참조 (예: Output!B10)
+ * @param {Object} [options]
+ * @param {Function} [options.localizeFormula] - 보고용 수식 변환 (기본: 그대로)
+ * @returns {Object} { target, depth, totalNodes, formulaCells, inputCells, sheets, sheetHops, tree }
+ *   tree 노드: { cell, type: formula | input | range, sheet, address | range, formula, value, level, sheetHop, children }
+ * @throws {CellReferenceError} 참조가 잘못되었거나 범위인 경우
+ */
+function traceLineage(hyperFormula, reference, { localizeFormula = formula => formula } = {}) {
+  const target = parseCellReference(hyperFormula, reference);
+  if (target.start.row !== target.end.row || target.start.col !== target.end.col) {
+    throw new CellReferenceError(`계보 추적 대상은 하나의 셀이어야 합니다: ${reference}`);
+  }
+
+  const graph = new DependencyGraph(hyperFormula);
+  const columnIndex = new Map();   // 시트 ID → Map(열 → 정렬된 행 목록), 범위 펼치기용
+  const membersOf = range => {
+    if (!columnIndex.has(range.start.sheet)) {
+      columnIndex.set(range.start.sheet, indexByColumn(getPopulatedCells(hyperFormula, range.start.sheet)));
+    }
+    return cellsInRange(new Map([[range.start.sheet, columnIndex.get(range.start.sheet)]]), range);
+  };
+
+  const createNode = (item, level, parentSheet) => {
+    const sheetId = (item.start || item).sheet;
+    const node = { cell: item.start ? graph.rangeKey(item) : graph.cellKey(item), sheet: graph.sheetNames.get(sheetId) };
+    if (item.start) {
+      Object.assign(node, { type: 'range', range: node.cell.slice(node.cell.lastIndexOf('!') + 1) });
+    } else if (hyperFormula.doesCellHaveFormula(item)) {
+      Object.assign(node, {
+        type: 'formula',
+        address: columnLabel(item.col) + (item.row + 1),
+        formula: localizeFormula(hyperFormula.getCellFormula(item)),
+        value: serializeValue(hyperFormula.getCellValue(item))
+      });
+    } else {
+      Object.assign(node, { type: 'input', address: columnLabel(item.col) + (item.row + 1), value: serializeValue(hyperFormula.getCellValue(item)) });
+    }
+    return Object.assign(node, { level, sheetHop: parentSheet !== undefined && parentSheet !== sheetId, children: [] });
+  };
+
+  const childrenOf = item => {
+    if (item.start) return membersOf(item);
+    if (!hyperFormula.doesCellHaveFormula(item)) return [];
+
+    const seen = new Set();
+    return graph.cellPrecedents(item).filter(precedent => {
+      const key = precedent.start ? graph.rangeKey(precedent) : graph.cellKey(precedent);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  };
+
+  // 재귀 없이 스택으로 깊이 우선 순회 (exit 항목에서 현재 경로에서 제거)
+  const tree = createNode(target.start, 0);
+  const expanded = new Set();
+  const path = new Set();
+  const formulaCells = new Set();
+  const inputCells = new Set();
+  const sheets = new Set();
+  let totalNodes = 0;
+  let depth = 0;
+  let sheetHops = 0;
+  const stack = [{ node: tree, item: target.start }];
+
+  while (stack.length > 0) {
+    const { node, item, exit } = stack.pop();
+    if (exit) {
+      path.delete(node.cell);
+      continue;
+    }
+
+    totalNodes++;
+    depth = Math.max(depth, node.level);
+    sheets.add(node.sheet);
+    if (node.sheetHop) sheetHops++;
+    if (node.type === 'formula') formulaCells.add(node.cell);
+    if (node.type === 'input') inputCells.add(node.cell);
+
+    if (path.has(node.cell)) {
+      node.circular = true;
+      continue;
+    }
+    if (expanded.has(node.cell)) {
+      if (node.type !== 'input') node.repeated = true;
+      continue;
+    }
+    expanded.add(node.cell);
+    path.add(node.cell);
+    stack.push({ node, exit: true });
+
+    const sheetId = (item.start || item).sheet;
+    const children = childrenOf(item);
+    node.children = children.map(child => createNode(child, node.level + 1, sheetId));
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push({ node: node.children[i], item: children[i] });
+    }
+  }
+
+  return { target: tree.cell, depth, totalNodes, formulaCells: formulaCells.size, inputCells: inputCells.size, sheets: [...sheets], sheetHops, tree };
+}
+
+// 셀을 직접 참조하는 수식 셀 (셀이 속한 범위를 참조하는 수식 셀 포함)
+function directDependents(graph, address) {
+  const cells = [];
+  const ranges = new Set();
+  const pending = graph.hyperFormula.getCellDependents(address);
+
+  while (pending.length > 0) {
+    const dependent = pending.pop();
+    if (!dependent.start) {
+      cells.push(dependent);
+      continue;
+    }
+
+    const key = graph.rangeKey(dependent);
+    if (ranges.has(key)) continue;
+    ranges.add(key);
+    pending.push(...graph.hyperFormula.getCellDependents(dependent));
+  }
+
+  return cells;
+}
+
+// high: 여러 시트에 걸치거나 셀이 많거나 결과가 넓게 전파된 순환, low: 전파되지 않은 자기 참조
+function cycleSeverity(cellCount, sheetCount, affectedCells) {
+  if (sheetCount > 1 || cellCount >= HIGH_SEVERITY_CYCLE_CELLS || affectedCells >= HIGH_SEVERITY_AFFECTED_CELLS) {
+    return 'high';
+  }
+  return cellCount === 1 && affectedCells === 0 ? 'low' : 'medium';
+}
+
+// start에서 참조를 따라 start로 돌아오는 가장 짧은 경로 (members 안에서만)
+function shortestLoop(start, members, adjacency) {
+  const previous = new Map();
+  const queue = [start];
+
+  for (let i = 0; i < queue.length; i++) {
+    const key = queue[i];
+    for (const target of adjacency.get(key)) {
+      if (!members.has(target)) continue;
+      if (target === start) {
+        const path = [];
+        for (let node = key; node !== start; node = previous.get(node)) path.unshift(node);
+        return [start, ...path, start];
+      }
+      if (!previous.has(target)) {
+        previous.set(target, key);
+        queue.push(target);
+      }
+    }
+  }
+
+  return [start];
+}
+
+function reverseAdjacency(adjacency) {
+  const reverse = new Map([...adjacency.keys()].map(key => [key, []]));
+  adjacency.forEach((targets, key) => targets.forEach(target => reverse.get(target).push(key)));
+  return reverse;
+}
+
+// 시작 셀들에서 간선을 따라 도달하는 셀 수 (시작 셀 포함)
+function countReachable(starts, edges) {
+  const seen = new Set(starts);
+  const queue = [...starts];
+  while (queue.length > 0) {
+    (edges.get(queue.pop()) || []).forEach(key => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        queue.push(key);
+      }
+    });
+  }
+  return seen.size;
+}
+
+function lowerBound(values, target) {
+  let low = 0;
+  let high = values.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (values[mid] < target) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+// 0 기반 열 번호 → 열 문자 (0 → A)
+function columnLabel(col) {
+  let label = '';
+  for (let n = col + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    label = String.fromCharCode(65 + ((n - 1) % 26)) + label;
+  }
+  return label;
+}
+
+module.exports = {
+  GRAPH_COLLAPSE_MODES,
+  CellReferenceError,
+  DependencyGraph,
+  parseCellReference,
+  findCircularReferences,
+  exportDependencyGraph,
+  findDependents,
+  traceLineage
+};
@@ -0,0 +1,384 @@
+const {
+  HyperFormula,
+  FunctionPlugin,
+  FunctionArgumentType,
+  SimpleRangeValue,
+  ArraySize,
+  CellError,
+  ErrorType,
+  EmptyValue
+} = require('hyperformula');
+const { getFormulaLanguages } = require('./formula_locale');
+
+/**
+ * Microsoft 365 함수 호환 구현 (HyperFormula 3에 없는 함수)
+ *
+ * | 함수 | 비고 |
+ * |------|------|
+ * | XMATCH | 일치 유형 0/-1/1/2(와일드카드), 검색 모드 1/-1/2/-2 (2/-2도 순차 검색) |
+ * | UNIQUE | 행(by_col이면 열) 단위 중복 제거, 대소문자 무시 |
+ * | SORT | 숫자 < 문자(대소문자 무시) < 논리값 < 오류, 빈 셀은 항상 마지막 |
+ * | SEQUENCE | 행·열 수는 숫자 상수로 지정한 경우에만 분산(spill) |
+ * | TEXTJOIN | 구분자 범위 순환 사용, 32767자 초과 시 #VALUE! |
+ *
+ * XLOOKUP, FILTER, IFS, SWITCH는 HyperFormula 내장 함수가 Excel과 같은 동작을 제공
+ *
+ * HyperFormula는 수식을 읽을 때 배열 결과 크기를 미리 정하므로(arraySizeMethod)
+ * UNIQUE·SORT는 원본 범위 크기만큼 분산 영역을 잡고 남는 셀은 빈 셀로 둠
+ * (예측한 크기보다 큰 배열을 반환하면 HyperFormula가 계산을 중단하므로 항상 예측 크기 이내로 자름)
+ */
+
+// Excel 셀 텍스트 최대 길이
+const MAX_TEXT_LENGTH = 32767;
+
+// SORT 값 유형 순서 (빈 셀은 정렬 방향과 무관하게 마지막)
+const SORT_TYPE_ORDER = { number: 0, string: 1, boolean: 2, error: 3 };
+
+class ExcelCompatibilityPlugin extends FunctionPlugin {
+  xmatch(ast, state) {
+    return this.runFunction(ast.args, state, this.metadata('XMATCH'),
+      (lookupValue, lookupArray, matchMode, searchMode) => {
+        if (![0, -1, 1, 2].includes(matchMode) || ![1, -1, 2, -2].includes(searchMode)) {
+          return new CellError(ErrorType.VALUE, 'XMATCH match_mode/search_mode 값이 잘못되었습니다.');
+        }
+        if (lookupArray.width() > 1 && lookupArray.height() > 1) {
+          return new CellError(ErrorType.VALUE, 'XMATCH lookup_array는 한 행 또는 한 열이어야 합니다.');
+        }
+
+        const position = findPosition(lookupValue, flatten(lookupArray.rawData()), matchMode, searchMode);
+        return position === -1
+          ? new CellError(ErrorType.NA, 'XMATCH 일치하는 값이 없습니다.')
+          : position + 1;
+      });
+  }
+
+  unique(ast, state) {
+    const size = this.sourceArraySize(ast, state);
+
+    return this.runFunction(ast.args, state, this.metadata('UNIQUE'), (range, byColumn, exactlyOnce) => {
+      const values = byColumn ? transpose(range.data) : range.data;
+      const keys = (byColumn ? transpose(range.rawData()) : range.rawData()).map(row => row.map(valueKey).join('\u0000'));
+
+      const counts = new Map();
+      keys.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+
+      const seen = new Set();
+      const result = values.filter((row, index) => {
+        const key = keys[index];
+        if (seen.has(key) || (exactlyOnce && counts.get(key) > 1)) return false;
+        seen.add(key);
+        return true;
+      });
+
+      if (result.length === 0) {
+        return new CellError(ErrorType.NA, 'UNIQUE 결과가 없습니다.');
+      }
+      return fitToArraySize(byColumn ? transpose(result) : result, size);
+    });
+  }
+
+  sort(ast, state) {
+    const size = this.sourceArraySize(ast, state);
+
+    return this.runFunction(ast.args, state, this.metadata('SORT'), (range, sortIndex, sortOrder, byColumn) => {
+      if (sortOrder !== 1 && sortOrder !== -1) {
+        return new CellError(ErrorType.VALUE, 'SORT sort_order는 1 또는 -1이어야 합니다.');
+      }
+
+      const values = byColumn ? transpose(range.data) : range.data;
+      const raw = byColumn ? transpose(range.rawData()) : range.rawData();
+      if (sortIndex > (values[0] || []).length) {
+        return new CellError(ErrorType.VALUE, 'SORT sort_index가 범위를 벗어났습니다.');
+      }
+
+      // Array.prototype.sort는 안정 정렬이므로 같은 값은 원래 순서 유지
+      const order = values.map((row, index) => index)
+        .sort((a, b) => compareForSort(raw[a][sortIndex - 1], raw[b][sortIndex - 1], sortOrder));
+      const result = order.map(index => values[index]);
+
+      return fitToArraySize(byColumn ? transpose(result) : result, size);
+    });
+  }
+
+  sequence(ast, state) {
+    const size = this.sequenceArraySize(ast, state);
+
+    return this.runFunction(ast.args, state, this.metadata('SEQUENCE'), (rows, columns, start, step) => {
+      const data = Array.from({ length: rows }, (_, row) =>
+        Array.from({ length: columns }, (__, column) => start + (row * columns + column) * step));
+      // 크기를 예측하지 못한 경우는 다른 함수의 인수로 쓰일 때만 계산됨 (예: SUM(SEQUENCE(A1)))
+      return size.isRef ? SimpleRangeValue.onlyValues(data) : fitToArraySize(data, size);
+    });
+  }
+
+  // SEQUENCE 결과 크기 (행·열 수가 숫자 상수일 때만 예측 가능)
+  sequenceArraySize(ast) {
+    const [rows, columns] = ast.args.map(arg => (arg?.type === 'EMPTY' ? undefined : arg));
+    const rowCount = literalCount(rows);
+    const columnCount = columns === undefined ? 1 : literalCount(columns);
+
+    if (rowCount === null || columnCount === null) {
+      return ArraySize.error();
+    }
+    return new ArraySize(columnCount, rowCount);
+  }
+
+  textjoin(ast, state) {
+    return this.runFunction(ast.args, state, this.metadata('TEXTJOIN'), (delimiter, ignoreEmpty, ...texts) => {
+      const delimiters = [];
+      const parts = [];
+
+      for (const value of toValueList(delimiter)) {
+        const text = this.coerceToType(value, { argumentType: FunctionArgumentType.STRING }, state);
+        if (text instanceof CellError) return text;
+        delimiters.push(text);
+      }
+
+      for (const value of texts.flatMap(toValueList)) {
+        const text = this.coerceToType(value, { argumentType: FunctionArgumentType.STRING }, state);
+        if (text instanceof CellError) return text;
+        if (ignoreEmpty && text === '') continue;
+        parts.push(text);
+      }
+
+      const result = parts.reduce((joined, text, index) =>
+        (index === 0 ? text : joined + (delimiters.length ? delimiters[(index - 1) % delimiters.length] : '') + text), '');
+
+      if (result.length > MAX_TEXT_LENGTH) {
+        return new CellError(ErrorType.VALUE, `TEXTJOIN 결과가 ${MAX_TEXT_LENGTH}자를 초과합니다.`);
+      }
+      return result;
+    });
+  }
+
+  // UNIQUE·SORT는 원본 범위 크기만큼 분산 영역 확보
+  sourceArraySize(ast, state) {
+    if (ast.args.length === 0) {
+      return ArraySize.error();
+    }
+    // 범위 참조의 크기는 isRef로 표시되어 단일 셀로 취급되므로 배열 크기로 바꿈
+    const size = this.arraySizeForAst(ast.args[0], state);
+    return new ArraySize(size.width, size.height);
+  }
+}
+
+ExcelCompatibilityPlugin.implementedFunctions = {
+  XMATCH: {
+    method: 'xmatch',
+    description: '범위에서 값의 상대 위치 (Excel XMATCH)',
+    parameters: [
+      { name: 'lookup_value', argumentType: FunctionArgumentType.NOERROR },
+      { name: 'lookup_array', argumentType: FunctionArgumentType.RANGE },
+      { name: 'match_mode', argumentType: FunctionArgumentType.INTEGER, defaultValue: 0 },
+      { name: 'search_mode', argumentType: FunctionArgumentType.INTEGER, defaultValue: 1 }
+    ]
+  },
+  UNIQUE: {
+    method: 'unique',
+    arraySizeMethod: 'sourceArraySize',
+    vectorizationForbidden: true,
+    description: '범위의 고유한 행 또는 열 (Excel UNIQUE)',
+    parameters: [
+      { name: 'array', argumentType: FunctionArgumentType.RANGE },
+      { name: 'by_col', argumentType: FunctionArgumentType.BOOLEAN, defaultValue: false },
+      { name: 'exactly_once', argumentType: FunctionArgumentType.BOOLEAN, defaultValue: false }
+    ]
+  },
+  SORT: {
+    method: 'sort',
+    arraySizeMethod: 'sourceArraySize',
+    vectorizationForbidden: true,
+    description: '범위를 지정한 행 또는 열 기준으로 정렬 (Excel SORT)',
+    parameters: [
+      { name: 'array', argumentType: FunctionArgumentType.RANGE },
+      { name: 'sort_index', argumentType: FunctionArgumentType.INTEGER, defaultValue: 1, minValue: 1 },
+      { name: 'sort_order', argumentType: FunctionArgumentType.INTEGER, defaultValue: 1 },
+      { name: 'by_col', argumentType: FunctionArgumentType.BOOLEAN, defaultValue: false }
+    ]
+  },
+  SEQUENCE: {
+    method: 'sequence',
+    arraySizeMethod: 'sequenceArraySize',
+    vectorizationForbidden: true,
+    description: '연속된 숫자 배열 (Excel SEQUENCE)',
+    parameters: [
+      { name: 'rows', argumentType: FunctionArgumentType.INTEGER, minValue: 1 },
+      { name: 'columns', argumentType: FunctionArgumentType.INTEGER, defaultValue: 1, minValue: 1 },
+      { name: 'start', argumentType: FunctionArgumentType.NUMBER, defaultValue: 1 },
+      { name: 'step', argumentType: FunctionArgumentType.NUMBER, defaultValue: 1 }
+    ]
+  },
+  TEXTJOIN: {
+    method: 'textjoin',
+    repeatLastArgs: 1,
+    vectorizationForbidden: true,
+    description: '구분자로 텍스트 연결 (Excel TEXTJOIN)',
+    parameters: [
+      { name: 'delimiter', argumentType: FunctionArgumentType.ANY },
+      { name: 'ignore_empty', argumentType: FunctionArgumentType.BOOLEAN },
+      { name: 'text', argumentType: FunctionArgumentType.ANY }
+    ]
+  }
+};
+
+// 배열을 HyperFormula가 예측한 크기 이내로 자름
+function fitToArraySize(data, size) {
+  const rows = data.slice(0, size.height).map(row => row.slice(0, size.width));
+  return SimpleRangeValue.onlyValues(rows);
+}
+
+// 행·열 수 인수가 양의 정수 상수이면 그 값, 아니면 null
+function literalCount(arg) {
+  if (arg?.type !== 'NUMBER' || !Number.isInteger(arg.value) || arg.value < 1) {
+    return null;
+  }
+  return arg.value;
+}
+
+function transpose(data) {
+  return data.length === 0 ? [] : data[0].map((_, column) => data.map(row => row[column]));
+}
+
+function flatten(data) {
+  return data.reduce((values, row) => values.concat(row), []);
+}
+
+// 범위 인수는 행 우선 순서의 값 목록으로, 단일 값은 한 개짜리 목록으로
+function toValueList(value) {
+  return value instanceof SimpleRangeValue ? flatten(value.data) : [value];
+}
+
+// 날짜·통화 등 서식 정보가 붙은 숫자(HyperFormula 내부 객체)는 숫자 값으로
+function rawValue(value) {
+  return value !== null && typeof value === 'object' && typeof value.val === 'number' ? value.val : value;
+}
+
+function valueType(value) {
+  if (value === EmptyValue || value === null || value === undefined) return 'empty';
+  if (value instanceof CellError) return 'error';
+  return typeof value;
+}
+
+// UNIQUE 비교 키 (문자는 대소문자 무시, 유형이 다르면 다른 값)
+function valueKey(value) {
+  const type = valueType(value);
+  if (type === 'string') return `s:${value.toLowerCase()}`;
+  if (type === 'error') return `e:${value.type}`;
+  if (type === 'empty') return 'empty';
+  return `${type[0]}:${value}`;
+}
+
+function compareForSort(a, b, sortOrder) {
+  const typeA = valueType(a);
+  const typeB = valueType(b);
+  if (typeA === 'empty' || typeB === 'empty') {
+    return (typeA === 'empty') - (typeB === 'empty');
+  }
+  if (typeA !== typeB) {
+    return (SORT_TYPE_ORDER[typeA] - SORT_TYPE_ORDER[typeB]) * sortOrder;
+  }
+  return compareValues(a, b, typeA) * sortOrder;
+}
+
+function compareValues(a, b, type) {
+  if (type === 'string') return a.localeCompare(b, undefined, { sensitivity: 'accent' });
+  if (type === 'error') return 0;
+  return a === b ? 0 : (a < b ? -1 : 1);
+}
+
+// XMATCH 위치 검색 (0부터, 없으면 -1)
+function findPosition(lookupValue, values, matchMode, searchMode) {
+  const target = lookupValue === EmptyValue ? 0 : rawValue(lookupValue);
+  const type = valueType(target);
+  const indexes = values.map((_, index) => index);
+  if (searchMode < 0) indexes.reverse();
+
+  const pattern = matchMode === 2 && type === 'string' ? wildcardPattern(target) : null;
+  let best = -1;
+
+  for (const index of indexes) {
+    const value = values[index];
+    if (valueType(value) !== type) continue;
+
+    if (pattern) {
+      if (pattern.test(value)) return index;
+      continue;
+    }
+
+    const comparison = compareValues(value, target, type);
+    if (comparison === 0) return index;
+
+    // -1: 다음으로 작은 값, 1: 다음으로 큰 값 (같은 후보는 먼저 찾은 위치)
+    const candidate = (matchMode === -1 && comparison < 0) || (matchMode === 1 && comparison > 0);
+    if (candidate && (best === -1 || compareValues(value, values[best], type) * matchMode < 0)) {
+      best = index;
+    }
+  }
+
+  return best;
+}
+
+// Excel 와일드카드(* ? ~)를 정규식으로 변환
+function wildcardPattern(text) {
+  let source = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '~' && i + 1 < text.length) {
+      source += escapeRegExp(text[++i]);
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`, 'is');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 모든 수식 언어에서 표준(영문) 함수명으로 인식되도록 등록
+HyperFormula.registerFunctionPlugin(
+  ExcelCompatibilityPlugin,
+  Object.fromEntries(getFormulaLanguages().map(language => [
+    language,
+    Object.fromEntries(Object.keys(ExcelCompatibilityPlugin.implementedFunctions).map(name => [name, name]))
+  ]))
+);
+
+/**
+ * Excel 수식을 HyperFormula에 넘길 문법으로 변환 (HyperFormula 입력에만 사용)
+ * 괄호 없는 논리값 상수는 함수 형식으로 (TRUE → TRUE(), HyperFormula는 괄호 없는 TRUE를 이름으로 해석)
+ * @param {string} formula - Excel 수식 (=로 시작)
+ * @returns {string} HyperFormula 수식
+ */
+function toHyperFormulaSyntax(formula) {
+  return replaceOutsideQuotes(formula, /(^|[^\w.$!])(TRUE|FALSE)(?![\w.!]|\s*\()/gi, '$1$2()');
+}
+
+/**
+ * HyperFormula 수식을 보고·통계용 Excel 수식으로 되돌림 (toHyperFormulaSyntax()의 역변환)
+ * @param {string} formula - HyperFormula 수식 (getCellFormula() 결과)
+ * @returns {string} Excel 수식 (TRUE() → TRUE)
+ */
+function toExcelSyntax(formula) {
+  return replaceOutsideQuotes(formula, /(^|[^\w.$!])(TRUE|FALSE)\(\s*\)/gi, '$1$2');
+}
+
+// 문자열 리터럴과 따옴표로 감싼 시트명을 제외하고 치환
+function replaceOutsideQuotes(formula, pattern, replacement) {
+  if (typeof formula !== 'string') return formula;
+  return formula
+    .split(/("(?:[^"]|"")*"|'(?:[^']|'')*')/)
+    .map((part, index) => (index % 2 === 1 ? part : part.replace(pattern, replacement)))
+    .join('');
+}
+
+module.exports = {
+  ExcelCompatibilityPlugin,
+  toHyperFormulaSyntax,
+  toExcelSyntax
+};
@@ -1,5 +1,20 @@
 const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const iconv = require('iconv-lite');
+const fs = require('fs').promises;
 const { HyperFormula } = require('hyperformula');
+const { assertSupportedWorkbook, detectWorkbookFormat } = require('./workbook_format');
+const { readOdsDocument, writeOdsDocument } = require('./ods_document');
+const { toHyperFormulaSyntax } = require('./excel_compat_functions');
+
+// CSV 구분자 후보 (감지 실패 시 첫 번째 사용)
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+// 구분자 감지에 사용할 최대 행 수
+const CSV_SAMPLE_ROWS = 50;
+
+// Excel 숫자 정밀도 (이보다 긴 숫자는 카드·계좌번호 등으로 보고 텍스트로 유지)
+const MAX_NUMBER_DIGITS = 15;
 
 /**
  * ExcelJS와 HyperFormula 간의 데이터 변환 유틸리티
@@ -14,9 +29,10 @@ class ExcelConverter {
   /**
    * ExcelJS 워크북을 HyperFormula 데이터 형식으로 변환
    * @param {ExcelJS.Workbook} workbook - ExcelJS 워크북 객체
-   * @returns {Object} HyperFormula에서 사용할 수 있는 시트 데이터
+   * @param {Array|null} definedNames - readDefinedNames() 결과 (없으면 ExcelJS의 통합 문서 범위 이름 사용)
+   * @returns {Object} HyperFormula에서 사용할 수 있는 시트 데이터 및 이름 정의
    */
-  excelToHyperFormula(workbook) {
+  excelToHyperFormula(workbook, definedNames = null) {
     const sheets = {};
     const metadata = {
       workbookName: workbook.title || 'Untitled',
@@ -46,7 +62,218 @@ class ExcelConverter {
       }
     });
 
-    return { sheets, metadata };
+    const namedExpressions = this.convertDefinedNames(
+      definedNames || this.getWorkbookDefinedNames(workbook),
+      Object.keys(sheets),
+      metadata.warnings
+    );
+
+    return { sheets, namedExpressions, metadata };
+  }
+
+  /**
+   * xlsx 파일의 정의된 이름 읽기 (통합 문서 범위 + 시트 범위)
+   * ExcelJS의 workbook.definedNames는 localSheetId와 상수/수식 이름을 보존하지 않으므로
+   * xl/workbook.xml을 직접 읽는다.
+   * @param {Buffer} fileBuffer - xlsx 파일 버퍼
+   * @returns {Promise<Array>} [{ name, scope, formula }] (scope는 시트명, 통합 문서 범위는 undefined)
+   */
+  async readDefinedNames(fileBuffer) {
+    const zip = await JSZip.loadAsync(fileBuffer);
+    const workbookXml = zip.file('xl/workbook.xml');
+    if (!workbookXml) {
+      return [];
+    }
+
+    const xml = await workbookXml.async('string');
+    const sheetNames = [...xml.matchAll(/<(?:\w+:)?sheet\b[^>]*?\bname="([^"]*)"/g)]
+      .map(match => this.decodeXml(match[1]));
+
+    return [...xml.matchAll(/<(?:\w+:)?definedName\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?definedName>/g)]
+      .map(([, attributes, text]) => {
+        const name = attributes.match(/\bname="([^"]*)"/);
+        const localSheetId = attributes.match(/\blocalSheetId="(\d+)"/);
+
+        return {
+          name: name ? this.decodeXml(name[1]) : '',
+          scope: localSheetId ? sheetNames[parseInt(localSheetId[1], 10)] : undefined,
+          formula: this.decodeXml(text).trim()
+        };
+      })
+      .filter(definedName => definedName.name);
+  }
+
+  /**
+   * ExcelJS가 제공하는 통합 문서 범위 이름 (셀 범위 이름만 포함)
+   * @param {ExcelJS.Workbook} workbook - ExcelJS 워크북 객체
+   * @returns {Array} [{ name, scope, formula }]
+   */
+  getWorkbookDefinedNames(workbook) {
+    return workbook.definedNames.model.map(({ name, ranges }) => ({
+      name,
+      scope: undefined,
+      formula: ranges.join(',')
+    }));
+  }
+
+  /**
+   * 정의된 이름을 HyperFormula 이름 정의(named expression) 형식으로 변환
+   * 변환할 수 없는 이름은 warnings에 기록하고 제외
+   * @param {Array} definedNames - [{ name, scope, formula }]
+   * @param {Array} sheetNames - 변환된 시트명 목록 (HyperFormula 시트 ID 순서)
+   * @param {Array} warnings - 변환 경고 목록
+   * @returns {Array} [{ name, expression, scope }]
+   */
+  convertDefinedNames(definedNames, sheetNames, warnings) {
+    const namedExpressions = [];
+
+    definedNames.forEach(({ name, scope, formula }) => {
+      // 인쇄 영역, 필터 범위 등 Excel 내장 이름은 수식에서 사용되지 않으므로 제외
+      if (name.startsWith('_xlnm.')) return;
+
+      const reason = this.getUnsupportedDefinedNameReason(formula);
+      if (reason) {
+        warnings.push(this.namedExpressionWarning(name, scope, formula, reason));
+        return;
+      }
+
+      const scopeId = scope === undefined ? undefined : sheetNames.indexOf(scope);
+      if (scopeId === -1) {
+        warnings.push(this.namedExpressionWarning(name, scope, formula, `시트를 찾을 수 없습니다: ${scope}`));
+        return;
+      }
+
+      namedExpressions.push({ name, expression: `=${formula}`, scope: scopeId });
+    });
+
+    return namedExpressions;
+  }
+
+  /**
+   * HyperFormula로 변환할 수 없는 이름 정의인지 확인
+   * @param {string} formula - 이름 정의 수식 (= 제외)
+   * @returns {string|null} 변환 불가 사유
+   */
+  getUnsupportedDefinedNameReason(formula) {
+    if (!formula) {
+      return '이름 정의가 비어 있습니다.';
+    }
+    if (formula.includes('#REF!')) {
+      return '잘못된 참조(#REF!)를 포함합니다.';
+    }
+    if (/\[[^\]]+\]/.test(formula.replace(/"[^"]*"/g, ''))) {
+      return '외부 통합 문서 참조는 지원하지 않습니다.';
+    }
+    if (this.hasTopLevelComma(formula)) {
+      return '여러 영역(합집합) 참조는 지원하지 않습니다.';
+    }
+    return null;
+  }
+
+  /**
+   * 괄호/따옴표 밖의 쉼표 존재 여부 (여러 영역 참조 탐지용)
+   * @param {string} formula - 검사할 수식
+   * @returns {boolean}
+   */
+  hasTopLevelComma(formula) {
+    let depth = 0;
+    let quote = null;
+
+    for (const char of formula) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(' || char === '{') {
+        depth++;
+      } else if (char === ')' || char === '}') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * HyperFormula 이름 정의를 파일에 기록할 정의된 이름으로 변환 (convertDefinedNames()의 역변환)
+   * @param {Array} namedExpressions - [{ name, expression, scope }] (scope는 시트 ID 또는 시트명)
+   * @param {Array} sheetNames - 시트명 목록 (시트 ID 순서)
+   * @returns {Array} [{ name, scope, formula }] (scope는 시트명, 통합 문서 범위는 undefined)
+   */
+  toDefinedNames(namedExpressions, sheetNames) {
+    return (namedExpressions || [])
+      .map(({ name, expression, scope }) => ({
+        name,
+        scope: typeof scope === 'number' ? sheetNames[scope] : scope ?? undefined,
+        formula: this.definedNameFormula(expression)
+      }))
+      .filter(({ scope }) => scope === undefined || sheetNames.includes(scope));
+  }
+
+  // 이름 정의 내용을 = 없는 수식으로 (상수 문자열은 따옴표로 감쌈)
+  definedNameFormula(expression) {
+    if (typeof expression === 'string') {
+      return expression.startsWith('=') ? expression.substring(1) : `"${expression.replace(/"/g, '""')}"`;
+    }
+    if (typeof expression === 'boolean') {
+      return expression ? 'TRUE' : 'FALSE';
+    }
+    return String(expression);
+  }
+
+  /**
+   * xlsx 파일에 정의된 이름 기록
+   * ExcelJS는 셀 범위 이름만 기록하므로 xl/workbook.xml에 직접 기록 (readDefinedNames()와 같은 형식)
+   * @param {Buffer} fileBuffer - xlsx 파일 버퍼
+   * @param {Array} definedNames - toDefinedNames() 결과
+   * @returns {Promise<Buffer>} 이름이 기록된 xlsx 파일 버퍼
+   */
+  async writeDefinedNames(fileBuffer, definedNames) {
+    const zip = await JSZip.loadAsync(fileBuffer);
+    const xml = await zip.file('xl/workbook.xml').async('string');
+    const sheetNames = [...xml.matchAll(/<(?:\w+:)?sheet\b[^>]*?\bname="([^"]*)"/g)]
+      .map(match => this.decodeXml(match[1]));
+
+    const elements = definedNames.map(({ name, scope, formula }) => {
+      const localSheetId = scope === undefined ? '' : ` localSheetId="${sheetNames.indexOf(scope)}"`;
+      return `<definedName name="${this.encodeXml(name)}"${localSheetId}>${this.encodeXml(formula)}</definedName>`;
+    });
+
+    // definedNames는 sheets 바로 뒤에 위치해야 함 (SpreadsheetML 요소 순서)
+    zip.file('xl/workbook.xml', xml
+      .replace(/<definedNames\/>|<definedNames>[\s\S]*?<\/definedNames>/, '')
+      .replace('</sheets>', `</sheets><definedNames>${elements.join('')}</definedNames>`));
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+
+  namedExpressionWarning(name, scope, formula, error) {
+    return {
+      name,
+      scope: scope || null,
+      formula,
+      error,
+      type: 'named_expression_conversion_error'
+    };
+  }
+
+  decodeXml(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  encodeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
   }
 
   /**
@@ -75,17 +302,13 @@ class ExcelConverter {
       });
     });
 
-    // 2D 배열 초기화
-    for (let r = 0; r < maxRow; r++) {
-      values[r] = new Array(maxCol).fill(null);
-    }
-
-    // 셀 데이터 변환
+    // 셀 데이터 변환 (값이 있는 행만 만들고 빈 행은 희소 배열의 구멍으로 둠, HyperFormula 입력 시 빈 행으로 채움)
     worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      const rowValues = [];
       row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
-        const convertedValue = this.convertCellValue(cell);
-        values[rowNumber - 1][colNumber - 1] = convertedValue;
+        rowValues[colNumber - 1] = this.convertCellValue(cell);
       });
+      values[rowNumber - 1] = Array.from(rowValues, value => (value === undefined ? null : value));
     });
 
     return {
@@ -240,8 +463,58 @@ class ExcelConverter {
     if (!normalizedFormula.startsWith('=')) {
       normalizedFormula = '=' + normalizedFormula;
     }
+
+    // Excel 2010 이후 함수의 저장용 접두사 제거 (문자열 리터럴과 따옴표로 감싼 시트명 제외)
+    // (_xlfn.XLOOKUP → XLOOKUP, _xlfn._xlws.FILTER → FILTER, LET 변수 _xlpm.x → x)
+    normalizedFormula = normalizedFormula
+      .split(/("(?:[^"]|"")*"|'(?:[^']|'')*')/)
+      .map((part, index) => (index % 2 === 1 ? part : part.replace(/_xl(?:fn|ws|pm)\./gi, '')))
+      .join('');
     
-    return normalizedFormula;
+    // 변환 결과는 HyperFormula에 그대로 넘기므로 논리값 상수는 HyperFormula 문법으로
+    // (보고·통계에는 toExcelSyntax()로 되돌린 수식을 사용)
+    return toHyperFormulaSyntax(normalizedFormula);
+  }
+
+  /**
+   * Excel 파일 버퍼를 ExcelJS 워크북으로 읽기 (.xlsx, .ods)
+   * .ods는 셀을 직접 옮겨 읽으므로 이후 처리(정의된 이름, 시트 변환)는 형식과 관계없이 동일
+   * @param {Buffer} fileBuffer - Excel 파일 버퍼
+   * @returns {Promise<Object>} { workbook, definedNames, format }
+   */
+  async loadWorkbook(fileBuffer) {
+    const format = assertSupportedWorkbook(fileBuffer);
+    if (format === 'ods') {
+      return { ...(await this.readOdsWorkbook(fileBuffer)), format };
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(fileBuffer);
+    const definedNames = await this.readDefinedNames(fileBuffer);
+
+    return { workbook, definedNames, format };
+  }
+
+  /**
+   * OpenDocument 스프레드시트를 ExcelJS 워크북으로 읽기
+   * 수식은 OpenFormula에서 Excel 문법으로 변환되며, 저장된 계산 결과는 수식 셀의 result로 유지
+   * @param {Buffer} fileBuffer - .ods 파일 버퍼
+   * @returns {Promise<Object>} { workbook, definedNames }
+   */
+  async readOdsWorkbook(fileBuffer) {
+    const document = await readOdsDocument(fileBuffer);
+    const workbook = new ExcelJS.Workbook();
+
+    document.sheets.forEach(({ name, cells }) => {
+      const worksheet = workbook.addWorksheet(name);
+      cells.forEach(({ row, col, value, formula }) => {
+        worksheet.getCell(row + 1, col + 1).value = formula
+          ? { formula, result: value === null ? undefined : value }
+          : value;
+      });
+    });
+
+    return { workbook, definedNames: document.definedNames };
   }
 
   /**
@@ -250,25 +523,253 @@ class ExcelConverter {
    * @returns {Promise<Object>} 변환된 데이터
    */
   async readExcelFile(file) {
-    const workbook = new ExcelJS.Workbook();
-    
     try {
+      let buffer;
       if (Buffer.isBuffer(file)) {
-        await workbook.xlsx.load(file);
+        buffer = file;
       } else if (typeof file === 'string') {
-        await workbook.xlsx.readFile(file);
+        buffer = await fs.readFile(file);
       } else {
         throw new Error('지원하지 않는 파일 형식입니다.');
       }
+
+      if (detectWorkbookFormat(buffer) === 'csv') {
+        return this.readCsvFile(buffer);
+      }
+      const { workbook, definedNames } = await this.loadWorkbook(buffer);
       
-      return this.excelToHyperFormula(workbook);
+      return this.excelToHyperFormula(workbook, definedNames);
     } catch (error) {
       throw new Error(`Excel 파일 읽기 실패: ${error.message}`);
     }
   }
 
   /**
-   * HyperFormula 데이터를 Excel 파일로 저장
+   * CSV 파일을 단일 시트 HyperFormula 데이터로 변환
+   * 인코딩(UTF-8, BOM 포함 UTF-8, CP949/EUC-KR)과 구분자(쉼표, 세미콜론, 탭)를 자동 감지하고
+   * 셀 값은 숫자·날짜·논리값·수식으로 추론 (나머지는 텍스트)
+   * @param {Buffer} fileBuffer - CSV 파일 버퍼
+   * @param {Object} options - { sheetName: 시트명 (기본: Sheet1) }
+   * @returns {Object} excelToHyperFormula()와 같은 형식에 감지 결과(csv: { encoding, bom, delimiter }) 추가
+   */
+  readCsvFile(fileBuffer, options = {}) {
+    const { text, encoding, bom } = this.decodeCsv(fileBuffer);
+    const delimiter = this.detectCsvDelimiter(text);
+    const sheetName = options.sheetName || 'Sheet1';
+
+    let width = 0;
+    let formulaCount = 0;
+    let cellCount = 0;
+    const values = this.parseCsv(text, delimiter).map(fields => {
+      width = Math.max(width, fields.length);
+      return fields.map(field => {
+        const value = this.convertCsvValue(field);
+        if (value !== null) cellCount++;
+        if (typeof value === 'string' && value.startsWith('=')) formulaCount++;
+        return value;
+      });
+    });
+
+    return {
+      sheets: { [sheetName]: values },
+      namedExpressions: [],
+      metadata: {
+        workbookName: sheetName,
+        totalSheets: 1,
+        convertedAt: new Date().toISOString(),
+        warnings: [],
+        [sheetName]: {
+          dimensions: { width, height: values.length },
+          formulaCount,
+          cellCount,
+          hasProtection: false
+        }
+      },
+      csv: { encoding, bom, delimiter }
+    };
+  }
+
+  /**
+   * CSV 인코딩 감지 및 디코딩
+   * BOM이 없으면 UTF-8로 엄격하게 해석해 보고, 잘못된 바이트가 있으면 CP949(EUC-KR 확장)로 해석
+   * @param {Buffer} buffer - CSV 파일 버퍼
+   * @returns {Object} { text, encoding: 'utf-8' | 'cp949', bom }
+   */
+  decodeCsv(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+      return { text: buffer.toString('utf8', 3), encoding: 'utf-8', bom: true };
+    }
+
+    try {
+      return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8', bom: false };
+    } catch (error) {
+      return { text: iconv.decode(buffer, 'cp949'), encoding: 'cp949', bom: false };
+    }
+  }
+
+  /**
+   * CSV 구분자 감지
+   * 앞부분 행들에서 후보별 필드 수를 세어, 가장 많은 행에서 같은 필드 수(2개 이상)를 만드는 구분자 선택
+   * (은행 내보내기처럼 제목 행이 앞에 붙은 파일도 감지되도록 행 수의 최빈값 기준)
+   * @param {string} text - CSV 텍스트
+   * @returns {string} 구분자
+   */
+  detectCsvDelimiter(text) {
+    let best = { delimiter: CSV_DELIMITERS[0], rows: 0, fields: 0 };
+
+    CSV_DELIMITERS.forEach(delimiter => {
+      const counts = new Map();
+      this.parseCsv(text, delimiter, CSV_SAMPLE_ROWS).forEach(fields => {
+        if (fields.length > 1) {
+          counts.set(fields.length, (counts.get(fields.length) || 0) + 1);
+        }
+      });
+
+      counts.forEach((rows, fields) => {
+        if (rows > best.rows || (rows === best.rows && fields > best.fields)) {
+          best = { delimiter, rows, fields };
+        }
+      });
+    });
+
+    return best.delimiter;
+  }
+
+  /**
+   * CSV 텍스트를 필드 배열로 분리 (RFC 4180: 큰따옴표 안의 구분자·줄바꿈과 "" 이스케이프 처리)
+   * 큰따옴표는 필드 첫 글자일 때만 따옴표 필드를 시작하고, 필드 중간의 큰따옴표(55" 패널 등)는 글자 그대로 유지
+   * @param {string} text - CSV 텍스트
+   * @param {string} delimiter - 구분자
+   * @param {number} maxRows - 최대 행 수 (구분자 감지용)
+   * @returns {Array<Array<string>>} 행별 필드 목록
+   */
+  parseCsv(text, delimiter, maxRows = Infinity) {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let fieldStart = true;
+
+    for (let i = 0; i < text.length && rows.length < maxRows; i++) {
+      const char = text[i];
+      const atFieldStart = fieldStart;
+      fieldStart = false;
+
+      if (inQuotes) {
+        if (char !== '"') {
+          field += char;
+        } else if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else if (char === '"' && atFieldStart) {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        fields.push(field);
+        field = '';
+        fieldStart = true;
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        fields.push(field);
+        rows.push(fields);
+        fields = [];
+        field = '';
+        fieldStart = true;
+      } else {
+        field += char;
+      }
+    }
+
+    // 마지막 줄바꿈 뒤의 빈 행은 제외
+    if (rows.length < maxRows && (field !== '' || fields.length > 0)) {
+      fields.push(field);
+      rows.push(fields);
+    }
+    return rows;
+  }
+
+  /**
+   * CSV 필드 값 추론
+   * @param {string} field - CSV 필드 텍스트
+   * @returns {*} 수식 문자열, 숫자, Date, 논리값, 텍스트 또는 null (빈 필드)
+   */
+  convertCsvValue(field) {
+    const text = field.trim();
+    if (text === '') {
+      return null;
+    }
+    if (text.length > 1 && text.startsWith('=')) {
+      return text;
+    }
+    if (/^(true|false)$/i.test(text)) {
+      return text.toUpperCase() === 'TRUE';
+    }
+
+    const number = this.parseCsvNumber(text);
+    if (number !== null) {
+      return number;
+    }
+
+    const date = this.parseCsvDate(text);
+    if (date) {
+      return date;
+    }
+
+    // 숫자·날짜·오류 값·수식처럼 보이는 텍스트(앞자리 0이 있는 코드, = 한 글자 등)는 HyperFormula가 다시 해석하지 않도록 ' 접두사 추가
+    return /^['#+\-.(\d$=]/.test(text) || text.endsWith('%') ? `'${text}` : field;
+  }
+
+  /**
+   * CSV 숫자 해석 (천 단위 구분 쉼표, 괄호 음수, 백분율, 지수 표기 지원)
+   * 앞자리 0이 있는 정수(계좌번호, 우편번호 등)와 15자리를 넘는 숫자는 텍스트로 유지
+   * @param {string} text - 공백을 제거한 필드 텍스트
+   * @returns {number|null} 숫자 (해석할 수 없으면 null)
+   */
+  parseCsvNumber(text) {
+    const parenthesized = /^\((.+)\)$/.exec(text);
+    const body = parenthesized ? parenthesized[1] : text;
+    const match = /^([-+]?)((?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?|\.\d+)([eE][-+]?\d+)?(%?)$/.exec(body);
+    if (!match) {
+      return null;
+    }
+
+    const [, sign, digits, exponent = '', percent] = match;
+    if (/^0\d/.test(digits) || digits.replace(/\D/g, '').length > MAX_NUMBER_DIGITS) {
+      return null;
+    }
+
+    const value = Number(`${sign}${digits.replace(/,/g, '')}${exponent}`);
+    if (!Number.isFinite(value)) {
+      return null;
+    }
+
+    const signed = parenthesized ? -value : value;
+    return percent ? signed / 100 : signed;
+  }
+
+  /**
+   * CSV 날짜 해석 (연도가 앞에 오는 형식만: 2024-01-05, 2024/1/5, 2024.01.05, 2024. 1. 5. 및 시:분[:초])
+   * 월/일 순서가 모호한 형식(01/05/2024 등)은 텍스트로 유지
+   * @param {string} text - 공백을 제거한 필드 텍스트
+   * @returns {Date|null} 날짜 (HyperFormula와 같이 로컬 시간 기준)
+   */
+  parseCsvDate(text) {
+    const match = /^(\d{4})\s*([-./])\s*(\d{1,2})\s*\2\s*(\d{1,2})\.?(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+    if (!match) {
+      return null;
+    }
+
+    const [year, month, day, hours, minutes, seconds] = [1, 3, 4, 5, 6, 7].map(index => Number(match[index] || 0));
+    const date = new Date(year, month - 1, day, hours, minutes, seconds);
+    const valid = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day
+      && hours < 24 && minutes < 60 && seconds < 60;
+    return valid ? date : null;
+  }
+
+  /**
+   * HyperFormula 데이터를 Excel 파일로 저장 (이름 정의는 정의된 이름으로 기록)
    * @param {Object} data - HyperFormula 데이터
    * @param {string} filepath - 저장할 파일 경로
    * @param {Object} options - 저장 옵션
@@ -276,17 +777,42 @@ class ExcelConverter {
    */
   async writeExcelFile(data, filepath = null, options = {}) {
     const workbook = this.hyperFormulaToExcel(data, options.metadata);
-    
+    let buffer = await workbook.xlsx.writeBuffer();
+
+    const definedNames = this.toDefinedNames(data.namedExpressions, Object.keys(data.sheets || data));
+    if (definedNames.length > 0) {
+      buffer = await this.writeDefinedNames(buffer, definedNames);
+    }
+
+    if (filepath) {
+      await fs.writeFile(filepath, buffer);
+      return filepath;
+    }
+    return buffer;
+  }
+
+  /**
+   * HyperFormula 데이터를 OpenDocument 스프레드시트(.ods)로 저장
+   * 수식과 이름 정의는 Excel 문법에서 OpenFormula로 변환 (계산 결과는 기록하지 않으므로 열 때 다시 계산됨)
+   * @param {Object} data - HyperFormula 데이터
+   * @param {string} filepath - 저장할 파일 경로
+   * @returns {Promise<Buffer|string>} .ods 파일 버퍼 (filepath가 있으면 경로)
+   */
+  async writeOdsFile(data, filepath = null) {
+    const sheets = Object.entries(data.sheets || data).map(([name, rows]) => ({ name, rows }));
+    const definedNames = this.toDefinedNames(data.namedExpressions, sheets.map(({ name }) => name));
+    const buffer = await writeOdsDocument(sheets, definedNames);
+
     if (filepath) {
-      await workbook.xlsx.writeFile(filepath);
+      await fs.writeFile(filepath, buffer);
       return filepath;
-    } else {
-      return await workbook.xlsx.writeBuffer();
     }
+    return buffer;
   }
 
   /**
    * 데이터 호환성 검증
+   * 값은 시트 앞부분을 샘플링하여 비교하고, 수식과 이름 정의는 모두 비교 (하나라도 다르면 실패)
    * @param {Object} originalData - 원본 데이터
    * @param {Object} convertedData - 변환된 데이터
    * @returns {Object} 검증 결과
@@ -301,7 +827,10 @@ class ExcelConverter {
         totalCells: 0,
         totalFormulas: 0,
         matchingCells: 0,
-        mismatchedCells: 0
+        mismatchedCells: 0,
+        mismatchedFormulas: 0,
+        totalNamedExpressions: 0,
+        mismatchedNamedExpressions: 0
       }
     };
 
@@ -327,13 +856,24 @@ class ExcelConverter {
         
         // 셀별 비교 (샘플링)
         this.compareSheetData(original, converted, report, sheetName);
+        this.compareSheetFormulas(original, converted, report, sheetName);
       });
 
+      this.compareNamedExpressions(originalData, convertedData, report);
+
       // 최종 검증 상태 결정
       if (report.statistics.mismatchedCells > report.statistics.totalCells * 0.1) {
         report.isValid = false;
         report.errors.push('변환 후 데이터 불일치가 임계값을 초과했습니다.');
       }
+      if (report.statistics.mismatchedFormulas > 0) {
+        report.isValid = false;
+        report.errors.push(`변환 후 수식 ${report.statistics.mismatchedFormulas}개가 원본과 다릅니다.`);
+      }
+      if (report.statistics.mismatchedNamedExpressions > 0) {
+        report.isValid = false;
+        report.errors.push(`변환 후 이름 정의 ${report.statistics.mismatchedNamedExpressions}개가 없거나 원본과 다릅니다.`);
+      }
 
     } catch (error) {
       report.isValid = false;
@@ -379,6 +919,64 @@ class ExcelConverter {
     }
   }
 
+  /**
+   * 시트 전체의 수식 비교 (수식 셀이 값으로 바뀌거나 값 셀이 수식으로 바뀐 경우 포함)
+   * @param {Array} original - 원본 시트 데이터
+   * @param {Array} converted - 변환된 시트 데이터
+   * @param {Object} report - 검증 보고서
+   * @param {string} sheetName - 시트명
+   */
+  compareSheetFormulas(original, converted, report, sheetName) {
+    const isFormula = value => typeof value === 'string' && value.startsWith('=');
+    const compare = (r, c) => {
+      const originalValue = original[r]?.[c];
+      const convertedValue = converted[r]?.[c];
+      if (isFormula(originalValue) && isFormula(convertedValue) && originalValue === convertedValue) return;
+
+      report.statistics.mismatchedFormulas++;
+      if (report.statistics.mismatchedFormulas <= 5) {
+        report.warnings.push(`수식 불일치 [${sheetName}!${r+1}:${c+1}]: '${originalValue ?? ''}' → '${convertedValue ?? ''}'`);
+      }
+    };
+
+    // forEach는 빈 행·열을 건너뛰므로 값이 있는 셀만 방문
+    original.forEach((row, r) => row?.forEach((value, c) => {
+      if (!isFormula(value)) return;
+      report.statistics.totalFormulas++;
+      compare(r, c);
+    }));
+    converted.forEach((row, r) => row?.forEach((value, c) => {
+      if (isFormula(value) && !isFormula(original[r]?.[c])) compare(r, c);
+    }));
+  }
+
+  /**
+   * 이름 정의 비교 (이름은 대소문자 구분 없이 범위별로 대응)
+   * @param {Object} originalData - 원본 데이터
+   * @param {Object} convertedData - 변환된 데이터
+   * @param {Object} report - 검증 보고서
+   */
+  compareNamedExpressions(originalData, convertedData, report) {
+    const collect = data => new Map(
+      this.toDefinedNames(data.namedExpressions, Object.keys(data.sheets))
+        .map(({ name, scope, formula }) => [`${scope ?? ''}!${name.toUpperCase()}`, { name, scope, formula }])
+    );
+    const original = collect(originalData);
+    const converted = collect(convertedData);
+
+    report.statistics.totalNamedExpressions = original.size;
+    original.forEach(({ name, scope, formula }, key) => {
+      const match = converted.get(key);
+      if (match && match.formula === formula) return;
+
+      report.statistics.mismatchedNamedExpressions++;
+      const label = scope === undefined ? name : `${scope}!${name}`;
+      report.warnings.push(match
+        ? `이름 정의 불일치 [${label}]: '${formula}' → '${match.formula}'`
+        : `이름 정의 '${label}'이 변환 결과에 없습니다.`);
+    });
+  }
+
   /**
    * 두 값이 일치하는지 확인
    * @param {*} value1 - 첫 번째 값
@@ -389,6 +987,11 @@ class ExcelConverter {
     // null/undefined 처리
     if (value1 == null && value2 == null) return true;
     if (value1 == null || value2 == null) return false;
+
+    // 날짜는 시각으로 비교
+    if (value1 instanceof Date && value2 instanceof Date) {
+      return value1.getTime() === value2.getTime();
+    }
     
     // 타입이 다른 경우
     if (typeof value1 !== typeof value2) {
@@ -412,6 +1015,60 @@ class ExcelConverter {
     return value1 === value2;
   }
 
+  /**
+   * ExcelJS ↔ HyperFormula 왕복 변환 호환성 테스트
+   * .ods 파일은 .ods로 다시 저장하여 같은 형식으로 왕복 변환
+   * @param {Buffer} fileBuffer - Excel 파일 버퍼
+   * @returns {Promise<Object>} { success, conversions, performance, compatibility }
+   */
+  async testConversion(fileBuffer) {
+    const isOds = detectWorkbookFormat(fileBuffer) === 'ods';
+    const testResults = {
+      success: true,
+      conversions: [],
+      performance: {},
+      compatibility: {}
+    };
+
+    // 1. ExcelJS → HyperFormula 변환 테스트
+    const conversionResult = await this.measurePerformance(
+      async (data) => await this.readExcelFile(data),
+      fileBuffer
+    );
+
+    testResults.conversions.push({
+      direction: 'ExcelJS → HyperFormula',
+      success: conversionResult.success,
+      performance: conversionResult.performance,
+      error: conversionResult.error
+    });
+
+    if (conversionResult.success) {
+      // 2. HyperFormula → ExcelJS 변환 테스트
+      const backConversionResult = await this.measurePerformance(
+        async (data) => (isOds ? await this.writeOdsFile(data) : await this.writeExcelFile(data)),
+        conversionResult.result
+      );
+
+      testResults.conversions.push({
+        direction: isOds ? 'HyperFormula → ODS' : 'HyperFormula → ExcelJS',
+        success: backConversionResult.success,
+        performance: backConversionResult.performance,
+        error: backConversionResult.error
+      });
+
+      // 3. 데이터 무결성 검증
+      if (backConversionResult.success) {
+        testResults.compatibility = this.validateDataIntegrity(
+          conversionResult.result,
+          await this.readExcelFile(backConversionResult.result)
+        );
+      }
+    }
+
+    return testResults;
+  }
+
   /**
    * 변환 성능 측정
    * @param {Function} conversionFn - 변환 함수
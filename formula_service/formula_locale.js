@@ -0,0 +1,286 @@
+const { HyperFormula } = require('hyperformula');
+const languages = require('hyperformula/i18n/languages');
+
+/**
+ * 수식 언어(로캘) 설정과 로캘 간 수식 변환
+ *
+ * 로캘 = HyperFormula 언어 코드 + 구분자 설정 (HyperFormula 설정에 그대로 병합)
+ * | 설정 | enGB (기본) | deDE 등 쉼표 소수점 언어 |
+ * |------|-------------|--------------------------|
+ * | functionArgSeparator | , | ; |
+ * | decimalSeparator | . | , |
+ * | arrayColumnSeparator | , | ; |
+ * | arrayRowSeparator | ; | \| |
+ *
+ * koKR은 한국어판 Excel과 같이 영문 함수명·오류 값을 사용하는 언어 패키지로 등록
+ * (한국어판 Excel은 함수명을 번역하지 않음)
+ */
+
+// 한국어판 Excel 수식 언어 (함수명·오류 값은 영문과 동일)
+const koKR = {
+  ...languages.enGB,
+  langCode: 'koKR',
+  ui: { ...languages.enGB.ui }
+};
+
+const LANGUAGE_PACKAGES = Object.fromEntries(
+  [...Object.entries(languages).filter(([code]) => code !== '__esModule'), ['koKR', koKR]]
+);
+
+// 소수점으로 쉼표를 사용하는 언어 (구분자 미지정 시 ; 와 , 를 기본값으로 사용)
+const COMMA_DECIMAL_LANGUAGES = [
+  'csCZ', 'daDK', 'deDE', 'esES', 'fiFI', 'frFR', 'huHU', 'itIT',
+  'nbNO', 'nlNL', 'plPL', 'ptPT', 'ruRU', 'svSE', 'trTR'
+];
+
+const DEFAULT_LANGUAGE = 'enGB';
+
+// 허용 값 (HyperFormula 설정 제약과 동일하며, 수식 인수 구분자는 , 와 ; 로 제한)
+const ALLOWED_SEPARATORS = {
+  functionArgSeparator: [',', ';'],
+  decimalSeparator: ['.', ','],
+  thousandSeparator: ['', ',', ' ', '.'],
+  arrayColumnSeparator: [',', ';'],
+  arrayRowSeparator: [';', '|']
+};
+
+/**
+ * 잘못된 로캘 설정 (HTTP 400으로 응답)
+ */
+class FormulaLocaleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FormulaLocaleError';
+    this.statusCode = 400;
+    this.type = 'invalid_formula_locale';
+  }
+}
+
+/**
+ * HyperFormula에 모든 수식 언어 등록 (이미 등록된 언어는 건너뜀)
+ */
+function registerFormulaLanguages() {
+  const registered = HyperFormula.getRegisteredLanguagesCodes();
+  Object.entries(LANGUAGE_PACKAGES).forEach(([code, languagePackage]) => {
+    if (!registered.includes(code)) {
+      HyperFormula.registerLanguage(code, languagePackage);
+    }
+  });
+}
+
+/**
+ * 로캘 지정 값을 전체 설정으로 변환 (생략한 구분자는 언어별 기본값 사용)
+ * @param {string|Object} [spec] - 언어 코드 (예: 'deDE') 또는 { language, functionArgSeparator, decimalSeparator, ... }
+ * @returns {Object} { language, functionArgSeparator, decimalSeparator, thousandSeparator, arrayColumnSeparator, arrayRowSeparator }
+ * @throws {FormulaLocaleError} 지원하지 않는 언어이거나 구분자가 잘못되었거나 서로 겹치는 경우
+ */
+function resolveFormulaLocale(spec) {
+  const options = typeof spec === 'string' ? { language: spec } : (spec || {});
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new FormulaLocaleError('로캘은 언어 코드 문자열 또는 객체로 지정해야 합니다.');
+  }
+
+  const language = options.language || DEFAULT_LANGUAGE;
+  if (!LANGUAGE_PACKAGES[language]) {
+    throw new FormulaLocaleError(`지원하지 않는 수식 언어입니다: ${language} (지원: ${getFormulaLanguages().join(', ')})`);
+  }
+
+  const decimalSeparator = options.decimalSeparator
+    || (COMMA_DECIMAL_LANGUAGES.includes(language) ? ',' : '.');
+  const commaDecimal = decimalSeparator === ',';
+  const locale = {
+    language,
+    functionArgSeparator: options.functionArgSeparator || (commaDecimal ? ';' : ','),
+    decimalSeparator,
+    thousandSeparator: options.thousandSeparator ?? '',
+    arrayColumnSeparator: options.arrayColumnSeparator || (commaDecimal ? ';' : ','),
+    arrayRowSeparator: options.arrayRowSeparator || (commaDecimal ? '|' : ';')
+  };
+
+  Object.entries(ALLOWED_SEPARATORS).forEach(([name, allowed]) => {
+    if (!allowed.includes(locale[name])) {
+      throw new FormulaLocaleError(`${name} 값이 잘못되었습니다: '${locale[name]}' (허용: ${allowed.map(value => `'${value}'`).join(', ')})`);
+    }
+  });
+  assertDistinct(locale, ['functionArgSeparator', 'decimalSeparator', 'thousandSeparator']);
+  assertDistinct(locale, ['arrayColumnSeparator', 'arrayRowSeparator', 'decimalSeparator']);
+
+  return locale;
+}
+
+/**
+ * 수식을 다른 로캘로 변환 (함수명, 오류 값, 인수·소수점·배열 구분자)
+ * 문자열 리터럴과 따옴표로 감싼 시트명은 그대로 유지하며, 모르는 함수명(사용자 정의 함수 등)은 변환하지 않음
+ * @param {string} formula - 원본 로캘 수식 (=로 시작하지 않으면 그대로 반환)
+ * @param {string|Object} from - 원본 로캘
+ * @param {string|Object} to - 대상 로캘
+ * @returns {string} 대상 로캘 수식
+ */
+function translateFormula(formula, from, to) {
+  const source = resolveFormulaLocale(from);
+  const target = resolveFormulaLocale(to);
+  if (typeof formula !== 'string' || !formula.startsWith('=')) {
+    return formula;
+  }
+
+  const functions = functionTranslator(source.language, target.language);
+  const errors = errorLiterals(source.language);
+  const numberPattern = numberTokenPattern(source.decimalSeparator);
+  const brackets = [];
+  let result = '=';
+
+  for (let i = 1; i < formula.length; i++) {
+    const char = formula[i];
+    const previous = formula[i - 1];
+    const rest = formula.slice(i);
+
+    if (char === '"' || char === '\'') {
+      const end = findQuoteEnd(formula, i, char);
+      result += formula.slice(i, end);
+      i = end - 1;
+      continue;
+    }
+
+    if (char === '#') {
+      const literal = errors.find(error => rest.toUpperCase().startsWith(error));
+      if (literal) {
+        result += translateErrorValue(literal, source, target);
+        i += literal.length - 1;
+        continue;
+      }
+    }
+
+    if (/[A-Za-z_\u0080-\uffff]/.test(char) && !/[\w.$\u0080-\uffff]/.test(previous)) {
+      const name = rest.match(/^[A-Za-z_\u0080-\uffff][\w.\u0080-\uffff]*/)[0];
+      const isFunction = /^\s*\(/.test(rest.slice(name.length));
+      result += isFunction ? functions(name) : name;
+      i += name.length - 1;
+      continue;
+    }
+
+    if (/[\d.,]/.test(char) && !/[\w.$\u0080-\uffff]/.test(previous)) {
+      const number = rest.match(numberPattern);
+      if (number) {
+        result += number[0].replace(source.decimalSeparator, target.decimalSeparator);
+        i += number[0].length - 1;
+        continue;
+      }
+    }
+
+    const inArray = brackets[brackets.length - 1] === '{';
+    if (char === '(' || char === '{') {
+      brackets.push(char);
+      result += char;
+    } else if (char === ')' || char === '}') {
+      brackets.pop();
+      result += char;
+    } else if (inArray && char === source.arrayColumnSeparator) {
+      result += target.arrayColumnSeparator;
+    } else if (inArray && char === source.arrayRowSeparator) {
+      result += target.arrayRowSeparator;
+    } else if (!inArray && char === source.functionArgSeparator) {
+      result += target.functionArgSeparator;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 오류 값을 다른 로캘로 변환 (예: deDE '#ZAHL!' → enGB '#NUM!')
+ * @param {*} value - 셀 값 (오류 값 문자열이 아니면 그대로 반환)
+ * @param {string|Object} from - 원본 로캘
+ * @param {string|Object} to - 대상 로캘
+ * @returns {*} 변환된 값
+ */
+function translateErrorValue(value, from, to) {
+  if (typeof value !== 'string' || !value.startsWith('#')) {
+    return value;
+  }
+
+  const sourceErrors = LANGUAGE_PACKAGES[resolveFormulaLocale(from).language].errors;
+  const targetErrors = LANGUAGE_PACKAGES[resolveFormulaLocale(to).language].errors;
+  const type = Object.keys(sourceErrors).find(key => sourceErrors[key] === value.toUpperCase());
+  return type ? targetErrors[type] : value;
+}
+
+/**
+ * 지원하는 수식 언어 코드 목록
+ * @returns {string[]} 언어 코드
+ */
+function getFormulaLanguages() {
+  return Object.keys(LANGUAGE_PACKAGES).sort();
+}
+
+/**
+ * 언어별 함수명 (표준 이름 → 해당 언어 이름)
+ * @param {string} language - 언어 코드
+ * @param {string[]} canonicalNames - 표준(영문) 함수명 목록
+ * @returns {string[]} 해당 언어 함수명 (번역이 없으면 표준 이름)
+ */
+function localizeFunctionNames(language, canonicalNames) {
+  const translations = HyperFormula.getLanguage(language).functions;
+  return canonicalNames.map(name => translations[name] || name);
+}
+
+// 원본 언어 함수명 → 대상 언어 함수명 변환 함수 (대소문자 무시)
+// 등록된 언어 패키지를 사용하므로 사용자 정의 함수 플러그인의 번역도 포함
+function functionTranslator(sourceLanguage, targetLanguage) {
+  const sourceFunctions = HyperFormula.getLanguage(sourceLanguage).functions;
+  const targetFunctions = HyperFormula.getLanguage(targetLanguage).functions;
+  const canonicalNames = new Map(
+    Object.entries(sourceFunctions).map(([canonical, translated]) => [translated.toUpperCase(), canonical])
+  );
+
+  return name => {
+    const canonical = canonicalNames.get(name.toUpperCase());
+    return canonical ? targetFunctions[canonical] || canonical : name;
+  };
+}
+
+// 원본 언어의 오류 값 목록 (긴 것부터 비교하도록 정렬)
+function errorLiterals(language) {
+  return Object.values(LANGUAGE_PACKAGES[language].errors).sort((a, b) => b.length - a.length);
+}
+
+// 숫자 토큰 (소수점 구분자 기준, 지수 표기 포함)
+function numberTokenPattern(decimalSeparator) {
+  const separator = decimalSeparator === '.' ? '\\.' : decimalSeparator;
+  return new RegExp(`^(?:\\d+(?:${separator}\\d*)?|${separator}\\d+)(?:[eE][+-]?\\d+)?`);
+}
+
+function findQuoteEnd(text, start, quote) {
+  let i = start + 1;
+  while (i < text.length) {
+    if (text[i] === quote) {
+      if (text[i + 1] !== quote) return i + 1;
+      i++;
+    }
+    i++;
+  }
+  return text.length;
+}
+
+function assertDistinct(locale, names) {
+  const used = names.filter(name => locale[name] !== '');
+  used.forEach((name, index) => {
+    const conflict = used.slice(index + 1).find(other => locale[other] === locale[name]);
+    if (conflict) {
+      throw new FormulaLocaleError(`${name}와 ${conflict}에 같은 구분자('${locale[name]}')를 사용할 수 없습니다.`);
+    }
+  });
+}
+
+registerFormulaLanguages();
+
+module.exports = {
+  FormulaLocaleError,
+  DEFAULT_LANGUAGE,
+  resolveFormulaLocale,
+  translateFormula,
+  translateErrorValue,
+  getFormulaLanguages,
+  localizeFunctionNames
+};
@@ -0,0 +1,671 @@
+/**
+ * Excel 수식 토크나이저·파서 (영문 문법, 인수 구분자 , / 배열 행 구분자 ;)
+ *
+ * 문자열 리터럴, 따옴표로 감싼 시트명, 셀 참조를 구분하여 읽으므로
+ * 문자열 안의 "SUM(" 이나 시트명 'IF(1)'!A1 을 함수로 세지 않고,
+ * 함수 호출 괄호와 묶음 괄호를 서로 다른 노드(function / group)로 표현
+ *
+ * AST 노드 형식:
+ * | type | 필드 |
+ * |------|------|
+ * | number, string, boolean, error | value |
+ * | reference | kind (cell/range/column/row), sheet, address (A1 표기), text |
+ * | name | name, sheet (이름 정의) |
+ * | structured_reference | table, specifier, text (표 참조, 예: Table1[금액]) |
+ * | function | name, arguments |
+ * | call | callee, arguments (예: LAMBDA(x, x+1)(2)) |
+ * | unary | operator (- + @ %), operand, postfix (% 만 true) |
+ * | binary | operator (: 공백 ^ * / + - & = <> < > <= >=), left, right |
+ * | group | expression (묶음 괄호) |
+ * | array | rows (배열 상수 {1,2;3,4}) |
+ * | empty | (생략된 인수, 예: IF(A1,,1)) |
+ *
+ * 연산자 우선순위는 Excel과 동일 (: > 공백(교집합) > 단항 - > % > ^ > * / > + - > & > 비교)
+ * 같은 시트의 셀 참조 사이의 : 는 하나의 범위 참조로 합치고 (Sheet1!A1:Sheet1!B2 → Sheet1!A1:B2),
+ * R1C1 절대 참조(R2C3)는 A1 표기($C$2) 셀 참조로 읽음
+ */
+
+// 오류 값 리터럴 (긴 것부터 비교)
+const ERROR_LITERALS = [
+  '#GETTING_DATA', '#DIV/0!', '#VALUE!', '#SPILL!', '#CYCLE!', '#ERROR!', '#NAME?',
+  '#NULL!', '#CALC!', '#REF!', '#NUM!', '#LIC!', '#N/A'
+];
+
+// 시트 접두사 ('시트 이름'!, Sheet1!, Sheet1:Sheet3!, [1]Sheet1!)
+const SHEET_PREFIX = '(?:\'(?:[^\']|\'\')+\'|\\[[^\\]]+\\][^!\'"(),;:{}\\s]*|[A-Za-z_\\u0080-\\uffff][\\w.\\u0080-\\uffff]*(?::[A-Za-z_\\u0080-\\uffff][\\w.\\u0080-\\uffff]*)?)!';
+
+// 셀·범위·열·행 참조 (뒤에 ( 나 이름 문자가 오면 함수명·이름으로 보고 제외)
+const REFERENCE_PATTERN = new RegExp(
+  `^(${SHEET_PREFIX})?` +
+  '(\\$?[A-Za-z]{1,3}\\$?\\d+(?::\\$?[A-Za-z]{1,3}\\$?\\d+)?|\\$?[A-Za-z]{1,3}:\\$?[A-Za-z]{1,3}|\\$?\\d+:\\$?\\d+)' +
+  '(?![\\w(.!\\u0080-\\uffff])'
+);
+const SHEET_PREFIX_PATTERN = new RegExp(`^${SHEET_PREFIX}`);
+
+// R1C1 절대 셀 참조 (R2C3 = $C$2)
+const R1C1_PATTERN = new RegExp(`^(${SHEET_PREFIX})?R(\\d+)C(\\d+)(?![\\w(.!\\u0080-\\uffff])`, 'i');
+const MAX_ROWS = 1048576;
+const MAX_COLUMNS = 16384;
+const IDENTIFIER_PATTERN = /^[A-Za-z_\\\u0080-\uffff][\w.\u0080-\uffff]*/;
+const NUMBER_PATTERN = /^(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/;
+
+// 이름·함수명 중간인지 판단하는 앞 문자
+const NAME_CHARACTER = /[\w.$\u0080-\uffff]/;
+
+// 비교·연결·산술 연산자 (두 글자 연산자 먼저)
+const OPERATORS = ['<>', '<=', '>=', '+', '-', '*', '/', '^', '&', '=', '<', '>', '%', ':', '@'];
+
+// 이항 연산자 우선순위 (클수록 먼저 계산)
+const BINARY_PRECEDENCE = {
+  '=': 1, '<>': 1, '<': 1, '>': 1, '<=': 1, '>=': 1,
+  '&': 2,
+  '+': 3, '-': 3,
+  '*': 4, '/': 4,
+  '^': 5
+};
+
+// 복잡도 점수에 더하는 조건 함수
+const CONDITIONAL_FUNCTIONS = ['IF', 'IFS', 'IFERROR', 'IFNA', 'SWITCH'];
+
+// Excel 2010 이후 함수의 저장용 접두사
+const FUNCTION_PREFIX = /^(?:_xl(?:fn|ws)\.)+/i;
+
+/**
+ * 수식 문법 오류 (HTTP 400으로 응답)
+ */
+class FormulaParseError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} (위치 ${position})`);
+    this.name = 'FormulaParseError';
+    this.statusCode = 400;
+    this.type = 'formula_parse_error';
+    this.position = position;
+  }
+}
+
+/**
+ * 수식을 토큰으로 분리
+ * @param {string} formula - 수식 (= 포함 여부 무관)
+ * @returns {Array} [{ type, value, start, end, ... }]
+ *   type: number, string, boolean, error, reference, name, structured_reference, function,
+ *         operator, open, close, separator, array_open, array_close, array_row_separator
+ * @throws {FormulaParseError} 닫히지 않은 문자열·시트명이나 알 수 없는 문자
+ */
+function tokenizeFormula(formula) {
+  const text = String(formula);
+  const tokens = [];
+  let i = text.startsWith('=') ? 1 : 0;
+
+  const push = (type, value, start, extra = {}) => {
+    tokens.push({ type, value, start, end: i, ...extra });
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    const rest = text.slice(i);
+    const start = i;
+    const previous = text[i - 1] || '';
+
+    if (/\s/.test(char)) {
+      i += rest.match(/^\s+/)[0].length;
+      // 참조 사이의 공백은 교집합 연산자 (예: A1:C3 B2:D4)
+      const last = tokens[tokens.length - 1];
+      if (last && ['reference', 'name', 'structured_reference', 'close'].includes(last.type)
+        && /^[A-Za-z_$'(\u0080-\uffff]/.test(text.slice(i)) && !/^[A-Za-z_\u0080-\uffff][\w.\u0080-\uffff]*\s*\(/.test(text.slice(i))) {
+        push('operator', ' ', start);
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      const end = findQuoteEnd(text, i, '"');
+      if (end === -1) throw new FormulaParseError('문자열이 닫히지 않았습니다.', start);
+      i = end;
+      push('string', text.slice(start + 1, end - 1).replace(/""/g, '"'), start);
+      continue;
+    }
+
+    if (char === '#') {
+      const literal = ERROR_LITERALS.find(error => rest.toUpperCase().startsWith(error));
+      if (!literal) throw new FormulaParseError(`알 수 없는 오류 값입니다: ${rest.split(/[\s,;)]/)[0]}`, start);
+      i += literal.length;
+      push('error', literal, start);
+      continue;
+    }
+
+    if (!NAME_CHARACTER.test(previous)) {
+      const token = readOperand(text, i);
+      if (token) {
+        i = token.end;
+        push(token.type, token.value, start, token.extra);
+        continue;
+      }
+    }
+
+    if (char === '\'') {
+      throw new FormulaParseError('따옴표로 감싼 시트명 뒤에 참조가 없습니다.', start);
+    }
+
+    if (/[\d.]/.test(char)) {
+      const number = rest.match(NUMBER_PATTERN);
+      if (number) {
+        i += number[0].length;
+        push('number', Number(number[0]), start, { text: number[0] });
+        continue;
+      }
+    }
+
+    const operator = OPERATORS.find(op => rest.startsWith(op));
+    if (operator) {
+      i += operator.length;
+      push('operator', operator, start);
+      continue;
+    }
+
+    const punctuation = { '(': 'open', ')': 'close', ',': 'separator', '{': 'array_open', '}': 'array_close', ';': 'array_row_separator' }[char];
+    if (punctuation) {
+      i++;
+      push(punctuation, char, start);
+      continue;
+    }
+
+    throw new FormulaParseError(`알 수 없는 문자입니다: ${char}`, start);
+  }
+
+  return tokens;
+}
+
+// 참조, 함수명, 이름, 표 참조, 논리값 읽기 (해당하지 않으면 null)
+function readOperand(text, start) {
+  const rest = text.slice(start);
+
+  const reference = rest.match(REFERENCE_PATTERN);
+  if (reference) {
+    const [, sheetPrefix, address] = reference;
+    return {
+      type: 'reference',
+      value: reference[0],
+      end: start + reference[0].length,
+      extra: { sheet: sheetPrefix ? unquoteSheetName(sheetPrefix.slice(0, -1)) : null, address }
+    };
+  }
+
+  const r1c1 = rest.match(R1C1_PATTERN);
+  if (r1c1) {
+    const [, sheetPrefix, row, col] = r1c1;
+    if (row >= 1 && row <= MAX_ROWS && col >= 1 && col <= MAX_COLUMNS) {
+      return {
+        type: 'reference',
+        value: r1c1[0],
+        end: start + r1c1[0].length,
+        extra: { sheet: sheetPrefix ? unquoteSheetName(sheetPrefix.slice(0, -1)) : null, address: `$${columnLabel(col - 1)}$${row}` }
+      };
+    }
+  }
+
+  // 시트 범위 이름 (Sheet1!이름) 또는 잘못된 참조 (Sheet1!#REF!)
+  const sheetPrefix = rest.match(SHEET_PREFIX_PATTERN);
+  const sheet = sheetPrefix ? unquoteSheetName(sheetPrefix[0].slice(0, -1)) : null;
+  const nameStart = start + (sheetPrefix ? sheetPrefix[0].length : 0);
+  const nameRest = text.slice(nameStart);
+
+  if (sheetPrefix && nameRest.toUpperCase().startsWith('#REF!')) {
+    return { type: 'error', value: '#REF!', end: nameStart + '#REF!'.length };
+  }
+
+  const identifier = nameRest.match(IDENTIFIER_PATTERN);
+  if (!identifier) {
+    return null;
+  }
+
+  const name = identifier[0];
+  const end = nameStart + name.length;
+  const after = text.slice(end);
+
+  if (!sheetPrefix && /^\s*\(/.test(after)) {
+    return { type: 'function', value: name.replace(FUNCTION_PREFIX, '').toUpperCase(), end, extra: { text: name } };
+  }
+  if (!sheetPrefix && after.startsWith('[')) {
+    const close = findBracketEnd(text, end);
+    if (close === -1) throw new FormulaParseError('표 참조의 대괄호가 닫히지 않았습니다.', end);
+    return {
+      type: 'structured_reference',
+      value: text.slice(start, close),
+      end: close,
+      extra: { table: name, specifier: text.slice(end + 1, close - 1) }
+    };
+  }
+  if (!sheetPrefix && /^(TRUE|FALSE)$/i.test(name)) {
+    return { type: 'boolean', value: name.toUpperCase() === 'TRUE', end };
+  }
+  return { type: 'name', value: name, end, extra: { sheet } };
+}
+
+/**
+ * 수식을 AST로 변환
+ * @param {string} formula - 수식 (= 포함 여부 무관)
+ * @returns {Object} AST 루트 노드
+ * @throws {FormulaParseError} 문법 오류 (message에 위치 포함, position 필드)
+ */
+function parseFormula(formula) {
+  const tokens = tokenizeFormula(formula);
+  if (tokens.length === 0) {
+    throw new FormulaParseError('수식이 비어 있습니다.', String(formula).length);
+  }
+
+  const parser = new Parser(tokens, String(formula).length);
+  const ast = parser.parseExpression();
+  if (!parser.atEnd()) {
+    const token = parser.peek();
+    throw new FormulaParseError(`예상하지 못한 토큰입니다: ${token.value}`, token.start);
+  }
+  return ast;
+}
+
+class Parser {
+  constructor(tokens, length) {
+    this.tokens = tokens;
+    this.length = length;
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  atEnd() {
+    return this.index >= this.tokens.length;
+  }
+
+  next() {
+    const token = this.tokens[this.index++];
+    if (!token) throw new FormulaParseError('수식이 예상보다 일찍 끝났습니다.', this.length);
+    return token;
+  }
+
+  expect(type, value) {
+    const token = this.next();
+    if (token.type !== type) {
+      throw new FormulaParseError(`${value}이(가) 필요합니다.`, token.start);
+    }
+    return token;
+  }
+
+  isOperator(...operators) {
+    const token = this.peek();
+    return token?.type === 'operator' && operators.includes(token.value);
+  }
+
+  // 이항 연산자 (우선순위 등반 방식, ^ 포함 모두 왼쪽 결합: Excel은 2^3^2 = 64)
+  parseExpression(minPrecedence = 1) {
+    let left = this.parseUnary();
+
+    while (this.peek()?.type === 'operator' && BINARY_PRECEDENCE[this.peek().value] >= minPrecedence) {
+      const operator = this.next().value;
+      const right = this.parseExpression(BINARY_PRECEDENCE[operator] + 1);
+      left = { type: 'binary', operator, left, right };
+    }
+
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOperator('-', '+', '@')) {
+      const operator = this.next().value;
+      return { type: 'unary', operator, operand: this.parseUnary() };
+    }
+
+    let operand = this.parseReferenceExpression();
+    while (this.isOperator('%')) {
+      this.next();
+      operand = { type: 'unary', operator: '%', operand, postfix: true };
+    }
+    return operand;
+  }
+
+  // 참조 연산자 (: 범위, 공백 교집합)
+  parseReferenceExpression() {
+    let left = this.parseRange();
+    while (this.isOperator(' ')) {
+      this.next();
+      left = { type: 'binary', operator: ' ', left, right: this.parseRange() };
+    }
+    return left;
+  }
+
+  parseRange() {
+    let left = this.parsePrimary();
+    while (this.isOperator(':')) {
+      this.next();
+      const right = this.parsePrimary();
+      left = mergeCellRange(left, right) || { type: 'binary', operator: ':', left, right };
+    }
+    return left;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    let node;
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'boolean':
+      case 'error':
+        node = { type: token.type, value: token.value };
+        break;
+      case 'reference':
+        node = {
+          type: 'reference',
+          kind: referenceKind(token.address),
+          sheet: token.sheet,
+          address: token.address.toUpperCase(),
+          text: token.value
+        };
+        break;
+      case 'name':
+        node = { type: 'name', name: token.value, sheet: token.sheet };
+        break;
+      case 'structured_reference':
+        node = { type: 'structured_reference', table: token.table, specifier: token.specifier, text: token.value };
+        break;
+      case 'function':
+        this.expect('open', '(');
+        node = { type: 'function', name: token.value, arguments: this.parseArguments() };
+        break;
+      case 'open':
+        node = { type: 'group', expression: this.parseExpression() };
+        this.expect('close', ')');
+        break;
+      case 'array_open':
+        node = this.parseArray();
+        break;
+      default:
+        throw new FormulaParseError(`예상하지 못한 토큰입니다: ${token.value}`, token.start);
+    }
+
+    // 함수 결과 호출 (LAMBDA(x, x+1)(2))
+    while (['function', 'call', 'group'].includes(node.type) && this.peek()?.type === 'open') {
+      this.next();
+      node = { type: 'call', callee: node, arguments: this.parseArguments() };
+    }
+    return node;
+  }
+
+  // 여는 괄호 다음부터 닫는 괄호까지의 인수 목록
+  parseArguments() {
+    const args = [];
+    if (this.peek()?.type === 'close') {
+      this.next();
+      return args;
+    }
+
+    for (;;) {
+      const token = this.peek();
+      args.push(token?.type === 'separator' || token?.type === 'close' ? { type: 'empty' } : this.parseExpression());
+
+      const delimiter = this.next();
+      if (delimiter.type === 'close') return args;
+      if (delimiter.type !== 'separator') {
+        throw new FormulaParseError(`인수 구분자(,) 또는 )가 필요합니다: ${delimiter.value}`, delimiter.start);
+      }
+    }
+  }
+
+  parseArray() {
+    const rows = [[]];
+    for (;;) {
+      rows[rows.length - 1].push(this.parseExpression());
+
+      const delimiter = this.next();
+      if (delimiter.type === 'array_close') return { type: 'array', rows };
+      if (delimiter.type === 'array_row_separator') {
+        rows.push([]);
+      } else if (delimiter.type !== 'separator') {
+        throw new FormulaParseError(`배열 구분자(, ;) 또는 }가 필요합니다: ${delimiter.value}`, delimiter.start);
+      }
+    }
+  }
+}
+
+// 같은 시트의 두 셀 참조를 하나의 범위 참조로 (Sheet1!A1:Sheet1!B2, A1:R2C3 등, 합칠 수 없으면 null)
+function mergeCellRange(left, right) {
+  const isCell = node => node.type === 'reference' && node.kind === 'cell';
+  if (!isCell(left) || !isCell(right) || (right.sheet !== null && right.sheet !== left.sheet)) {
+    return null;
+  }
+
+  return {
+    type: 'reference',
+    kind: 'range',
+    sheet: left.sheet,
+    address: `${left.address}:${right.address}`,
+    text: `${left.text}:${right.text}`
+  };
+}
+
+/**
+ * AST의 모든 노드 방문 (깊이 우선, 부모 먼저)
+ * @param {Object} node - AST 노드
+ * @param {Function} visit - (node, functionDepth) => void, functionDepth는 감싸고 있는 함수 호출 수
+ * @param {number} [functionDepth]
+ */
+function walkFormula(node, visit, functionDepth = 0) {
+  visit(node, functionDepth);
+  const depth = node.type === 'function' ? functionDepth + 1 : functionDepth;
+
+  childNodes(node).forEach(child => walkFormula(child, visit, depth));
+}
+
+function childNodes(node) {
+  switch (node.type) {
+    case 'function': return node.arguments;
+    case 'call': return [node.callee, ...node.arguments];
+    case 'unary': return [node.operand];
+    case 'binary': return [node.left, node.right];
+    case 'group': return [node.expression];
+    case 'array': return node.rows.flat();
+    default: return [];
+  }
+}
+
+/**
+ * 수식 구성 요소 요약 (함수, 참조, 범위, 이름, 리터럴, 연산자, 함수 중첩 깊이)
+ * 문법 오류로 AST를 만들 수 없으면 토큰 기준으로 요약하고 parseError에 오류 메시지 기록
+ * @param {string} formula - 수식 (영문 문법)
+ * @returns {Object} { functions, functionCounts, references, ranges, names, literals, operators, maxFunctionDepth, arrayLiterals, crossSheetReferences, parseError }
+ */
+function summarizeFormula(formula) {
+  const summary = {
+    functions: [],
+    functionCounts: {},
+    references: [],
+    ranges: [],
+    names: [],
+    literals: [],
+    operators: {},
+    maxFunctionDepth: 0,
+    arrayLiterals: 0,
+    crossSheetReferences: 0,
+    parseError: null
+  };
+
+  // LET·LAMBDA 변수는 이름 정의가 아니므로 names에서 제외
+  const localNames = new Set();
+
+  try {
+    walkFormula(parseFormula(formula), (node, depth) => {
+      if (node.type === 'function') {
+        countFunction(summary, node.name);
+        declaredVariables(node).forEach(name => localNames.add(name.toUpperCase()));
+        summary.maxFunctionDepth = Math.max(summary.maxFunctionDepth, depth + 1);
+      } else if (node.type === 'reference' || node.type === 'name' || node.type === 'structured_reference') {
+        addReference(summary, node);
+      } else if (['number', 'string', 'boolean', 'error'].includes(node.type)) {
+        summary.literals.push({ type: node.type, value: node.value });
+      } else if (node.type === 'unary' || node.type === 'binary') {
+        summary.operators[node.operator] = (summary.operators[node.operator] || 0) + 1;
+      } else if (node.type === 'array') {
+        summary.arrayLiterals++;
+      }
+    });
+  } catch (error) {
+    if (!(error instanceof FormulaParseError)) throw error;
+    summary.parseError = error.message;
+    summarizeTokens(summary, formula);
+  }
+
+  summary.functions = Object.keys(summary.functionCounts);
+  summary.names = summary.names.filter(name => !localNames.has(name.toUpperCase()));
+  return summary;
+}
+
+// LET(이름1, 값1, ..., 계산식)·LAMBDA(매개변수..., 계산식)가 선언하는 변수명
+function declaredVariables(node) {
+  const parameters = node.arguments.slice(0, -1);
+  const declared = node.name === 'LET' ? parameters.filter((_, index) => index % 2 === 0)
+    : node.name === 'LAMBDA' ? parameters
+      : [];
+  return declared.filter(arg => arg.type === 'name' && !arg.sheet).map(arg => arg.name);
+}
+
+// 문법 오류 수식의 토큰 기준 요약 (함수·참조·이름과 함수 중첩 깊이만)
+function summarizeTokens(summary, formula) {
+  let tokens;
+  try {
+    tokens = tokenizeFormula(formula);
+  } catch (error) {
+    return;
+  }
+
+  const parentheses = [];
+  tokens.forEach((token, index) => {
+    if (token.type === 'function') {
+      countFunction(summary, token.value);
+    } else if (token.type === 'reference') {
+      addReference(summary, { type: 'reference', kind: referenceKind(token.address), sheet: token.sheet, address: token.address.toUpperCase() });
+    } else if (token.type === 'name') {
+      addReference(summary, { type: 'name', name: token.value, sheet: token.sheet });
+    } else if (token.type === 'open') {
+      parentheses.push(tokens[index - 1]?.type === 'function');
+      summary.maxFunctionDepth = Math.max(summary.maxFunctionDepth, parentheses.filter(Boolean).length);
+    } else if (token.type === 'close') {
+      parentheses.pop();
+    }
+  });
+}
+
+function countFunction(summary, name) {
+  summary.functionCounts[name] = (summary.functionCounts[name] || 0) + 1;
+}
+
+// 참조·이름 목록에 추가 (같은 참조는 한 번만, $ 무시)
+function addReference(summary, node) {
+  if (node.type === 'name') {
+    const name = formatReference(node.sheet, node.name);
+    if (!summary.names.includes(name)) summary.names.push(name);
+    return;
+  }
+
+  const text = node.type === 'structured_reference'
+    ? node.text
+    : formatReference(node.sheet, node.address.replace(/\$/g, ''));
+  if (summary.references.some(reference => reference.text === text)) return;
+
+  const reference = node.type === 'structured_reference'
+    ? { text, kind: 'structured', sheet: null, address: null, table: node.table }
+    : { text, kind: node.kind, sheet: node.sheet, address: node.address.replace(/\$/g, '') };
+  summary.references.push(reference);
+  if (reference.kind !== 'cell') summary.ranges.push(reference);
+  if (reference.sheet) summary.crossSheetReferences++;
+}
+
+/**
+ * 수식 복잡도 (함수 호출 수, 범위 참조, 다른 시트 참조, 조건 함수, 배열 상수, 함수 중첩 깊이 기준)
+ * @param {Object} summary - summarizeFormula() 결과
+ * @returns {string} simple/medium/complex
+ */
+function formulaComplexity(summary) {
+  const functionCalls = Object.values(summary.functionCounts).reduce((sum, count) => sum + count, 0);
+  const conditionals = CONDITIONAL_FUNCTIONS.reduce((sum, name) => sum + (summary.functionCounts[name] || 0), 0);
+
+  const score = functionCalls
+    + summary.ranges.length
+    + summary.crossSheetReferences
+    + conditionals
+    + summary.arrayLiterals
+    + summary.maxFunctionDepth * 2;
+
+  if (score <= 2) return 'simple';
+  if (score <= 6) return 'medium';
+  return 'complex';
+}
+
+/**
+ * 참조 표기 (시트명은 필요할 때만 따옴표로 감쌈)
+ * @param {string|null} sheet - 시트명
+ * @param {string} address - 셀 주소·범위·이름
+ * @returns {string} 예: A1, Sheet2!B1:B5, 'My Sheet'!C3
+ */
+function formatReference(sheet, address) {
+  if (!sheet) return address;
+  const plain = /^[A-Za-z_][\w.]*$/.test(sheet) && !/^[A-Za-z]{1,3}\d+$/.test(sheet);
+  return `${plain ? sheet : `'${sheet.replace(/'/g, '\'\'')}'`}!${address}`;
+}
+
+function referenceKind(address) {
+  if (/^\$?\d+:\$?\d+$/.test(address)) return 'row';
+  if (/^\$?[A-Za-z]+:\$?[A-Za-z]+$/.test(address)) return 'column';
+  return address.includes(':') ? 'range' : 'cell';
+}
+
+// 0부터 시작하는 열 번호 → 열 문자 (0 → A, 26 → AA)
+function columnLabel(col) {
+  let label = '';
+  for (let n = col + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    label = String.fromCharCode(65 + ((n - 1) % 26)) + label;
+  }
+  return label;
+}
+
+function unquoteSheetName(name) {
+  return name.startsWith('\'') && name.endsWith('\'') ? name.slice(1, -1).replace(/''/g, '\'') : name;
+}
+
+// 닫는 따옴표 다음 위치 (닫히지 않았으면 -1, 따옴표 두 개는 이스케이프)
+function findQuoteEnd(text, start, quote) {
+  let i = start + 1;
+  while (i < text.length) {
+    if (text[i] === quote) {
+      if (text[i + 1] !== quote) return i + 1;
+      i++;
+    }
+    i++;
+  }
+  return -1;
+}
+
+// 표 참조 대괄호의 끝 다음 위치 (중첩 대괄호 포함, '로 이스케이프된 대괄호는 무시)
+function findBracketEnd(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\'') {
+      i++;
+    } else if (text[i] === '[') {
+      depth++;
+    } else if (text[i] === ']' && --depth === 0) {
+      return i + 1;
+    }
+  }
+  return -1;
+}
+
+module.exports = {
+  FormulaParseError,
+  tokenizeFormula,
+  parseFormula,
+  walkFormula,
+  summarizeFormula,
+  formulaComplexity,
+  formatReference
+};
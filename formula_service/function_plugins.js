@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const { HyperFormula, FunctionPlugin, FunctionArgumentType } = require('hyperformula');
+const { getFormulaLanguages } = require('./formula_locale');
+// Microsoft 365 호환 함수는 내장 함수로 먼저 등록 (같은 이름의 플러그인은 내장 함수 충돌로 거부됨)
+require('./excel_compat_functions');
+
+/**
+ * 사용자 정의 함수 플러그인 로더
+ *
+ * 플러그인 디렉터리(기본 ./plugins, FUNCTION_PLUGIN_DIR로 변경)의 *.js 파일마다
+ * HyperFormula FunctionPlugin을 상속한 클래스를 내보내며, 시작 시 한 번 등록
+ * (_로 시작하는 파일은 예제·공용 모듈로 보고 건너뜀)
+ *
+ * 플러그인 클래스 형식:
+ * - static implementedFunctions: { 함수명: { method, parameters: [{ argumentType, optionalArg, defaultValue, name }], description } }
+ * - static translations: { 언어 코드: { 함수명: 번역된 함수명 } } (없는 언어는 표준 함수명 사용)
+ *
+ * 로드에 실패한 플러그인은 건너뛰고 오류 목록에 기록 (서비스 시작은 계속됨)
+ */
+
+const DEFAULT_PLUGIN_DIR = path.join(__dirname, 'plugins');
+
+// HyperFormula 함수명 규칙 (대문자로 시작, 대문자·숫자·. ·_)
+const FUNCTION_NAME_PATTERN = /^[A-Z][A-Z0-9._]*$/;
+
+const ARGUMENT_TYPES = Object.values(FunctionArgumentType);
+
+// 마지막 로드 결과와 등록된 함수명 → 플러그인 파일
+let loadStatus = { directory: null, loadedAt: null, plugins: [], errors: [] };
+const registeredFunctions = new Map();
+
+/**
+ * 플러그인 형식 오류
+ */
+class FunctionPluginLoadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FunctionPluginLoadError';
+    this.type = 'function_plugin_error';
+  }
+}
+
+/**
+ * 플러그인 디렉터리의 모든 플러그인을 HyperFormula에 등록
+ * @param {string} [directory] - 플러그인 디렉터리
+ * @returns {Object} { directory, loadedAt, plugins: [{ file, name, functions }], errors: [{ file, error }] }
+ */
+function loadFunctionPlugins(directory = process.env.FUNCTION_PLUGIN_DIR || DEFAULT_PLUGIN_DIR) {
+  const result = inspectDirectory(directory, (plugin, file) => {
+    HyperFormula.registerFunctionPlugin(plugin, completeTranslations(plugin));
+    Object.keys(plugin.implementedFunctions).forEach(name => registeredFunctions.set(name, file));
+  });
+
+  loadStatus = { ...result, loadedAt: new Date().toISOString() };
+  return loadStatus;
+}
+
+/**
+ * 플러그인 디렉터리 검증 (등록하지 않고 형식·함수명 충돌만 확인)
+ * 파일을 새로 읽으므로 배포 전 추가·수정한 플러그인도 서비스를 재시작하지 않고 확인 가능
+ * @param {string} [directory] - 플러그인 디렉터리
+ * @returns {Object} { directory, valid, plugins, errors }
+ */
+function validateFunctionPlugins(directory = loadStatus.directory || process.env.FUNCTION_PLUGIN_DIR || DEFAULT_PLUGIN_DIR) {
+  const result = inspectDirectory(directory, null, { fresh: true });
+  return { ...result, valid: result.errors.length === 0 };
+}
+
+/**
+ * 마지막 플러그인 로드 결과
+ * @returns {Object} loadFunctionPlugins() 결과
+ */
+function getFunctionPluginStatus() {
+  return loadStatus;
+}
+
+/**
+ * 등록된 사용자 정의 함수 목록
+ * @param {string} [language] - 함수명을 표시할 언어 코드
+ * @returns {Array} [{ name, canonicalName, plugin, description, parameters }]
+ */
+function getCustomFunctions(language = 'enGB') {
+  const translations = HyperFormula.getLanguage(language).functions;
+
+  return [...registeredFunctions].sort(([a], [b]) => a.localeCompare(b)).map(([name, file]) => {
+    const metadata = HyperFormula.getFunctionPlugin(name).implementedFunctions[name];
+    return {
+      name: translations[name] || name,
+      canonicalName: name,
+      plugin: file,
+      description: metadata.description || null,
+      parameters: (metadata.parameters || []).map((parameter, index) => ({
+        name: parameter.name || `arg${index + 1}`,
+        type: parameter.argumentType,
+        optional: !!parameter.optionalArg || parameter.defaultValue !== undefined,
+        ...(parameter.defaultValue !== undefined && { defaultValue: parameter.defaultValue })
+      })),
+      repeatLastArgs: metadata.repeatLastArgs || 0
+    };
+  });
+}
+
+// 디렉터리의 플러그인 파일을 차례로 검사 (register가 있으면 검사를 통과한 플러그인 등록)
+function inspectDirectory(directory, register, { fresh = false } = {}) {
+  const result = { directory, plugins: [], errors: [] };
+
+  let files;
+  try {
+    files = fs.readdirSync(directory).filter(file => file.endsWith('.js') && !file.startsWith('_')).sort();
+  } catch (error) {
+    // 플러그인 디렉터리가 없으면 사용자 정의 함수 없이 동작
+    if (error.code !== 'ENOENT') {
+      result.errors.push({ file: null, error: `플러그인 디렉터리를 읽을 수 없습니다: ${error.message}` });
+    }
+    return result;
+  }
+
+  // 같은 디렉터리 안에서 함수명이 겹치는지 확인하기 위한 함수명 → 파일
+  const claimed = new Map();
+
+  files.forEach(file => {
+    try {
+      const plugin = requirePlugin(path.join(directory, file), fresh);
+      validatePlugin(plugin, file, claimed);
+      if (register) register(plugin, file);
+
+      Object.keys(plugin.implementedFunctions).forEach(name => claimed.set(name, file));
+      result.plugins.push({
+        file,
+        name: plugin.name,
+        functions: Object.keys(plugin.implementedFunctions)
+      });
+    } catch (error) {
+      result.errors.push({ file, error: error.message, type: error.type || 'function_plugin_error' });
+    }
+  });
+
+  return result;
+}
+
+function requirePlugin(filepath, fresh) {
+  const resolved = require.resolve(filepath);
+  if (fresh) {
+    delete require.cache[resolved];
+  }
+  return require(resolved);
+}
+
+// 플러그인 클래스 형식 검증 (HyperFormula 등록 시 검사하지 않는 함수명 충돌·번역·인수 정보 포함)
+function validatePlugin(plugin, file, claimed) {
+  if (typeof plugin !== 'function' || !(plugin.prototype instanceof FunctionPlugin)) {
+    throw new FunctionPluginLoadError('FunctionPlugin을 상속한 클래스를 module.exports로 내보내야 합니다.');
+  }
+
+  const functions = plugin.implementedFunctions;
+  if (!functions || typeof functions !== 'object' || Object.keys(functions).length === 0) {
+    throw new FunctionPluginLoadError('implementedFunctions에 함수가 정의되어 있지 않습니다.');
+  }
+
+  Object.entries(functions).forEach(([name, metadata]) => {
+    if (!FUNCTION_NAME_PATTERN.test(name)) {
+      throw new FunctionPluginLoadError(`함수명은 대문자로 시작하고 대문자·숫자·.·_만 사용할 수 있습니다: ${name}`);
+    }
+    if (typeof plugin.prototype[metadata?.method] !== 'function') {
+      throw new FunctionPluginLoadError(`${name}의 메서드를 찾을 수 없습니다: ${metadata?.method}`);
+    }
+    if (metadata.arraySizeMethod && typeof plugin.prototype[metadata.arraySizeMethod] !== 'function') {
+      throw new FunctionPluginLoadError(`${name}의 arraySizeMethod를 찾을 수 없습니다: ${metadata.arraySizeMethod}`);
+    }
+    validateParameters(name, metadata.parameters);
+
+    // 내장 함수나 다른 플러그인의 함수를 덮어쓰지 않음 (HyperFormula는 경고 없이 덮어씀)
+    const owner = claimed.get(name) || registeredFunctions.get(name);
+    if (owner && owner !== file) {
+      throw new FunctionPluginLoadError(`${name} 함수는 이미 ${owner} 플러그인에 정의되어 있습니다.`);
+    }
+    if (!owner && HyperFormula.getRegisteredFunctionNames('enGB').includes(name)) {
+      throw new FunctionPluginLoadError(`${name}은(는) 내장 함수와 이름이 같습니다.`);
+    }
+  });
+
+  validateTranslations(plugin);
+}
+
+function validateParameters(name, parameters) {
+  if (parameters === undefined) return;
+  if (!Array.isArray(parameters)) {
+    throw new FunctionPluginLoadError(`${name}의 parameters는 배열이어야 합니다.`);
+  }
+
+  parameters.forEach((parameter, index) => {
+    if (!ARGUMENT_TYPES.includes(parameter?.argumentType)) {
+      throw new FunctionPluginLoadError(
+        `${name}의 ${index + 1}번째 인수 형식이 잘못되었습니다: ${parameter?.argumentType} (허용: ${ARGUMENT_TYPES.join(', ')})`
+      );
+    }
+  });
+}
+
+function validateTranslations(plugin) {
+  const languages = getFormulaLanguages();
+
+  Object.entries(plugin.translations || {}).forEach(([language, names]) => {
+    if (!languages.includes(language)) {
+      throw new FunctionPluginLoadError(`번역의 언어 코드를 지원하지 않습니다: ${language}`);
+    }
+    Object.entries(names || {}).forEach(([name, translated]) => {
+      if (!plugin.implementedFunctions[name]) {
+        throw new FunctionPluginLoadError(`${language} 번역의 함수가 implementedFunctions에 없습니다: ${name}`);
+      }
+      if (typeof translated !== 'string' || !FUNCTION_NAME_PATTERN.test(translated.toUpperCase())) {
+        throw new FunctionPluginLoadError(`${language} 번역의 함수명이 잘못되었습니다: ${name} → ${translated}`);
+      }
+    });
+  });
+}
+
+// 등록된 모든 언어의 번역 (번역이 없는 언어는 표준 함수명, HyperFormula는 번역이 없는 언어에서 함수를 인식하지 않음)
+function completeTranslations(plugin) {
+  const names = Object.keys(plugin.implementedFunctions);
+
+  return Object.fromEntries(getFormulaLanguages().map(language => [
+    language,
+    Object.fromEntries(names.map(name => [name, plugin.translations?.[language]?.[name] || name]))
+  ]));
+}
+
+module.exports = {
+  DEFAULT_PLUGIN_DIR,
+  FunctionPluginLoadError,
+  loadFunctionPlugins,
+  validateFunctionPlugins,
+  getFunctionPluginStatus,
+  getCustomFunctions
+};
@@ -0,0 +1,149 @@
+/**
+ * 의존성 그래프 직렬화 (Graphviz DOT, GraphML)
+ * 입력은 exportDependencyGraph() 결과 { collapse, nodes, edges }
+ *
+ * | 노드 type | DOT 모양 |
+ * |-----------|----------|
+ * | formula | box |
+ * | input | ellipse |
+ * | range | folder |
+ * | sheet | tab |
+ */
+
+const NODE_SHAPES = {
+  formula: 'box',
+  input: 'ellipse',
+  range: 'folder',
+  sheet: 'tab'
+};
+
+// GraphML 속성 키 [이름, 타입]
+const NODE_ATTRIBUTES = [
+  ['type', 'string'],
+  ['sheet', 'string'],
+  ['address', 'string'],
+  ['range', 'string'],
+  ['formula', 'string'],
+  ['value', 'string'],
+  ['cells', 'int'],
+  ['formulaCells', 'int'],
+  ['inputCells', 'int'],
+  ['internalReferences', 'int']
+];
+
+const EDGE_ATTRIBUTES = [
+  ['type', 'string'],
+  ['weight', 'int']
+];
+
+/**
+ * Graphviz DOT 형식으로 변환
+ * 셀·범위 그래프는 시트별 클러스터로 묶고, member 간선은 점선으로 표시
+ * @param {Object} graph - exportDependencyGraph() 결과
+ * @returns {string} DOT 문서
+ */
+function toDot(graph) {
+  const lines = ['digraph "workbook" {', '  rankdir=LR;', '  node [fontsize=10];'];
+  const nodeLine = node => `${dotId(node.id)} [label=${dotId(nodeLabel(node))}, shape=${NODE_SHAPES[node.type]}];`;
+
+  if (graph.collapse === 'sheet') {
+    graph.nodes.forEach(node => lines.push(`  ${nodeLine(node)}`));
+  } else {
+    const sheets = new Map();
+    graph.nodes.forEach(node => {
+      if (!sheets.has(node.sheet)) sheets.set(node.sheet, []);
+      sheets.get(node.sheet).push(node);
+    });
+
+    [...sheets].forEach(([sheet, nodes], index) => {
+      lines.push(`  subgraph "cluster_${index}" {`, `    label=${dotId(sheet)};`);
+      nodes.forEach(node => lines.push(`    ${nodeLine(node)}`));
+      lines.push('  }');
+    });
+  }
+
+  graph.edges.forEach(edge => {
+    const attributes = [];
+    if (edge.type === 'member') attributes.push('style=dashed');
+    if (edge.weight !== undefined) attributes.push(`label="${edge.weight}"`, `penwidth=${Math.min(1 + Math.log2(edge.weight), 8).toFixed(1)}`);
+    lines.push(`  ${dotId(edge.source)} -> ${dotId(edge.target)}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * GraphML 형식으로 변환 (노드·간선 속성은 data 요소로 기록)
+ * @param {Object} graph - exportDependencyGraph() 결과
+ * @returns {string} GraphML 문서
+ */
+function toGraphML(graph) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+  ];
+
+  NODE_ATTRIBUTES.forEach(([name, type]) => {
+    lines.push(`  <key id="n_${name}" for="node" attr.name="${name}" attr.type="${type}"/>`);
+  });
+  EDGE_ATTRIBUTES.forEach(([name, type]) => {
+    lines.push(`  <key id="e_${name}" for="edge" attr.name="${name}" attr.type="${type}"/>`);
+  });
+
+  lines.push(`  <graph id="workbook" edgedefault="directed">`);
+  graph.nodes.forEach(node => {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    lines.push(...dataElements(node, NODE_ATTRIBUTES, 'n'));
+    lines.push('    </node>');
+  });
+  graph.edges.forEach((edge, index) => {
+    lines.push(`    <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`);
+    lines.push(...dataElements(edge, EDGE_ATTRIBUTES, 'e'));
+    lines.push('    </edge>');
+  });
+  lines.push('  </graph>', '</graphml>');
+
+  return lines.join('\n') + '\n';
+}
+
+// 노드 표시 이름 (수식 셀은 수식, 범위·입력 셀은 셀 수·값 포함)
+function nodeLabel(node) {
+  switch (node.type) {
+    case 'formula':
+      return `${node.address}\n${node.formula}`;
+    case 'input':
+      return node.value === null ? node.address : `${node.address}\n${node.value}`;
+    case 'range':
+      return `${node.range}\n(${node.cells} cells)`;
+    default:
+      return `${node.sheet}\n(${node.formulaCells} formulas)`;
+  }
+}
+
+function dataElements(item, attributes, prefix) {
+  return attributes
+    .filter(([name]) => item[name] !== undefined && item[name] !== null)
+    .map(([name]) => `      <data key="${prefix}_${name}">${escapeXml(String(item[name]))}</data>`);
+}
+
+// DOT 따옴표 문자열 (따옴표·역슬래시 이스케이프, 줄바꿈은 \n)
+function dotId(text) {
+  return `"${String(text).replace(/[\\"]/g, '\\$&').replace(/\r?\n/g, '\\n')}"`;
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // XML 1.0에서 허용하지 않는 제어 문자 제거
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+module.exports = {
+  toDot,
+  toGraphML
+};
@@ -4,13 +4,46 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const multer = require('multer');
-const { HyperFormula } = require('hyperformula');
+const path = require('path');
+const { HyperFormula, DetailedCellError, DenseSparseChooseBasedOnThreshold } = require('hyperformula');
 const IntegratedEngine = require('./integrated_engine');
-const ExcelConverter = require('./excel_converter');
+const { createWorkbookSnapshot, buildFromWorkbookSnapshot } = require('./workbook_snapshot');
+const { getPopulatedCells, buildFromSheets, trackSheets, trackCellContents, trackRowShift } = require('./sheet_cells');
+const { createSessionStore } = require('./session_store');
+const { SessionManager, SessionQuotaError } = require('./session_manager');
+const AnalysisJobManager = require('./analysis_jobs');
+const { WorkerPool } = require('./worker_pool');
+const { assertSupportedWorkbook } = require('./workbook_format');
+const {
+  resolveFormulaLocale,
+  translateFormula,
+  translateErrorValue,
+  getFormulaLanguages,
+  localizeFunctionNames,
+  DEFAULT_LANGUAGE
+} = require('./formula_locale');
+const { parseFormula, summarizeFormula, formulaComplexity } = require('./formula_parser');
+const { GRAPH_COLLAPSE_MODES, findCircularReferences } = require('./dependency_graph');
+const { toDot, toGraphML } = require('./graph_formats');
+const {
+  loadFunctionPlugins,
+  validateFunctionPlugins,
+  getFunctionPluginStatus,
+  getCustomFunctions
+} = require('./function_plugins');
 
 console.log('🚀 ExcelApp FormulaEngine Service 시작');
 console.log('=' * 50);
 
+// 사용자 정의 함수 플러그인 등록 (로드에 실패한 플러그인은 건너뜀)
+const pluginStatus = loadFunctionPlugins();
+pluginStatus.plugins.forEach(plugin => {
+  console.log(`🧩 함수 플러그인 로드: ${plugin.file} (${plugin.functions.join(', ')})`);
+});
+pluginStatus.errors.forEach(({ file, error }) => {
+  console.warn(`⚠️  함수 플러그인 로드 실패: ${file || pluginStatus.directory} - ${error}`);
+});
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
@@ -39,6 +72,8 @@ const HF_CONFIG = {
   
   // 메모리 최적화
   undoLimit: 0,                  // Undo 비활성화로 메모리 절약
+  chooseAddressMappingPolicy: new DenseSparseChooseBasedOnThreshold(0.8), // 희소 시트는 등록된 셀만 저장
+  maxRows: 1048576,              // Excel 최대 행 수
   
   // 계산 최적화
   evaluateNullToZero: false,     // NULL을 0으로 평가하지 않음 (Excel 호환)
@@ -50,9 +85,47 @@ const HF_CONFIG = {
   timeFormats: ['hh:mm', 'hh:mm:ss.sss']
 };
 
-// 메모리 내 세션 저장소 (프로덕션에서는 Redis 사용)
-const sessions = new Map();
-const integratedSessions = new Map();
+// 세션별 Undo 히스토리 최대 크기
+const MAX_UNDO_LIMIT = parseInt(process.env.MAX_UNDO_LIMIT, 10) || 100;
+
+// 배치 API에서 지원하는 작업 유형
+const BATCH_OPERATION_TYPES = [
+  'setCellContents',
+  'addRows',
+  'removeRows',
+  'addSheet',
+  'removeSheet',
+  'renameSheet',
+  'clearSheet'
+];
+
+// 세션 저장소 (SESSION_STORE=memory|file|redis, 여러 인스턴스 간 공유 및 재시작 후 지연 복원)
+const sessionStore = createSessionStore();
+
+// 비활성 세션 만료 시간 (저장소 TTL로 적용되며 세션 접근 시마다 연장)
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS, 10) || 10 * 60 * 1000;
+
+// 세션 관리자 (인스턴스 로컬 캐시, 세션 수 제한, 힙 사용량 기반 LRU 제거)
+const sessionManager = new SessionManager({
+  store: sessionStore,
+  ttlMs: SESSION_TTL_MS,
+  maxSessions: parseInt(process.env.MAX_SESSIONS, 10) || 100,
+  maxSessionsPerClient: parseInt(process.env.MAX_SESSIONS_PER_CLIENT, 10) || 10,
+  heapThresholdBytes: (parseInt(process.env.SESSION_HEAP_THRESHOLD_MB, 10) || 0) * 1024 * 1024
+});
+
+// 워크북 내보내기 형식별 Content-Type
+const EXPORT_CONTENT_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet'
+};
+
+// 의존성 그래프 형식별 Content-Type (json은 일반 JSON 응답)
+const GRAPH_CONTENT_TYPES = {
+  json: 'application/json',
+  dot: 'text/vnd.graphviz; charset=utf-8',
+  graphml: 'application/graphml+xml; charset=utf-8'
+};
 
 // Multer 설정 (파일 업로드용)
 const upload = multer({
@@ -63,25 +136,40 @@ const upload = multer({
   fileFilter: (req, file, cb) => {
     const allowedTypes = [
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
-      'application/vnd.ms-excel', // .xls
+      'application/vnd.ms-excel', // .xls (내용 확인 후 415와 .xlsx 저장 안내로 응답)
+      'application/vnd.oasis.opendocument.spreadsheet', // .ods
       'text/csv' // .csv
     ];
     
-    if (allowedTypes.includes(file.mimetype) || file.originalname.match(/\.(xlsx|xls|csv)$/i)) {
+    if (allowedTypes.includes(file.mimetype) || file.originalname.match(/\.(xlsx|xls|ods|csv)$/i)) {
       cb(null, true);
     } else {
-      cb(new Error('지원하지 않는 파일 형식입니다. Excel 파일(.xlsx, .xls) 또는 CSV 파일만 업로드 가능합니다.'), false);
+      cb(new Error('지원하지 않는 파일 형식입니다. Excel 파일(.xlsx), ODS 파일 또는 CSV 파일만 업로드 가능합니다.'), false);
     }
   }
 });
 
 // FormulaEngine 클래스
 class FormulaEngine {
-  constructor(sessionId) {
+  constructor(sessionId, options = {}) {
     this.sessionId = sessionId;
     this.hyperFormula = null;
     this.sheets = new Map();
     this.lastActivity = Date.now();
+
+    // Undo 히스토리 설정 (기본값은 HF_CONFIG의 undoLimit = 비활성화)
+    const undoLimit = Number.isInteger(options.undoLimit) ? options.undoLimit : HF_CONFIG.undoLimit;
+    this.config = { ...HF_CONFIG, undoLimit: Math.min(Math.max(undoLimit, 0), MAX_UNDO_LIMIT) };
+
+    // 수식 언어와 구분자 (검증·계산·셀 입력 수식은 이 로캘 문법으로 해석)
+    this.locale = resolveFormulaLocale(options.locale);
+    Object.assign(this.config, this.locale);
+
+    // HyperFormula undo/redo 스택과 동일하게 유지되는 작업 설명 목록
+    this.history = { undo: [], redo: [] };
+
+    // 저장소에서 복원하면서 사라진 히스토리 항목 수 ({ undo, redo, restoredAt }, 없으면 null)
+    this.discardedHistory = null;
   }
 
   // Excel 데이터로부터 HyperFormula 인스턴스 생성
@@ -89,15 +177,19 @@ class FormulaEngine {
     try {
       if (Array.isArray(excelData) && excelData.length > 0) {
         // 2D 배열 형태의 데이터
-        this.hyperFormula = HyperFormula.buildFromArray(excelData, HF_CONFIG);
+        this.hyperFormula = HyperFormula.buildFromArray(excelData, this.config);
+        trackSheets(this.hyperFormula, [excelData]);
       } else if (typeof excelData === 'object' && excelData.sheets) {
         // 다중 시트 데이터
-        this.hyperFormula = HyperFormula.buildFromSheets(excelData.sheets, HF_CONFIG);
+        this.hyperFormula = buildFromSheets(excelData.sheets, this.config);
       } else {
         // 빈 워크북 생성
-        this.hyperFormula = HyperFormula.buildEmpty(HF_CONFIG);
+        this.hyperFormula = HyperFormula.buildEmpty(this.config);
+        trackSheets(this.hyperFormula, []);
       }
       
+      this.history = { undo: [], redo: [] };
+      this.discardedHistory = null;
       this.lastActivity = Date.now();
       return { success: true, message: 'FormulaEngine 생성 완료' };
     } catch (error) {
@@ -130,6 +222,9 @@ class FormulaEngine {
         
         // 전체 통계 업데이트
         analysis.totalFormulas += sheetAnalysis.formulaCount;
+        Object.entries(sheetAnalysis.complexity).forEach(([level, count]) => {
+          analysis.formulaComplexity[level] += count;
+        });
         Object.entries(sheetAnalysis.functions).forEach(([func, count]) => {
           analysis.functions[func] = (analysis.functions[func] || 0) + count;
         });
@@ -138,6 +233,12 @@ class FormulaEngine {
         analysis.dependencies.push(...sheetAnalysis.dependencies);
       });
 
+      // 순환 참조 (참조 그래프의 강한 연결 요소, 시트별 결과에는 해당 시트를 지나는 순환)
+      analysis.circularReferences = findCircularReferences(this.hyperFormula, { locale: this.locale });
+      analysis.sheets.forEach(sheetAnalysis => {
+        sheetAnalysis.circularReferences = analysis.circularReferences.filter(cycle => cycle.sheets.includes(sheetAnalysis.name));
+      });
+
       this.lastActivity = Date.now();
       return { success: true, data: analysis };
     } catch (error) {
@@ -153,9 +254,11 @@ class FormulaEngine {
       id: sheetId,
       dimensions,
       formulaCount: 0,
+      complexity: { simple: 0, medium: 0, complex: 0 },
       functions: {},
       errors: [],
       dependencies: [],
+      circularReferences: [],
       dataTypes: { number: 0, text: 0, formula: 0, empty: 0, error: 0 }
     };
 
@@ -163,112 +266,492 @@ class FormulaEngine {
       return analysis;
     }
 
+    // 값이 있는 셀만 순회 (빈 셀은 개수만 계산)
+    const cells = getPopulatedCells(this.hyperFormula, sheetId);
+    analysis.dataTypes.empty = dimensions.width * dimensions.height - cells.length;
+
     // 각 셀 분석
-    for (let row = 0; row < dimensions.height; row++) {
-      for (let col = 0; col < dimensions.width; col++) {
-        const cellAddress = { sheet: sheetId, row, col };
-        
-        try {
-          const isEmpty = this.hyperFormula.isCellEmpty(cellAddress);
-          const hasFormula = this.hyperFormula.doesCellHaveFormula(cellAddress);
-          const value = this.hyperFormula.getCellValue(cellAddress);
-
-          if (isEmpty) {
-            analysis.dataTypes.empty++;
-          } else if (hasFormula) {
-            analysis.dataTypes.formula++;
-            analysis.formulaCount++;
-            
-            const formula = this.hyperFormula.getCellFormula(cellAddress);
-            this.analyzeFormula(formula, cellAddress, analysis);
-          } else {
-            if (typeof value === 'number') {
-              analysis.dataTypes.number++;
-            } else if (typeof value === 'string') {
-              if (value.toString().includes('#')) {
-                analysis.dataTypes.error++;
-                analysis.errors.push({
-                  location: `${sheetName}!${row + 1}:${col + 1}`,
-                  type: 'cell_error',
-                  value: value
-                });
-              } else {
-                analysis.dataTypes.text++;
-              }
+    cells.forEach(cellAddress => {
+      const { row, col } = cellAddress;
+
+      try {
+        const hasFormula = this.hyperFormula.doesCellHaveFormula(cellAddress);
+        const value = this.hyperFormula.getCellValue(cellAddress);
+
+        if (hasFormula) {
+          analysis.dataTypes.formula++;
+          analysis.formulaCount++;
+
+          const formula = this.hyperFormula.getCellFormula(cellAddress);
+          this.analyzeFormula(formula, cellAddress, analysis);
+
+        } else {
+          if (typeof value === 'number') {
+            analysis.dataTypes.number++;
+          } else if (typeof value === 'string') {
+            if (value.toString().includes('#')) {
+              analysis.dataTypes.error++;
+              analysis.errors.push({
+                location: `${sheetName}!${row + 1}:${col + 1}`,
+                type: 'cell_error',
+                value: value
+              });
+            } else {
+              analysis.dataTypes.text++;
             }
           }
-        } catch (error) {
-          analysis.errors.push({
-            location: `${sheetName}!${row + 1}:${col + 1}`,
-            type: 'analysis_error',
-            message: error.message
-          });
         }
+      } catch (error) {
+        analysis.errors.push({
+          location: `${sheetName}!${row + 1}:${col + 1}`,
+          type: 'analysis_error',
+          message: error.message
+        });
       }
-    }
+    });
 
     return analysis;
   }
 
-  // 개별 수식 분석
+  // 개별 수식 분석 (세션 로캘 수식을 영문 문법으로 바꾸어 파싱)
   analyzeFormula(formula, cellAddress, analysis) {
     if (!formula) return;
 
-    // 함수 추출
-    const functions = this.extractFunctions(formula);
-    functions.forEach(func => {
+    const summary = summarizeFormula(translateFormula(formula, this.locale, DEFAULT_LANGUAGE));
+    analysis.complexity[formulaComplexity(summary)]++;
+
+    // 함수 카운트
+    summary.functions.forEach(func => {
       analysis.functions[func] = (analysis.functions[func] || 0) + 1;
     });
 
-    // 의존성 분석
+    // 의존성 분석 (수식에 적힌 참조·범위·이름 정의)
+    const precedents = [...summary.references.map(reference => reference.text), ...summary.names];
+    if (precedents.length > 0) {
+      analysis.dependencies.push({
+        cell: cellAddress,
+        formula: formula,
+        dependsOn: precedents.length,
+        precedents: precedents
+      });
+    }
+  }
+
+  // 수식 검증
+  validateFormula(formula) {
+    try {
+      const validation = this.hyperFormula.validateFormula(formula);
+      return { success: true, valid: validation.valid, errors: validation.errors || [] };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 수식 계산 (resultLocale 지정 시 오류 값을 해당 로캘로 변환)
+  calculateFormula(formula, resultLocale = null) {
+    try {
+      const result = this.hyperFormula.calculateFormula(formula, 0);
+      return { success: true, result: this.localizeResult(result, resultLocale) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 셀 내용 조회 (resultLocale 지정 시 수식과 오류 값을 해당 로캘로 변환)
+  getCellContents(sheetName, address, resultLocale = null) {
+    if (!this.hyperFormula) {
+      return { success: false, error: 'HyperFormula 인스턴스가 없습니다.' };
+    }
+
+    try {
+      const cellAddress = this.resolveCellAddress(sheetName, address);
+      const target = resultLocale ? resolveFormulaLocale(resultLocale) : this.locale;
+      const formula = this.hyperFormula.getCellFormula(cellAddress);
+      this.lastActivity = Date.now();
+      return {
+        success: true,
+        locale: target,
+        cell: {
+          sheet: this.hyperFormula.getSheetName(cellAddress.sheet),
+          address: this.hyperFormula.simpleCellAddressToString(cellAddress, cellAddress.sheet),
+          value: translateErrorValue(this.serializeValue(this.hyperFormula.getCellValue(cellAddress)), this.locale, target),
+          formula: formula ? translateFormula(formula, this.locale, target) : null
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 셀 내용 변경 (값 또는 수식) 후 재계산된 셀 목록 반환
+  setCellContents(sheetName, address, contents) {
+    if (!this.hyperFormula) {
+      return { success: false, error: 'HyperFormula 인스턴스가 없습니다.' };
+    }
+
+    try {
+      const topLeft = this.resolveCellAddress(sheetName, address);
+      const previousValues = this.collectPreviousValues(this.expandTargetCells(topLeft, contents));
+      const changes = this.hyperFormula.setCellContents(topLeft, contents);
+      trackCellContents(this.hyperFormula, topLeft, contents);
+
+      this.recordHistory(`셀 변경: ${this.describeTarget(topLeft, contents)}`);
+      this.lastActivity = Date.now();
+      return { success: true, changes: this.formatChanges(changes, previousValues) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 여러 작업을 하나의 단위로 적용 (하나라도 실패하면 전체 롤백)
+  applyBatch(operations) {
+    if (!this.hyperFormula) {
+      return { success: false, error: 'HyperFormula 인스턴스가 없습니다.' };
+    }
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return { success: false, error: '적용할 작업 목록(operations)이 비어 있습니다.' };
+    }
+
+    const unknown = operations.findIndex(op => !op || !BATCH_OPERATION_TYPES.includes(op.type));
+    if (unknown !== -1) {
+      return {
+        success: false,
+        error: `지원하지 않는 작업 유형입니다: ${operations[unknown]?.type}`,
+        failedOperation: { index: unknown, type: operations[unknown]?.type },
+        rolledBack: false
+      };
+    }
+
+    // Undo가 비활성화된 경우에만 롤백용 스냅샷 생성
+    const snapshot = this.config.undoLimit > 0 ? null : this.createSnapshot();
+    let currentIndex = 0;
+
     try {
-      const precedents = this.hyperFormula.getCellPrecedents(cellAddress);
-      if (precedents.length > 0) {
-        analysis.dependencies.push({
-          cell: cellAddress,
-          formula: formula,
-          dependsOn: precedents.length,
-          precedents: precedents
+      const changes = this.hyperFormula.batch(() => {
+        operations.forEach((operation, index) => {
+          currentIndex = index;
+          this.applyOperation(operation);
         });
-      }
+      });
+
+      this.recordHistory(`배치 작업: ${operations.length}개`);
+      this.lastActivity = Date.now();
+      return {
+        success: true,
+        applied: operations.length,
+        changes: this.formatChanges(changes)
+      };
     } catch (error) {
-      // 의존성 분석 실패는 무시
+      this.rollbackBatch(snapshot);
+      this.lastActivity = Date.now();
+      return {
+        success: false,
+        error: error.message,
+        failedOperation: { index: currentIndex, type: operations[currentIndex].type },
+        rolledBack: true
+      };
     }
   }
 
-  // 수식에서 함수 추출
-  extractFunctions(formula) {
-    const functionPattern = /([A-Z][A-Z0-9]*)\s*\(/g;
-    const functions = [];
-    let match;
-    
-    while ((match = functionPattern.exec(formula)) !== null) {
-      functions.push(match[1]);
+  // 개별 배치 작업 적용 (행/열 번호는 Excel 기준 1부터 시작)
+  applyOperation(operation) {
+    const hf = this.hyperFormula;
+
+    switch (operation.type) {
+      case 'setCellContents': {
+        const topLeft = this.resolveCellAddress(operation.sheet, operation.address);
+        hf.setCellContents(topLeft, operation.contents);
+        trackCellContents(hf, topLeft, operation.contents);
+        break;
+      }
+
+      // 셀 색인도 같은 만큼 행을 이동
+      case 'addRows': {
+        const sheetId = this.resolveSheetId(operation.sheet);
+        hf.addRows(sheetId, [operation.row - 1, operation.count || 1]);
+        trackRowShift(hf, sheetId, operation.row - 1, operation.count || 1);
+        break;
+      }
+
+      case 'removeRows': {
+        const sheetId = this.resolveSheetId(operation.sheet);
+        const count = operation.count || 1;
+        hf.removeRows(sheetId, [operation.row - 1, count]);
+        trackRowShift(hf, sheetId, operation.row - 1 + count, -count);
+        break;
+      }
+
+      case 'addSheet':
+        hf.addSheet(operation.name);
+        break;
+
+      case 'removeSheet':
+        hf.removeSheet(this.resolveSheetId(operation.sheet));
+        break;
+
+      case 'renameSheet':
+        hf.renameSheet(this.resolveSheetId(operation.sheet), operation.newName);
+        break;
+
+      case 'clearSheet':
+        hf.clearSheet(this.resolveSheetId(operation.sheet));
+        break;
     }
-    
-    return [...new Set(functions)]; // 중복 제거
   }
 
-  // 수식 검증
-  validateFormula(formula) {
+  // 실패한 배치 롤백
+  rollbackBatch(snapshot) {
+    if (!snapshot) {
+      // 실패한 배치도 HyperFormula 히스토리에 하나의 항목으로 기록되므로 undo로 되돌림
+      // (히스토리가 가득 찬 경우 가장 오래된 항목 하나는 HyperFormula와 동일하게 제거됨)
+      this.recordHistory('실패한 배치 작업');
+      this.hyperFormula.undo();
+      this.hyperFormula.clearRedoStack();
+      this.history.undo.pop();
+      this.history.redo = [];
+      return;
+    }
+
+    this.restoreSnapshot(snapshot);
+  }
+
+  // 마지막 작업 취소
+  undo() {
+    if (!this.hyperFormula) {
+      return { success: false, error: 'HyperFormula 인스턴스가 없습니다.' };
+    }
+
+    if (!this.hyperFormula.isThereSomethingToUndo()) {
+      return { success: false, error: `취소할 작업이 없습니다.${this.describeDiscardedHistory('undo')}` };
+    }
+
     try {
-      const validation = this.hyperFormula.validateFormula(formula);
-      return { success: true, valid: validation.valid, errors: validation.errors || [] };
+      const changes = this.hyperFormula.undo();
+      const entry = this.history.undo.pop();
+      this.history.redo.push(entry);
+
+      this.lastActivity = Date.now();
+      return { success: true, undone: entry.description, changes: this.formatChanges(changes) };
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
 
-  // 수식 계산
-  calculateFormula(formula) {
+  // 취소한 작업 다시 실행
+  redo() {
+    if (!this.hyperFormula) {
+      return { success: false, error: 'HyperFormula 인스턴스가 없습니다.' };
+    }
+
+    if (!this.hyperFormula.isThereSomethingToRedo()) {
+      return { success: false, error: `다시 실행할 작업이 없습니다.${this.describeDiscardedHistory('redo')}` };
+    }
+
     try {
-      const result = this.hyperFormula.calculateFormula(formula, 0);
-      return { success: true, result: result };
+      const changes = this.hyperFormula.redo();
+      const entry = this.history.redo.pop();
+      this.history.undo.push(entry);
+
+      this.lastActivity = Date.now();
+      return { success: true, redone: entry.description, changes: this.formatChanges(changes) };
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
 
+  // 작업 히스토리 조회 (최근 작업이 먼저)
+  getHistory() {
+    return {
+      success: true,
+      undoLimit: this.config.undoLimit,
+      canUndo: !!this.hyperFormula && this.hyperFormula.isThereSomethingToUndo(),
+      canRedo: !!this.hyperFormula && this.hyperFormula.isThereSomethingToRedo(),
+      undo: [...this.history.undo].reverse(),
+      redo: [...this.history.redo].reverse(),
+      discarded: this.discardedHistory
+    };
+  }
+
+  // 복원 시 사라진 히스토리 안내 문구 (사라진 항목이 없으면 빈 문자열)
+  describeDiscardedHistory(stack) {
+    const count = this.discardedHistory ? this.discardedHistory[stack] : 0;
+    return count > 0 ? ` 세션이 저장소에서 복원되면서 이전 작업 ${count}개의 히스토리가 초기화되었습니다.` : '';
+  }
+
+  // 새 작업 기록 (HyperFormula와 동일하게 undoLimit 초과분은 오래된 것부터 제거, redo 초기화)
+  recordHistory(description) {
+    if (this.config.undoLimit === 0) return;
+
+    this.history.undo.push({ description, timestamp: new Date().toISOString() });
+    this.history.undo.splice(0, Math.max(0, this.history.undo.length - this.config.undoLimit));
+    this.history.redo = [];
+  }
+
+  // 히스토리용 변경 대상 설명 (예: Sheet1!A1, Sheet1!A1 (3x2))
+  describeTarget(topLeft, contents) {
+    const address = this.hyperFormula.simpleCellAddressToString(topLeft, { includeSheetName: true });
+    if (!Array.isArray(contents)) {
+      return address;
+    }
+
+    const width = Math.max(0, ...contents.map(row => (Array.isArray(row) ? row.length : 1)));
+    return `${address} (${contents.length}x${width})`;
+  }
+
+  // 롤백용 스냅샷 (직렬화된 시트 + 이름 정의)
+  createSnapshot() {
+    return createWorkbookSnapshot(this.hyperFormula);
+  }
+
+  // 스냅샷으로부터 HyperFormula 인스턴스 재생성
+  restoreSnapshot(snapshot) {
+    if (this.hyperFormula) {
+      this.hyperFormula.destroy();
+    }
+    this.hyperFormula = buildFromWorkbookSnapshot(snapshot, this.config);
+  }
+
+  // 세션 직렬화 (세션 저장소 영속화용)
+  // HyperFormula undo 스택은 직렬화할 수 없으므로 히스토리는 항목 수만 기록하여 복원 시 초기화 사실을 알림
+  serialize() {
+    return {
+      type: 'basic',
+      sessionId: this.sessionId,
+      config: { undoLimit: this.config.undoLimit, locale: this.locale },
+      lastActivity: this.lastActivity,
+      workbook: this.hyperFormula ? this.createSnapshot() : null,
+      historyLength: { undo: this.history.undo.length, redo: this.history.redo.length }
+    };
+  }
+
+  // 직렬화된 세션으로부터 엔진 복원
+  static restore(data) {
+    const engine = new FormulaEngine(data.sessionId, data.config || {});
+    if (data.workbook) {
+      engine.restoreSnapshot(data.workbook);
+    }
+
+    const { undo = 0, redo = 0 } = data.historyLength || {};
+    if (undo > 0 || redo > 0) {
+      engine.discardedHistory = { undo, redo, restoredAt: new Date().toISOString() };
+    }
+    return engine;
+  }
+
+  resolveSheetId(sheetName) {
+    const sheetId = this.hyperFormula.getSheetId(sheetName);
+    if (sheetId === undefined) {
+      throw new Error(`시트를 찾을 수 없습니다: ${sheetName}`);
+    }
+    return sheetId;
+  }
+
+  // 시트명 + A1 주소를 HyperFormula 셀 주소로 변환 (시트 미지정 시 첫 번째 시트)
+  resolveCellAddress(sheetName, address) {
+    const sheetId = this.resolveSheetId(sheetName || this.hyperFormula.getSheetNames()[0]);
+
+    const cellAddress = typeof address === 'string'
+      ? this.hyperFormula.simpleCellAddressFromString(address, sheetId)
+      : undefined;
+    if (!cellAddress) {
+      throw new Error(`잘못된 셀 주소입니다: ${address}`);
+    }
+
+    return cellAddress;
+  }
+
+  // 2D 배열 입력 시 변경 대상 셀 전체 목록 계산
+  expandTargetCells(topLeft, contents) {
+    if (!Array.isArray(contents)) {
+      return [topLeft];
+    }
+
+    const cells = [];
+    contents.forEach((row, rowOffset) => {
+      (Array.isArray(row) ? row : [row]).forEach((_, colOffset) => {
+        cells.push({ sheet: topLeft.sheet, row: topLeft.row + rowOffset, col: topLeft.col + colOffset });
+      });
+    });
+    return cells;
+  }
+
+  // 변경 대상 셀과 전이적 종속 셀의 현재 값 수집 (재계산 전 값 보존용)
+  // HyperFormula 변경 목록에는 이전 값이 없으므로 재계산될 수 있는 셀만 미리 읽음
+  // - 큐는 shift() 대신 읽기 위치로 순회하고, 방문한 셀은 다시 넣지 않아 종속 셀·참조 수에 비례
+  // - 범위 노드는 종속 셀 탐색에만 쓰고 값을 읽지 않음
+  collectPreviousValues(targets) {
+    const values = new Map();
+    const visited = new Set();
+    const queue = [];
+    const enqueue = node => {
+      const key = node.start
+        ? `${this.cellKey(node.start)}:${this.cellKey(node.end)}`
+        : this.cellKey(node);
+      if (visited.has(key)) return;
+      visited.add(key);
+      queue.push(node);
+    };
+
+    targets.forEach(enqueue);
+    for (let next = 0; next < queue.length; next++) {
+      const node = queue[next];
+      if (!node.start) {
+        values.set(this.cellKey(node), this.serializeValue(this.hyperFormula.getCellValue(node)));
+      }
+
+      try {
+        this.hyperFormula.getCellDependents(node).forEach(enqueue);
+      } catch (error) {
+        // 종속성 조회 실패는 무시 (빈 셀 등)
+      }
+    }
+
+    return values;
+  }
+
+  // HyperFormula 변경 목록을 { sheet, address, oldValue, newValue } 형태로 변환
+  // (previousValues가 없으면 oldValue 생략 - 행 삽입 등으로 주소가 바뀌는 배치 작업)
+  formatChanges(changes, previousValues = null) {
+    // undo 등으로 삭제된 시트의 변경 사항은 제외
+    return changes
+      .filter(change => change.address && this.hyperFormula.getSheetName(change.address.sheet) !== undefined)
+      .map(change => {
+        const formatted = {
+          sheet: this.hyperFormula.getSheetName(change.address.sheet),
+          address: this.hyperFormula.simpleCellAddressToString(change.address, change.address.sheet)
+        };
+
+        if (previousValues) {
+          const key = this.cellKey(change.address);
+          formatted.oldValue = previousValues.has(key) ? previousValues.get(key) : null;
+        }
+
+        formatted.newValue = this.serializeValue(change.newValue);
+        return formatted;
+      });
+  }
+
+  cellKey({ sheet, row, col }) {
+    return `${sheet}:${row}:${col}`;
+  }
+
+  // 계산 결과의 오류 값을 요청한 로캘로 변환 (미지정 시 세션 로캘 그대로)
+  localizeResult(value, resultLocale) {
+    if (!resultLocale || !(value instanceof DetailedCellError)) {
+      return value;
+    }
+    return { ...value, value: translateErrorValue(value.value, this.locale, resultLocale) };
+  }
+
+  // 셀 값을 JSON 응답용으로 변환 (오류 객체는 '#DIV/0!' 등 문자열로)
+  serializeValue(value) {
+    if (value instanceof DetailedCellError) {
+      return value.value;
+    }
+    return value === undefined ? null : value;
+  }
+
   // 세션 정리
   cleanup() {
     if (this.hyperFormula) {
@@ -279,233 +762,1012 @@ class FormulaEngine {
   }
 }
 
+// 파일 파싱·변환·분석용 워커 스레드 풀 (이벤트 루프 차단 방지)
+const workerPool = new WorkerPool({
+  script: path.join(__dirname, 'analysis_worker.js'),
+  size: parseInt(process.env.WORKER_POOL_SIZE, 10) || undefined,
+  maxQueue: parseInt(process.env.WORKER_QUEUE_LIMIT, 10) || undefined,
+  maxMemoryMb: parseInt(process.env.WORKER_MAX_MEMORY_MB, 10) || undefined
+});
+
+// 비동기 분석 작업 (analyze-file의 작업 모드)
+const analysisJobs = new AnalysisJobManager({
+  retentionMs: parseInt(process.env.ANALYSIS_JOB_RETENTION_MS, 10) || undefined
+});
+
+sessionManager.registerType('basic', FormulaEngine, '기본');
+sessionManager.registerType('integrated', IntegratedEngine, '통합');
+
+// 세션 조회 (메모리에 없으면 세션 저장소에서 복원)
+async function getSession(sessionId) {
+  return sessionManager.get('basic', sessionId);
+}
+
+async function getIntegratedSession(sessionId) {
+  return sessionManager.get('integrated', sessionId);
+}
+
+async function persistSession(engine) {
+  return sessionManager.persist(engine);
+}
+
+// 워커 스레드에서 통합 분석 후 결과를 세션에 반영
+// (분석 중에는 세션이 메모리 제거·만료 대상에서 제외됨)
+async function analyzeInWorker(engine, fileBuffer, options, { signal, onProgress, onStart } = {}) {
+  sessionManager.retain(engine.sessionId);
+  try {
+    const { result, workbook } = await workerPool.run({
+      type: 'analyze',
+      sessionId: engine.sessionId,
+      engineOptions: engine.options,
+      buffer: fileBuffer,
+      options
+    }, { signal, onProgress, onStart });
+
+    if (result.success) {
+      engine.applyAnalysisResult(result, workbook);
+      await persistSession(engine);
+    }
+    return result;
+  } finally {
+    sessionManager.release(engine.sessionId);
+  }
+}
+
+// 세션 할당량 기준이 되는 클라이언트 식별자 (Rails 앱이 사용자별로 전달, 없으면 IP)
+function getClientId(req) {
+  return req.get('X-Client-Id') || req.ip;
+}
+
+// 세션 생성 오류 응답 (할당량 초과는 429)
+function sendSessionCreateError(res, error) {
+  if (error instanceof SessionQuotaError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      type: error.type,
+      limit: error.limit
+    });
+  }
+  // 잘못된 세션 옵션 (로캘 등)
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      type: error.type
+    });
+  }
+  res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// 대용량 작업 전 메모리 여유 확인 (LRU 제거 후에도 부족하면 503 응답)
+function ensureMemoryHeadroom(res, sessionId) {
+  if (sessionManager.hasMemoryHeadroom(sessionId)) return true;
+
+  res.status(503).json({
+    success: false,
+    error: '서버 메모리가 부족합니다. 잠시 후 다시 시도하세요.',
+    type: 'memory_limit_exceeded'
+  });
+  return false;
+}
+
 // API 엔드포인트들
 
-// 헬스 체크
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    service: 'FormulaEngine',
-    version: '1.0.0',
-    hyperformulaVersion: HyperFormula.version,
-    supportedFunctions: Object.keys(HyperFormula.getRegisteredFunctionNames('enGB')).length,
-    activeSessions: sessions.size,
-    uptime: process.uptime(),
-    memory: process.memoryUsage()
+// 헬스 체크
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    service: 'FormulaEngine',
+    version: '1.0.0',
+    hyperformulaVersion: HyperFormula.version,
+    supportedFunctions: Object.keys(HyperFormula.getRegisteredFunctionNames('enGB')).length,
+    activeSessions: sessionManager.count('basic'),
+    sessions: sessionManager.getStats(),
+    workerPool: workerPool.getStats(),
+    uptime: process.uptime(),
+    memory: process.memoryUsage()
+  });
+});
+
+// 세션 생성
+app.post('/sessions', async (req, res) => {
+  try {
+    const engine = await sessionManager.create('basic', getClientId(req), req.body.options || {});
+    
+    res.json({
+      success: true,
+      sessionId: engine.sessionId,
+      locale: engine.locale,
+      message: 'FormulaEngine 세션이 생성되었습니다.'
+    });
+  } catch (error) {
+    sendSessionCreateError(res, error);
+  }
+});
+
+// 요청 클라이언트의 세션 목록과 추정 메모리 사용량
+app.get('/sessions', (req, res) => {
+  res.json({
+    success: true,
+    ...sessionManager.getStats(getClientId(req))
+  });
+});
+
+// Excel 데이터 로드
+app.post('/sessions/:sessionId/load', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { excelData } = req.body;
+    
+    const engine = await getSession(sessionId);
+    if (!engine) {
+      return res.status(404).json({
+        success: false,
+        error: '세션을 찾을 수 없습니다.'
+      });
+    }
+    if (!ensureMemoryHeadroom(res, sessionId)) return;
+
+    const result = engine.createFromExcelData(excelData);
+    if (result.success) {
+      await persistSession(engine);
+    }
+    
+    console.log(`📊 Excel 데이터 로드: ${sessionId}`);
+    res.json(result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      type: error.type
+    });
+  }
+});
+
+// 수식 분석
+app.get('/sessions/:sessionId/analyze', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    const engine = await getSession(sessionId);
+    if (!engine) {
+      return res.status(404).json({
+        success: false,
+        error: '세션을 찾을 수 없습니다.'
+      });
+    }
+
+    const result = engine.analyzeFormulas();
+    
+    console.log(`🔍 수식 분석 수행: ${sessionId}`);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 수식 검증
+app.post('/sessions/:sessionId/validate', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { formula } = req.body;
+    
+    const engine = await getSession(sessionId);
+    if (!engine) {
+      return res.status(404).json({
+        success: false,
+        error: '세션을 찾을 수 없습니다.'
+      });
+    }
+
+    const result = engine.validateFormula(formula);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 수식 계산
+app.post('/sessions/:sessionId/calculate', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { formula, resultLocale } = req.body;
+    
+    const engine = await getSession(sessionId);
+    if (!engine) {
+      return res.status(404).json({
+        success: false,
+        error: '세션을 찾을 수 없습니다.'
+      });
+    }
+
+    const result = engine.calculateFormula(formula, resultLocale);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 배치 작업 적용 (트랜잭션 - 실패 시 전체 롤백)
+app.post('/sessions/:sessionId/batch', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { operations } = req.body;
+
+    const engine = await getSession(sessionId);
+    if (!engine) {
+      return res.status(404).json({
+        success: false,
+        error: '세션을 찾을 수 없습니다.'
+      });
+    }
+
+    const result = engine.applyBatch(operations);
+
+    if (result.success) {
+      await persistSession(engine);
+      console.log(`📦 배치 작업 적용: ${sessionId} (${result.applied}개 작업, ${result.changes.length}개 셀 재계산)`);
+    } else if (result.rolledBack) {
+      console.log(`↩️  배치 작업 롤백: ${sessionId} - ${result.failedOperation.index}번 작업 실패: ${result.error}`);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      type: error.type
+    });
+  }
+});
+
+// 작업 히스토리 조회
+app.get('/sessions/:sessionId/history', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const engine = await getSession(sessionId);
+    if (!engine) {
+      return res.status(404).json({
+        success: false,
+        error: '세션을 찾을 수 없습니다.'
+      });
+    }
+
+    res.json(engine.getHistory());
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 마지막 작업 취소
+app.post('/sessions/:sessionId/undo', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const engine = await getSession(sessionId);
+    if (!engine) {
+      return res.status(404).json({
+        success: false,
+        error: '세션을 찾을 수 없습니다.'
+      });
+    }
+
+    const result = engine.undo();
+    if (result.success) {
+      await persistSession(engine);
+      console.log(`⏪ 작업 취소: ${sessionId} - ${result.undone}`);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      type: error.type
+    });
+  }
+});
+
+// 취소한 작업 다시 실행
+app.post('/sessions/:sessionId/redo', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const engine = await getSession(sessionId);
+    if (!engine) {
+      return res.status(404).json({
+        success: false,
+        error: '세션을 찾을 수 없습니다.'
+      });
+    }
+
+    const result = engine.redo();
+    if (result.success) {
+      await persistSession(engine);
+      console.log(`⏩ 작업 다시 실행: ${sessionId} - ${result.redone}`);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      type: error.type
+    });
+  }
+});
+
+// 셀 내용 조회
+app.get('/sessions/:sessionId/cells', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { sheet, address, resultLocale } = req.query;
+
+    const engine = await getSession(sessionId);
+    if (!engine) {
+      return res.status(404).json({
+        success: false,
+        error: '세션을 찾을 수 없습니다.'
+      });
+    }
+
+    const result = engine.getCellContents(sheet, address, resultLocale);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 셀 내용 변경 (값 또는 수식) 및 재계산 결과 반환
+app.post('/sessions/:sessionId/cells', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { sheet, address, contents } = req.body;
+
+    const engine = await getSession(sessionId);
+    if (!engine) {
+      return res.status(404).json({
+        success: false,
+        error: '세션을 찾을 수 없습니다.'
+      });
+    }
+
+    const result = engine.setCellContents(sheet, address, contents);
+
+    if (result.success) {
+      await persistSession(engine);
+      console.log(`✏️  셀 변경: ${sessionId} - ${sheet || ''}!${address} (${result.changes.length}개 셀 재계산)`);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      type: error.type
+    });
+  }
+});
+
+// 지원 함수 목록 (language 지정 시 해당 언어 함수명, 기본 enGB)
+app.get('/functions', (req, res) => {
+  try {
+    const { language } = resolveFormulaLocale(req.query.language);
+    const functions = Object.values(HyperFormula.getRegisteredFunctionNames(language));
+    const localize = names => localizeFunctionNames(language, names).filter(f => functions.includes(f));
+    const customFunctions = getCustomFunctions(language);
+    const categories = {
+      MATH: localize(['SUM', 'AVERAGE', 'MAX', 'MIN', 'ABS', 'ROUND', 'SQRT']),
+      LOGICAL: localize(['IF', 'AND', 'OR', 'NOT', 'TRUE', 'FALSE', 'IFS', 'SWITCH']),
+      TEXT: localize(['CONCATENATE', 'LEFT', 'RIGHT', 'LEN', 'UPPER', 'LOWER', 'TEXTJOIN']),
+      DATE: localize(['DATE', 'TIME', 'NOW', 'TODAY', 'YEAR', 'MONTH', 'DAY']),
+      LOOKUP: localize(['VLOOKUP', 'HLOOKUP', 'INDEX', 'MATCH', 'XLOOKUP', 'XMATCH']),
+      DYNAMIC_ARRAY: localize(['FILTER', 'UNIQUE', 'SORT', 'SEQUENCE']),
+      STATISTICAL: localize(['COUNT', 'COUNTA', 'COUNTIF', 'SUMIF', 'AVERAGEIF']),
+      CUSTOM: customFunctions.map(f => f.name)
+    };
+
+    res.json({
+      success: true,
+      language,
+      languages: getFormulaLanguages(),
+      total: functions.length,
+      functions: functions.sort(),
+      categories: categories,
+      customFunctions
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      type: error.type
+    });
+  }
+});
+
+// 사용자 정의 함수 플러그인 로드 결과
+app.get('/functions/plugins', (req, res) => {
+  res.json({
+    success: true,
+    ...getFunctionPluginStatus()
+  });
+});
+
+// 플러그인 디렉터리 검증 (등록하지 않고 파일을 다시 읽어 형식 오류·함수명 충돌 확인)
+app.post('/functions/plugins/validate', (req, res) => {
+  try {
+    const result = validateFunctionPlugins();
+
+    console.log(`🧩 함수 플러그인 검증: ${result.plugins.length}개 정상, ${result.errors.length}개 오류`);
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 수식 로캘 변환 (예: deDE '=SUMME(A1;1,5)' → enGB '=SUM(A1,1.5)')
+app.post('/formulas/translate', (req, res) => {
+  try {
+    const { formula, from, to } = req.body;
+    if (typeof formula !== 'string' || !formula.startsWith('=')) {
+      return res.status(400).json({
+        success: false,
+        error: '변환할 수식(formula)은 =로 시작하는 문자열이어야 합니다.'
+      });
+    }
+
+    const source = resolveFormulaLocale(from);
+    const target = resolveFormulaLocale(to);
+    res.json({
+      success: true,
+      formula: translateFormula(formula, source, target),
+      from: source,
+      to: target
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      type: error.type
+    });
+  }
+});
+
+// 수식 구문 분석 (AST와 함수·참조·범위·리터럴·연산자 요약, locale 지정 시 해당 로캘 문법으로 해석)
+app.post('/formulas/parse', (req, res) => {
+  try {
+    const { formula, locale } = req.body;
+    if (typeof formula !== 'string' || !formula.startsWith('=')) {
+      return res.status(400).json({
+        success: false,
+        error: '분석할 수식(formula)은 =로 시작하는 문자열이어야 합니다.'
+      });
+    }
+
+    const canonical = locale ? translateFormula(formula, locale, DEFAULT_LANGUAGE) : formula;
+    const ast = parseFormula(canonical);
+    const { parseError, ...summary } = summarizeFormula(canonical);
+
+    res.json({
+      success: true,
+      formula: canonical,
+      ast,
+      ...summary,
+      complexity: formulaComplexity(summary)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      type: error.type,
+      ...(error.position !== undefined && { position: error.position })
+    });
+  }
+});
+
+// 세션 삭제
+app.delete('/sessions/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    await sessionManager.delete('basic', sessionId);
+
+    res.json({
+      success: true,
+      message: '세션이 삭제되었습니다.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// 🆕 ExcelJS + HyperFormula 통합 API 엔드포인트들
+// ============================================================================
+
+// 통합 세션 생성
+app.post('/integrated/sessions', async (req, res) => {
+  try {
+    const engine = await sessionManager.create('integrated', getClientId(req), req.body.options || {});
+    
+    res.json({
+      success: true,
+      sessionId: engine.sessionId,
+      locale: engine.locale,
+      message: '통합 분석 세션이 생성되었습니다.',
+      capabilities: [
+        'Excel 파일 직접 업로드',
+        'ExcelJS + HyperFormula 통합 분석',
+        '호환성 검증',
+        '성능 측정',
+        '분석 보고서 생성'
+      ]
+    });
+  } catch (error) {
+    sendSessionCreateError(res, error);
+  }
+});
+
+// Excel 파일 업로드 및 통합 분석
+app.post('/integrated/sessions/:sessionId/analyze-file', upload.single('excelFile'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const engine = await getIntegratedSession(sessionId);
+    
+    if (!engine) {
+      return res.status(404).json({
+        success: false,
+        error: '통합 세션을 찾을 수 없습니다.'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Excel 파일이 업로드되지 않았습니다.'
+      });
+    }
+    // 확장자가 아닌 파일 내용으로 형식 확인 (지원하지 않는 형식은 415)
+    assertSupportedWorkbook(req.file.buffer);
+    if (analysisJobs.getActiveJob(sessionId)) {
+      return res.status(409).json({
+        success: false,
+        error: '이 세션에서 진행 중인 분석 작업이 있습니다.',
+        jobId: analysisJobs.getActiveJob(sessionId).jobId
+      });
+    }
+    if (!ensureMemoryHeadroom(res, sessionId)) return;
+
+    const options = {
+      validateCompatibility: req.body.validateCompatibility === 'true',
+      compareWithOriginal: req.body.compareWithOriginal === 'true',
+      tolerance: req.body.tolerance,
+      includePerformanceMetrics: req.body.includePerformanceMetrics === 'true'
+    };
+
+    // 작업 모드: 작업 ID를 즉시 반환하고 백그라운드에서 분석
+    if (req.body.async === 'true' || req.query.async === 'true') {
+      const { buffer, originalname } = req.file;
+      const job = analysisJobs.create(sessionId, async (signal, onProgress, onStart) => {
+        console.log(`📊 통합 Excel 파일 분석 작업 시작: ${sessionId} - ${originalname}`);
+        const result = await analyzeInWorker(engine, buffer, options, { signal, onProgress, onStart });
+        console.log(`${result.cancelled ? '🛑 통합 분석 작업 취소' : '✅ 통합 분석 작업 종료'}: ${sessionId}`);
+        return result;
+      });
+
+      const jobUrl = `/integrated/sessions/${sessionId}/jobs/${job.jobId}`;
+      return res.status(202).json({
+        success: true,
+        ...analysisJobs.describe(job),
+        statusUrl: jobUrl,
+        resultUrl: `${jobUrl}/result`,
+        eventsUrl: `${jobUrl}/events`,
+        cancelUrl: `${jobUrl}/cancel`
+      });
+    }
+
+    console.log(`📊 통합 Excel 파일 분석 시작: ${sessionId} - ${req.file.originalname}`);
+    
+    const analysisResult = await analyzeInWorker(engine, req.file.buffer, options);
+    
+    console.log(`✅ 통합 분석 완료: ${sessionId} (${analysisResult.performance?.totalTime}ms)`);
+    
+    res.json(analysisResult);
+  } catch (error) {
+    console.error(`❌ 통합 분석 실패: ${error.message}`);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      type: error.type || 'integrated_analysis_error'
+    });
+  }
+});
+
+// 분석 작업 상태 조회
+app.get('/integrated/sessions/:sessionId/jobs/:jobId', (req, res) => {
+  const job = analysisJobs.get(req.params.sessionId, req.params.jobId);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: '분석 작업을 찾을 수 없습니다.'
+    });
+  }
+
+  res.json({
+    success: true,
+    ...analysisJobs.describe(job)
+  });
+});
+
+// 분석 작업 진행 이벤트 스트림 (Server-Sent Events)
+app.get('/integrated/sessions/:sessionId/jobs/:jobId/events', (req, res) => {
+  const job = analysisJobs.get(req.params.sessionId, req.params.jobId);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: '분석 작업을 찾을 수 없습니다.'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // 프록시 버퍼링 비활성화
+  });
+  res.flushHeaders();
+
+  // compression 미들웨어가 버퍼링하지 않도록 이벤트마다 flush
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    res.flush?.();
+  };
+
+  const heartbeat = setInterval(() => {
+    res.write(': keep-alive\n\n');
+    res.flush?.();
+  }, 15000);
+
+  let unsubscribe = () => {};
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  unsubscribe = analysisJobs.subscribe(job, event => {
+    send(event.type, event);
+    if (event.type === 'done') {
+      close();
+      res.end();
+    }
+  });
+  req.on('close', close);
+});
+
+// 분석 작업 결과 조회 (완료 전에는 409)
+app.get('/integrated/sessions/:sessionId/jobs/:jobId/result', (req, res) => {
+  const job = analysisJobs.get(req.params.sessionId, req.params.jobId);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: '분석 작업을 찾을 수 없습니다.'
+    });
+  }
+
+  if (!job.finishedAt) {
+    return res.status(409).json({
+      success: false,
+      error: '분석 작업이 아직 완료되지 않았습니다.',
+      status: job.status
+    });
+  }
+
+  res.json(job.result || {
+    success: false,
+    cancelled: job.status === 'cancelled',
+    error: job.error || '분석이 취소되었습니다.'
   });
 });
 
-// 세션 생성
-app.post('/sessions', (req, res) => {
-  try {
-    const sessionId = require('uuid').v4();
-    const engine = new FormulaEngine(sessionId);
-    sessions.set(sessionId, engine);
-    
-    console.log(`📝 새 세션 생성: ${sessionId}`);
-    
-    res.json({
-      success: true,
-      sessionId: sessionId,
-      message: 'FormulaEngine 세션이 생성되었습니다.'
+// 분석 작업 취소
+app.post('/integrated/sessions/:sessionId/jobs/:jobId/cancel', (req, res) => {
+  const job = analysisJobs.get(req.params.sessionId, req.params.jobId);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: '분석 작업을 찾을 수 없습니다.'
     });
-  } catch (error) {
-    res.status(500).json({
+  }
+
+  if (!analysisJobs.cancel(job)) {
+    return res.status(409).json({
       success: false,
-      error: error.message
+      error: '이미 종료된 분석 작업입니다.',
+      status: job.status
     });
   }
+
+  console.log(`🛑 통합 분석 작업 취소 요청: ${job.sessionId} - ${job.jobId}`);
+  res.status(202).json({
+    success: true,
+    ...analysisJobs.describe(job)
+  });
 });
 
-// Excel 데이터 로드
-app.post('/sessions/:sessionId/load', (req, res) => {
+// ExcelJS ↔ HyperFormula 데이터 변환 테스트
+app.post('/integrated/convert/test', upload.single('excelFile'), async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    const { excelData } = req.body;
-    
-    const engine = sessions.get(sessionId);
-    if (!engine) {
-      return res.status(404).json({
+    if (!req.file) {
+      return res.status(400).json({
         success: false,
-        error: '세션을 찾을 수 없습니다.'
+        error: 'Excel 파일이 업로드되지 않았습니다.'
       });
     }
 
-    const result = engine.createFromExcelData(excelData);
+    assertSupportedWorkbook(req.file.buffer);
+    console.log(`🔄 데이터 변환 호환성 테스트 시작: ${req.file.originalname}`);
+
+    const testResults = await workerPool.run({ type: 'convertTest', buffer: req.file.buffer });
+
+    console.log(`✅ 변환 테스트 완료: ${testResults.conversions.length}개 변환 테스트`);
     
-    console.log(`📊 Excel 데이터 로드: ${sessionId}`);
-    res.json(result);
+    res.json(testResults);
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      type: error.type || 'conversion_test_error'
     });
   }
 });
 
-// 수식 분석
-app.get('/sessions/:sessionId/analyze', (req, res) => {
+// 세션 워크북 내보내기 (xlsx | ods)
+app.get('/integrated/sessions/:sessionId/export', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    
-    const engine = sessions.get(sessionId);
+    const format = req.query.format || 'xlsx';
+
+    if (!EXPORT_CONTENT_TYPES[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `지원하지 않는 내보내기 형식입니다: ${format} (xlsx, ods)`
+      });
+    }
+
+    const engine = await getIntegratedSession(sessionId);
     if (!engine) {
       return res.status(404).json({
         success: false,
-        error: '세션을 찾을 수 없습니다.'
+        error: '통합 세션을 찾을 수 없습니다.'
       });
     }
 
-    const result = engine.analyzeFormulas();
-    
-    console.log(`🔍 수식 분석 수행: ${sessionId}`);
-    res.json(result);
+    const fileBuffer = await engine.exportWorkbook(format);
+    if (!fileBuffer) {
+      return res.status(404).json({
+        success: false,
+        error: '내보낼 워크북이 없습니다. 먼저 파일을 분석하세요.'
+      });
+    }
+
+    const filename = `workbook_${sessionId}.${format}`;
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', fileBuffer.length);
+
+    console.log(`📤 워크북 내보내기: ${filename} (${fileBuffer.length} bytes)`);
+    res.send(fileBuffer);
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      type: 'workbook_export_error'
     });
   }
 });
 
-// 수식 검증
-app.post('/sessions/:sessionId/validate', (req, res) => {
+// 통합 문서 의존성 그래프 (JSON, Graphviz DOT, GraphML)
+app.get('/integrated/sessions/:sessionId/dependency-graph', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { formula } = req.body;
-    
-    const engine = sessions.get(sessionId);
+    const format = req.query.format || 'json';
+    const collapse = req.query.collapse || 'none';
+
+    if (!GRAPH_CONTENT_TYPES[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `지원하지 않는 그래프 형식입니다: ${format} (${Object.keys(GRAPH_CONTENT_TYPES).join(', ')})`
+      });
+    }
+    if (!GRAPH_COLLAPSE_MODES.includes(collapse)) {
+      return res.status(400).json({
+        success: false,
+        error: `지원하지 않는 collapse 값입니다: ${collapse} (${GRAPH_COLLAPSE_MODES.join(', ')})`
+      });
+    }
+
+    const engine = await getIntegratedSession(sessionId);
     if (!engine) {
       return res.status(404).json({
         success: false,
-        error: '세션을 찾을 수 없습니다.'
+        error: '통합 세션을 찾을 수 없습니다.'
       });
     }
 
-    const result = engine.validateFormula(formula);
-    res.json(result);
+    const graph = engine.getDependencyGraph(collapse);
+    if (!graph) {
+      return res.status(404).json({
+        success: false,
+        error: '분석한 워크북이 없습니다. 먼저 파일을 분석하세요.'
+      });
+    }
+
+    if (format === 'json') {
+      return res.json({ success: true, sessionId, graph });
+    }
+
+    const document = format === 'dot' ? toDot(graph) : toGraphML(graph);
+    const filename = `dependency_graph_${sessionId}.${format}`;
+    res.setHeader('Content-Type', GRAPH_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    console.log(`🕸️ 의존성 그래프 내보내기: ${filename} (노드 ${graph.summary.nodes}개, 간선 ${graph.summary.edges}개)`);
+    res.send(document);
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      type: 'dependency_graph_error'
     });
   }
 });
 
-// 수식 계산
-app.post('/sessions/:sessionId/calculate', (req, res) => {
+// 셀·범위 변경 영향 분석 (모든 종속 셀)
+app.get('/integrated/sessions/:sessionId/impact', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { formula } = req.body;
-    
-    const engine = sessions.get(sessionId);
+
+    const engine = await getIntegratedSession(sessionId);
     if (!engine) {
       return res.status(404).json({
         success: false,
-        error: '세션을 찾을 수 없습니다.'
+        error: '통합 세션을 찾을 수 없습니다.'
       });
     }
 
-    const result = engine.calculateFormula(formula);
-    res.json(result);
+    const impact = engine.analyzeImpact(req.query.target);
+    if (!impact) {
+      return res.status(404).json({
+        success: false,
+        error: '분석한 워크북이 없습니다. 먼저 파일을 분석하세요.'
+      });
+    }
+
+    res.json({ success: true, sessionId, impact });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      type: error.type || 'impact_analysis_error'
     });
   }
 });
 
-// 지원 함수 목록
-app.get('/functions', (req, res) => {
+// 출력 셀의 참조 계보 트리 (download=true이면 JSON 파일로 내려받기)
+app.get('/integrated/sessions/:sessionId/lineage', async (req, res) => {
   try {
-    const functions = Object.values(HyperFormula.getRegisteredFunctionNames('enGB'));
-    const categories = {
-      MATH: functions.filter(f => ['SUM', 'AVERAGE', 'MAX', 'MIN', 'ABS', 'ROUND', 'SQRT'].includes(f)),
-      LOGICAL: functions.filter(f => ['IF', 'AND', 'OR', 'NOT', 'TRUE', 'FALSE'].includes(f)),
-      TEXT: functions.filter(f => ['CONCATENATE', 'LEFT', 'RIGHT', 'LEN', 'UPPER', 'LOWER'].includes(f)),
-      DATE: functions.filter(f => ['DATE', 'TIME', 'NOW', 'TODAY', 'YEAR', 'MONTH', 'DAY'].includes(f)),
-      LOOKUP: functions.filter(f => ['VLOOKUP', 'HLOOKUP', 'INDEX', 'MATCH'].includes(f)),
-      STATISTICAL: functions.filter(f => ['COUNT', 'COUNTA', 'COUNTIF', 'SUMIF', 'AVERAGEIF'].includes(f))
-    };
+    const { sessionId } = req.params;
 
-    res.json({
-      success: true,
-      total: functions.length,
-      functions: functions.sort(),
-      categories: categories
-    });
+    const engine = await getIntegratedSession(sessionId);
+    if (!engine) {
+      return res.status(404).json({
+        success: false,
+        error: '통합 세션을 찾을 수 없습니다.'
+      });
+    }
+
+    const lineage = engine.traceLineage(req.query.target);
+    if (!lineage) {
+      return res.status(404).json({
+        success: false,
+        error: '분석한 워크북이 없습니다. 먼저 파일을 분석하세요.'
+      });
+    }
+
+    if (req.query.download === 'true') {
+      res.setHeader('Content-Disposition', `attachment; filename="lineage_${sessionId}.json"`);
+    }
+    res.json({ success: true, sessionId, lineage });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      type: error.type || 'lineage_trace_error'
     });
   }
 });
 
-// 세션 삭제
-app.delete('/sessions/:sessionId', (req, res) => {
+// 입력값을 바꾼 출력 셀 값 계산 (세션 워크북은 바뀌지 않음, 시나리오 비교)
+app.post('/integrated/sessions/:sessionId/what-if', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    
-    const engine = sessions.get(sessionId);
-    if (engine) {
-      engine.cleanup();
-      sessions.delete(sessionId);
-      console.log(`🗑️  세션 삭제: ${sessionId}`);
+
+    const engine = await getIntegratedSession(sessionId);
+    if (!engine) {
+      return res.status(404).json({
+        success: false,
+        error: '통합 세션을 찾을 수 없습니다.'
+      });
     }
 
-    res.json({
-      success: true,
-      message: '세션이 삭제되었습니다.'
-    });
+    const result = engine.evaluateWhatIf(req.body || {});
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: '분석한 워크북이 없습니다. 먼저 파일을 분석하세요.'
+      });
+    }
+
+    res.json({ success: true, sessionId, ...result });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      type: error.type || 'what_if_error'
     });
   }
 });
 
-// ============================================================================
-// 🆕 ExcelJS + HyperFormula 통합 API 엔드포인트들
-// ============================================================================
-
-// 통합 세션 생성
-app.post('/integrated/sessions', (req, res) => {
+// 저장된 what-if 시나리오 목록
+app.get('/integrated/sessions/:sessionId/scenarios', async (req, res) => {
   try {
-    const sessionId = require('uuid').v4();
-    const engine = new IntegratedEngine(sessionId, req.body.options || {});
-    integratedSessions.set(sessionId, engine);
-    
-    console.log(`📝 새 통합 세션 생성: ${sessionId}`);
-    
-    res.json({
-      success: true,
-      sessionId: sessionId,
-      message: '통합 분석 세션이 생성되었습니다.',
-      capabilities: [
-        'Excel 파일 직접 업로드',
-        'ExcelJS + HyperFormula 통합 분석',
-        '호환성 검증',
-        '성능 측정',
-        '분석 보고서 생성'
-      ]
-    });
+    const engine = await getIntegratedSession(req.params.sessionId);
+    if (!engine) {
+      return res.status(404).json({
+        success: false,
+        error: '통합 세션을 찾을 수 없습니다.'
+      });
+    }
+
+    res.json({ success: true, scenarios: engine.getScenarios() });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      type: error.type || 'scenario_error'
     });
   }
 });
 
-// Excel 파일 업로드 및 통합 분석
-app.post('/integrated/sessions/:sessionId/analyze-file', upload.single('excelFile'), async (req, res) => {
+// what-if 시나리오 저장 (같은 이름이 있으면 덮어씀)
+app.post('/integrated/sessions/:sessionId/scenarios', async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    const engine = integratedSessions.get(sessionId);
-    
+    const engine = await getIntegratedSession(req.params.sessionId);
     if (!engine) {
       return res.status(404).json({
         success: false,
@@ -513,102 +1775,44 @@ app.post('/integrated/sessions/:sessionId/analyze-file', upload.single('excelFil
       });
     }
 
-    if (!req.file) {
-      return res.status(400).json({
+    const saved = engine.saveScenario(req.body || {});
+    if (!saved) {
+      return res.status(404).json({
         success: false,
-        error: 'Excel 파일이 업로드되지 않았습니다.'
+        error: '분석한 워크북이 없습니다. 먼저 파일을 분석하세요.'
       });
     }
 
-    const options = {
-      validateCompatibility: req.body.validateCompatibility === 'true',
-      compareWithOriginal: req.body.compareWithOriginal === 'true',
-      includePerformanceMetrics: req.body.includePerformanceMetrics === 'true'
-    };
-
-    console.log(`📊 통합 Excel 파일 분석 시작: ${sessionId} - ${req.file.originalname}`);
-    
-    const analysisResult = await engine.analyzeExcelFile(req.file.buffer, options);
-    
-    console.log(`✅ 통합 분석 완료: ${sessionId} (${analysisResult.performance?.totalTime}ms)`);
-    
-    res.json(analysisResult);
+    await persistSession(engine);
+    res.status(saved.created ? 201 : 200).json({ success: true, ...saved });
   } catch (error) {
-    console.error(`❌ 통합 분석 실패: ${error.message}`);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message,
-      type: 'integrated_analysis_error'
+      type: error.type || 'scenario_error'
     });
   }
 });
 
-// ExcelJS ↔ HyperFormula 데이터 변환 테스트
-app.post('/integrated/convert/test', upload.single('excelFile'), async (req, res) => {
+// what-if 시나리오 삭제
+app.delete('/integrated/sessions/:sessionId/scenarios/:name', async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({
+    const engine = await getIntegratedSession(req.params.sessionId);
+    if (!engine) {
+      return res.status(404).json({
         success: false,
-        error: 'Excel 파일이 업로드되지 않았습니다.'
+        error: '통합 세션을 찾을 수 없습니다.'
       });
     }
 
-    const converter = new ExcelConverter();
-    const testResults = {
-      success: true,
-      conversions: [],
-      performance: {},
-      compatibility: {}
-    };
-
-    console.log(`🔄 데이터 변환 호환성 테스트 시작: ${req.file.originalname}`);
-
-    // 1. ExcelJS → HyperFormula 변환 테스트
-    const conversionResult = await converter.measurePerformance(
-      async (data) => await converter.readExcelFile(data),
-      req.file.buffer
-    );
-
-    testResults.conversions.push({
-      direction: 'ExcelJS → HyperFormula',
-      success: conversionResult.success,
-      performance: conversionResult.performance,
-      error: conversionResult.error
-    });
-
-    if (conversionResult.success) {
-      // 2. HyperFormula → ExcelJS 변환 테스트
-      const backConversionResult = await converter.measurePerformance(
-        async (data) => await converter.writeExcelFile(data),
-        conversionResult.result
-      );
-
-      testResults.conversions.push({
-        direction: 'HyperFormula → ExcelJS',
-        success: backConversionResult.success,
-        performance: backConversionResult.performance,
-        error: backConversionResult.error
-      });
-
-      // 3. 데이터 무결성 검증
-      if (backConversionResult.success) {
-        const integrityTest = converter.validateDataIntegrity(
-          conversionResult.result,
-          await converter.readExcelFile(backConversionResult.result)
-        );
-
-        testResults.compatibility = integrityTest;
-      }
-    }
-
-    console.log(`✅ 변환 테스트 완료: ${testResults.conversions.length}개 변환 테스트`);
-    
-    res.json(testResults);
+    engine.deleteScenario(req.params.name);
+    await persistSession(engine);
+    res.json({ success: true, deleted: req.params.name });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message,
-      type: 'conversion_test_error'
+      type: error.type || 'scenario_error'
     });
   }
 });
@@ -617,7 +1821,7 @@ app.post('/integrated/convert/test', upload.single('excelFile'), async (req, res
 app.get('/integrated/sessions/:sessionId/report', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const engine = integratedSessions.get(sessionId);
+    const engine = await getIntegratedSession(sessionId);
     
     if (!engine) {
       return res.status(404).json({
@@ -628,6 +1832,7 @@ app.get('/integrated/sessions/:sessionId/report', async (req, res) => {
 
     const options = {
       includeDetailedAnalysis: req.query.detailed === 'true',
+      lineageTargets: [].concat(req.query.lineage || []),
       metadata: {
         title: req.query.title || '수식 분석 보고서',
         creator: req.query.creator || 'FormulaEngine Service'
@@ -648,19 +1853,19 @@ app.get('/integrated/sessions/:sessionId/report', async (req, res) => {
     
     res.send(reportBuffer);
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message,
-      type: 'report_generation_error'
+      type: error.type || 'report_generation_error'
     });
   }
 });
 
 // 통합 세션 상태 조회
-app.get('/integrated/sessions/:sessionId/status', (req, res) => {
+app.get('/integrated/sessions/:sessionId/status', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const engine = integratedSessions.get(sessionId);
+    const engine = await getIntegratedSession(sessionId);
     
     if (!engine) {
       return res.status(404).json({
@@ -672,8 +1877,9 @@ app.get('/integrated/sessions/:sessionId/status', (req, res) => {
     const status = {
       success: true,
       sessionId: sessionId,
-      isActive: !engine.isExpired(),
+      isActive: !engine.isExpired(SESSION_TTL_MS),
       lastActivity: new Date(engine.lastActivity).toISOString(),
+      estimatedMemory: sessionManager.getEstimatedMemory(sessionId),
       hasAnalysisResults: !!engine.analysisResults,
       capabilities: {
         excelParsing: true,
@@ -772,16 +1978,12 @@ app.get('/integrated/comparison', (req, res) => {
 });
 
 // 통합 세션 삭제
-app.delete('/integrated/sessions/:sessionId', (req, res) => {
+app.delete('/integrated/sessions/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
     
-    const engine = integratedSessions.get(sessionId);
-    if (engine) {
-      engine.cleanup();
-      integratedSessions.delete(sessionId);
-      console.log(`🗑️  통합 세션 삭제: ${sessionId}`);
-    }
+    analysisJobs.cancelSessionJobs(sessionId);
+    await sessionManager.delete('integrated', sessionId);
 
     res.json({
       success: true,
@@ -813,11 +2015,13 @@ app.get('/integrated/health', (req, res) => {
       '보고서 생성'
     ],
     activeSessions: {
-      basic: sessions.size,
-      integrated: integratedSessions.size,
-      total: sessions.size + integratedSessions.size
+      basic: sessionManager.count('basic'),
+      integrated: sessionManager.count('integrated'),
+      total: sessionManager.count()
     },
-    supportedFormats: ['xlsx', 'xls', 'csv'],
+    analysisJobs: analysisJobs.getStats(),
+    workerPool: workerPool.getStats(),
+    supportedFormats: ['xlsx', 'ods', 'csv'],
     maxFileSize: '50MB',
     uptime: process.uptime(),
     memory: process.memoryUsage()
@@ -843,51 +2047,16 @@ app.use((req, res) => {
   });
 });
 
-// 정기적으로 비활성 세션 정리 (10분 이상 비활성)
-setInterval(() => {
-  const now = Date.now();
-  const expiredSessions = [];
-  const expiredIntegratedSessions = [];
-  
-  // 기본 세션 정리
-  sessions.forEach((engine, sessionId) => {
-    if (now - engine.lastActivity > 10 * 60 * 1000) { // 10분
-      expiredSessions.push(sessionId);
-    }
-  });
-  
-  // 통합 세션 정리
-  integratedSessions.forEach((engine, sessionId) => {
-    if (engine.isExpired(10 * 60 * 1000)) { // 10분
-      expiredIntegratedSessions.push(sessionId);
-    }
-  });
-  
-  // 기본 세션 정리 실행
-  expiredSessions.forEach(sessionId => {
-    const engine = sessions.get(sessionId);
-    if (engine) {
-      engine.cleanup();
-      sessions.delete(sessionId);
-      console.log(`⏰ 만료된 기본 세션 정리: ${sessionId}`);
-    }
-  });
-  
-  // 통합 세션 정리 실행
-  expiredIntegratedSessions.forEach(sessionId => {
-    const engine = integratedSessions.get(sessionId);
-    if (engine) {
-      engine.cleanup();
-      integratedSessions.delete(sessionId);
-      console.log(`⏰ 만료된 통합 세션 정리: ${sessionId}`);
-    }
-  });
-  
-  const totalCleaned = expiredSessions.length + expiredIntegratedSessions.length;
-  if (totalCleaned > 0) {
-    console.log(`🧹 세션 정리 완료: 기본 ${expiredSessions.length}개, 통합 ${expiredIntegratedSessions.length}개`);
-  }
-}, 5 * 60 * 1000); // 5분마다 체크
+// 이전 실행에서 남은 만료 세션 정리 (실행 중 만료는 저장소 TTL로 처리)
+if (typeof sessionStore.purgeExpired === 'function') {
+  sessionStore.purgeExpired()
+    .then(purged => {
+      if (purged > 0) {
+        console.log(`🧹 저장소 세션 정리 완료: ${purged}개`);
+      }
+    })
+    .catch(error => console.warn(`⚠️  세션 저장소 정리 실패: ${error.message}`));
+}
 
 // 서버 시작
 app.listen(PORT, () => {
@@ -902,21 +2071,13 @@ app.listen(PORT, () => {
 process.on('SIGINT', () => {
   console.log('\n🛑 Integrated FormulaEngine 서비스 종료 중...');
   
-  // 모든 기본 세션 정리
-  sessions.forEach((engine, sessionId) => {
-    engine.cleanup();
-    console.log(`🗑️  기본 세션 정리: ${sessionId}`);
-  });
-  sessions.clear();
-  
-  // 모든 통합 세션 정리
-  integratedSessions.forEach((engine, sessionId) => {
-    engine.cleanup();
-    console.log(`🗑️  통합 세션 정리: ${sessionId}`);
-  });
-  integratedSessions.clear();
-  
-  console.log('✅ Integrated FormulaEngine 서비스 종료 완료');
-  console.log(`🎯 최종 정리: 기본 세션 ${sessions.size}개, 통합 세션 ${integratedSessions.size}개`);
-  process.exit(0);
+  // 워커 종료, 모든 로컬 세션 정리 후 저장소 연결 종료
+  workerPool.close()
+    .then(() => sessionManager.close())
+    .catch(error => console.warn(`⚠️  세션 저장소 종료 실패: ${error.message}`))
+    .finally(() => {
+      console.log('✅ Integrated FormulaEngine 서비스 종료 완료');
+      console.log(`🎯 최종 정리: 로컬 세션 ${sessionManager.count()}개`);
+      process.exit(0);
+    });
 });
\ No newline at end of file
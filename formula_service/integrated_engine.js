@@ -1,10 +1,34 @@
 const ExcelJS = require('exceljs');
-const { HyperFormula } = require('hyperformula');
+const { HyperFormula, DetailedCellError, ErrorType, DenseSparseChooseBasedOnThreshold } = require('hyperformula');
 const ExcelConverter = require('./excel_converter');
+const { createWorkbookSnapshot, buildFromWorkbookSnapshot } = require('./workbook_snapshot');
+const { getPopulatedCells, buildFromSheets } = require('./sheet_cells');
+const { detectWorkbookFormat } = require('./workbook_format');
+const { resolveFormulaLocale, translateFormula, DEFAULT_LANGUAGE } = require('./formula_locale');
+const { summarizeFormula, formulaComplexity } = require('./formula_parser');
+const { toHyperFormulaSyntax, toExcelSyntax } = require('./excel_compat_functions');
+const { findCircularReferences, exportDependencyGraph, findDependents, traceLineage } = require('./dependency_graph');
+const { ScenarioError, ScenarioNotFoundError, validateScenarioName, normalizeOverrides, compareScenarios } = require('./what_if');
 const multer = require('multer');
 const fs = require('fs').promises;
 const path = require('path');
 
+// 수식 계산 결과 비교 시 기본 숫자 허용 오차 (상대 오차, 절대값 1 미만은 절대 오차)
+const DEFAULT_RESULT_TOLERANCE = 1e-9;
+
+// Excel 날짜 일련번호 기준일 (1899-12-30)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+// 취소 가능하거나 진행 상황을 알리는 분석에서 이벤트 루프에 제어를 넘기는 셀 간격
+// (취소 요청 처리 및 진행 이벤트 전송용)
+const CELLS_PER_YIELD = 1000;
+
+// 미지원 함수별로 보고하는 예시 셀 수
+const UNSUPPORTED_FUNCTION_SAMPLE_CELLS = 5;
+
+// HyperFormula가 등록되지 않은 함수에 대해 반환하는 #NAME? 오류 메시지 (종속 셀에도 같은 메시지가 전파됨)
+const UNKNOWN_FUNCTION_MESSAGE = /^Function name (.+) not recognized\.$/;
+
 /**
  * ExcelJS + HyperFormula 통합 분석 엔진
  * Excel 파일의 완전한 읽기/분석/수정/저장 워크플로우 제공
@@ -12,12 +36,23 @@ const path = require('path');
 class IntegratedEngine {
   constructor(sessionId, options = {}) {
     this.sessionId = sessionId;
+    this.options = options;
     this.converter = new ExcelConverter();
     this.hyperFormula = null;
     this.originalWorkbook = null;
     this.analysisResults = null;
     this.lastActivity = Date.now();
+
+    // HyperFormula 인스턴스 대신 보관하는 워크북 스냅샷 (워커 분석 결과 또는 복원 시, 필요할 때 생성)
+    this.workbookSnapshot = null;
+
+    // 저장된 what-if 시나리오 (이름 → { name, description, overrides, createdAt, updatedAt })
+    this.scenarios = new Map();
     
+    // 분석 결과에 표시할 수식 로캘
+    // (파일에 저장된 수식은 Excel 표시 언어와 무관하게 영문 문법이므로 HyperFormula는 기본 로캘로 계산)
+    this.locale = resolveFormulaLocale(options.locale);
+
     // HyperFormula 설정
     this.hfConfig = {
       licenseKey: 'gpl-v3',
@@ -26,6 +61,8 @@ class IntegratedEngine {
       numberEpsilon: 1e-10,
       dateFormats: ['MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD'],
       timeFormats: ['hh:mm', 'hh:mm:ss.sss'],
+      chooseAddressMappingPolicy: new DenseSparseChooseBasedOnThreshold(0.8), // 희소 시트는 등록된 셀만 저장
+      maxRows: 1048576, // Excel 최대 행 수
       ...options.hyperformula
     };
   }
@@ -34,7 +71,8 @@ class IntegratedEngine {
    * Excel 파일로부터 통합 분석 수행
    * @param {Buffer} fileBuffer - Excel 파일 버퍼
    * @param {Object} options - 분석 옵션
-   * @returns {Promise<Object>} 통합 분석 결과
+   *   (options.signal: 취소용 AbortSignal, options.onProgress: 단계/시트 진행 이벤트 콜백)
+   * @returns {Promise<Object>} 통합 분석 결과 (취소 시 cancelled: true)
    */
   async analyzeExcelFile(fileBuffer, options = {}) {
     const startTime = Date.now();
@@ -49,16 +87,31 @@ class IntegratedEngine {
     };
 
     try {
-      // 1단계: ExcelJS로 파일 파싱
-      analysis.steps.push('Excel 파일 파싱 시작');
+      // 1단계: 파일 파싱 (.xlsx/.ods는 ExcelJS 워크북으로, CSV는 직접 파싱)
+      this.recordStep(analysis, 'Excel 파일 파싱 시작', options);
       const parseStart = Date.now();
       
-      const workbook = new ExcelJS.Workbook();
-      await workbook.xlsx.load(fileBuffer);
+      const format = detectWorkbookFormat(fileBuffer);
+      let workbook = null;
+      let definedNames = null;
+      let csvData = null;
+      if (format === 'csv') {
+        // CSV에는 저장된 계산 결과가 없으므로 ExcelJS 워크북 없이 바로 HyperFormula 데이터로 변환
+        csvData = this.converter.readCsvFile(fileBuffer);
+      } else {
+        ({ workbook, definedNames } = await this.converter.loadWorkbook(fileBuffer));
+      }
       this.originalWorkbook = workbook;
       
-      analysis.steps.push(`Excel 파일 파싱 완료 (${Date.now() - parseStart}ms)`);
-      analysis.excel = {
+      this.recordStep(analysis, `Excel 파일 파싱 완료 (${Date.now() - parseStart}ms)`, options);
+      options.signal?.throwIfAborted();
+      analysis.excel = csvData ? {
+        format,
+        worksheetCount: 1,
+        worksheetNames: Object.keys(csvData.sheets),
+        csv: csvData.csv
+      } : {
+        format,
         worksheetCount: workbook.worksheets.length,
         worksheetNames: workbook.worksheets.map(ws => ws.name),
         title: workbook.title,
@@ -68,12 +121,13 @@ class IntegratedEngine {
       };
 
       // 2단계: ExcelJS → HyperFormula 데이터 변환
-      analysis.steps.push('데이터 변환 시작');
+      this.recordStep(analysis, '데이터 변환 시작', options);
       const convertStart = Date.now();
       
-      const convertedData = this.converter.excelToHyperFormula(workbook);
+      const convertedData = csvData || this.converter.excelToHyperFormula(workbook, definedNames);
       
-      analysis.steps.push(`데이터 변환 완료 (${Date.now() - convertStart}ms)`);
+      this.recordStep(analysis, `데이터 변환 완료 (${Date.now() - convertStart}ms)`, options);
+      options.signal?.throwIfAborted();
       analysis.conversion = {
         totalSheets: convertedData.metadata.totalSheets,
         warnings: convertedData.metadata.warnings,
@@ -88,30 +142,36 @@ class IntegratedEngine {
       });
 
       // 3단계: HyperFormula 인스턴스 생성
-      analysis.steps.push('HyperFormula 엔진 초기화');
+      this.recordStep(analysis, 'HyperFormula 엔진 초기화', options);
       const hfStart = Date.now();
       
-      this.hyperFormula = HyperFormula.buildFromSheets(convertedData.sheets, this.hfConfig);
+      this.hyperFormula = buildFromSheets(convertedData.sheets, this.hfConfig);
+      this.workbookSnapshot = null;
+      analysis.conversion.namedExpressions = this.registerNamedExpressions(
+        convertedData.namedExpressions,
+        analysis.conversion.warnings
+      );
       
-      analysis.steps.push(`HyperFormula 엔진 초기화 완료 (${Date.now() - hfStart}ms)`);
+      this.recordStep(analysis, `HyperFormula 엔진 초기화 완료 (${Date.now() - hfStart}ms)`, options);
+      options.signal?.throwIfAborted();
 
       // 4단계: 통합 수식 분석
-      analysis.steps.push('통합 수식 분석 시작');
+      this.recordStep(analysis, '통합 수식 분석 시작', options);
       const analysisStart = Date.now();
       
       const formulaAnalysis = await this.performIntegratedAnalysis(options);
       
-      analysis.steps.push(`통합 수식 분석 완료 (${Date.now() - analysisStart}ms)`);
+      this.recordStep(analysis, `통합 수식 분석 완료 (${Date.now() - analysisStart}ms)`, options);
       analysis.formulas = formulaAnalysis;
 
       // 5단계: 호환성 검증
       if (options.validateCompatibility) {
-        analysis.steps.push('호환성 검증 시작');
+        this.recordStep(analysis, '호환성 검증 시작', options);
         const validationStart = Date.now();
         
-        const compatibilityCheck = await this.validateCompatibility(convertedData);
+        const compatibilityCheck = await this.validateCompatibility(convertedData, format);
         
-        analysis.steps.push(`호환성 검증 완료 (${Date.now() - validationStart}ms)`);
+        this.recordStep(analysis, `호환성 검증 완료 (${Date.now() - validationStart}ms)`, options);
         analysis.compatibility = compatibilityCheck;
       }
 
@@ -128,6 +188,16 @@ class IntegratedEngine {
     } catch (error) {
       analysis.success = false;
       analysis.error = error.message;
+      if (options.signal?.aborted) {
+        analysis.cancelled = true;
+        analysis.error = '분석이 취소되었습니다.';
+        this.recordStep(analysis, '분석 취소됨', options);
+        return analysis;
+      }
+      // 파일 자체의 문제(크기 초과 등)는 분석 실패가 아니라 요청 오류로 응답 (HTTP 4xx)
+      if (error.statusCode) {
+        throw error;
+      }
       analysis.errors.push({
         step: analysis.steps[analysis.steps.length - 1] || 'Unknown',
         error: error.message,
@@ -138,6 +208,85 @@ class IntegratedEngine {
     return analysis;
   }
 
+  /**
+   * 분석 단계 기록 및 진행 이벤트 전달
+   * @param {Object} analysis - 분석 결과 객체
+   * @param {string} step - 단계 설명
+   * @param {Object} options - 분석 옵션
+   */
+  recordStep(analysis, step, options) {
+    analysis.steps.push(step);
+    this.notifyProgress(options, {
+      type: 'step',
+      index: analysis.steps.length - 1,
+      step,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // 진행 이벤트 콜백 오류가 분석을 중단시키지 않도록 격리
+  notifyProgress(options, event) {
+    if (!options.onProgress) return;
+    try {
+      options.onProgress(event);
+    } catch (error) {
+      console.warn(`⚠️  진행 이벤트 전달 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * 통합 문서의 정의된 이름을 HyperFormula named expression으로 등록
+   * 등록할 수 없는 이름은 warnings에 기록
+   * @param {Array} namedExpressions - [{ name, expression, scope }]
+   * @param {Array} warnings - 변환 경고 목록
+   * @returns {Array} 등록된 이름 목록 [{ name, scope, expression }]
+   */
+  registerNamedExpressions(namedExpressions = [], warnings = []) {
+    const registered = [];
+    const warn = ({ name, expression, scope }, error) => {
+      warnings.push({
+        name,
+        scope: scope === undefined ? null : this.hyperFormula.getSheetName(scope),
+        formula: expression.substring(1),
+        error,
+        type: 'named_expression_conversion_error'
+      });
+    };
+
+    this.hyperFormula.batch(() => {
+      namedExpressions.forEach(namedExpression => {
+        const { name, expression, scope } = namedExpression;
+
+        if (!this.hyperFormula.isItPossibleToAddNamedExpression(name, expression, scope)) {
+          warn(namedExpression, 'HyperFormula에서 사용할 수 없는 이름입니다.');
+          return;
+        }
+
+        this.hyperFormula.addNamedExpression(name, expression, scope);
+        registered.push(namedExpression);
+      });
+    });
+
+    // 등록은 되지만 수식 파싱에 실패한 이름은 제거
+    const parsed = registered.filter(namedExpression => {
+      const { name, scope } = namedExpression;
+      const value = this.hyperFormula.getNamedExpressionValue(name, scope);
+
+      if (value instanceof DetailedCellError && value.type === ErrorType.ERROR) {
+        this.hyperFormula.removeNamedExpression(name, scope);
+        warn(namedExpression, `이름 정의 수식을 해석할 수 없습니다: ${value.message}`);
+        return false;
+      }
+      return true;
+    });
+
+    return parsed.map(({ name, expression, scope }) => ({
+      name,
+      scope: scope === undefined ? null : this.hyperFormula.getSheetName(scope),
+      expression
+    }));
+  }
+
   /**
    * 통합 수식 분석 수행
    * @param {Object} options - 분석 옵션
@@ -149,18 +298,44 @@ class IntegratedEngine {
         totalSheets: this.hyperFormula.getSheetNames().length,
         totalFormulas: 0,
         totalCells: 0,
-        errorCells: 0
+        errorCells: 0,
+        unsupportedFunctionCells: 0,
+        circularReferences: 0
       },
       sheets: [],
       functions: {},
+      unsupportedFunctions: {
+        totalFunctions: 0,
+        cells: 0,              // 미지원 함수를 사용하는 수식 셀
+        excludedErrorCells: 0, // 미지원 함수 때문에 #NAME?이 된 셀 (종속 셀 포함, 오류 통계에서 제외)
+        functions: []          // [{ name, count, sampleCells }] (사용 셀 수 내림차순)
+      },
       errors: [],
       dependencies: [],
       circularReferences: [],
       performance: {}
     };
 
+    if (options.compareWithOriginal) {
+      analysis.resultComparison = {
+        tolerance: this.getResultTolerance(options),
+        comparedCells: 0,
+        matchingCells: 0,
+        mismatchedCells: 0,
+        skippedCells: 0,
+        sheets: {},
+        byFunction: {},
+        mismatches: []
+      };
+    }
+
+    // 지원 함수 목록은 분석마다 다시 조회 (isFunctionSupported에서 생성)
+    this.supportedFunctions = null;
+    const unsupportedFunctions = new Map();
+
     // 각 시트별 분석
     for (const sheetName of this.hyperFormula.getSheetNames()) {
+      options.signal?.throwIfAborted();
       const sheetId = this.hyperFormula.getSheetId(sheetName);
       const sheetAnalysis = await this.analyzeSheet(sheetId, sheetName, options);
       
@@ -170,18 +345,43 @@ class IntegratedEngine {
       analysis.summary.totalFormulas += sheetAnalysis.formulaCount;
       analysis.summary.totalCells += sheetAnalysis.cellCount;
       analysis.summary.errorCells += sheetAnalysis.errorCount;
+      analysis.summary.unsupportedFunctionCells += sheetAnalysis.unsupportedFunctionCells;
       
       // 함수 사용 통계 병합
       Object.entries(sheetAnalysis.functions).forEach(([func, count]) => {
         analysis.functions[func] = (analysis.functions[func] || 0) + count;
       });
+
+      // 미지원 함수 병합 (예시 셀은 통합 문서 전체에서 앞쪽 셀부터)
+      analysis.unsupportedFunctions.cells += sheetAnalysis.unsupportedFunctionCells;
+      analysis.unsupportedFunctions.excludedErrorCells += sheetAnalysis.unsupportedErrorCells;
+      Object.entries(sheetAnalysis.unsupportedFunctions).forEach(([name, usage]) => {
+        const total = unsupportedFunctions.get(name) || { name, count: 0, sampleCells: [] };
+        total.count += usage.count;
+        total.sampleCells.push(...usage.cells.slice(0, UNSUPPORTED_FUNCTION_SAMPLE_CELLS - total.sampleCells.length));
+        unsupportedFunctions.set(name, total);
+      });
       
       analysis.errors.push(...sheetAnalysis.errors);
       analysis.dependencies.push(...sheetAnalysis.dependencies);
+
+      if (analysis.resultComparison) {
+        this.mergeResultComparison(analysis.resultComparison, sheetAnalysis);
+      }
     }
 
-    // 순환 참조 탐지
-    analysis.circularReferences = this.detectCircularReferences();
+    // 순환 참조 (참조 그래프의 강한 연결 요소, 시트별 결과에는 해당 시트를 지나는 순환)
+    analysis.circularReferences = findCircularReferences(this.hyperFormula, {
+      localizeFormula: formula => this.localizeFormula(formula)
+    });
+    analysis.summary.circularReferences = analysis.circularReferences.length;
+    analysis.sheets.forEach(sheetAnalysis => {
+      sheetAnalysis.circularReferences = analysis.circularReferences.filter(cycle => cycle.sheets.includes(sheetAnalysis.name));
+    });
+
+    analysis.unsupportedFunctions.functions = [...unsupportedFunctions.values()]
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    analysis.unsupportedFunctions.totalFunctions = unsupportedFunctions.size;
 
     return analysis;
   }
@@ -203,8 +403,12 @@ class IntegratedEngine {
       formulaCount: 0,
       errorCount: 0,
       functions: {},
+      unsupportedFunctions: {},   // { 함수명: { count, cells } }
+      unsupportedFunctionCells: 0,
+      unsupportedErrorCells: 0,
       errors: [],
       dependencies: [],
+      circularReferences: [],
       dataTypes: {
         number: 0,
         text: 0,
@@ -218,6 +422,13 @@ class IntegratedEngine {
         simple: 0,    // 단일 셀 참조, 기본 연산
         medium: 0,    // 범위 참조, 일반 함수
         complex: 0    // 중첩 함수, 다중 시트 참조
+      },
+      resultComparison: {
+        compared: 0,
+        matched: 0,
+        mismatched: 0,
+        skipped: 0,     // Excel에 저장된 계산 결과가 없는 수식
+        mismatches: []
       }
     };
 
@@ -227,25 +438,51 @@ class IntegratedEngine {
 
     // 원본 Excel 시트 데이터도 함께 분석
     const originalSheet = this.originalWorkbook?.getWorksheet(sheetName);
+    const { signal, onProgress } = options;
+
+    // 값이 있는 셀만 순회 (빈 셀은 개수만 계산)
+    const cells = getPopulatedCells(this.hyperFormula, sheetId);
+    analysis.dataTypes.empty = dimensions.width * dimensions.height - cells.length;
+    const sheetNames = this.hyperFormula.getSheetNames();
+    const reportProgress = () => this.notifyProgress(options, {
+      type: 'sheet',
+      sheet: sheetName,
+      sheetIndex: sheetNames.indexOf(sheetName),
+      totalSheets: sheetNames.length,
+      cellsScanned: analysis.cellCount,
+      totalCells: cells.length
+    });
+    let cellsSinceYield = 0;
+
+    reportProgress();
 
     // 각 셀 분석
-    for (let row = 0; row < dimensions.height; row++) {
-      for (let col = 0; col < dimensions.width; col++) {
-        const cellAddress = { sheet: sheetId, row, col };
-        analysis.cellCount++;
-        
-        try {
-          await this.analyzeCellIntegrated(cellAddress, originalSheet, analysis, options);
-        } catch (error) {
-          analysis.errors.push({
-            location: `${sheetName}!${this.addressToExcel(row, col)}`,
-            type: 'cell_analysis_error',
-            message: error.message
-          });
+    for (const cellAddress of cells) {
+      // 취소 가능하거나 진행 상황을 알리는 분석은 주기적으로 이벤트 루프에 제어를 넘겨
+      // 취소 요청을 받고 진행 이벤트를 전송할 수 있게 함
+      if (signal || onProgress) {
+        if (++cellsSinceYield >= CELLS_PER_YIELD) {
+          cellsSinceYield = 0;
+          reportProgress();
+          await new Promise(resolve => setImmediate(resolve));
         }
+        signal?.throwIfAborted();
+      }
+
+      analysis.cellCount++;
+
+      try {
+        await this.analyzeCellIntegrated(cellAddress, originalSheet, analysis, options);
+      } catch (error) {
+        analysis.errors.push({
+          location: `${sheetName}!${this.addressToExcel(cellAddress.row, cellAddress.col)}`,
+          type: 'cell_analysis_error',
+          message: error.message
+        });
       }
     }
 
+    reportProgress();
     return analysis;
   }
 
@@ -279,45 +516,68 @@ class IntegratedEngine {
       analysis.dataTypes.formula++;
       analysis.formulaCount++;
       
-      const formula = this.hyperFormula.getCellFormula(cellAddress);
+      // 통계·보고에는 HyperFormula 입력용으로 바꾼 논리값 상수(TRUE())를 원래 문법으로 되돌린 수식 사용
+      const formula = toExcelSyntax(this.hyperFormula.getCellFormula(cellAddress));
       
-      // 수식 복잡도 분석
-      const complexity = this.analyzeFormulaComplexity(formula);
+      // 수식 구성 요소 (문자열·시트명을 구분하는 파서 기준) 및 복잡도 분석
+      const summary = summarizeFormula(formula);
+      const complexity = formulaComplexity(summary);
       analysis.complexity[complexity]++;
       
-      // 함수 추출 및 카운트
-      const functions = this.extractFunctions(formula);
+      // 함수 카운트
+      const functions = summary.functions;
       functions.forEach(func => {
         analysis.functions[func] = (analysis.functions[func] || 0) + 1;
       });
+
+      // HyperFormula에 없는 함수 (오류 대신 미지원 함수로 보고)
+      const unsupported = functions.filter(func => !this.isFunctionSupported(func));
+      if (unsupported.length > 0) {
+        analysis.unsupportedFunctionCells++;
+        unsupported.forEach(func => {
+          const usage = analysis.unsupportedFunctions[func] || (analysis.unsupportedFunctions[func] = { count: 0, cells: [] });
+          usage.count++;
+          if (usage.cells.length < UNSUPPORTED_FUNCTION_SAMPLE_CELLS) {
+            usage.cells.push(`${analysis.name}!${this.addressToExcel(row, col)}`);
+          }
+        });
+      }
       
-      // 의존성 분석
-      try {
-        const precedents = this.hyperFormula.getCellPrecedents(cellAddress);
-        if (precedents.length > 0) {
-          analysis.dependencies.push({
-            cell: this.addressToExcel(row, col),
-            formula: formula,
-            dependsOn: precedents.length,
-            precedents: precedents.map(p => this.addressToExcel(p.row, p.col)),
-            complexity: complexity
+      // 보고용 수식 (세션 로캘 문법)
+      const reportedFormula = this.localizeFormula(formula);
+
+      // 의존성 분석 (수식에 적힌 참조·범위·이름 정의, 시트명 없는 참조는 같은 시트)
+      const precedents = [...summary.references.map(reference => reference.text), ...summary.names];
+      if (precedents.length > 0) {
+        analysis.dependencies.push({
+          cell: this.addressToExcel(row, col),
+          formula: reportedFormula,
+          dependsOn: precedents.length,
+          precedents,
+          complexity: complexity
+        });
+      }
+
+      // 수식 계산 결과 검증 (미지원 함수를 쓰는 셀과 그 #NAME?이 전파된 셀은 사용자 오류와 구분하여 제외)
+      if (value instanceof DetailedCellError) {
+        if (unsupported.length > 0 || this.getUnknownFunctionName(value)) {
+          analysis.unsupportedErrorCells++;
+        } else {
+          analysis.dataTypes.error++;
+          analysis.errorCount++;
+          analysis.errors.push({
+            location: `${analysis.name}!${this.addressToExcel(row, col)}`,
+            type: 'formula_error',
+            formula: reportedFormula,
+            error: value.value,
+            originalValue: originalCell?.text || originalCell?.value
           });
         }
-      } catch (error) {
-        // 의존성 분석 실패는 경고로 처리
       }
-      
-      // 수식 계산 결과 검증
-      if (typeof value === 'string' && value.startsWith('#')) {
-        analysis.dataTypes.error++;
-        analysis.errorCount++;
-        analysis.errors.push({
-          location: `${analysis.name}!${this.addressToExcel(row, col)}`,
-          type: 'formula_error',
-          formula: formula,
-          error: value,
-          originalValue: originalCell?.text || originalCell?.value
-        });
+
+      // Excel에 저장된 계산 결과와 비교
+      if (originalCell && options.compareWithOriginal) {
+        this.compareFormulaResult(value, originalCell, reportedFormula, functions, analysis, options);
       }
     } else {
       // 값 타입 분석
@@ -331,75 +591,37 @@ class IntegratedEngine {
   }
 
   /**
-   * 수식 복잡도 분석
-   * @param {string} formula - 분석할 수식
-   * @returns {string} 복잡도 레벨 (simple/medium/complex)
+   * HyperFormula 수식을 보고용 수식(Excel 문법, 세션 로캘)으로 변환
+   * @param {string} formula - HyperFormula 수식 (영문 문법)
+   * @returns {string} 세션 로캘 수식
    */
-  analyzeFormulaComplexity(formula) {
-    if (!formula) return 'simple';
-    
-    const complexIndicators = [
-      /\w+\(/g,           // 함수 개수
-      /[A-Z]+\d+:[A-Z]+\d+/g,  // 범위 참조
-      /\w+\!/g,           // 다른 시트 참조
-      /IF\s*\(/gi,        // 조건문
-      /\{.*\}/g           // 배열 수식
-    ];
-    
-    let complexityScore = 0;
-    
-    complexIndicators.forEach(regex => {
-      const matches = formula.match(regex);
-      if (matches) {
-        complexityScore += matches.length;
-      }
-    });
-    
-    // 중첩 함수 탐지
-    const functionDepth = this.calculateFunctionDepth(formula);
-    complexityScore += functionDepth * 2;
-    
-    if (complexityScore <= 2) return 'simple';
-    if (complexityScore <= 6) return 'medium';
-    return 'complex';
+  localizeFormula(formula) {
+    return translateFormula(toExcelSyntax(formula), DEFAULT_LANGUAGE, this.locale);
   }
 
   /**
-   * 함수 중첩 깊이 계산
-   * @param {string} formula - 분석할 수식
-   * @returns {number} 중첩 깊이
+   * HyperFormula에 등록된 함수인지 확인 (내장 함수 + 플러그인 함수)
+   * @param {string} name - 함수명
+   * @returns {boolean} 지원 여부
    */
-  calculateFunctionDepth(formula) {
-    let maxDepth = 0;
-    let currentDepth = 0;
-    
-    for (let i = 0; i < formula.length; i++) {
-      if (formula[i] === '(') {
-        currentDepth++;
-        maxDepth = Math.max(maxDepth, currentDepth);
-      } else if (formula[i] === ')') {
-        currentDepth--;
-      }
+  isFunctionSupported(name) {
+    if (!this.supportedFunctions) {
+      this.supportedFunctions = new Set(
+        HyperFormula.getRegisteredFunctionNames(this.hfConfig.language || DEFAULT_LANGUAGE)
+      );
     }
-    
-    return maxDepth;
+    return this.supportedFunctions.has(name);
   }
 
   /**
-   * 수식에서 함수 추출
-   * @param {string} formula - 분석할 수식
-   * @returns {Array} 추출된 함수 목록
+   * 등록되지 않은 함수로 인한 #NAME? 오류의 함수명
+   * @param {DetailedCellError} error - 셀 오류
+   * @returns {string|null} 함수명 (다른 오류면 null)
    */
-  extractFunctions(formula) {
-    const functionPattern = /([A-Z][A-Z0-9\.]*)\s*\(/g;
-    const functions = [];
-    let match;
-    
-    while ((match = functionPattern.exec(formula)) !== null) {
-      functions.push(match[1]);
-    }
-    
-    return [...new Set(functions)]; // 중복 제거
+  getUnknownFunctionName(error) {
+    if (error.type !== ErrorType.NAME) return null;
+    const match = UNKNOWN_FUNCTION_MESSAGE.exec(error.message || '');
+    return match ? match[1] : null;
   }
 
   /**
@@ -416,13 +638,9 @@ class IntegratedEngine {
       analysis.dataTypes.boolean++;
     } else if (value instanceof Date) {
       analysis.dataTypes.date++;
-    } else if (typeof value === 'string') {
-      if (value.startsWith('#')) {
-        analysis.dataTypes.error++;
-        analysis.errorCount++;
-      } else {
-        analysis.dataTypes.text++;
-      }
+    } else if (value instanceof DetailedCellError) {
+      analysis.dataTypes.error++;
+      analysis.errorCount++;
     } else {
       analysis.dataTypes.text++;
     }
@@ -450,6 +668,115 @@ class IntegratedEngine {
     }
   }
 
+  /**
+   * HyperFormula 계산 결과와 Excel에 저장된 수식 결과(cell.result) 비교
+   * @param {*} hfValue - HyperFormula 계산 값
+   * @param {ExcelJS.Cell} originalCell - 원본 셀
+   * @param {string} formula - 수식
+   * @param {Array} functions - 수식에 사용된 함수 목록
+   * @param {Object} analysis - 시트 분석 결과 객체
+   * @param {Object} options - 분석 옵션 (tolerance)
+   */
+  compareFormulaResult(hfValue, originalCell, formula, functions, analysis, options) {
+    const comparison = analysis.resultComparison;
+    const excelValue = this.normalizeExcelResult(originalCell.result);
+
+    if (excelValue === undefined) {
+      comparison.skipped++;
+      return;
+    }
+
+    const hyperformulaValue = hfValue instanceof DetailedCellError ? hfValue.value : hfValue;
+    const tolerance = this.getResultTolerance(options);
+
+    comparison.compared++;
+    if (this.resultsMatch(hyperformulaValue, excelValue, tolerance)) {
+      comparison.matched++;
+      return;
+    }
+
+    comparison.mismatched++;
+    const mismatch = {
+      location: `${analysis.name}!${originalCell.address}`,
+      formula,
+      hyperformulaValue,
+      excelValue,
+      functions
+    };
+    if (typeof hyperformulaValue === 'number' && typeof excelValue === 'number') {
+      mismatch.difference = hyperformulaValue - excelValue;
+    }
+    comparison.mismatches.push(mismatch);
+  }
+
+  /**
+   * ExcelJS 수식 결과를 HyperFormula 값과 비교 가능한 형태로 변환
+   * @param {*} result - ExcelJS cell.result
+   * @returns {*} 정규화된 값 (저장된 결과가 없으면 undefined)
+   */
+  normalizeExcelResult(result) {
+    if (result === undefined) return undefined;
+    if (result === null) return null;
+    if (result instanceof Date) {
+      return (result.getTime() - EXCEL_EPOCH) / (24 * 60 * 60 * 1000);
+    }
+    if (typeof result === 'object' && result.error) {
+      return result.error;
+    }
+    return result;
+  }
+
+  /**
+   * 계산 결과 일치 여부 (숫자는 허용 오차 내 비교)
+   * @param {*} hfValue - HyperFormula 값
+   * @param {*} excelValue - 정규화된 Excel 값
+   * @param {number} tolerance - 허용 오차
+   * @returns {boolean} 일치 여부
+   */
+  resultsMatch(hfValue, excelValue, tolerance) {
+    // 빈 결과는 Excel에서 빈 문자열 또는 0으로 저장됨
+    if (hfValue === null || hfValue === undefined) {
+      return excelValue === null || excelValue === '' || excelValue === 0;
+    }
+
+    if (typeof hfValue === 'number' && typeof excelValue === 'number') {
+      const scale = Math.max(1, Math.abs(hfValue), Math.abs(excelValue));
+      return Math.abs(hfValue - excelValue) <= tolerance * scale;
+    }
+
+    return hfValue === excelValue;
+  }
+
+  getResultTolerance(options = {}) {
+    const tolerance = Number(options.tolerance);
+    return Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : DEFAULT_RESULT_TOLERANCE;
+  }
+
+  /**
+   * 시트별 계산 결과 비교를 전체 결과에 병합 (함수별 그룹화 포함)
+   * @param {Object} summary - 전체 비교 결과
+   * @param {Object} sheetAnalysis - 시트 분석 결과
+   */
+  mergeResultComparison(summary, sheetAnalysis) {
+    const { compared, matched, mismatched, skipped, mismatches } = sheetAnalysis.resultComparison;
+
+    summary.comparedCells += compared;
+    summary.matchingCells += matched;
+    summary.mismatchedCells += mismatched;
+    summary.skippedCells += skipped;
+    summary.sheets[sheetAnalysis.name] = { compared, mismatched, skipped };
+    summary.mismatches.push(...mismatches);
+
+    mismatches.forEach(mismatch => {
+      const groups = mismatch.functions.length > 0 ? mismatch.functions : ['(함수 없음)'];
+      groups.forEach(func => {
+        const group = summary.byFunction[func] || (summary.byFunction[func] = { count: 0, cells: [] });
+        group.count++;
+        group.cells.push(mismatch.location);
+      });
+    });
+  }
+
   /**
    * 값 동등성 검사
    * @param {*} value1 - 첫 번째 값
@@ -474,51 +801,14 @@ class IntegratedEngine {
     return false;
   }
 
-  /**
-   * 순환 참조 탐지
-   * @returns {Array} 순환 참조 목록
-   */
-  detectCircularReferences() {
-    const circularRefs = [];
-    
-    try {
-      // HyperFormula의 내장 순환 참조 탐지 사용
-      this.hyperFormula.getSheetNames().forEach(sheetName => {
-        const sheetId = this.hyperFormula.getSheetId(sheetName);
-        const dimensions = this.hyperFormula.getSheetDimensions(sheetId);
-        
-        if (!dimensions) return;
-        
-        for (let row = 0; row < dimensions.height; row++) {
-          for (let col = 0; col < dimensions.width; col++) {
-            const cellAddress = { sheet: sheetId, row, col };
-            
-            if (this.hyperFormula.doesCellHaveFormula(cellAddress)) {
-              const value = this.hyperFormula.getCellValue(cellAddress);
-              
-              if (typeof value === 'string' && value === '#CIRCULAR!') {
-                circularRefs.push({
-                  location: `${sheetName}!${this.addressToExcel(row, col)}`,
-                  formula: this.hyperFormula.getCellFormula(cellAddress)
-                });
-              }
-            }
-          }
-        }
-      });
-    } catch (error) {
-      console.warn('순환 참조 탐지 중 오류:', error.message);
-    }
-    
-    return circularRefs;
-  }
-
   /**
    * 호환성 검증
+   * 내보내기와 같은 방식으로 파일(.ods는 .ods, 그 외는 .xlsx)에 저장한 뒤 다시 읽어 값·수식·이름 정의를 비교
    * @param {Object} convertedData - 변환된 데이터
+   * @param {string} format - 원본 파일 형식 (xlsx | ods | csv)
    * @returns {Promise<Object>} 호환성 검증 결과
    */
-  async validateCompatibility(convertedData) {
+  async validateCompatibility(convertedData, format = 'xlsx') {
     const validation = {
       isCompatible: true,
       issues: [],
@@ -532,13 +822,15 @@ class IntegratedEngine {
     };
 
     try {
-      // HyperFormula 데이터를 다시 ExcelJS로 변환
-      const backConverted = this.converter.hyperFormulaToExcel(convertedData);
+      // HyperFormula 데이터를 파일로 저장한 뒤 다시 읽기
+      const fileBuffer = format === 'ods'
+        ? await this.converter.writeOdsFile(convertedData)
+        : Buffer.from(await this.converter.writeExcelFile(convertedData));
       
       // 데이터 무결성 검사
       const integrityCheck = this.converter.validateDataIntegrity(
         convertedData, 
-        this.converter.excelToHyperFormula(backConverted)
+        await this.converter.readExcelFile(fileBuffer)
       );
       
       validation.statistics = integrityCheck.statistics;
@@ -557,13 +849,19 @@ class IntegratedEngine {
   /**
    * 분석 결과를 Excel 파일로 저장
    * @param {Object} options - 저장 옵션
+   * @param {boolean} [options.includeDetailedAnalysis] - 시트별 상세 분석 시트 포함
+   * @param {string[]} [options.lineageTargets] - 계보 추적 시트에 넣을 출력 셀 참조
    * @returns {Promise<Buffer>} Excel 파일 버퍼
+   * @throws {CellReferenceError} 계보 추적 대상 참조가 잘못된 경우
    */
   async generateAnalysisReport(options = {}) {
     if (!this.analysisResults) {
       throw new Error('분석 결과가 없습니다. 먼저 analyzeExcelFile()을 실행하세요.');
     }
 
+    // 참조 오류는 보고서를 만들기 전에 확인
+    const lineages = (options.lineageTargets || []).map(target => this.traceLineage(target)).filter(Boolean);
+
     const reportWorkbook = new ExcelJS.Workbook();
     reportWorkbook.title = '수식 분석 보고서';
     reportWorkbook.creator = 'FormulaEngine Service';
@@ -581,6 +879,30 @@ class IntegratedEngine {
       });
     }
 
+    // 계산 결과 비교 시트
+    if (this.analysisResults.formulas.resultComparison?.mismatchedCells > 0) {
+      const comparisonSheet = reportWorkbook.addWorksheet('계산 결과 비교');
+      this.createResultComparisonSheet(comparisonSheet);
+    }
+
+    // 미지원 함수 시트
+    if (this.analysisResults.formulas.unsupportedFunctions?.totalFunctions > 0) {
+      const unsupportedSheet = reportWorkbook.addWorksheet('미지원 함수');
+      this.createUnsupportedFunctionSheet(unsupportedSheet);
+    }
+
+    // 순환 참조 시트
+    if (this.analysisResults.formulas.circularReferences?.length > 0) {
+      const circularSheet = reportWorkbook.addWorksheet('순환 참조');
+      this.createCircularReferenceSheet(circularSheet);
+    }
+
+    // 계보 추적 시트
+    if (lineages.length > 0) {
+      const lineageSheet = reportWorkbook.addWorksheet('계보 추적');
+      this.createLineageSheet(lineageSheet, lineages);
+    }
+
     // 오류 및 경고 시트
     if (this.analysisResults.formulas.errors.length > 0) {
       const errorSheet = reportWorkbook.addWorksheet('오류 및 경고');
@@ -609,6 +931,8 @@ class IntegratedEngine {
     sheet.addRow(['총 셀 수', analysis.formulas.summary.totalCells]);
     sheet.addRow(['총 수식 수', analysis.formulas.summary.totalFormulas]);
     sheet.addRow(['오류 셀 수', analysis.formulas.summary.errorCells]);
+    sheet.addRow(['미지원 함수 사용 셀 수', analysis.formulas.summary.unsupportedFunctionCells || 0]);
+    sheet.addRow(['순환 참조 수', analysis.formulas.summary.circularReferences || 0]);
     sheet.addRow([]);
 
     // 성능 정보
@@ -674,6 +998,132 @@ class IntegratedEngine {
     }
   }
 
+  /**
+   * 계산 결과 비교 시트 생성
+   * @param {ExcelJS.Worksheet} sheet - 워크시트
+   */
+  createResultComparisonSheet(sheet) {
+    const comparison = this.analysisResults.formulas.resultComparison;
+
+    sheet.addRow(['HyperFormula ↔ Excel 계산 결과 비교']);
+    sheet.addRow(['비교한 수식 수', comparison.comparedCells]);
+    sheet.addRow(['불일치 수식 수', comparison.mismatchedCells]);
+    sheet.addRow(['허용 오차', comparison.tolerance]);
+    sheet.addRow([]);
+
+    sheet.addRow(['함수별 불일치']);
+    Object.entries(comparison.byFunction)
+      .sort(([, a], [, b]) => b.count - a.count)
+      .forEach(([func, group]) => {
+        sheet.addRow([func, group.count]);
+      });
+    sheet.addRow([]);
+
+    sheet.addRow(['위치', '수식', 'HyperFormula 값', 'Excel 값']);
+    comparison.mismatches.forEach(mismatch => {
+      sheet.addRow([
+        mismatch.location,
+        mismatch.formula,
+        String(mismatch.hyperformulaValue),
+        String(mismatch.excelValue)
+      ]);
+    });
+
+    sheet.getCell('A1').font = { bold: true, size: 14 };
+    sheet.getColumn('A').width = 20;
+    sheet.getColumn('B').width = 40;
+  }
+
+  /**
+   * 미지원 함수 시트 생성
+   * @param {ExcelJS.Worksheet} sheet - 워크시트
+   */
+  createUnsupportedFunctionSheet(sheet) {
+    const unsupported = this.analysisResults.formulas.unsupportedFunctions;
+
+    sheet.addRow(['HyperFormula 미지원 함수']);
+    sheet.addRow(['사용 셀 수', unsupported.cells]);
+    sheet.addRow(['오류 통계에서 제외한 셀 수', unsupported.excludedErrorCells]);
+    sheet.addRow([]);
+
+    sheet.addRow(['함수명', '사용 셀 수', '예시 셀']);
+    unsupported.functions.forEach(({ name, count, sampleCells }) => {
+      sheet.addRow([name, count, sampleCells.join(', ')]);
+    });
+
+    sheet.getCell('A1').font = { bold: true, size: 14 };
+    sheet.getRow(5).font = { bold: true };
+    sheet.getColumn('A').width = 28;
+    sheet.getColumn('C').width = 50;
+  }
+
+  /**
+   * 순환 참조 시트 생성
+   * @param {ExcelJS.Worksheet} sheet - 워크시트
+   */
+  createCircularReferenceSheet(sheet) {
+    const cycles = this.analysisResults.formulas.circularReferences;
+
+    sheet.addRow(['순환 참조']);
+    sheet.addRow(['순환 수', cycles.length]);
+    sheet.addRow([]);
+
+    sheet.addRow(['번호', '심각도', '셀 수', '참조 경로', '영향받는 셀 수', '셀', '수식']);
+    cycles.forEach(cycle => {
+      cycle.formulas.forEach(({ cell, formula }, index) => {
+        sheet.addRow(index === 0
+          ? [cycle.id, cycle.severity, cycle.length, cycle.chain.join(' → '), cycle.affectedCells, cell, formula]
+          : ['', '', '', '', '', cell, formula]);
+      });
+    });
+
+    sheet.getCell('A1').font = { bold: true, size: 14 };
+    sheet.getRow(4).font = { bold: true };
+    sheet.getColumn('D').width = 50;
+    sheet.getColumn('F').width = 20;
+    sheet.getColumn('G').width = 40;
+  }
+
+  /**
+   * 계보 추적 시트 생성 (트리를 들여쓰기한 행으로 펼침)
+   * @param {ExcelJS.Worksheet} sheet - 워크시트
+   * @param {Object[]} lineages - traceLineage() 결과 목록
+   */
+  createLineageSheet(sheet, lineages) {
+    const nodeTypes = { formula: '수식', input: '입력', range: '범위' };
+
+    sheet.addRow(['참조 계보 추적']);
+    lineages.forEach(lineage => {
+      sheet.addRow([]);
+      sheet.addRow([`대상: ${lineage.target}`]).font = { bold: true };
+      sheet.addRow(['깊이', lineage.depth, '수식 셀 수', lineage.formulaCells, '입력 셀 수', lineage.inputCells, '시트 이동', lineage.sheetHops]);
+      sheet.addRow(['단계', '셀', '유형', '시트 이동', '수식', '값', '비고']).font = { bold: true };
+
+      const stack = [lineage.tree];
+      while (stack.length > 0) {
+        const node = stack.pop();
+        const note = node.circular ? '순환 참조' : node.repeated ? '위에서 펼침' : '';
+        const row = sheet.addRow([
+          node.level,
+          node.cell,
+          nodeTypes[node.type],
+          node.sheetHop ? `→ ${node.sheet}` : '',
+          node.formula || '',
+          node.value ?? '',
+          note
+        ]);
+        row.getCell(2).alignment = { indent: Math.min(node.level, 15) };
+        stack.push(...[...node.children].reverse());
+      }
+    });
+
+    sheet.getCell('A1').font = { bold: true, size: 14 };
+    sheet.getColumn('B').width = 30;
+    sheet.getColumn('D').width = 14;
+    sheet.getColumn('E').width = 40;
+    sheet.getColumn('F').width = 16;
+  }
+
   /**
    * 오류 시트 생성
    * @param {ExcelJS.Worksheet} sheet - 워크시트
@@ -731,9 +1181,235 @@ class IntegratedEngine {
     
     this.originalWorkbook = null;
     this.analysisResults = null;
+    this.workbookSnapshot = null;
     this.converter = null;
   }
 
+  /**
+   * 워커 스레드에서 수행한 분석 결과 반영
+   * HyperFormula 인스턴스는 이벤트 루프를 막지 않도록 필요할 때 getHyperFormula()로 생성
+   * @param {Object} analysis - analyzeExcelFile() 결과
+   * @param {Object} workbookSnapshot - createWorkbookSnapshot() 결과
+   */
+  applyAnalysisResult(analysis, workbookSnapshot) {
+    if (this.hyperFormula) {
+      this.hyperFormula.destroy();
+      this.hyperFormula = null;
+    }
+
+    this.originalWorkbook = null;
+    this.workbookSnapshot = workbookSnapshot;
+    this.analysisResults = analysis;
+    this.lastActivity = Date.now();
+  }
+
+  /**
+   * HyperFormula 인스턴스 조회 (스냅샷만 있으면 이때 생성)
+   * @returns {HyperFormula|null}
+   */
+  getHyperFormula() {
+    if (!this.hyperFormula && this.workbookSnapshot) {
+      this.hyperFormula = buildFromWorkbookSnapshot(this.workbookSnapshot, this.hfConfig);
+      this.workbookSnapshot = null;
+    }
+    return this.hyperFormula;
+  }
+
+  /**
+   * 통합 문서 의존성 그래프 (수식은 세션 로캘 문법)
+   * @param {string} collapse - none | range | sheet
+   * @returns {Object|null} exportDependencyGraph() 결과 (분석한 워크북이 없으면 null)
+   */
+  getDependencyGraph(collapse = 'none') {
+    const hyperFormula = this.getHyperFormula();
+    if (!hyperFormula) {
+      return null;
+    }
+
+    this.lastActivity = Date.now();
+    return exportDependencyGraph(hyperFormula, {
+      collapse,
+      localizeFormula: formula => this.localizeFormula(formula)
+    });
+  }
+
+  /**
+   * 셀·범위 변경 영향 분석 (모든 종속 셀, 수식은 세션 로캘 문법)
+   * @param {string} reference - 셀 또는 범위 참조 (예: Sheet1!A1, Sheet1!A1:B5)
+   * @returns {Object|null} findDependents() 결과 (분석한 워크북이 없으면 null)
+   * @throws {CellReferenceError} 참조가 잘못된 경우
+   */
+  analyzeImpact(reference) {
+    const hyperFormula = this.getHyperFormula();
+    if (!hyperFormula) {
+      return null;
+    }
+
+    this.lastActivity = Date.now();
+    return findDependents(hyperFormula, reference, {
+      localizeFormula: formula => this.localizeFormula(formula)
+    });
+  }
+
+  /**
+   * 출력 셀의 참조 계보 트리 (입력 상수까지, 수식은 세션 로캘 문법)
+   * @param {string} reference - 셀 참조 (예: Output!B10)
+   * @returns {Object|null} traceLineage() 결과 (분석한 워크북이 없으면 null)
+   * @throws {CellReferenceError} 참조가 잘못되었거나 범위인 경우
+   */
+  traceLineage(reference) {
+    const hyperFormula = this.getHyperFormula();
+    if (!hyperFormula) {
+      return null;
+    }
+
+    this.lastActivity = Date.now();
+    return traceLineage(hyperFormula, reference, {
+      localizeFormula: formula => this.localizeFormula(formula)
+    });
+  }
+
+  /**
+   * what-if 시나리오 저장 (같은 이름이 있으면 덮어씀)
+   * @param {Object} scenario - { name, overrides, description }
+   * @returns {Object|null} { scenario, created } (분석한 워크북이 없으면 null)
+   * @throws {ScenarioError|CellReferenceError} 이름이나 입력값이 잘못된 경우
+   */
+  saveScenario({ name, overrides, description } = {}) {
+    const hyperFormula = this.getHyperFormula();
+    if (!hyperFormula) {
+      return null;
+    }
+
+    const scenarioName = validateScenarioName(name);
+    const existing = this.scenarios.get(scenarioName);
+    const now = new Date().toISOString();
+    const scenario = {
+      name: scenarioName,
+      description: description || '',
+      overrides: normalizeOverrides(hyperFormula, overrides),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    this.scenarios.set(scenarioName, scenario);
+    this.lastActivity = Date.now();
+    return { scenario, created: !existing };
+  }
+
+  /**
+   * 저장된 what-if 시나리오 목록
+   * @returns {Object[]} 저장 순서대로
+   */
+  getScenarios() {
+    return [...this.scenarios.values()];
+  }
+
+  /**
+   * what-if 시나리오 삭제
+   * @param {string} name - 시나리오 이름
+   * @throws {ScenarioNotFoundError} 저장된 시나리오가 없는 경우
+   */
+  deleteScenario(name) {
+    if (!this.scenarios.delete(name)) {
+      throw new ScenarioNotFoundError(name);
+    }
+    this.lastActivity = Date.now();
+  }
+
+  /**
+   * 입력값을 바꾼 출력 셀 값 계산 (세션 워크북은 바뀌지 않음)
+   * overrides는 'what-if'라는 이름의 시나리오로 계산하며, scenarios에는 저장된 시나리오 이름 또는 { name, overrides }를 지정
+   * 둘 다 생략하면 저장된 모든 시나리오를 계산
+   * @param {Object} request - { outputs, overrides, scenarios }
+   * @returns {Object|null} compareScenarios() 결과 (분석한 워크북이 없으면 null)
+   * @throws {ScenarioError|ScenarioNotFoundError|CellReferenceError} 요청이 잘못되었거나 시나리오가 없는 경우
+   */
+  evaluateWhatIf({ outputs, overrides, scenarios } = {}) {
+    const hyperFormula = this.getHyperFormula();
+    if (!hyperFormula) {
+      return null;
+    }
+    if (scenarios !== undefined && !Array.isArray(scenarios)) {
+      throw new ScenarioError('시나리오 목록(scenarios)은 배열이어야 합니다.');
+    }
+
+    const requested = [];
+    if (overrides !== undefined) {
+      requested.push({ name: 'what-if', overrides: normalizeOverrides(hyperFormula, overrides) });
+    }
+    (scenarios || (overrides === undefined ? this.getScenarios().map(({ name }) => name) : [])).forEach(entry => {
+      if (typeof entry === 'string') {
+        const saved = this.scenarios.get(entry);
+        if (!saved) throw new ScenarioNotFoundError(entry);
+        requested.push({ name: saved.name, overrides: saved.overrides });
+      } else {
+        requested.push({ name: validateScenarioName(entry?.name), overrides: normalizeOverrides(hyperFormula, entry?.overrides) });
+      }
+    });
+
+    const duplicate = requested.find((scenario, index) => requested.findIndex(other => other.name === scenario.name) !== index);
+    if (duplicate) {
+      throw new ScenarioError(`시나리오 이름이 중복되었습니다: ${duplicate.name}`);
+    }
+
+    this.lastActivity = Date.now();
+    return compareScenarios(hyperFormula, {
+      outputs,
+      scenarios: requested,
+      toFormula: formula => toHyperFormulaSyntax(translateFormula(formula, this.locale, DEFAULT_LANGUAGE))
+    });
+  }
+
+  /**
+   * 세션 워크북 내보내기 (수식은 계산 결과 없이 수식 그대로 기록)
+   * @param {string} format - xlsx | ods
+   * @returns {Promise<Buffer|null>} 파일 버퍼 (분석한 워크북이 없으면 null)
+   */
+  async exportWorkbook(format = 'xlsx') {
+    const snapshot = this.hyperFormula ? createWorkbookSnapshot(this.hyperFormula) : this.workbookSnapshot;
+    if (!snapshot) {
+      return null;
+    }
+
+    this.lastActivity = Date.now();
+    return format === 'ods'
+      ? this.converter.writeOdsFile(snapshot)
+      : Buffer.from(await this.converter.writeExcelFile(snapshot));
+  }
+
+  /**
+   * 세션 직렬화 (세션 저장소 영속화용)
+   * 원본 ExcelJS 워크북은 저장하지 않으며, 복원 후에는 HyperFormula 데이터와 분석 결과만 사용 가능
+   * @returns {Object} JSON 직렬화 가능한 세션 데이터
+   */
+  serialize() {
+    return {
+      type: 'integrated',
+      sessionId: this.sessionId,
+      options: this.options,
+      lastActivity: this.lastActivity,
+      workbook: this.hyperFormula ? createWorkbookSnapshot(this.hyperFormula) : this.workbookSnapshot,
+      analysisResults: this.analysisResults,
+      scenarios: this.getScenarios()
+    };
+  }
+
+  /**
+   * 직렬화된 세션으로부터 엔진 복원
+   * @param {Object} data - serialize() 결과
+   * @returns {IntegratedEngine} 복원된 엔진
+   */
+  static restore(data) {
+    const engine = new IntegratedEngine(data.sessionId, data.options || {});
+
+    engine.workbookSnapshot = data.workbook || null;
+    engine.analysisResults = data.analysisResults || null;
+    engine.scenarios = new Map((data.scenarios || []).map(scenario => [scenario.name, scenario]));
+
+    return engine;
+  }
+
   /**
    * 세션 활성화 시간 업데이트
    */
@@ -0,0 +1,414 @@
+const JSZip = require('jszip');
+const { openFormulaToExcel, excelToOpenFormula, odsReferenceToExcel } = require('./open_formula');
+
+const ODS_MIME_TYPE = 'application/vnd.oasis.opendocument.spreadsheet';
+
+// Excel과 같은 시트 크기 한도 (LibreOffice는 빈 행/열을 수백만 번 반복으로 기록하므로 반복 횟수 상한으로 사용)
+const MAX_ROWS = 1048576;
+const MAX_COLUMNS = 16384;
+
+// 반복 행·열을 펼친 뒤의 전체 셀 수 상한 (행·열 상한만으로는 값 있는 반복 행 × 반복 열이 수십억 셀이 될 수 있음)
+const MAX_EXPANDED_CELLS = 2000000;
+
+/**
+ * 반복 행·열을 펼친 셀 수가 상한을 넘는 문서 (HTTP 413으로 응답)
+ */
+class OdsDocumentTooLargeError extends Error {
+  constructor(limit) {
+    super(`ODS 문서의 셀 수가 너무 많습니다. 반복 행·열을 펼친 셀은 최대 ${limit.toLocaleString()}개까지 읽을 수 있습니다.`);
+    this.name = 'OdsDocumentTooLargeError';
+    this.statusCode = 413;
+    this.type = 'workbook_too_large';
+  }
+}
+
+const NAMESPACES = [
+  'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+  'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"',
+  'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"',
+  'xmlns:of="urn:oasis:names:tc:opendocument:xmlns:of:1.2"'
+].join(' ');
+
+// 태그 또는 텍스트 단위 토큰 (선언, 주석, 처리 명령은 건너뜀)
+const XML_TOKEN = /<[?!][^>]*>|<(\/?)([\w.:-]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+
+/**
+ * OpenDocument 스프레드시트(.ods) 읽기
+ * content.xml의 시트, 셀 값(계산 결과 포함), 수식, 이름 범위/이름 수식을 읽으며
+ * 수식과 이름 정의는 Excel 문법으로 변환
+ * @param {Buffer} fileBuffer - .ods 파일 버퍼
+ * @returns {Promise<Object>} { sheets: [{ name, cells: [{ row, col, value, formula }] }], definedNames: [{ name, scope, formula }] }
+ */
+async function readOdsDocument(fileBuffer) {
+  const zip = await JSZip.loadAsync(fileBuffer);
+  const content = zip.file('content.xml');
+  if (!content) {
+    throw new Error('content.xml이 없는 ODS 파일입니다.');
+  }
+
+  const xml = await content.async('string');
+  const sheets = [];
+  const definedNames = [];
+  let sheet = null;
+  let row = 0;
+  let col = 0;
+  let rowRepeat = 1;
+  let rowCells = [];
+  let cellCount = 0;
+  let cell = null;
+  let paragraphDepth = 0;
+  let annotationDepth = 0;
+
+  const finishCell = () => {
+    const repeat = Math.min(cell.repeat, MAX_COLUMNS - col);
+    const value = cellValue(cell);
+    if (value !== null || cell.formula) {
+      assertCellBudget(cellCount + rowCells.length + repeat);
+      for (let offset = 0; offset < repeat; offset++) {
+        rowCells.push({ col: col + offset, value, formula: cell.formula });
+      }
+    }
+    col += cell.repeat;
+    cell = null;
+  };
+
+  for (const [, closing, tag, rawAttributes, selfClosing, text] of xml.matchAll(XML_TOKEN)) {
+    if (text !== undefined) {
+      if (cell && paragraphDepth > 0 && annotationDepth === 0) appendText(cell, decodeXml(text));
+      continue;
+    }
+    if (!tag) continue;
+
+    // 셀 메모의 문단은 셀 값이 아님
+    if (tag === 'office:annotation') {
+      if (!selfClosing) annotationDepth += closing ? -1 : 1;
+      continue;
+    }
+    if (annotationDepth > 0) continue;
+
+    const attributes = closing ? {} : parseAttributes(rawAttributes);
+
+    switch (tag) {
+      case 'table:table':
+        if (closing) {
+          sheets.push(sheet);
+          sheet = null;
+        } else {
+          sheet = { name: attributes['table:name'] || `Sheet${sheets.length + 1}`, cells: [] };
+          row = 0;
+        }
+        break;
+
+      case 'table:table-row':
+        if (closing) {
+          cellCount += finishRow(sheet, rowCells, row, rowRepeat, cellCount);
+          row += rowRepeat;
+        } else {
+          rowRepeat = parseInt(attributes['table:number-rows-repeated'] || '1', 10);
+          rowCells = [];
+          col = 0;
+          if (selfClosing) row += rowRepeat;
+        }
+        break;
+
+      case 'table:table-cell':
+      case 'table:covered-table-cell':
+        if (closing) {
+          if (cell) finishCell();
+        } else {
+          cell = parseCell(attributes);
+          if (selfClosing) finishCell();
+        }
+        break;
+
+      case 'text:p':
+      case 'text:h':
+        if (!cell) break;
+        if (closing) {
+          paragraphDepth--;
+        } else {
+          cell.paragraphs.push('');
+          if (!selfClosing) paragraphDepth++;
+        }
+        break;
+
+      case 'text:s':
+        if (cell) appendText(cell, ' '.repeat(parseInt(attributes['text:c'] || '1', 10)));
+        break;
+
+      case 'text:tab':
+        if (cell) appendText(cell, '\t');
+        break;
+
+      case 'text:line-break':
+        if (cell) appendText(cell, '\n');
+        break;
+
+      case 'table:named-range':
+        definedNames.push({
+          name: attributes['table:name'],
+          scope: sheet?.name,
+          formula: odsReferenceToExcel(attributes['table:cell-range-address'] || '')
+        });
+        break;
+
+      case 'table:named-expression':
+        definedNames.push({
+          name: attributes['table:name'],
+          scope: sheet?.name,
+          formula: openFormulaToExcel(attributes['table:expression'] || '')
+        });
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  return { sheets, definedNames: definedNames.filter(definedName => definedName.name) };
+}
+
+// 값이 있는 행만 반복 횟수만큼 셀 추가 (빈 반복 행은 행 번호만 증가), 추가한 셀 수 반환
+function finishRow(sheet, rowCells, row, repeat, cellCount) {
+  if (!sheet || rowCells.length === 0) return 0;
+
+  const count = Math.max(0, Math.min(repeat, MAX_ROWS - row));
+  assertCellBudget(cellCount + rowCells.length * count);
+  for (let offset = 0; offset < count; offset++) {
+    rowCells.forEach(({ col, value, formula }) => {
+      sheet.cells.push({ row: row + offset, col, value, formula });
+    });
+  }
+  return rowCells.length * count;
+}
+
+function assertCellBudget(total) {
+  if (total > MAX_EXPANDED_CELLS) {
+    throw new OdsDocumentTooLargeError(MAX_EXPANDED_CELLS);
+  }
+}
+
+function parseCell(attributes) {
+  const formula = attributes['table:formula'];
+  return {
+    repeat: parseInt(attributes['table:number-columns-repeated'] || '1', 10),
+    type: attributes['calcext:value-type'] === 'error' ? 'error' : attributes['office:value-type'],
+    attributes,
+    formula: formula ? openFormulaToExcel(formula) : null,
+    paragraphs: []
+  };
+}
+
+function appendText(cell, text) {
+  if (cell.paragraphs.length === 0) cell.paragraphs.push('');
+  cell.paragraphs[cell.paragraphs.length - 1] += text;
+}
+
+/**
+ * 셀 값 (수식 셀은 저장된 계산 결과)
+ * @returns {*} 숫자, 논리값, Date(UTC), 문자열, { error } 또는 null
+ */
+function cellValue(cell) {
+  const { attributes } = cell;
+  const text = cell.paragraphs.join('\n');
+
+  switch (cell.type) {
+    case 'float':
+    case 'percentage':
+    case 'currency':
+      return Number(attributes['office:value']);
+    case 'date':
+      return parseDate(attributes['office:date-value']);
+    case 'time':
+      return parseDuration(attributes['office:time-value']);
+    case 'boolean':
+      return attributes['office:boolean-value'] === 'true';
+    case 'error':
+      return { error: text };
+    case 'string':
+      return attributes['office:string-value'] ?? text;
+    default:
+      return null;
+  }
+}
+
+// 2024-01-05 또는 2024-01-05T10:30:00(.000) (시간대 없이 기록되므로 UTC로 해석, ExcelJS 날짜와 동일)
+function parseDate(value) {
+  const match = /^(-?\d{4,})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2})(\.\d+)?)?/.exec(value || '');
+  if (!match) return null;
+
+  const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(part => Number(part || 0));
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds, Math.round(Number(match[7] || 0) * 1000)));
+}
+
+// PT10H30M00S → 하루 중 비율 (Excel 시간 값)
+function parseDuration(value) {
+  const match = /^-?PT(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?$/.exec(value || '');
+  if (!match) return null;
+
+  const [hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+  return (hours * 3600 + minutes * 60 + seconds) / 86400;
+}
+
+/**
+ * OpenDocument 스프레드시트(.ods) 생성
+ * @param {Array} sheets - [{ name, rows }] (rows는 HyperFormula 시트 데이터: 값 또는 =로 시작하는 Excel 수식)
+ * @param {Array} definedNames - [{ name, scope, formula }] (readOdsDocument()와 같은 형식, formula는 = 없는 Excel 수식)
+ * @returns {Promise<Buffer>} .ods 파일 버퍼
+ */
+async function writeOdsDocument(sheets, definedNames = []) {
+  const tables = sheets.map(({ name, rows }) => {
+    const width = rows.reduce((max, row) => Math.max(max, Array.isArray(row) ? row.length : 0), 1);
+    return `<table:table table:name="${encodeXml(name)}">` +
+      `<table:table-column table:number-columns-repeated="${width}"/>` +
+      encodeRows(rows) +
+      encodeNamedExpressions(definedNames.filter(definedName => definedName.scope === name)) +
+      '</table:table>';
+  });
+  // 통합 문서 범위 이름은 시트 뒤에, 시트 범위 이름은 해당 table:table 안에 기록
+  const workbookNames = encodeNamedExpressions(definedNames.filter(definedName => definedName.scope === undefined));
+
+  const content = '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<office:document-content ${NAMESPACES} office:version="1.2">` +
+    `<office:body><office:spreadsheet>${tables.join('')}${workbookNames}</office:spreadsheet></office:body>` +
+    '</office:document-content>';
+
+  const manifest = '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2">' +
+    `<manifest:file-entry manifest:full-path="/" manifest:version="1.2" manifest:media-type="${ODS_MIME_TYPE}"/>` +
+    '<manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/>' +
+    '</manifest:manifest>';
+
+  // mimetype은 압축하지 않은 첫 번째 항목이어야 함 (ODF 패키지 규칙)
+  const zip = new JSZip();
+  zip.file('mimetype', ODS_MIME_TYPE, { compression: 'STORE' });
+  zip.file('META-INF/manifest.xml', manifest);
+  zip.file('content.xml', content);
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// 이름 정의는 모두 table:named-expression으로 기록 (셀 범위 이름도 수식 [$Sheet1.$A$1]로 표현)
+function encodeNamedExpressions(definedNames) {
+  if (definedNames.length === 0) return '';
+
+  const expressions = definedNames.map(({ name, formula }) =>
+    `<table:named-expression table:name="${encodeXml(name)}" table:expression="${encodeXml(excelToOpenFormula(formula))}"/>`);
+  return `<table:named-expressions>${expressions.join('')}</table:named-expressions>`;
+}
+
+// 빈 행과 빈 셀은 반복 횟수로 묶어서 기록
+function encodeRows(rows) {
+  let xml = '';
+  let emptyRows = 0;
+
+  const flushEmptyRows = () => {
+    if (emptyRows === 0) return;
+    xml += `<table:table-row${repeatAttribute('rows', emptyRows)}><table:table-cell/></table:table-row>`;
+    emptyRows = 0;
+  };
+
+  // 값이 없는 행은 희소 배열의 구멍일 수 있으므로(forEach가 건너뜀) 행 번호 차이로 빈 행 수를 셈
+  let nextRow = 0;
+  rows.forEach((row, index) => {
+    emptyRows += index - nextRow;
+    nextRow = index + 1;
+
+    const cells = Array.isArray(row) ? row : [];
+    if (!cells.some(isPresent)) {
+      emptyRows++;
+      return;
+    }
+
+    flushEmptyRows();
+    let cellsXml = '';
+    let emptyCells = 0;
+    cells.forEach(value => {
+      if (!isPresent(value)) {
+        emptyCells++;
+        return;
+      }
+      if (emptyCells > 0) {
+        cellsXml += `<table:table-cell${repeatAttribute('columns', emptyCells)}/>`;
+        emptyCells = 0;
+      }
+      cellsXml += encodeCell(value);
+    });
+    xml += `<table:table-row>${cellsXml}</table:table-row>`;
+  });
+
+  emptyRows += rows.length - nextRow;
+  flushEmptyRows();
+  return xml || '<table:table-row><table:table-cell/></table:table-row>';
+}
+
+function encodeCell(value) {
+  if (typeof value === 'string' && value.startsWith('=')) {
+    return `<table:table-cell table:formula="${encodeXml(excelToOpenFormula(value))}"/>`;
+  }
+  if (typeof value === 'number') {
+    return `<table:table-cell office:value-type="float" office:value="${value}"><text:p>${value}</text:p></table:table-cell>`;
+  }
+  if (typeof value === 'boolean') {
+    const text = value ? 'TRUE' : 'FALSE';
+    return `<table:table-cell office:value-type="boolean" office:boolean-value="${value}"><text:p>${text}</text:p></table:table-cell>`;
+  }
+  if (value instanceof Date) {
+    const iso = value.toISOString().replace(/Z$/, '').replace(/T00:00:00\.000$/, '');
+    return `<table:table-cell office:value-type="date" office:date-value="${iso}"><text:p>${iso}</text:p></table:table-cell>`;
+  }
+
+  const paragraphs = String(value).split('\n').map(line => `<text:p>${encodeParagraph(line)}</text:p>`);
+  return `<table:table-cell office:value-type="string">${paragraphs.join('')}</table:table-cell>`;
+}
+
+// ODF는 연속 공백과 탭을 하나로 합치므로 text:s / text:tab으로 보존
+function encodeParagraph(line) {
+  return encodeXml(line)
+    .replace(/\t/g, '<text:tab/>')
+    .replace(/(^| ) +/g, (spaces, lead) => {
+      const count = spaces.length - lead.length;
+      return `${lead}<text:s${count > 1 ? ` text:c="${count}"` : ''}/>`;
+    });
+}
+
+function repeatAttribute(kind, count) {
+  return count > 1 ? ` table:number-${kind}-repeated="${count}"` : '';
+}
+
+function isPresent(value) {
+  return value !== null && value !== undefined;
+}
+
+function parseAttributes(raw) {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted] of raw.matchAll(/([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[name] = decodeXml(doubleQuoted ?? singleQuoted);
+  }
+  return attributes;
+}
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|quot|apos|amp);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+    }
+    return { lt: '<', gt: '>', quot: '"', apos: '\'', amp: '&' }[code.toLowerCase()];
+  });
+}
+
+function encodeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  ODS_MIME_TYPE,
+  MAX_EXPANDED_CELLS,
+  OdsDocumentTooLargeError,
+  readOdsDocument,
+  writeOdsDocument
+};
@@ -0,0 +1,235 @@
+/**
+ * OpenFormula(ODF 1.2 Part 2) ↔ Excel 수식 문법 변환
+ *
+ * | 요소 | OpenFormula | Excel |
+ * |------|-------------|-------|
+ * | 셀/범위 참조 | [.A1], [.A1:.B2] | A1, A1:B2 |
+ * | 다른 시트 참조 | [$Sheet2.A1], [$'My Sheet'.A1:.B2] | Sheet2!A1, 'My Sheet'!A1:B2 |
+ * | 인수 구분자 | ; | , |
+ * | 배열 상수 | {1;2|3;4} | {1,2;3,4} |
+ * | 합집합/교집합 | ~ / ! | , / 공백 |
+ * | Excel 전용 함수 | COM.MICROSOFT.XLOOKUP | XLOOKUP (_xlfn.XLOOKUP) |
+ *
+ * 문자열 리터럴과 오류 값(#DIV/0! 등)은 그대로 유지
+ */
+
+// Excel 셀/열/행 참조 (시트명 포함 가능, 함수 이름·이름 정의와 구분하기 위해 뒤에 ( 또는 문자가 오면 제외)
+const EXCEL_REFERENCE = new RegExp(
+  '^(?:(\'(?:[^\']|\'\')+\'|[A-Za-z_\\u0080-\\uffff][\\w.\\u0080-\\uffff]*)!)?' +
+  '(\\$?[A-Za-z]{1,3}\\$?\\d+(?::\\$?[A-Za-z]{1,3}\\$?\\d+)?|\\$?[A-Za-z]{1,3}:\\$?[A-Za-z]{1,3}|\\$?\\d+:\\$?\\d+)' +
+  '(?![\\w(!.\\u0080-\\uffff])'
+);
+
+// 오류 값 리터럴
+const ERROR_LITERAL = /^#(?:N\/A|[A-Z0-9/]+[!?])/i;
+
+/**
+ * OpenFormula 수식을 Excel 수식으로 변환
+ * @param {string} formula - table:formula 속성 값 (예: of:=SUM([.A1:.A3]))
+ * @returns {string} Excel 수식 (= 제외, 예: SUM(A1:A3))
+ */
+function openFormulaToExcel(formula) {
+  let text = formula.trim();
+
+  // Excel이 저장한 ODS는 Excel 문법 수식을 msoxl: 네임스페이스로 기록
+  if (text.startsWith('msoxl:')) {
+    return text.slice('msoxl:'.length).replace(/^=/, '');
+  }
+  text = text.replace(/^of:/, '').replace(/^==?/, '');
+
+  let result = '';
+  let arrayDepth = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '"') {
+      const end = findStringEnd(text, i);
+      result += text.slice(i, end);
+      i = end - 1;
+    } else if (char === '#' && ERROR_LITERAL.test(text.slice(i))) {
+      const literal = text.slice(i).match(ERROR_LITERAL)[0];
+      result += literal;
+      i += literal.length - 1;
+    } else if (char === '[') {
+      const end = findReferenceEnd(text, i);
+      result += odsReferenceToExcel(text.slice(i + 1, end));
+      i = end;
+    } else if (char === '{') {
+      arrayDepth++;
+      result += char;
+    } else if (char === '}') {
+      arrayDepth--;
+      result += char;
+    } else if (char === ';' || char === '~') {
+      result += ',';
+    } else if (char === '|' && arrayDepth > 0) {
+      result += ';';
+    } else if (char === '!') {
+      result += ' ';
+    } else {
+      result += char;
+    }
+  }
+
+  return result.replace(/COM\.MICROSOFT\./gi, '');
+}
+
+/**
+ * Excel 수식을 OpenFormula 수식으로 변환
+ * @param {string} formula - Excel 수식 (= 포함 여부 무관)
+ * @returns {string} table:formula 속성 값 (of:= 접두사 포함)
+ */
+function excelToOpenFormula(formula) {
+  const text = formula.replace(/^=/, '').replace(/_xlfn\./gi, 'COM.MICROSOFT.');
+
+  let result = '';
+  let arrayDepth = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const previous = text[i - 1] || '';
+
+    if (char === '"') {
+      const end = findStringEnd(text, i);
+      result += text.slice(i, end);
+      i = end - 1;
+      continue;
+    }
+    if (char === '#' && ERROR_LITERAL.test(text.slice(i))) {
+      const literal = text.slice(i).match(ERROR_LITERAL)[0];
+      result += literal;
+      i += literal.length - 1;
+      continue;
+    }
+
+    // 이름·함수 중간이 아닌 위치에서만 참조로 해석
+    if (!/[\w.$'\u0080-\uffff]/.test(previous)) {
+      const match = text.slice(i).match(EXCEL_REFERENCE);
+      if (match) {
+        result += excelReferenceToOds(match[1], match[2]);
+        i += match[0].length - 1;
+        continue;
+      }
+    }
+
+    if (char === '{') {
+      arrayDepth++;
+      result += char;
+    } else if (char === '}') {
+      arrayDepth--;
+      result += char;
+    } else if (char === ',') {
+      result += ';';
+    } else if (char === ';' && arrayDepth > 0) {
+      result += '|';
+    } else {
+      result += char;
+    }
+  }
+
+  return `of:=${result}`;
+}
+
+/**
+ * OpenFormula 참조([ ] 내부)를 Excel 참조로 변환
+ * @param {string} reference - 예: $Sheet2.$A$1:.B2, .A:.C, $'My Sheet'.A1
+ * @returns {string} Excel 참조 (예: Sheet2!$A$1:B2)
+ */
+function odsReferenceToExcel(reference) {
+  if (reference.includes('#REF!')) {
+    return '#REF!';
+  }
+
+  const [start, end] = splitRange(reference);
+  const first = parseOdsAddress(start);
+  const second = end === undefined ? null : parseOdsAddress(end);
+
+  const address = second ? `${first.address}:${second.address}` : first.address;
+  return first.sheet ? `${quoteSheetName(first.sheet)}!${address}` : address;
+}
+
+/**
+ * Excel 참조를 OpenFormula 참조로 변환
+ * @param {string|undefined} sheet - 시트명 (따옴표 포함 가능)
+ * @param {string} address - 예: $A$1:B2, A:C, 1:3
+ * @returns {string} OpenFormula 참조 (예: [$Sheet2.$A$1:.B2])
+ */
+function excelReferenceToOds(sheet, address) {
+  const [start, end] = address.toUpperCase().split(':');
+  const sheetLocator = sheet ? `$${quoteSheetName(unquoteSheetName(sheet))}` : '';
+  return `[${sheetLocator}.${start}${end === undefined ? '' : `:.${end}`}]`;
+}
+
+// 시트 위치 지정자($Sheet. 또는 .)와 셀 주소 분리
+function parseOdsAddress(part) {
+  const dot = findSheetSeparator(part);
+  if (dot === -1) {
+    return { sheet: null, address: part };
+  }
+
+  const sheet = part.slice(0, dot).replace(/^\$/, '');
+  return {
+    sheet: sheet ? unquoteSheetName(sheet) : null,
+    address: part.slice(dot + 1)
+  };
+}
+
+// 따옴표로 감싼 시트명 밖의 마지막 . 위치
+function findSheetSeparator(part) {
+  let quoted = false;
+  let separator = -1;
+  for (let i = 0; i < part.length; i++) {
+    if (part[i] === '\'') quoted = !quoted;
+    else if (part[i] === '.' && !quoted) separator = i;
+  }
+  return separator;
+}
+
+// 따옴표로 감싼 시트명 밖의 : 기준으로 분리
+function splitRange(reference) {
+  let quoted = false;
+  for (let i = 0; i < reference.length; i++) {
+    if (reference[i] === '\'') quoted = !quoted;
+    else if (reference[i] === ':' && !quoted) return [reference.slice(0, i), reference.slice(i + 1)];
+  }
+  return [reference];
+}
+
+function findStringEnd(text, start) {
+  let i = start + 1;
+  while (i < text.length) {
+    if (text[i] === '"') {
+      if (text[i + 1] !== '"') return i + 1;
+      i++;
+    }
+    i++;
+  }
+  return text.length;
+}
+
+function findReferenceEnd(text, start) {
+  let quoted = false;
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\'') quoted = !quoted;
+    else if (text[i] === ']' && !quoted) return i;
+  }
+  return text.length;
+}
+
+// 영문자·숫자·밑줄로만 된 시트명은 따옴표 없이 사용
+// (HyperFormula는 한글 등 비ASCII 시트명과 숫자로 시작하거나 셀 주소처럼 보이는 시트명을 따옴표 없이 해석하지 못함)
+function quoteSheetName(name) {
+  const plain = /^[A-Za-z_]\w*$/.test(name) && !/^[A-Za-z]{1,3}\d+$/.test(name);
+  return plain ? name : `'${name.replace(/'/g, '\'\'')}'`;
+}
+
+function unquoteSheetName(name) {
+  return name.startsWith('\'') && name.endsWith('\'') ? name.slice(1, -1).replace(/''/g, '\'') : name;
+}
+
+module.exports = {
+  openFormulaToExcel,
+  excelToOpenFormula,
+  odsReferenceToExcel
+};
@@ -0,0 +1,33 @@
+const { FunctionPlugin, FunctionArgumentType } = require('hyperformula');
+
+/**
+ * 사용자 정의 함수 플러그인 예제 (_로 시작하는 파일은 로드하지 않음)
+ * 파일명을 바꾸어(예: vat.js) 이 디렉터리에 두면 서비스 시작 시 등록됨
+ *
+ * =VAT.AMOUNT(11000)      → 1000 (부가세 포함 금액의 부가세)
+ * =VAT.AMOUNT(10500, 0.05) → 500
+ */
+class VatPlugin extends FunctionPlugin {
+  vatAmount(ast, state) {
+    return this.runFunction(ast.args, state, this.metadata('VAT.AMOUNT'),
+      (total, rate) => total - total / (1 + rate));
+  }
+}
+
+VatPlugin.implementedFunctions = {
+  'VAT.AMOUNT': {
+    method: 'vatAmount',
+    description: '부가세 포함 금액에서 부가세 계산',
+    parameters: [
+      { name: 'total', argumentType: FunctionArgumentType.NUMBER },
+      { name: 'rate', argumentType: FunctionArgumentType.NUMBER, defaultValue: 0.1, minValue: 0 }
+    ]
+  }
+};
+
+// 번역이 없는 언어에서는 표준 함수명(VAT.AMOUNT)을 사용
+VatPlugin.translations = {
+  deDE: { 'VAT.AMOUNT': 'MWST.BETRAG' }
+};
+
+module.exports = VatPlugin;
@@ -0,0 +1,482 @@
+const v8 = require('v8');
+const { v4: uuidv4 } = require('uuid');
+const { SessionConflictError } = require('./session_store');
+
+// 세션 메모리 추정용 셀당 대략적인 크기 (바이트)
+// HyperFormula는 셀마다 값/주소 매핑을 유지하고, 수식 셀은 AST와 의존성 그래프 정점을 추가로 가짐
+const ESTIMATED_BYTES = {
+  session: 64 * 1024, // 빈 HyperFormula 인스턴스 및 엔진 기본 구조
+  valueCell: 120,
+  formulaCell: 600,
+  perCharacter: 2,
+  excelJsCell: 400 // 통합 세션이 보관하는 원본 ExcelJS 워크북의 셀
+};
+
+/**
+ * 세션 할당량 초과 오류 (HTTP 429로 응답)
+ */
+class SessionQuotaError extends Error {
+  constructor(message, limit) {
+    super(message);
+    this.name = 'SessionQuotaError';
+    this.statusCode = 429;
+    this.type = 'session_quota_exceeded';
+    this.limit = limit;
+  }
+}
+
+/**
+ * 세션 관리자
+ * 기본/통합 세션의 생성·조회·저장·삭제와 만료를 한 곳에서 처리하고,
+ * 세션 수 제한(전체/클라이언트별)과 힙 사용량 기반 LRU 제거를 적용
+ */
+class SessionManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - 세션 저장소 (session_store.js)
+   * @param {number} options.ttlMs - 비활성 세션 만료 시간 (밀리초)
+   * @param {number} options.maxSessions - 인스턴스당 최대 세션 수
+   * @param {number} options.maxSessionsPerClient - 클라이언트당 최대 세션 수
+   * @param {number} options.heapThresholdBytes - LRU 제거를 시작할 힙 사용량
+   */
+  constructor(options) {
+    this.store = options.store;
+    this.ttlMs = options.ttlMs;
+    this.maxSessions = options.maxSessions;
+    this.maxSessionsPerClient = options.maxSessionsPerClient;
+    this.heapThresholdBytes = options.heapThresholdBytes
+      || Math.floor(v8.getHeapStatistics().heap_size_limit * 0.8);
+
+    this.types = new Map();
+
+    // sessionId → { engine, type, clientId, estimatedMemory } (삽입 순서 = 최근 사용 순서)
+    this.entries = new Map();
+    this.expiryTimers = new Map();
+
+    // 동시 요청 시 같은 세션을 중복 조회하지 않도록 진행 중인 조회 작업 공유
+    this.pendingRestores = new Map();
+
+    // 세션별 진행 중인 저장 작업 (같은 세션의 저장은 순서대로 실행)
+    this.pendingSaves = new Map();
+  }
+
+  /**
+   * 세션 유형 등록
+   * @param {string} type - serialize() 결과의 type 값
+   * @param {Function} Engine - 엔진 클래스 (constructor(sessionId, options), static restore(data))
+   * @param {string} label - 로그용 이름
+   */
+  registerType(type, Engine, label) {
+    this.types.set(type, { Engine, label });
+  }
+
+  /**
+   * 새 세션 생성
+   * @param {string} type - 세션 유형
+   * @param {string} clientId - 요청 클라이언트 식별자
+   * @param {Object} options - 엔진 옵션
+   * @returns {Promise<Object>} 생성된 엔진
+   */
+  async create(type, clientId, options = {}) {
+    this.assertQuota();
+
+    const { Engine, label } = this.types.get(type);
+    const sessionId = uuidv4();
+    const engine = new Engine(sessionId, options);
+
+    this.entries.set(sessionId, { engine, type, clientId, estimatedMemory: ESTIMATED_BYTES.session });
+    await this.persist(engine);
+    await this.assertClientQuota(sessionId, clientId);
+
+    console.log(`📝 새 ${label} 세션 생성: ${sessionId}`);
+    return engine;
+  }
+
+  // 인스턴스당 세션 수 확인 (이 인스턴스의 메모리에 있는 세션 기준)
+  assertQuota() {
+    if (this.entries.size >= this.maxSessions) {
+      throw new SessionQuotaError(
+        `세션 수가 최대치(${this.maxSessions}개)에 도달했습니다. 사용하지 않는 세션을 삭제한 후 다시 시도하세요.`,
+        this.maxSessions
+      );
+    }
+  }
+
+  /**
+   * 클라이언트당 세션 수 확인 (저장된 새 세션을 저장소의 클라이언트 세션 목록에 추가)
+   * 여러 인스턴스가 저장소를 공유해도 저장소 기준으로 세므로, 제한을 넘으면 새 세션을 삭제하고 거부
+   * (저장소 장애 시에는 이 인스턴스의 세션 수로 확인)
+   * @throws {SessionQuotaError} 클라이언트 세션 수가 제한을 넘는 경우
+   */
+  async assertClientQuota(sessionId, clientId) {
+    let added;
+    try {
+      added = await this.store.addClientSession(clientId, sessionId, this.maxSessionsPerClient, this.ttlMs);
+    } catch (error) {
+      console.warn(`⚠️  클라이언트 세션 수 확인 실패: ${clientId} - ${error.message}`);
+      added = this.getClientEntries(clientId).length <= this.maxSessionsPerClient;
+    }
+    if (added) return;
+
+    this.removeEntry(sessionId);
+    await this.store.delete(sessionId).catch(() => {});
+    throw new SessionQuotaError(
+      `클라이언트당 최대 세션 수(${this.maxSessionsPerClient}개)를 초과했습니다. 사용하지 않는 세션을 삭제한 후 다시 시도하세요.`,
+      this.maxSessionsPerClient
+    );
+  }
+
+  /**
+   * 세션 조회
+   * 저장소 TTL을 연장하고, 로컬 캐시가 없거나 다른 인스턴스가 더 최신 리비전을 저장했으면 다시 불러옴
+   * @param {string} type - 세션 유형
+   * @param {string} sessionId - 세션 ID
+   * @returns {Promise<Object|undefined>} 엔진 (없으면 undefined)
+   */
+  async get(type, sessionId) {
+    if (!this.pendingRestores.has(sessionId)) {
+      const restore = this.restore(sessionId).finally(() => {
+        this.pendingRestores.delete(sessionId);
+      });
+      this.pendingRestores.set(sessionId, restore);
+    }
+
+    const entry = await this.pendingRestores.get(sessionId);
+    return entry && entry.type === type ? entry.engine : undefined;
+  }
+
+  async restore(sessionId) {
+    // 저장 중인 리비전과 비교하지 않도록 진행 중인 저장이 끝난 뒤 확인
+    await this.pendingSaves.get(sessionId)?.catch(() => {});
+
+    const cached = this.entries.get(sessionId);
+    try {
+      const revision = await this.store.touch(sessionId, this.ttlMs);
+      if (revision === null) {
+        if (cached) this.evict(sessionId, '만료된');
+        return undefined;
+      }
+      this.scheduleExpiryCheck(sessionId);
+
+      if (cached && cached.engine.revision === revision) {
+        this.markUsed(sessionId, cached);
+        return cached;
+      }
+
+      const data = await this.store.load(sessionId);
+      const sessionType = data && this.types.get(data.type);
+      if (!sessionType) return undefined;
+
+      const engine = sessionType.Engine.restore(data);
+      engine.revision = data.revision;
+      engine.lastActivity = Date.now();
+      if (cached) cached.engine.cleanup();
+
+      const entry = {
+        engine,
+        type: data.type,
+        clientId: data.clientId,
+        estimatedMemory: this.estimateMemory(engine, data)
+      };
+      this.markUsed(sessionId, entry);
+      console.log(`♻️  ${sessionType.label} 세션 ${cached ? '갱신' : '복원'}: ${sessionId}`);
+
+      this.enforceMemoryLimit(sessionId);
+      return entry;
+    } catch (error) {
+      // 저장소 장애 시에는 로컬 캐시로 계속 처리
+      console.warn(`⚠️  세션 조회 실패: ${sessionId} - ${error.message}`);
+      return cached;
+    }
+  }
+
+  /**
+   * 세션 저장 후 메모리 추정치 갱신 및 힙 사용량 확인
+   * 같은 세션의 저장은 순서대로 실행하며, 저장소에 엔진이 마지막으로 본 리비전이 있을 때만 저장하고
+   * 저장이 끝난 뒤에 엔진의 리비전을 바꿈
+   * (저장소 장애는 경고만 남기고 요청은 계속 처리)
+   * @param {Object} engine - 저장할 엔진
+   * @throws {SessionConflictError} 다른 인스턴스가 세션을 먼저 변경한 경우 (로컬 캐시는 제거되어 다음 요청 시 다시 불러옴)
+   */
+  async persist(engine) {
+    const { sessionId } = engine;
+    const previous = this.pendingSaves.get(sessionId) || Promise.resolve();
+    const save = previous.catch(() => {}).then(() => this.save(engine));
+    this.pendingSaves.set(sessionId, save);
+
+    try {
+      await save;
+    } finally {
+      if (this.pendingSaves.get(sessionId) === save) {
+        this.pendingSaves.delete(sessionId);
+      }
+    }
+
+    this.scheduleExpiryCheck(sessionId);
+    this.enforceMemoryLimit(sessionId);
+  }
+
+  async save(engine) {
+    const entry = this.entries.get(engine.sessionId);
+    const revision = uuidv4();
+
+    const data = {
+      ...engine.serialize(),
+      revision,
+      clientId: entry ? entry.clientId : undefined
+    };
+    if (entry) {
+      entry.estimatedMemory = this.estimateMemory(engine, data);
+    }
+
+    try {
+      await this.store.save(engine.sessionId, data, this.ttlMs, engine.revision || null);
+      engine.revision = revision;
+    } catch (error) {
+      if (error instanceof SessionConflictError) {
+        // 오래된 로컬 캐시만 버리고 다음 요청 시 저장소에서 다시 불러옴
+        // (같은 엔진을 쓰는 다른 요청이 진행 중일 수 있으므로 엔진은 정리하지 않음)
+        if (this.entries.get(engine.sessionId)?.engine === engine) {
+          this.entries.delete(engine.sessionId);
+        }
+        console.warn(`⚠️  세션 저장 충돌: ${engine.sessionId} - 다른 인스턴스가 먼저 변경함`);
+        throw error;
+      }
+      console.warn(`⚠️  세션 저장 실패: ${engine.sessionId} - ${error.message}`);
+    }
+  }
+
+  /**
+   * 세션 삭제 (로컬 캐시 및 저장소)
+   * @param {string} type - 세션 유형
+   * @param {string} sessionId - 세션 ID
+   */
+  async delete(type, sessionId) {
+    const entry = this.entries.get(sessionId);
+    if (entry && entry.type !== type) return;
+
+    if (entry) {
+      this.removeEntry(sessionId);
+      console.log(`🗑️  ${this.types.get(type).label} 세션 삭제: ${sessionId}`);
+    }
+    await this.store.delete(sessionId);
+  }
+
+  /**
+   * 로컬 캐시에서 세션 제거
+   * 저장소가 프로세스 메모리(memory)인 경우 저장소에서도 삭제해야 메모리가 확보됨
+   * @param {string} sessionId - 세션 ID
+   * @param {string} reason - 로그용 사유
+   */
+  evict(sessionId, reason) {
+    const entry = this.removeEntry(sessionId);
+    if (!entry) return;
+
+    if (!this.store.durable) {
+      this.store.delete(sessionId).catch(() => {});
+    }
+    console.log(`⏰ ${reason} ${this.types.get(entry.type).label} 세션 정리: ${sessionId}`);
+  }
+
+  removeEntry(sessionId) {
+    clearTimeout(this.expiryTimers.get(sessionId));
+    this.expiryTimers.delete(sessionId);
+
+    const entry = this.entries.get(sessionId);
+    if (entry) {
+      entry.engine.cleanup();
+      this.entries.delete(sessionId);
+    }
+    return entry;
+  }
+
+  /**
+   * 백그라운드 작업이 사용하는 동안 세션을 고정 (메모리 제거·만료 대상에서 제외)
+   * @param {string} sessionId - 세션 ID
+   */
+  retain(sessionId) {
+    const entry = this.entries.get(sessionId);
+    if (entry) entry.retained = (entry.retained || 0) + 1;
+  }
+
+  release(sessionId) {
+    const entry = this.entries.get(sessionId);
+    if (entry && entry.retained) entry.retained--;
+  }
+
+  // 최근 사용 순서 갱신 (Map 삽입 순서를 LRU 순서로 사용)
+  markUsed(sessionId, entry) {
+    this.entries.delete(sessionId);
+    this.entries.set(sessionId, entry);
+  }
+
+  /**
+   * 힙 사용량이 임계값을 넘으면 가장 오래 사용하지 않은 세션부터 제거
+   * 초과분만큼의 추정 메모리가 확보될 때까지 제거하며, 현재 요청의 세션은 제외
+   * @param {string} activeSessionId - 제거 대상에서 제외할 세션 ID
+   * @returns {string[]} 제거된 세션 ID 목록
+   */
+  enforceMemoryLimit(activeSessionId = null) {
+    const { heapUsed } = process.memoryUsage();
+    if (heapUsed <= this.heapThresholdBytes) return [];
+
+    const excess = heapUsed - this.heapThresholdBytes;
+    const evicted = [];
+    let freed = 0;
+
+    for (const [sessionId, entry] of [...this.entries]) {
+      if (freed >= excess) break;
+      if (sessionId === activeSessionId || entry.retained) continue;
+
+      freed += entry.estimatedMemory;
+      this.evict(sessionId, '메모리 확보를 위해');
+      evicted.push(sessionId);
+    }
+
+    if (evicted.length > 0) {
+      console.log(`🧹 힙 사용량 ${formatMegabytes(heapUsed)}MB > ${formatMegabytes(this.heapThresholdBytes)}MB: 세션 ${evicted.length}개 제거 (추정 ${formatMegabytes(freed)}MB)`);
+    }
+    return evicted;
+  }
+
+  /**
+   * 대용량 작업(파일 분석 등) 전 메모리 여유 확인
+   * @param {string} activeSessionId - 제거 대상에서 제외할 세션 ID
+   * @returns {boolean} 임계값 미만이면 true
+   */
+  hasMemoryHeadroom(activeSessionId = null) {
+    this.enforceMemoryLimit(activeSessionId);
+    return process.memoryUsage().heapUsed <= this.heapThresholdBytes;
+  }
+
+  /**
+   * 세션 메모리 사용량 추정 (직렬화 데이터의 셀 수 기준)
+   * @param {Object} engine - 엔진
+   * @param {Object} data - serialize() 결과
+   * @returns {number} 추정 바이트 수
+   */
+  estimateMemory(engine, data) {
+    let bytes = ESTIMATED_BYTES.session;
+    let cellCount = 0;
+
+    Object.values(data.workbook?.sheets || {}).forEach(rows => {
+      rows.forEach(row => {
+        (row || []).forEach(value => {
+          if (value === null || value === undefined || value === '') return;
+          cellCount++;
+          if (typeof value === 'string') {
+            bytes += value.startsWith('=') ? ESTIMATED_BYTES.formulaCell : ESTIMATED_BYTES.valueCell;
+            bytes += value.length * ESTIMATED_BYTES.perCharacter;
+          } else {
+            bytes += ESTIMATED_BYTES.valueCell;
+          }
+        });
+      });
+    });
+
+    if (engine.originalWorkbook) {
+      bytes += cellCount * ESTIMATED_BYTES.excelJsCell;
+    }
+    if (data.analysisResults) {
+      bytes += JSON.stringify(data.analysisResults).length * ESTIMATED_BYTES.perCharacter;
+    }
+
+    return bytes;
+  }
+
+  // 저장소 TTL이 지난 뒤 세션이 여전히 남아 있는지 확인하고, 만료되었으면 로컬 캐시에서 제거
+  // (다른 인스턴스가 접근하여 TTL이 연장된 경우 다시 예약)
+  scheduleExpiryCheck(sessionId) {
+    clearTimeout(this.expiryTimers.get(sessionId));
+
+    const timer = setTimeout(async () => {
+      this.expiryTimers.delete(sessionId);
+      try {
+        // 고정된 세션은 작업이 끝날 때까지 TTL 연장
+        if (this.entries.get(sessionId)?.retained) {
+          await this.store.touch(sessionId, this.ttlMs);
+          this.scheduleExpiryCheck(sessionId);
+        } else if (await this.store.getRevision(sessionId) === null) {
+          this.evict(sessionId, '만료된');
+        } else {
+          this.scheduleExpiryCheck(sessionId);
+        }
+      } catch (error) {
+        console.warn(`⚠️  세션 만료 확인 실패: ${sessionId} - ${error.message}`);
+        this.scheduleExpiryCheck(sessionId);
+      }
+    }, this.ttlMs + 1000);
+    timer.unref();
+
+    this.expiryTimers.set(sessionId, timer);
+  }
+
+  getEstimatedMemory(sessionId) {
+    const entry = this.entries.get(sessionId);
+    return entry ? entry.estimatedMemory : 0;
+  }
+
+  getClientEntries(clientId) {
+    return [...this.entries.entries()].filter(([, entry]) => entry.clientId === clientId);
+  }
+
+  /**
+   * 유형별 로컬 세션 수
+   * @param {string} type - 세션 유형 (생략 시 전체)
+   */
+  count(type = null) {
+    if (!type) return this.entries.size;
+    return [...this.entries.values()].filter(entry => entry.type === type).length;
+  }
+
+  /**
+   * 세션 통계 (전체 합계 + 지정한 클라이언트의 세션별 추정 메모리)
+   * @param {string} clientId - 세션 목록을 포함할 클라이언트 (생략 시 합계만)
+   */
+  getStats(clientId = null) {
+    const entries = [...this.entries.values()];
+    const stats = {
+      totalSessions: entries.length,
+      byType: Object.fromEntries([...this.types.keys()].map(type => [type, this.count(type)])),
+      estimatedMemory: entries.reduce((sum, entry) => sum + entry.estimatedMemory, 0),
+      heapUsed: process.memoryUsage().heapUsed,
+      limits: {
+        maxSessions: this.maxSessions,
+        maxSessionsPerClient: this.maxSessionsPerClient,
+        heapThreshold: this.heapThresholdBytes,
+        sessionTtlMs: this.ttlMs
+      }
+    };
+
+    if (clientId !== null) {
+      stats.sessions = this.getClientEntries(clientId).map(([sessionId, entry]) => ({
+        sessionId,
+        type: entry.type,
+        lastActivity: new Date(entry.engine.lastActivity).toISOString(),
+        estimatedMemory: entry.estimatedMemory
+      }));
+    }
+
+    return stats;
+  }
+
+  /**
+   * 모든 로컬 세션 정리 후 저장소 연결 종료 (저장소의 세션은 유지)
+   */
+  async close() {
+    [...this.entries.keys()].forEach(sessionId => {
+      const entry = this.removeEntry(sessionId);
+      console.log(`🗑️  ${this.types.get(entry.type).label} 세션 정리: ${sessionId}`);
+    });
+    await this.store.close();
+  }
+}
+
+function formatMegabytes(bytes) {
+  return Math.round(bytes / 1024 / 1024);
+}
+
+module.exports = {
+  SessionManager,
+  SessionQuotaError
+};
@@ -0,0 +1,620 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// 세션 ID 형식 (파일명/키로 사용되므로 경로 조작 방지)
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// 파일 저장소 잠금 파일 설정 (여러 프로세스가 같은 디렉터리를 공유하는 경우)
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000; // 잠금을 잡은 프로세스가 비정상 종료된 것으로 보는 시간
+
+/**
+ * 세션 저장소 인터페이스
+ * 모든 구현은 다음 비동기 메서드를 제공해야 함
+ * - save(sessionId, data, ttlMs, expectedRevision): 저장소의 현재 리비전이 expectedRevision(새 세션은 null)과 같을 때만
+ *   세션 저장 (data.revision을 새 리비전으로 함께 기록, TTL 후 만료), 다르면 SessionConflictError
+ * - load(sessionId): 세션 조회 (없거나 만료되면 null)
+ * - touch(sessionId, ttlMs): TTL만 연장하고 현재 리비전 반환 (없거나 만료되면 null)
+ * - getRevision(sessionId): TTL 연장 없이 현재 리비전 반환 (없거나 만료되면 null)
+ * - addClientSession(clientId, sessionId, limit, ttlMs): 저장된 세션을 클라이언트 세션 목록에 추가
+ *   (목록 중 아직 저장소에 있는 세션이 limit개를 넘으면 추가하지 않고 false 반환)
+ * - delete(sessionId): 세션 삭제
+ * - close(): 연결 종료
+ * durable 속성은 세션이 프로세스 메모리 밖에 저장되는지 여부 (false면 로컬 캐시 제거 시 저장소에서도 삭제해야 메모리가 확보됨)
+ * 리비전은 여러 인스턴스가 저장소를 공유할 때 로컬 캐시가 최신인지 판단하는 데 사용
+ * 클라이언트 세션 목록은 여러 인스턴스에 걸친 클라이언트별 세션 수 제한에 사용 (만료·삭제된 세션은 셀 때 제외)
+ */
+
+/**
+ * 다른 요청·인스턴스가 먼저 세션을 변경함 (HTTP 409로 응답)
+ */
+class SessionConflictError extends Error {
+  constructor(sessionId) {
+    super(`다른 요청이 세션을 먼저 변경했습니다. 세션을 다시 조회한 뒤 요청하세요: ${sessionId}`);
+    this.name = 'SessionConflictError';
+    this.statusCode = 409;
+    this.type = 'session_conflict';
+    this.sessionId = sessionId;
+  }
+}
+
+function assertSessionId(sessionId) {
+  if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+    throw new Error(`잘못된 세션 ID입니다: ${sessionId}`);
+  }
+}
+
+// 조건부 저장: 저장소의 현재 리비전이 호출자가 마지막으로 본 리비전과 다르면 거부
+function assertRevision(sessionId, currentRevision, expectedRevision) {
+  if ((currentRevision || null) !== (expectedRevision || null)) {
+    throw new SessionConflictError(sessionId);
+  }
+}
+
+/**
+ * 메모리 세션 저장소
+ * 단일 인스턴스 또는 테스트용 (프로세스 재시작 시 세션이 사라짐)
+ */
+class MemorySessionStore {
+  constructor() {
+    this.durable = false;
+    this.entries = new Map();
+
+    // clientId → 세션 ID 집합
+    this.clients = new Map();
+  }
+
+  async save(sessionId, data, ttlMs, expectedRevision = null) {
+    const current = this.getEntry(sessionId);
+    assertRevision(sessionId, current ? current.revision : null, expectedRevision);
+    this.entries.set(sessionId, {
+      data: JSON.stringify(data),
+      revision: data.revision || null,
+      expiresAt: Date.now() + ttlMs
+    });
+  }
+
+  async load(sessionId) {
+    const entry = this.getEntry(sessionId);
+    return entry ? JSON.parse(entry.data) : null;
+  }
+
+  async touch(sessionId, ttlMs) {
+    const entry = this.getEntry(sessionId);
+    if (!entry) return null;
+    entry.expiresAt = Date.now() + ttlMs;
+    return entry.revision;
+  }
+
+  async getRevision(sessionId) {
+    const entry = this.getEntry(sessionId);
+    return entry ? entry.revision : null;
+  }
+
+  async addClientSession(clientId, sessionId, limit) {
+    const sessions = new Set(this.clients.get(clientId) || []);
+    sessions.add(sessionId);
+    [...sessions].filter(id => !this.getEntry(id)).forEach(id => sessions.delete(id));
+
+    const added = sessions.size <= limit;
+    if (!added) sessions.delete(sessionId);
+    if (sessions.size > 0) {
+      this.clients.set(clientId, sessions);
+    } else {
+      this.clients.delete(clientId);
+    }
+    return added;
+  }
+
+  async delete(sessionId) {
+    this.entries.delete(sessionId);
+  }
+
+  async close() {
+    this.entries.clear();
+    this.clients.clear();
+  }
+
+  // 만료된 항목은 조회 시점에 제거
+  getEntry(sessionId) {
+    assertSessionId(sessionId);
+    const entry = this.entries.get(sessionId);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(sessionId);
+      return null;
+    }
+    return entry;
+  }
+}
+
+/**
+ * 로컬 파일 시스템 세션 저장소
+ * 세션별 JSON 파일로 저장하여 서비스 재시작 후에도 세션을 복원할 수 있게 함
+ * - 리비전은 메타 파일(<sessionId>.meta.json), 만료 시각은 만료 파일(<sessionId>.expires)에 따로 기록
+ *   (TTL 연장은 만료 파일만 바꾸므로 동시에 실행된 저장의 리비전을 덮어쓰지 않음)
+ * - 저장·삭제는 잠금 파일(<sessionId>.lock)로 프로세스 간에도 한 번에 하나씩 실행
+ *   (조회 중 만료된 세션의 파일 삭제도 잠금 안에서 다시 확인한 뒤 실행하여 진행 중인 저장을 지우지 않음)
+ * - 클라이언트 세션 목록은 clients/<clientId 해시>.json에 세션 ID 배열로 기록
+ */
+class FileSessionStore {
+  constructor(options = {}) {
+    this.durable = true;
+    this.directory = options.directory
+      || process.env.SESSION_STORE_DIR
+      || path.join(__dirname, 'temp', 'sessions');
+
+    // 세션별 진행 중인 쓰기 작업 (같은 세션의 저장·삭제는 순서대로 실행)
+    this.queues = new Map();
+  }
+
+  /**
+   * 세션 저장 (현재 리비전이 expectedRevision과 같을 때만)
+   * @param {string} sessionId - 세션 ID
+   * @param {Object} data - 직렬화된 세션 데이터
+   * @param {number} ttlMs - 만료 시간 (밀리초)
+   * @param {string|null} expectedRevision - 호출자가 마지막으로 본 리비전 (새 세션은 null)
+   * @throws {SessionConflictError} 저장소의 리비전이 다른 경우
+   */
+  async save(sessionId, data, ttlMs, expectedRevision = null) {
+    await this.withLock(sessionId, async () => {
+      const { meta: current } = await this.readMetaFiles(sessionId);
+      assertRevision(sessionId, current ? current.revision : null, expectedRevision);
+
+      await this.writeAtomic(this.filePath(sessionId), JSON.stringify(data));
+      await this.writeMeta(sessionId, { revision: data.revision || null });
+      await this.writeExpiry(sessionId, ttlMs);
+    });
+  }
+
+  /**
+   * 세션 조회
+   * @param {string} sessionId - 세션 ID
+   * @returns {Promise<Object|null>} 직렬화된 세션 데이터 (없거나 만료되면 null)
+   */
+  async load(sessionId) {
+    if (!(await this.readMeta(sessionId))) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(sessionId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async touch(sessionId, ttlMs) {
+    const meta = await this.readMeta(sessionId);
+    if (!meta) return null;
+    await this.writeExpiry(sessionId, ttlMs);
+    return meta.revision;
+  }
+
+  async getRevision(sessionId) {
+    const meta = await this.readMeta(sessionId);
+    return meta ? meta.revision : null;
+  }
+
+  /**
+   * 저장된 세션을 클라이언트 세션 목록에 추가
+   * @param {string} clientId - 클라이언트 식별자
+   * @param {string} sessionId - 세션 ID (먼저 save()로 저장되어 있어야 함)
+   * @param {number} limit - 클라이언트당 최대 세션 수
+   * @returns {Promise<boolean>} 추가 여부 (제한을 넘으면 false)
+   */
+  async addClientSession(clientId, sessionId, limit) {
+    const clientKey = `client-${hashClientId(clientId)}`;
+    return this.withLock(clientKey, async () => {
+      const sessions = await this.readLiveClientSessions(clientKey);
+      if (!sessions.includes(sessionId)) sessions.push(sessionId);
+
+      const added = sessions.length <= limit;
+      await this.writeClientSessions(clientKey, added ? sessions : sessions.filter(id => id !== sessionId));
+      return added;
+    });
+  }
+
+  /**
+   * 세션 삭제
+   * @param {string} sessionId - 세션 ID
+   */
+  async delete(sessionId) {
+    await this.withLock(sessionId, () => this.removeFiles(sessionId));
+  }
+
+  async close() {}
+
+  /**
+   * 만료된 세션 파일 정리 (서비스 시작 시 호출)
+   * 실행 중에는 조회 시점에 만료를 확인하므로 주기적으로 호출할 필요 없음
+   * @returns {Promise<number>} 삭제된 세션 수
+   */
+  async purgeExpired() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let purged = 0;
+    const sessionIds = new Set(files
+      .map(name => name.match(/^(.+?)(?:\.meta\.json|\.json|\.expires)$/)?.[1])
+      .filter(sessionId => sessionId && SESSION_ID_PATTERN.test(sessionId)));
+
+    for (const sessionId of sessionIds) {
+      if (!(await this.readMetaFiles(sessionId)).meta && await this.removeExpired(sessionId)) {
+        purged++;
+      }
+    }
+
+    // 만료된 세션만 남은 클라이언트 세션 목록 정리
+    const clientFiles = await fs.readdir(this.clientsDirectory()).catch(() => []);
+    for (const name of clientFiles.filter(file => file.endsWith('.json'))) {
+      const clientKey = `client-${path.basename(name, '.json')}`;
+      await this.withLock(clientKey, async () => {
+        await this.writeClientSessions(clientKey, await this.readLiveClientSessions(clientKey));
+      });
+    }
+
+    return purged;
+  }
+
+  // 클라이언트 세션 목록 중 아직 저장소에 있는 세션 ID
+  async readLiveClientSessions(clientKey) {
+    const text = await readOptional(this.clientPath(clientKey));
+    const live = [];
+    for (const sessionId of text === null ? [] : JSON.parse(text)) {
+      if (await this.readMeta(sessionId)) live.push(sessionId);
+    }
+    return live;
+  }
+
+  async writeClientSessions(clientKey, sessionIds) {
+    if (sessionIds.length === 0) {
+      await fs.unlink(this.clientPath(clientKey)).catch(() => {});
+      return;
+    }
+    await fs.mkdir(this.clientsDirectory(), { recursive: true });
+    await this.writeAtomic(this.clientPath(clientKey), JSON.stringify(sessionIds));
+  }
+
+  // 메타 파일이 없거나 만료된 세션은 남은 파일을 삭제하고 null 반환
+  async readMeta(sessionId) {
+    const { meta, found } = await this.readMetaFiles(sessionId);
+    if (!meta && found) {
+      await this.removeExpired(sessionId);
+    }
+    return meta;
+  }
+
+  // 메타·만료 파일 읽기 (meta: 만료되지 않은 세션의 { revision }, found: 두 파일 중 하나라도 있는지)
+  // 잠금 없이 읽으므로 저장 도중(메타 파일만 쓴 상태)에는 만료된 것처럼 보일 수 있음
+  // (만료 파일이 없으면 이전 형식 메타 파일의 expiresAt 사용)
+  async readMetaFiles(sessionId) {
+    const [meta, expiresAt] = await Promise.all([
+      readOptional(this.metaPath(sessionId)).then(text => (text === null ? null : JSON.parse(text))),
+      readOptional(this.expiryPath(sessionId)).then(text => (text === null ? null : Number(text)))
+    ]);
+
+    const live = meta && (expiresAt ?? meta.expiresAt ?? 0) > Date.now();
+    return { meta: live ? { revision: meta.revision } : null, found: meta !== null || expiresAt !== null };
+  }
+
+  // 잠금을 잡은 뒤 다시 확인하여 여전히 만료된 세션만 삭제 (그 사이 저장을 마친 세션은 유지)
+  async removeExpired(sessionId) {
+    return this.withLock(sessionId, async () => {
+      if ((await this.readMetaFiles(sessionId)).meta) return false;
+      await this.removeFiles(sessionId);
+      return true;
+    });
+  }
+
+  async removeFiles(sessionId) {
+    const filePaths = [this.filePath(sessionId), this.metaPath(sessionId), this.expiryPath(sessionId)];
+    await Promise.all(filePaths.map(async filePath => {
+      try {
+        await fs.unlink(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }));
+  }
+
+  async writeMeta(sessionId, meta) {
+    await this.writeAtomic(this.metaPath(sessionId), JSON.stringify(meta));
+  }
+
+  async writeExpiry(sessionId, ttlMs) {
+    await this.writeAtomic(this.expiryPath(sessionId), String(Date.now() + ttlMs));
+  }
+
+  // 쓰기 도중 종료되어도 기존 파일이 손상되지 않도록 임시 파일에 쓴 뒤 교체
+  // (동시에 쓰는 다른 요청·프로세스와 임시 파일이 겹치지 않도록 임의 접미사 사용)
+  async writeAtomic(filePath, contents) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await fs.writeFile(tempPath, contents);
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  // 같은 세션의 작업을 이전 작업이 끝난 뒤 실행 (이전 작업의 실패와 무관)
+  async enqueue(sessionId, task) {
+    const previous = this.queues.get(sessionId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    this.queues.set(sessionId, current);
+    try {
+      return await current;
+    } finally {
+      if (this.queues.get(sessionId) === current) {
+        this.queues.delete(sessionId);
+      }
+    }
+  }
+
+  // 같은 프로세스에서는 세션별 대기열, 다른 프로세스와는 잠금 파일로 작업을 하나씩 실행
+  async withLock(sessionId, task) {
+    return this.enqueue(sessionId, async () => {
+      await this.acquireLock(sessionId);
+      try {
+        return await task();
+      } finally {
+        await fs.unlink(this.lockPath(sessionId)).catch(() => {});
+      }
+    });
+  }
+
+  async acquireLock(sessionId) {
+    const lockPath = this.lockPath(sessionId);
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    await fs.mkdir(this.directory, { recursive: true });
+
+    for (;;) {
+      try {
+        await (await fs.open(lockPath, 'wx')).close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      // 잠금을 잡은 채 종료된 프로세스의 잠금 파일은 제거 후 다시 시도
+      const stat = await fs.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        await fs.unlink(lockPath).catch(() => {});
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`세션 잠금 대기 시간이 초과되었습니다: ${sessionId}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  filePath(sessionId) {
+    assertSessionId(sessionId);
+    return path.join(this.directory, `${sessionId}.json`);
+  }
+
+  metaPath(sessionId) {
+    assertSessionId(sessionId);
+    return path.join(this.directory, `${sessionId}.meta.json`);
+  }
+
+  expiryPath(sessionId) {
+    assertSessionId(sessionId);
+    return path.join(this.directory, `${sessionId}.expires`);
+  }
+
+  lockPath(sessionId) {
+    assertSessionId(sessionId);
+    return path.join(this.directory, `${sessionId}.lock`);
+  }
+
+  clientsDirectory() {
+    return path.join(this.directory, 'clients');
+  }
+
+  clientPath(clientKey) {
+    return path.join(this.clientsDirectory(), `${clientKey.slice('client-'.length)}.json`);
+  }
+}
+
+// 클라이언트 식별자(IP, X-Client-Id 헤더 값)를 파일명에 쓸 수 있는 형태로 변환
+function hashClientId(clientId) {
+  return crypto.createHash('sha256').update(String(clientId)).digest('hex').slice(0, 32);
+}
+
+// 파일 내용 (없으면 null)
+async function readOptional(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Redis 세션 저장소
+ * 여러 FormulaEngine 인스턴스가 세션을 공유할 때 사용 (Redis 프로토콜 호환 서버면 동작)
+ * 세션 데이터와 리비전을 별도 키로 저장하고 두 키 모두 PX TTL로 만료시킴
+ * 저장은 리비전 비교와 쓰기를 하나의 Lua 스크립트로 실행하여 원자적으로 처리
+ * 클라이언트 세션 목록은 집합(<prefix>clients:<clientId>)으로 저장하고, 세션별 clientId 키로 TTL 연장 시 함께 연장
+ */
+class RedisSessionStore {
+  constructor(options = {}) {
+    const Redis = require('ioredis');
+
+    this.durable = true;
+    this.keyPrefix = options.keyPrefix || process.env.REDIS_KEY_PREFIX || 'formula:session:';
+    this.client = options.client || new Redis(options.url || process.env.REDIS_URL || 'redis://127.0.0.1:6379', {
+      maxRetriesPerRequest: 2
+    });
+    this.client.on('error', error => {
+      console.warn(`⚠️  Redis 연결 오류: ${error.message}`);
+    });
+  }
+
+  async save(sessionId, data, ttlMs, expectedRevision = null) {
+    const ttl = Math.max(1, Math.ceil(ttlMs));
+    const saved = await this.client.eval(
+      REDIS_SAVE_SCRIPT,
+      2,
+      this.dataKey(sessionId),
+      this.revisionKey(sessionId),
+      JSON.stringify(data),
+      data.revision || '',
+      expectedRevision || '',
+      ttl
+    );
+    if (saved !== 1) {
+      throw new SessionConflictError(sessionId);
+    }
+  }
+
+  async load(sessionId) {
+    const json = await this.client.get(this.dataKey(sessionId));
+    return json ? JSON.parse(json) : null;
+  }
+
+  async touch(sessionId, ttlMs) {
+    const ttl = Math.max(1, Math.ceil(ttlMs));
+    const revision = await this.client.eval(
+      REDIS_TOUCH_SCRIPT,
+      3,
+      this.dataKey(sessionId),
+      this.revisionKey(sessionId),
+      this.clientKey(sessionId),
+      ttl,
+      this.clientSetKey('')
+    );
+    return typeof revision === 'string' ? revision : null;
+  }
+
+  async getRevision(sessionId) {
+    return this.client.get(this.revisionKey(sessionId));
+  }
+
+  async addClientSession(clientId, sessionId, limit, ttlMs) {
+    const added = await this.client.eval(
+      REDIS_ADD_CLIENT_SESSION_SCRIPT,
+      2,
+      this.clientSetKey(clientId),
+      this.clientKey(sessionId),
+      sessionId,
+      this.keyPrefix,
+      limit,
+      Math.max(1, Math.ceil(ttlMs)),
+      clientId
+    );
+    return added === 1;
+  }
+
+  async delete(sessionId) {
+    await this.client.del(this.dataKey(sessionId), this.revisionKey(sessionId), this.clientKey(sessionId));
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+
+  dataKey(sessionId) {
+    assertSessionId(sessionId);
+    return `${this.keyPrefix}${sessionId}`;
+  }
+
+  revisionKey(sessionId) {
+    assertSessionId(sessionId);
+    return `${this.keyPrefix}${sessionId}:revision`;
+  }
+
+  // 세션을 만든 클라이언트 식별자
+  clientKey(sessionId) {
+    assertSessionId(sessionId);
+    return `${this.keyPrefix}${sessionId}:client`;
+  }
+
+  clientSetKey(clientId) {
+    return `${this.keyPrefix}clients:${clientId}`;
+  }
+}
+
+// 현재 리비전(없으면 빈 문자열)이 ARGV[3]과 같을 때만 데이터와 리비전을 기록 (1: 저장, 0: 충돌)
+const REDIS_SAVE_SCRIPT = `
+if (redis.call('GET', KEYS[2]) or '') ~= ARGV[3] then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[4])
+redis.call('SET', KEYS[2], ARGV[2], 'PX', ARGV[4])
+return 1
+`;
+
+// 세션 TTL 연장 후 리비전 반환 (세션이 없으면 nil)
+// 세션을 만든 클라이언트의 세션 목록도 함께 연장하여 목록이 세션보다 먼저 만료되지 않게 함
+const REDIS_TOUCH_SCRIPT = `
+if redis.call('PEXPIRE', KEYS[1], ARGV[1]) == 0 then
+  return false
+end
+redis.call('PEXPIRE', KEYS[2], ARGV[1])
+local clientId = redis.call('GET', KEYS[3])
+if clientId then
+  redis.call('PEXPIRE', KEYS[3], ARGV[1])
+  redis.call('PEXPIRE', ARGV[2] .. clientId, ARGV[1])
+end
+return redis.call('GET', KEYS[2])
+`;
+
+// 클라이언트 세션 목록에 세션을 추가하고, 데이터 키가 남아 있는 세션 수가 ARGV[3]을 넘으면 되돌림 (1: 추가, 0: 초과)
+const REDIS_ADD_CLIENT_SESSION_SCRIPT = `
+redis.call('SADD', KEYS[1], ARGV[1])
+local count = 0
+for _, sessionId in ipairs(redis.call('SMEMBERS', KEYS[1])) do
+  if redis.call('EXISTS', ARGV[2] .. sessionId) == 1 then
+    count = count + 1
+  else
+    redis.call('SREM', KEYS[1], sessionId)
+  end
+end
+if count > tonumber(ARGV[3]) then
+  redis.call('SREM', KEYS[1], ARGV[1])
+  return 0
+end
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+redis.call('SET', KEYS[2], ARGV[5], 'PX', ARGV[4])
+return 1
+`;
+
+// 사용 가능한 저장소 구현 (SESSION_STORE 환경 변수로 선택)
+const SESSION_STORES = {
+  memory: MemorySessionStore,
+  file: FileSessionStore,
+  redis: RedisSessionStore
+};
+
+/**
+ * 설정에 맞는 세션 저장소 생성
+ * @param {string} type - 저장소 유형 (기본값: SESSION_STORE 환경 변수 또는 'file')
+ * @param {Object} options - 저장소 옵션
+ * @returns {Object} 세션 저장소 인스턴스
+ */
+function createSessionStore(type = process.env.SESSION_STORE || 'file', options = {}) {
+  const Store = SESSION_STORES[type];
+  if (!Store) {
+    throw new Error(`지원하지 않는 세션 저장소입니다: ${type} (지원: ${Object.keys(SESSION_STORES).join(', ')})`);
+  }
+  return new Store(options);
+}
+
+module.exports = {
+  SessionConflictError,
+  MemorySessionStore,
+  FileSessionStore,
+  RedisSessionStore,
+  createSessionStore
+};
@@ -0,0 +1,204 @@
+const { HyperFormula } = require('hyperformula');
+
+/**
+ * 시트 셀 순회 유틸리티
+ * getSheetDimensions() 사각형 전체를 훑지 않고 값이 있는 셀만 방문
+ * (XFD1048576처럼 멀리 떨어진 셀 하나 때문에 수억 개의 빈 셀을 검사하지 않도록 함)
+ *
+ * HyperFormula 공개 API에는 값이 있는 셀만 돌려주는 기능이 없으므로, 엔진이 넘긴 셀 내용으로 셀 색인을 따로 관리
+ * - 색인은 HyperFormula 인스턴스별로 보관 (buildFromSheets()로 생성하고 trackCellContents()/trackRowShift()로 갱신)
+ * - 지운 셀도 색인에 남겨 두는 상위 집합이므로 undo/redo로 되살아난 셀도 빠지지 않음 (조회 시 빈 셀은 제외)
+ * - 색인이 없는 인스턴스는 시트 크기 전체를 순회
+ */
+
+// HyperFormula 인스턴스 → { 시트 ID → Map<행, Set<열>> }
+const cellIndexes = new WeakMap();
+
+// 값이 없는 행은 하나의 빈 배열을 공유 (HyperFormula는 모든 행이 배열이어야 하지만 입력을 수정하지 않음)
+const EMPTY_ROW = Object.freeze([]);
+
+/**
+ * 시트 데이터로 HyperFormula 인스턴스를 만들고 셀 색인 등록
+ * @param {Object} sheets - { 시트명: 행 배열 } (값이 없는 행은 비어 있거나 null이어도 됨)
+ * @param {Object} config - HyperFormula 설정
+ * @param {Array} [namedExpressions] - 이름 정의
+ * @returns {HyperFormula} 새 HyperFormula 인스턴스
+ */
+function buildFromSheets(sheets, config, namedExpressions) {
+  const filled = Object.fromEntries(Object.entries(sheets).map(([name, rows]) => [
+    name,
+    Array.from(rows, row => (Array.isArray(row) ? row : EMPTY_ROW))
+  ]));
+  const hyperFormula = HyperFormula.buildFromSheets(filled, config, namedExpressions);
+  trackSheets(hyperFormula, Object.values(sheets));
+  return hyperFormula;
+}
+
+/**
+ * 인스턴스 생성에 사용한 시트 데이터로 셀 색인 등록
+ * @param {HyperFormula} hyperFormula - HyperFormula 인스턴스
+ * @param {Array<Array>} sheets - 시트 ID 순서의 행 배열 목록
+ */
+function trackSheets(hyperFormula, sheets) {
+  const index = new Map();
+  sheets.forEach((rows, sheetId) => {
+    const sheet = new Map();
+    // forEach는 희소 배열의 빈 행·셀을 건너뜀
+    rows.forEach((row, rowIndex) => row?.forEach((value, col) => {
+      if (value === null || value === undefined) return;
+      if (!sheet.has(rowIndex)) sheet.set(rowIndex, new Set());
+      sheet.get(rowIndex).add(col);
+    }));
+    index.set(sheetId, sheet);
+  });
+  cellIndexes.set(hyperFormula, index);
+}
+
+/**
+ * setCellContents() 대상 셀을 색인에 추가 (색인이 없는 인스턴스는 무시)
+ * @param {HyperFormula} hyperFormula - HyperFormula 인스턴스
+ * @param {Object} topLeft - 시작 셀 주소
+ * @param {*} contents - 셀 내용 (단일 값 또는 2차원 배열)
+ */
+function trackCellContents(hyperFormula, topLeft, contents) {
+  const sheet = sheetIndex(hyperFormula, topLeft.sheet);
+  if (!sheet) return;
+
+  const rows = Array.isArray(contents) ? contents : [[contents]];
+  rows.forEach((row, rowOffset) => {
+    const cells = Array.isArray(row) ? row : [row];
+    const targetRow = topLeft.row + rowOffset;
+    if (!sheet.has(targetRow)) sheet.set(targetRow, new Set());
+    cells.forEach((value, colOffset) => sheet.get(targetRow).add(topLeft.col + colOffset));
+  });
+}
+
+/**
+ * 행 삽입·삭제 후 이동한 셀을 색인에 반영 (색인이 없는 인스턴스는 무시)
+ * 원래 위치도 남겨 두어 undo로 되돌린 경우에도 셀이 빠지지 않도록 하고,
+ * undo를 사용하지 않는 인스턴스는 빈 셀을 바로 정리
+ * @param {HyperFormula} hyperFormula - HyperFormula 인스턴스
+ * @param {number} sheetId - 시트 ID
+ * @param {number} fromRow - 이동한 첫 행 (작업 전 기준)
+ * @param {number} offset - 이동한 행 수 (삽입은 양수, 삭제는 음수)
+ */
+function trackRowShift(hyperFormula, sheetId, fromRow, offset) {
+  const sheet = sheetIndex(hyperFormula, sheetId);
+  if (!sheet) return;
+
+  [...sheet]
+    .filter(([row]) => row >= fromRow && row + offset >= 0)
+    .forEach(([row, cols]) => {
+      const target = row + offset;
+      sheet.set(target, new Set([...(sheet.get(target) || []), ...cols]));
+    });
+
+  if (hyperFormula.getConfig().undoLimit === 0) {
+    sheet.forEach((cols, row) => {
+      cols.forEach(col => {
+        if (hyperFormula.isCellEmpty({ sheet: sheetId, row, col })) cols.delete(col);
+      });
+      if (cols.size === 0) sheet.delete(row);
+    });
+  }
+}
+
+// 시트 색인 (시트가 추가된 경우 빈 색인 생성, 색인이 없는 인스턴스는 null)
+function sheetIndex(hyperFormula, sheetId) {
+  const index = cellIndexes.get(hyperFormula);
+  if (!index) return null;
+  if (!index.has(sheetId)) index.set(sheetId, new Map());
+  return index.get(sheetId);
+}
+
+/**
+ * 시트에서 값이 있는 셀 주소 목록 (행 → 열 순서)
+ * 셀 색인에 등록된 셀과 그 셀의 배열 수식이 분산(spill)된 셀만 조회하며, 희소 시트는 셀 수에 비례하는 시간만 걸림
+ * @param {HyperFormula} hyperFormula - HyperFormula 인스턴스
+ * @param {number} sheetId - 시트 ID
+ * @returns {Array<{sheet: number, row: number, col: number}>} 셀 주소 목록
+ */
+function getPopulatedCells(hyperFormula, sheetId) {
+  const sheet = cellIndexes.has(hyperFormula) ? sheetIndex(hyperFormula, sheetId) : null;
+  const candidates = sheet
+    ? [...sheet].flatMap(([row, cols]) => [...cols].map(col => ({ sheet: sheetId, row, col })))
+    : scanSheetDimensions(hyperFormula, sheetId);
+
+  const cells = new Map();
+  candidates
+    .filter(address => !hyperFormula.isCellEmpty(address))
+    .forEach(address => {
+      cells.set(`${address.row}:${address.col}`, address);
+      if (sheet && hyperFormula.isCellPartOfArray(address)) {
+        spilledCells(hyperFormula, address).forEach(cell => cells.set(`${cell.row}:${cell.col}`, cell));
+      }
+    });
+
+  return [...cells.values()].sort((a, b) => a.row - b.row || a.col - b.col);
+}
+
+// 배열 수식 셀의 분산 범위 (오른쪽·아래로 배열에 속한 수식 없는 셀)
+function spilledCells(hyperFormula, anchor) {
+  const isSpilled = (row, col) => {
+    const address = { sheet: anchor.sheet, row, col };
+    return hyperFormula.isCellPartOfArray(address) && !hyperFormula.doesCellHaveFormula(address);
+  };
+
+  let width = 1;
+  while (isSpilled(anchor.row, anchor.col + width)) width++;
+  let height = 1;
+  while (isSpilled(anchor.row + height, anchor.col)) height++;
+
+  const cells = [];
+  for (let row = anchor.row; row < anchor.row + height; row++) {
+    for (let col = anchor.col; col < anchor.col + width; col++) {
+      if ((row !== anchor.row || col !== anchor.col) && isSpilled(row, col)) {
+        cells.push({ sheet: anchor.sheet, row, col });
+      }
+    }
+  }
+  return cells;
+}
+
+function scanSheetDimensions(hyperFormula, sheetId) {
+  const { width, height } = hyperFormula.getSheetDimensions(sheetId);
+  const addresses = [];
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      addresses.push({ sheet: sheetId, row, col });
+    }
+  }
+  return addresses;
+}
+
+/**
+ * 시트 내용을 2차원 배열로 직렬화 (HyperFormula.buildFromSheets 입력 형식)
+ * 값이 있는 셀만 방문하며, 배열 수식이 분산된 셀은 수식 셀만 기록 (값으로 기록하면 다시 읽을 때 #SPILL!)
+ * @param {HyperFormula} hyperFormula - HyperFormula 인스턴스
+ * @param {number} sheetId - 시트 ID
+ * @returns {Array<Array>} 행 배열 (값이 없는 행은 비어 있고, 행 안의 빈 셀은 null)
+ */
+function serializeSheet(hyperFormula, sheetId) {
+  const rows = [];
+
+  getPopulatedCells(hyperFormula, sheetId).forEach(address => {
+    if (hyperFormula.isCellPartOfArray(address) && !hyperFormula.doesCellHaveFormula(address)) return;
+    const row = rows[address.row] || (rows[address.row] = []);
+    row[address.col] = hyperFormula.getCellSerialized(address);
+  });
+
+  // 행 안의 빈 셀 자리(희소 배열의 구멍)는 JSON 직렬화 결과와 같이 null로 채움
+  rows.forEach((row, index) => {
+    rows[index] = Array.from(row, value => (value === undefined ? null : value));
+  });
+  return rows;
+}
+
+module.exports = {
+  buildFromSheets,
+  trackSheets,
+  trackCellContents,
+  trackRowShift,
+  getPopulatedCells,
+  serializeSheet
+};
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+const { buildXlsx, buildLargeXlsx, startAnalysisJob, pollJob } = require('./helpers/workbooks');
+
+// 이벤트 스트림을 연결이 닫힐 때까지 읽어 { event, data } 목록으로 변환
+async function readEvents(server, eventsUrl) {
+  const response = await fetch(`${server.baseUrl}${eventsUrl}`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const text = await response.text();
+  return text.split('\n\n')
+    .filter(block => block.startsWith('event:'))
+    .map(block => {
+      const [, event, data] = block.match(/^event: (.+)\ndata: (.+)$/);
+      return { event, data: JSON.parse(data) };
+    });
+}
+
+test('분석 진행 이벤트 스트림', { timeout: 60000 }, async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const buffer = await buildXlsx({
+    Sheet1: { A1: 1, B1: { formula: 'A1+1', result: 2 } },
+    Sheet2: { A1: { formula: 'Sheet1!B1*2', result: 4 } }
+  });
+
+  await t.test('작업이 끝나면 done 이벤트를 보내고 연결을 닫음', async () => {
+    const { job } = await startAnalysisJob(server, buffer);
+    const events = await readEvents(server, job.eventsUrl);
+
+    const done = events[events.length - 1];
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.status, 'completed');
+    assert.equal(events.filter(({ event }) => event === 'done').length, 1);
+    assert.ok(events.some(({ event }) => event === 'step'));
+    const sheets = events.filter(({ event }) => event === 'sheet').map(({ data }) => data.sheet);
+    assert.deepEqual([...new Set(sheets)], ['Sheet1', 'Sheet2']);
+  });
+
+  await t.test('종료 후 연결해도 지난 단계·시트 진행과 done을 다시 받음', async () => {
+    const { job } = await startAnalysisJob(server, buffer);
+    await pollJob(server, job.statusUrl, current => current.status === 'completed');
+
+    const events = await readEvents(server, job.eventsUrl);
+    const steps = events.filter(({ event }) => event === 'step').map(({ data }) => data.step);
+    assert.ok(steps.length > 1);
+    assert.deepEqual(steps, [...new Set(steps)]);
+    assert.deepEqual(events.filter(({ event }) => event === 'sheet').map(({ data }) => [data.sheet, data.cellsScanned === data.totalCells]), [
+      ['Sheet1', true],
+      ['Sheet2', true]
+    ]);
+    assert.deepEqual(events[events.length - 1].data, {
+      type: 'done',
+      status: 'completed',
+      error: null,
+      finishedAt: (await server.request('GET', job.statusUrl)).body.finishedAt
+    });
+
+    // 두 번째 구독자도 같은 이벤트
+    assert.deepEqual(await readEvents(server, job.eventsUrl), events);
+  });
+
+  await t.test('취소한 작업은 cancelled 상태의 done 이벤트', async () => {
+    const { job } = await startAnalysisJob(server, await buildLargeXlsx());
+    const cancelled = await server.request('POST', job.cancelUrl);
+    assert.equal(cancelled.status, 202);
+    await pollJob(server, job.statusUrl, current => current.finishedAt);
+
+    const events = await readEvents(server, job.eventsUrl);
+    assert.equal(events[events.length - 1].data.status, 'cancelled');
+  });
+
+  await t.test('없는 작업은 404', async () => {
+    const created = await server.request('POST', '/integrated/sessions', {});
+    const missing = await server.request('GET', `/integrated/sessions/${created.body.sessionId}/jobs/missing/events`);
+    assert.equal(missing.status, 404);
+  });
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AnalysisJobManager = require('../analysis_jobs');
+const { startServer } = require('./helpers/server');
+const { buildXlsx, buildLargeXlsx, startAnalysisJob, pollJob } = require('./helpers/workbooks');
+
+const isFinished = job => ['completed', 'failed', 'cancelled'].includes(job.status);
+
+test('실행 전에 취소한 작업은 실행 함수를 호출하지 않음', async () => {
+  const manager = new AnalysisJobManager();
+  let ran = false;
+  const job = manager.create('session', async () => {
+    ran = true;
+    return { success: true };
+  });
+
+  assert.equal(manager.cancel(job), true);
+  assert.equal(job.status, 'cancelled');
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(ran, false);
+  assert.equal(manager.cancel(job), false);
+  assert.deepEqual(manager.getStats(), { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 1 });
+});
+
+test('비동기 분석 작업 API', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await t.test('작업 생성 → 상태 조회 → 결과', async () => {
+    const buffer = await buildXlsx({ Sheet1: { A1: 2, B1: { formula: 'A1*3', result: 6 } } });
+    const { sessionId, job, status } = await startAnalysisJob(server, buffer);
+
+    assert.equal(status, 202);
+    assert.equal(job.status, 'queued');
+    assert.equal(job.resultUrl, `/integrated/sessions/${sessionId}/jobs/${job.jobId}/result`);
+
+    const finished = await pollJob(server, job.statusUrl, isFinished);
+    assert.equal(finished.status, 'completed');
+    assert.equal(finished.hasResult, true);
+    assert.ok(finished.startedAt && finished.finishedAt);
+
+    const result = await server.request('GET', job.resultUrl);
+    assert.equal(result.status, 200);
+    assert.equal(result.body.success, true);
+    assert.equal(result.body.formulas.summary.totalFormulas, 1);
+
+    // 분석 결과는 세션에 반영
+    const whatIf = await server.request('POST', `/integrated/sessions/${sessionId}/what-if`, { outputs: ['B1'], overrides: { A1: 5 } });
+    assert.deepEqual(whatIf.body.scenarios[0].values, { 'Sheet1!B1': 15 });
+
+    const again = await server.request('POST', job.cancelUrl);
+    assert.equal(again.status, 409);
+  });
+
+  await t.test('실행 중인 작업 취소', async () => {
+    const { job } = await startAnalysisJob(server, await buildLargeXlsx());
+    await pollJob(server, job.statusUrl, current => current.status !== 'queued');
+
+    const early = await server.request('GET', job.resultUrl);
+    assert.equal(early.status, 409);
+
+    const cancelled = await server.request('POST', job.cancelUrl);
+    assert.equal(cancelled.status, 202);
+
+    const finished = await pollJob(server, job.statusUrl, isFinished);
+    assert.equal(finished.status, 'cancelled');
+    const result = await server.request('GET', job.resultUrl);
+    assert.equal(result.body.success, false);
+    assert.equal(result.body.cancelled, true);
+  });
+
+  await t.test('워커를 기다리는 작업은 queued이며 취소하면 실행하지 않음', async () => {
+    // 테스트 서버의 워커는 1개
+    const running = await startAnalysisJob(server, await buildLargeXlsx());
+    await pollJob(server, running.job.statusUrl, current => current.status === 'running');
+    const queued = await startAnalysisJob(server, await buildXlsx({ Sheet1: { A1: 1 } }));
+
+    const waiting = await server.request('GET', queued.job.statusUrl);
+    assert.equal(waiting.body.status, 'queued');
+    const cancelled = await server.request('POST', queued.job.cancelUrl);
+    assert.equal(cancelled.status, 202);
+    assert.equal(cancelled.body.status, 'cancelled');
+    assert.equal(cancelled.body.startedAt, null);
+
+    await server.request('POST', running.job.cancelUrl);
+    await pollJob(server, running.job.statusUrl, isFinished);
+    const health = await server.request('GET', '/integrated/health');
+    assert.equal(health.body.workerPool.queued, 0);
+  });
+
+  await t.test('진행 중인 작업이 있는 세션의 새 분석은 409', async () => {
+    const buffer = await buildLargeXlsx();
+    const { sessionId, job } = await startAnalysisJob(server, buffer);
+    const second = await startAnalysisJob(server, buffer, sessionId);
+
+    assert.equal(second.status, 409);
+    assert.equal(second.job.jobId, job.jobId);
+    await server.request('POST', job.cancelUrl);
+  });
+
+  await t.test('없는 작업·다른 세션의 작업은 404', async () => {
+    const buffer = await buildXlsx({ Sheet1: { A1: 1 } });
+    const { job } = await startAnalysisJob(server, buffer);
+    const created = await server.request('POST', '/integrated/sessions', {});
+    const other = `/integrated/sessions/${created.body.sessionId}/jobs/${job.jobId}`;
+
+    for (const path of [other, `${other}/result`, `${job.statusUrl.replace(job.jobId, 'missing')}/result`]) {
+      const response = await server.request('GET', path);
+      assert.equal(response.status, 404, path);
+    }
+    const cancel = await server.request('POST', `${other}/cancel`);
+    assert.equal(cancel.status, 404);
+    await pollJob(server, job.statusUrl, isFinished);
+  });
+});
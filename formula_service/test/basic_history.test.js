@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+test('저장소에서 복원된 세션은 사라진 Undo 히스토리 수를 알림', async t => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'formula-sessions-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  const env = { SESSION_STORE: 'file', SESSION_STORE_DIR: directory };
+
+  let server = await startServer(env);
+  let sessionId;
+  try {
+    const created = await server.request('POST', '/sessions', { options: { undoLimit: 5 } });
+    sessionId = created.body.sessionId;
+    await server.request('POST', `/sessions/${sessionId}/load`, { excelData: [[1, '=A1*2']] });
+    const changed = await server.request('POST', `/sessions/${sessionId}/cells`, { address: 'A1', contents: 5 });
+    assert.equal(changed.body.success, true);
+
+    const history = await server.request('GET', `/sessions/${sessionId}/history`);
+    assert.equal(history.body.undo.length, 1);
+    assert.equal(history.body.discarded, null);
+  } finally {
+    await server.stop();
+  }
+
+  server = await startServer(env);
+  try {
+    const history = await server.request('GET', `/sessions/${sessionId}/history`);
+    assert.equal(history.body.canUndo, false);
+    assert.deepEqual(history.body.undo, []);
+    assert.equal(history.body.discarded.undo, 1);
+    assert.equal(history.body.discarded.redo, 0);
+
+    const undo = await server.request('POST', `/sessions/${sessionId}/undo`);
+    assert.equal(undo.body.success, false);
+    assert.match(undo.body.error, /히스토리가 초기화/);
+
+    // 데이터는 복원됨
+    const cell = await server.request('GET', `/sessions/${sessionId}/cells?address=B1`);
+    assert.equal(cell.body.cell.value, 10);
+  } finally {
+    await server.stop();
+  }
+});
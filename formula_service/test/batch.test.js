@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const WORKBOOK = { sheets: { Sheet1: [[1, '=A1*2'], [3, '=SUM(A1:A2)']] } };
+
+// 실패하는 작업이 포함된 배치 (마지막 작업의 시트가 없음)
+const FAILING_BATCH = [
+  { type: 'setCellContents', sheet: 'Sheet1', address: 'A1', contents: 10 },
+  { type: 'addRows', sheet: 'Sheet1', row: 1, count: 2 },
+  { type: 'addSheet', name: 'Extra' },
+  { type: 'setCellContents', sheet: 'Missing', address: 'A1', contents: 1 }
+];
+
+async function loadSession(server, options) {
+  const created = await server.request('POST', '/sessions', { options });
+  const sessionId = created.body.sessionId;
+  const loaded = await server.request('POST', `/sessions/${sessionId}/load`, { excelData: WORKBOOK });
+  assert.equal(loaded.body.success, true);
+  return sessionId;
+}
+
+async function readCell(server, sessionId, sheet, address) {
+  const result = await server.request('GET', `/sessions/${sessionId}/cells?sheet=${sheet}&address=${address}`);
+  return result.body.cell?.value;
+}
+
+test('배치 작업', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await t.test('모든 작업을 한 번에 적용하고 재계산된 셀 반환', async () => {
+    const sessionId = await loadSession(server);
+    const result = await server.request('POST', `/sessions/${sessionId}/batch`, {
+      operations: [
+        { type: 'setCellContents', sheet: 'Sheet1', address: 'A1', contents: 5 },
+        { type: 'setCellContents', sheet: 'Sheet1', address: 'A2', contents: [[7]] },
+        { type: 'addSheet', name: 'Extra' },
+        { type: 'setCellContents', sheet: 'Extra', address: 'A1', contents: '=Sheet1!B2+1' }
+      ]
+    });
+
+    assert.equal(result.body.success, true);
+    assert.equal(result.body.applied, 4);
+    const changed = result.body.changes.map(change => `${change.sheet}!${change.address}=${change.newValue}`);
+    assert.ok(changed.includes('Sheet1!B1=10'));
+    assert.ok(changed.includes('Sheet1!B2=12'));
+    assert.equal(await readCell(server, sessionId, 'Extra', 'A1'), 13);
+  });
+
+  for (const [label, options] of [['스냅샷 (undo 비활성화)', {}], ['undo 히스토리', { undoLimit: 5 }]]) {
+    await t.test(`실패한 배치는 앞선 작업까지 모두 롤백: ${label}`, async () => {
+      const sessionId = await loadSession(server, options);
+      const result = await server.request('POST', `/sessions/${sessionId}/batch`, { operations: FAILING_BATCH });
+
+      assert.equal(result.body.success, false);
+      assert.equal(result.body.rolledBack, true);
+      assert.deepEqual(result.body.failedOperation, { index: 3, type: 'setCellContents' });
+
+      assert.equal(await readCell(server, sessionId, 'Sheet1', 'A1'), 1);
+      assert.equal(await readCell(server, sessionId, 'Sheet1', 'B2'), 4);
+      const extra = await server.request('GET', `/sessions/${sessionId}/cells?sheet=Extra&address=A1`);
+      assert.equal(extra.body.success, false);
+
+      const history = await server.request('GET', `/sessions/${sessionId}/history`);
+      assert.deepEqual(history.body.undo, []);
+      assert.equal(history.body.canUndo, false);
+
+      // 롤백 후에도 세션을 계속 편집할 수 있음
+      const changed = await server.request('POST', `/sessions/${sessionId}/cells`, { address: 'A2', contents: 4 });
+      assert.equal(changed.body.success, true);
+      assert.equal(await readCell(server, sessionId, 'Sheet1', 'B2'), 5);
+    });
+  }
+
+  await t.test('지원하지 않는 작업은 아무것도 적용하지 않고 거부', async () => {
+    const sessionId = await loadSession(server);
+    const result = await server.request('POST', `/sessions/${sessionId}/batch`, {
+      operations: [{ type: 'setCellContents', sheet: 'Sheet1', address: 'A1', contents: 9 }, { type: 'dropTable' }]
+    });
+
+    assert.equal(result.body.success, false);
+    assert.equal(result.body.rolledBack, false);
+    assert.deepEqual(result.body.failedOperation, { index: 1, type: 'dropTable' });
+    assert.equal(await readCell(server, sessionId, 'Sheet1', 'A1'), 1);
+  });
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+test('셀 변경은 전이적 종속 셀의 이전 값과 새 값을 반환', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  // A열은 앞 셀을 참조하는 긴 사슬, B1은 A열 전체 범위를 여러 번 참조
+  const length = 5000;
+  const rows = Array.from({ length }, (_, row) => [row === 0 ? 1 : `=A${row}+1`]);
+  rows[0][1] = `=SUM(A1:A${length})+MAX(A1:A${length})`;
+
+  const created = await server.request('POST', '/sessions', {});
+  const sessionId = created.body.sessionId;
+  const loaded = await server.request('POST', `/sessions/${sessionId}/load`, { excelData: rows });
+  assert.equal(loaded.body.success, true);
+
+  const changed = await server.request('POST', `/sessions/${sessionId}/cells`, { address: 'A1', contents: 2 });
+  assert.equal(changed.body.success, true);
+
+  const changes = new Map(changed.body.changes.map(change => [change.address, change]));
+  assert.equal(changes.size, length + 1);
+  assert.deepEqual(changes.get('A1'), { sheet: 'Sheet1', address: 'A1', oldValue: 1, newValue: 2 });
+  assert.deepEqual(changes.get(`A${length}`), { sheet: 'Sheet1', address: `A${length}`, oldValue: length, newValue: length + 1 });
+  const sum = length * (length + 1) / 2;
+  assert.deepEqual(changes.get('B1'), { sheet: 'Sheet1', address: 'B1', oldValue: sum + length, newValue: sum + length * 2 + 1 });
+});
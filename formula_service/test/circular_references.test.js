@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const IntegratedEngine = require('../integrated_engine');
+const { buildXlsx } = require('./helpers/workbooks');
+const { startServer } = require('./helpers/server');
+
+test('시트를 넘나드는 순환과 자기 참조를 참조 순서 체인·심각도·수식과 함께 보고', async t => {
+  const engine = new IntegratedEngine('circular', {});
+  t.after(() => engine.cleanup());
+
+  const buffer = await buildXlsx({
+    Input: {
+      A1: { formula: 'Calc!A1+1', result: 0 },
+      B1: { formula: 'B1', result: 0 },
+      C1: 5
+    },
+    Calc: {
+      A1: { formula: 'Input!A1*2', result: 0 },
+      B1: { formula: 'A1+Input!C1', result: 0 }
+    }
+  });
+  const analysis = await engine.analyzeExcelFile(buffer, {});
+  const cycles = analysis.formulas.circularReferences;
+
+  assert.equal(analysis.formulas.summary.circularReferences, 2);
+  assert.deepEqual(cycles.map(cycle => [cycle.id, cycle.severity, cycle.chain]), [
+    [1, 'high', ['Input!A1', 'Calc!A1', 'Input!A1']],
+    [2, 'low', ['Input!B1', 'Input!B1']]
+  ]);
+  assert.deepEqual(cycles[0].sheets, ['Input', 'Calc']);
+  assert.deepEqual(cycles[0].formulas, [
+    { cell: 'Input!A1', formula: '=Calc!A1+1' },
+    { cell: 'Calc!A1', formula: '=Input!A1*2' }
+  ]);
+
+  // 순환 결과를 참조할 뿐인 Calc!B1은 순환이 아니라 영향받는 셀로만 집계
+  assert.equal(cycles[0].affectedCells, 1);
+  assert.ok(cycles.every(cycle => !cycle.cells.includes('Calc!B1')));
+  assert.deepEqual(
+    analysis.formulas.sheets.map(sheet => [sheet.name, sheet.circularReferences.map(cycle => cycle.id)]),
+    [['Input', [1, 2]], ['Calc', [1]]]
+  );
+});
+
+test('기본 세션 분석도 같은 순환 목록을 반환하고 순환이 없으면 빈 목록', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const analyze = async sheets => {
+    const created = await server.request('POST', '/sessions', {});
+    const sessionId = created.body.sessionId;
+    await server.request('POST', `/sessions/${sessionId}/load`, { excelData: { sheets } });
+    const result = await server.request('GET', `/sessions/${sessionId}/analyze`);
+    return result.body.data.circularReferences;
+  };
+
+  const cycles = await analyze({ Sheet1: [['=C1', '=A1', '=B1']] });
+  assert.equal(cycles.length, 1);
+  assert.deepEqual(cycles[0].cells.slice().sort(), ['Sheet1!A1', 'Sheet1!B1', 'Sheet1!C1']);
+  // 체인은 각 셀이 참조하는 셀 순서
+  assert.deepEqual(cycles[0].chain, ['Sheet1!A1', 'Sheet1!C1', 'Sheet1!B1', 'Sheet1!A1']);
+
+  assert.deepEqual(await analyze({ Sheet1: [[1, '=A1*2', '=B1+A1']] }), []);
+});
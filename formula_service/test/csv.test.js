@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const iconv = require('iconv-lite');
+const ExcelConverter = require('../excel_converter');
+
+const converter = new ExcelConverter();
+const readCsv = text => converter.readCsvFile(Buffer.isBuffer(text) ? text : Buffer.from(text));
+
+test('구분자는 가장 많은 행에서 같은 필드 수를 만드는 후보로 감지', () => {
+  assert.equal(readCsv('a;b;c\n1;2;3\n4;5;6\n').csv.delimiter, ';');
+  assert.equal(readCsv('a\tb\n1,5\t2,5\n').csv.delimiter, '\t');
+  // 제목 행이 앞에 붙어 있어도 본문 행 기준
+  const statement = readCsv('거래내역 조회 결과\n일자,적요,금액\n2024-01-05,이체,"1,000"\n2024-01-06,입금,500\n');
+  assert.equal(statement.csv.delimiter, ',');
+  assert.deepEqual(statement.sheets.Sheet1[2].slice(1), ['이체', 1000]);
+});
+
+test('UTF-8(BOM 포함)과 CP949 인코딩 감지', () => {
+  const utf8 = readCsv('이름,금액\n홍길동,100\n');
+  assert.deepEqual(utf8.csv, { encoding: 'utf-8', bom: false, delimiter: ',' });
+
+  const bom = readCsv(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('이름,금액\n홍길동,100\n')]));
+  assert.equal(bom.csv.bom, true);
+  assert.deepEqual(bom.sheets.Sheet1[0], ['이름', '금액']);
+
+  const cp949 = readCsv(iconv.encode('이름,금액\n홍길동,100\n', 'cp949'));
+  assert.equal(cp949.csv.encoding, 'cp949');
+  assert.deepEqual(cp949.sheets.Sheet1, [['이름', '금액'], ['홍길동', 100]]);
+});
+
+test('숫자·날짜·백분율·논리값·수식 추론과 앞자리 0 코드 보존', () => {
+  const { sheets } = readCsv([
+    'value,expected',
+    '"1,234.5",',
+    '(300),',
+    '12.5%,',
+    '1e3,',
+    'TRUE,',
+    '2024-01-05,',
+    '2024. 1. 5.,',
+    '00123,',
+    '01/05/2024,',
+    '=A2*2,'
+  ].join('\n'));
+  const values = sheets.Sheet1.slice(1).map(row => row[0]);
+
+  assert.deepEqual(values.slice(0, 5), [1234.5, -300, 0.125, 1000, true]);
+  assert.deepEqual(values.slice(5, 7), [new Date(2024, 0, 5), new Date(2024, 0, 5)]);
+  // 숫자나 날짜로 다시 해석되지 않도록 ' 접두사
+  assert.deepEqual(values.slice(7), ["'00123", "'01/05/2024", '=A2*2']);
+});
+
+test('접두사는 공백을 제거한 값에 붙이고 = 한 글자도 텍스트로 유지', () => {
+  const { sheets, metadata } = readCsv('code,op\n 007 ,=\n');
+  assert.deepEqual(sheets.Sheet1[1], ["'007", "'="]);
+  assert.equal(metadata.Sheet1.formulaCount, 0);
+});
+
+test('따옴표 필드의 구분자·줄바꿈·이스케이프 처리', () => {
+  const { sheets } = readCsv('name,note\n"Kim, J.","line 1\nline 2"\n"say ""hi""",""\n');
+  assert.deepEqual(sheets.Sheet1, [
+    ['name', 'note'],
+    ['Kim, J.', 'line 1\nline 2'],
+    ['say "hi"', null]
+  ]);
+});
+
+test('필드 중간의 큰따옴표는 글자 그대로 두고 다음 행을 삼키지 않음', () => {
+  const { sheets } = readCsv('name,size,qty\nTV,55" panel,2\nRadio,small,3\nLamp,big,4\n');
+  assert.deepEqual(sheets.Sheet1, [
+    ['name', 'size', 'qty'],
+    ['TV', '\'55" panel', 2],
+    ['Radio', 'small', 3],
+    ['Lamp', 'big', 4]
+  ]);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFromSheets } = require('../sheet_cells');
+const { exportDependencyGraph } = require('../dependency_graph');
+const { toDot, toGraphML } = require('../graph_formats');
+const { startServer } = require('./helpers/server');
+const { buildXlsx, analyzeWorkbook } = require('./helpers/workbooks');
+
+const CONFIG = { licenseKey: 'gpl-v3', maxRows: 1048576, maxColumns: 16384 };
+const SPECIAL_SHEET = 'Q"<&>';
+
+// Sheet1: 범위 참조와 입력 셀, 특수 문자 시트: 시트 간 참조와 줄바꿈·제어 문자 값
+const buildWorkbook = () => buildFromSheets({
+  Sheet1: [[1], [2], ['=SUM(A1:A2)'], ['=A3*2']],
+  [SPECIAL_SHEET]: [['=Sheet1!A4+Sheet1!A1'], ['say "hi" \\ <b>\u0001'], ['line1\nline2'], ['=A2&A3']]
+}, CONFIG);
+
+const ids = nodes => nodes.map(node => node.id).sort();
+
+test('collapse 모드별 노드·간선 수', () => {
+  const hf = buildWorkbook();
+  const none = exportDependencyGraph(hf, { collapse: 'none' });
+  const range = exportDependencyGraph(hf, { collapse: 'range' });
+  const sheet = exportDependencyGraph(hf, { collapse: 'sheet' });
+
+  assert.deepEqual(none.summary, { sheets: 2, formulaCells: 4, nodes: 9, edges: 8 });
+  assert.deepEqual(ids(none.nodes.filter(node => node.type !== 'formula')), [
+    `${SPECIAL_SHEET}!A2`, `${SPECIAL_SHEET}!A3`, 'Sheet1!A1', 'Sheet1!A1:A2', 'Sheet1!A2'
+  ]);
+  assert.equal(none.edges.filter(edge => edge.type === 'member').length, 2);
+
+  // 범위 안의 입력 셀은 노드·member 간선을 만들지 않음 (직접 참조된 Sheet1!A1은 유지)
+  assert.deepEqual(range.summary, { sheets: 2, formulaCells: 4, nodes: 8, edges: 6 });
+  assert.equal(range.nodes.some(node => node.id === 'Sheet1!A2'), false);
+  assert.equal(range.edges.some(edge => edge.type === 'member'), false);
+
+  assert.deepEqual(sheet.summary, { sheets: 2, formulaCells: 4, nodes: 2, edges: 1 });
+  assert.deepEqual(sheet.nodes, [
+    { id: 'Sheet1', type: 'sheet', sheet: 'Sheet1', formulaCells: 2, inputCells: 2, internalReferences: 2 },
+    { id: SPECIAL_SHEET, type: 'sheet', sheet: SPECIAL_SHEET, formulaCells: 2, inputCells: 2, internalReferences: 2 }
+  ]);
+  assert.deepEqual(sheet.edges, [{ source: SPECIAL_SHEET, target: 'Sheet1', type: 'reference', weight: 2 }]);
+});
+
+test('DOT은 따옴표·역슬래시·줄바꿈을 이스케이프', () => {
+  const dot = toDot(exportDependencyGraph(buildWorkbook()));
+
+  assert.match(dot, /^digraph "workbook" \{\n/);
+  assert.ok(dot.includes('    label="Q\\"<&>";\n'));
+  assert.ok(dot.includes('"Q\\"<&>!A2" [label="A2\\nsay \\"hi\\" \\\\ <b>\u0001", shape=ellipse];'));
+  assert.ok(dot.includes('"Q\\"<&>!A3" [label="A3\\nline1\\nline2", shape=ellipse];'));
+  assert.ok(dot.includes('"Sheet1!A1:A2" -> "Sheet1!A2" [style=dashed];'));
+  assert.ok(dot.includes('"Q\\"<&>!A1" -> "Sheet1!A4";'));
+  // 이스케이프하지 않은 줄바꿈은 없음 (모든 줄이 문장·중괄호로 끝남)
+  dot.trimEnd().split('\n').forEach(line => assert.match(line, /[;{}]$/));
+
+  const sheetDot = toDot(exportDependencyGraph(buildWorkbook(), { collapse: 'sheet' }));
+  assert.ok(sheetDot.includes('"Q\\"<&>" -> "Sheet1" [label="2", penwidth=2.0];'));
+});
+
+test('GraphML은 XML 특수 문자를 이스케이프하고 허용되지 않는 제어 문자를 제거', () => {
+  const graphml = toGraphML(exportDependencyGraph(buildWorkbook()));
+
+  assert.ok(graphml.includes('<node id="Q&quot;&lt;&amp;&gt;!A2">'));
+  assert.ok(graphml.includes('<data key="n_sheet">Q&quot;&lt;&amp;&gt;</data>'));
+  assert.ok(graphml.includes('<data key="n_value">say &quot;hi&quot; \\ &lt;b&gt;</data>'));
+  assert.ok(graphml.includes('<data key="n_value">line1\nline2</data>'));
+  assert.ok(graphml.includes('source="Q&quot;&lt;&amp;&gt;!A1" target="Sheet1!A4"'));
+  assert.equal(graphml.includes('\u0001'), false);
+  assert.equal((graphml.match(/<node /g) || []).length, 9);
+  assert.equal((graphml.match(/<edge /g) || []).length, 8);
+});
+
+test('의존성 그래프 API', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const buffer = await buildXlsx({
+    Input: { A1: 5, A2: 3 },
+    Calc: { A1: { formula: 'SUM(Input!A1:A2)', result: 8 }, A2: { formula: 'Input!A1*2', result: 10 } }
+  });
+  const { sessionId } = await analyzeWorkbook(server, buffer);
+  const graphUrl = query => `/integrated/sessions/${sessionId}/dependency-graph${query}`;
+
+  await t.test('JSON은 collapse별 요약을 돌려줌', async () => {
+    const none = await server.request('GET', graphUrl(''));
+    assert.equal(none.status, 200);
+    assert.deepEqual(none.body.graph.summary, { sheets: 2, formulaCells: 2, nodes: 5, edges: 4 });
+
+    const sheet = await server.request('GET', graphUrl('?collapse=sheet'));
+    assert.deepEqual(sheet.body.graph.edges, [{ source: 'Calc', target: 'Input', type: 'reference', weight: 2 }]);
+  });
+
+  await t.test('DOT·GraphML은 첨부 파일로 내려받음', async () => {
+    const dot = await server.request('GET', graphUrl('?format=dot&collapse=range'));
+    assert.equal(dot.status, 200);
+    assert.equal(dot.headers.get('content-type'), 'text/vnd.graphviz; charset=utf-8');
+    assert.equal(dot.headers.get('content-disposition'), `attachment; filename="dependency_graph_${sessionId}.dot"`);
+    assert.match(dot.body.toString(), /^digraph "workbook"/);
+
+    const graphml = await server.request('GET', graphUrl('?format=graphml'));
+    assert.equal(graphml.headers.get('content-type'), 'application/graphml+xml; charset=utf-8');
+    assert.match(graphml.body.toString(), /<graphml xmlns=/);
+  });
+
+  await t.test('잘못된 형식·collapse는 400, 분석하지 않은 세션은 404', async () => {
+    assert.equal((await server.request('GET', graphUrl('?format=svg'))).status, 400);
+    assert.equal((await server.request('GET', graphUrl('?collapse=cell'))).status, 400);
+
+    const created = await server.request('POST', '/integrated/sessions', {});
+    const empty = await server.request('GET', `/integrated/sessions/${created.body.sessionId}/dependency-graph`);
+    assert.equal(empty.status, 404);
+  });
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const IntegratedEngine = require('../integrated_engine');
+const { toHyperFormulaSyntax, toExcelSyntax } = require('../excel_compat_functions');
+const { buildXlsx } = require('./helpers/workbooks');
+
+test('논리값 상수 변환은 문자열·시트명을 건드리지 않고 되돌릴 수 있음', () => {
+  const formula = '=IF(\'TRUE sheet\'!A1,TRUE,"FALSE")+FALSE';
+  const engineFormula = toHyperFormulaSyntax(formula);
+
+  assert.equal(engineFormula, '=IF(\'TRUE sheet\'!A1,TRUE(),"FALSE")+FALSE()');
+  assert.equal(toExcelSyntax(engineFormula), formula);
+  assert.equal(toHyperFormulaSyntax('=TRUE()+Sheet1!TRUE1'), '=TRUE()+Sheet1!TRUE1');
+});
+
+test('논리값 상수는 계산에만 변환하고 통계·보고에는 원래 수식 사용', async t => {
+  const engine = new IntegratedEngine('excel-compat', {});
+  t.after(() => engine.cleanup());
+
+  const buffer = await buildXlsx({
+    Sheet1: {
+      A1: 5,
+      B1: { formula: 'IF(A1>0,TRUE,FALSE)', result: true },
+      C1: { formula: '_xlfn.XMATCH(5,A1:A1)', result: 1 }
+    }
+  });
+  const analysis = await engine.analyzeExcelFile(buffer, {});
+  assert.equal(analysis.success, true);
+
+  assert.equal(engine.hyperFormula.getCellValue({ sheet: 0, row: 0, col: 1 }), true);
+  assert.deepEqual(analysis.formulas.functions, { IF: 1, XMATCH: 1 });
+  assert.deepEqual(
+    analysis.formulas.sheets[0].dependencies.map(({ cell, formula }) => [cell, formula]),
+    [['B1', '=IF(A1>0,TRUE,FALSE)'], ['C1', '=XMATCH(5,A1:A1)']]
+  );
+
+  const lineage = engine.traceLineage('Sheet1!B1');
+  assert.equal(lineage.tree.formula, '=IF(A1>0,TRUE,FALSE)');
+});
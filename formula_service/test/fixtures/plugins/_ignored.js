@@ -0,0 +1,2 @@
+// _로 시작하는 파일은 로드하지 않음
+throw new Error('로드되면 안 되는 파일');
@@ -0,0 +1,14 @@
+const { FunctionPlugin } = require('hyperformula');
+
+// 인수 형식이 FunctionArgumentType에 없음
+class BadArgumentPlugin extends FunctionPlugin {
+  double(ast, state) {
+    return this.runFunction(ast.args, state, this.metadata('DOUBLE'), value => value * 2);
+  }
+}
+
+BadArgumentPlugin.implementedFunctions = {
+  DOUBLE: { method: 'double', parameters: [{ argumentType: 'DECIMAL' }] }
+};
+
+module.exports = BadArgumentPlugin;
@@ -0,0 +1,18 @@
+const { FunctionPlugin, FunctionArgumentType } = require('hyperformula');
+
+// 지원하지 않는 번역 언어 코드
+class BadLanguagePlugin extends FunctionPlugin {
+  triple(ast, state) {
+    return this.runFunction(ast.args, state, this.metadata('TRIPLE'), value => value * 3);
+  }
+}
+
+BadLanguagePlugin.implementedFunctions = {
+  TRIPLE: { method: 'triple', parameters: [{ argumentType: FunctionArgumentType.NUMBER }] }
+};
+
+BadLanguagePlugin.translations = {
+  xxXX: { TRIPLE: 'DREIFACH' }
+};
+
+module.exports = BadLanguagePlugin;
@@ -0,0 +1,14 @@
+const { FunctionPlugin, FunctionArgumentType } = require('hyperformula');
+
+// 내장 함수와 같은 함수명
+class SumPlugin extends FunctionPlugin {
+  sum(ast, state) {
+    return this.runFunction(ast.args, state, this.metadata('SUM'), () => 0);
+  }
+}
+
+SumPlugin.implementedFunctions = {
+  SUM: { method: 'sum', parameters: [{ argumentType: FunctionArgumentType.NUMBER }] }
+};
+
+module.exports = SumPlugin;
@@ -0,0 +1,26 @@
+const { FunctionPlugin, FunctionArgumentType } = require('hyperformula');
+
+// 정상 플러그인 (deDE 번역 포함)
+class TaxPlugin extends FunctionPlugin {
+  vatAmount(ast, state) {
+    return this.runFunction(ast.args, state, this.metadata('VAT.AMOUNT'),
+      (total, rate) => total - total / (1 + rate));
+  }
+}
+
+TaxPlugin.implementedFunctions = {
+  'VAT.AMOUNT': {
+    method: 'vatAmount',
+    description: '부가세 포함 금액에서 부가세 계산',
+    parameters: [
+      { name: 'total', argumentType: FunctionArgumentType.NUMBER },
+      { name: 'rate', argumentType: FunctionArgumentType.NUMBER, defaultValue: 0.1 }
+    ]
+  }
+};
+
+TaxPlugin.translations = {
+  deDE: { 'VAT.AMOUNT': 'MWST.BETRAG' }
+};
+
+module.exports = TaxPlugin;
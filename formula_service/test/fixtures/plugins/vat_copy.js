@@ -0,0 +1,14 @@
+const { FunctionPlugin, FunctionArgumentType } = require('hyperformula');
+
+// tax.js와 같은 함수명 (다른 플러그인과 충돌)
+class VatCopyPlugin extends FunctionPlugin {
+  vatAmount(ast, state) {
+    return this.runFunction(ast.args, state, this.metadata('VAT.AMOUNT'), total => total);
+  }
+}
+
+VatCopyPlugin.implementedFunctions = {
+  'VAT.AMOUNT': { method: 'vatAmount', parameters: [{ argumentType: FunctionArgumentType.NUMBER }] }
+};
+
+module.exports = VatCopyPlugin;
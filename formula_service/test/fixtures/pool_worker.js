@@ -0,0 +1,29 @@
+const { parentPort } = require('worker_threads');
+
+// WorkerPool 테스트용 워커 (analysis_worker.js와 같은 메시지 형식)
+let handled = 0;
+
+const TASK_HANDLERS = {
+  // 이 워커가 받은 작업 수 (새 워커인지 확인용)
+  count: () => handled,
+  sleep: task => new Promise(resolve => setTimeout(() => resolve(task.ms), task.ms)),
+  fail: () => {
+    throw Object.assign(new Error('작업 실패'), { statusCode: 422, type: 'task_failed' });
+  },
+  crash: () => process.exit(3),
+  oom: () => {
+    const chunks = [];
+    for (;;) chunks.push(new Array(100000).fill({ chunk: chunks.length }));
+  }
+};
+
+parentPort.on('message', async ({ taskId, task }) => {
+  handled++;
+  try {
+    parentPort.postMessage({ type: 'progress', taskId, event: { type: 'step', step: task.type } });
+    const result = await TASK_HANDLERS[task.type](task);
+    parentPort.postMessage({ type: 'result', taskId, result });
+  } catch (error) {
+    parentPort.postMessage({ type: 'error', taskId, error: error.message, statusCode: error.statusCode, errorType: error.type });
+  }
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FormulaLocaleError, resolveFormulaLocale, translateFormula, translateErrorValue } = require('../formula_locale');
+
+const enGB = resolveFormulaLocale();
+const deDE = resolveFormulaLocale({ language: 'deDE' });
+
+test('함수 이름과 인수·소수 구분자를 양방향으로 변환', () => {
+  assert.equal(translateFormula('=SUM(1.5,2)', enGB, deDE), '=SUMME(1,5;2)');
+  assert.equal(translateFormula('=SUMME(1,5;2)', deDE, enGB), '=SUM(1.5,2)');
+  assert.equal(translateFormula('=WENN(ISTNV(A1);"x;y";1,5)', deDE, enGB), '=IF(ISNA(A1),"x;y",1.5)');
+});
+
+test('배열 리터럴의 열·행 구분자를 대상 로캘로 변환', () => {
+  assert.equal(translateFormula('={1,2;3,4}', enGB, deDE), '={1;2|3;4}');
+  assert.equal(translateFormula('={1;2|3;4}', deDE, enGB), '={1,2;3,4}');
+});
+
+test('문자열과 따옴표 시트 이름은 그대로, 오류 리터럴은 번역', () => {
+  assert.equal(
+    translateFormula('=IF(A1="SUM(1,2)",\'My, Sheet\'!A1,#N/A)', enGB, deDE),
+    '=WENN(A1="SUM(1,2)";\'My, Sheet\'!A1;#NV)'
+  );
+  assert.equal(translateFormula('=IFERROR(#N/A,#DIV/0!)', enGB, deDE), '=WENNFEHLER(#NV;#DIV/0!)');
+  assert.equal(translateErrorValue('#NV', 'deDE', 'enGB'), '#N/A');
+});
+
+test('번역 사전에 없는 함수 이름은 그대로 두고 구분자만 변환', () => {
+  assert.equal(translateFormula('=VAT.AMOUNT(1.5,2)', enGB, deDE), '=VAT.AMOUNT(1,5;2)');
+});
+
+test('잘못되거나 겹치는 구분자와 모르는 언어는 FormulaLocaleError', () => {
+  const cases = [
+    [{ functionArgSeparator: '.' }, /functionArgSeparator 값이 잘못되었습니다/],
+    [{ functionArgSeparator: ',', decimalSeparator: ',' }, /같은 구분자\(','\)를 사용할 수 없습니다/],
+    [{ language: 'xxXX' }, /지원하지 않는 수식 언어입니다: xxXX/]
+  ];
+
+  for (const [locale, message] of cases) {
+    assert.throws(() => resolveFormulaLocale(locale), (error) => {
+      assert.ok(error instanceof FormulaLocaleError);
+      assert.equal(error.statusCode, 400);
+      assert.match(error.message, message);
+      return true;
+    });
+  }
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HyperFormula } = require('hyperformula');
+const { parseFormula, summarizeFormula, formulaComplexity, FormulaParseError } = require('../formula_parser');
+const { DependencyGraph } = require('../dependency_graph');
+
+const number = value => ({ type: 'number', value });
+const cell = (address, text = address, sheet = null) => ({ type: 'reference', kind: 'cell', sheet, address, text });
+
+test('연산자 우선순위는 Excel과 같음 (단항 - > ^, ^는 왼쪽 결합, % 후위)', () => {
+  assert.deepEqual(parseFormula('=-2^2'), {
+    type: 'binary',
+    operator: '^',
+    left: { type: 'unary', operator: '-', operand: number(2) },
+    right: number(2)
+  });
+
+  const chained = parseFormula('=2^3^2');
+  assert.equal(chained.left.operator, '^');
+  assert.deepEqual(chained.right, number(2));
+
+  const mixed = parseFormula('=1+2*3&"x"=A1');
+  assert.equal(mixed.operator, '=');
+  assert.equal(mixed.left.operator, '&');
+  assert.equal(mixed.left.left.operator, '+');
+  assert.equal(mixed.left.left.right.operator, '*');
+
+  assert.deepEqual(parseFormula('=50%'), { type: 'unary', operator: '%', operand: number(50), postfix: true });
+});
+
+test('공백 교집합은 범위 연산보다 나중, 함수 이름 앞 공백은 교집합이 아님', () => {
+  const ast = parseFormula('=SUM(A1:C3 B2:D4)');
+  const [intersection] = ast.arguments;
+  assert.equal(intersection.operator, ' ');
+  assert.deepEqual(intersection.left, { type: 'reference', kind: 'range', sheet: null, address: 'A1:C3', text: 'A1:C3' });
+  assert.equal(intersection.right.address, 'B2:D4');
+
+  assert.equal(parseFormula('=A1 + SUM(B1)').operator, '+');
+});
+
+test('시트 이름이 붙은 범위는 하나의 범위 참조', () => {
+  assert.deepEqual(parseFormula('=Sheet1!A1:B2'), {
+    type: 'reference', kind: 'range', sheet: 'Sheet1', address: 'A1:B2', text: 'Sheet1!A1:B2'
+  });
+  assert.deepEqual(parseFormula('=Sheet1!A1:Sheet1!$B$2'), {
+    type: 'reference', kind: 'range', sheet: 'Sheet1', address: 'A1:$B$2', text: 'Sheet1!A1:Sheet1!$B$2'
+  });
+  assert.deepEqual(parseFormula("='My ''Q1'' Sheet'!C3:D4").sheet, "My 'Q1' Sheet");
+
+  // 다른 시트의 셀 사이나 셀과 함수 결과 사이의 :는 범위 연산자로 유지
+  assert.equal(parseFormula('=Sheet1!A1:Sheet2!B2').operator, ':');
+  assert.equal(parseFormula('=A1:INDEX(B:B,2)').operator, ':');
+
+  assert.deepEqual(summarizeFormula('=SUM(Sheet2!A1:Sheet2!B5)+Data!C:C').ranges.map(range => range.text), ['Sheet2!A1:B5', 'Data!C:C']);
+});
+
+test('R1C1 절대 참조는 셀 참조로 읽음', () => {
+  assert.deepEqual(parseFormula('=R2C3'), cell('$C$2', 'R2C3'));
+  assert.deepEqual(parseFormula('=Sheet1!R1C1:R2C28'), {
+    type: 'reference', kind: 'range', sheet: 'Sheet1', address: '$A$1:$AB$2', text: 'Sheet1!R1C1:R2C28'
+  });
+  assert.deepEqual(summarizeFormula('=R2C3').names, []);
+});
+
+test('배열 상수와 함수 인수', () => {
+  assert.deepEqual(parseFormula('={1,2;3,"a"}'), {
+    type: 'array',
+    rows: [[number(1), number(2)], [number(3), { type: 'string', value: 'a' }]]
+  });
+
+  const summary = summarizeFormula('=IF(A1,,SUM({1,2},\'IF(1)\'!B1,"SUM(")) + MyName');
+  assert.deepEqual(summary.functionCounts, { IF: 1, SUM: 1 });
+  assert.equal(summary.maxFunctionDepth, 2);
+  assert.equal(summary.arrayLiterals, 1);
+  assert.deepEqual(summary.names, ['MyName']);
+  assert.deepEqual(summary.references.map(reference => reference.text), ['A1', "'IF(1)'!B1"]);
+  assert.equal(formulaComplexity(summary), 'complex');
+});
+
+test('문법 오류는 위치와 함께 FormulaParseError', () => {
+  for (const formula of ['=1+', '=SUM(1,2', '="abc', '=(1))', '=#FOO!']) {
+    assert.throws(() => parseFormula(formula), error => {
+      assert.ok(error instanceof FormulaParseError, formula);
+      assert.equal(error.statusCode, 400);
+      assert.equal(typeof error.position, 'number');
+      return true;
+    });
+  }
+
+  // 요약은 토큰 기준으로 대신 계산하고 오류 메시지를 기록
+  const summary = summarizeFormula('=SUM(A1,');
+  assert.match(summary.parseError, /일찍 끝났습니다/);
+  assert.deepEqual(summary.functions, ['SUM']);
+});
+
+test('이름 정의의 시트 이름 붙은 범위도 의존성 그래프의 참조로 해석', () => {
+  const hyperFormula = HyperFormula.buildFromSheets(
+    { Sheet1: [[1, 2, '=SUM(Block)'], [3, 4]] },
+    { licenseKey: 'gpl-v3' },
+    [{ name: 'Block', expression: '=Sheet1!$A$1:Sheet1!$B$2' }]
+  );
+  const graph = new DependencyGraph(hyperFormula);
+
+  assert.deepEqual(graph.cellPrecedents({ sheet: 0, row: 0, col: 2 }), [
+    { start: { sheet: 0, row: 0, col: 0 }, end: { sheet: 0, row: 1, col: 1 } }
+  ]);
+  hyperFormula.destroy();
+});
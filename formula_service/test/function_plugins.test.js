@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'plugins');
+
+test('함수 플러그인 로더와 검증', async t => {
+  // 검증 API가 새로 추가된 파일을 읽는지 확인하도록 임시 디렉터리에 복사
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'formula-plugins-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  for (const file of await fs.readdir(FIXTURE_DIR)) {
+    await fs.copyFile(path.join(FIXTURE_DIR, file), path.join(directory, file));
+  }
+
+  // 서비스 밖의 디렉터리에서도 플러그인이 hyperformula를 찾도록 NODE_PATH 지정
+  const server = await startServer({
+    FUNCTION_PLUGIN_DIR: directory,
+    NODE_PATH: path.join(__dirname, '..', 'node_modules')
+  });
+  t.after(() => server.stop());
+
+  await t.test('정상 플러그인은 /functions와 계산에 사용되고 _ 파일은 건너뜀', async () => {
+    const functions = await server.request('GET', '/functions');
+    assert.deepEqual(functions.body.categories.CUSTOM, ['VAT.AMOUNT']);
+    assert.deepEqual(functions.body.customFunctions, [{
+      name: 'VAT.AMOUNT',
+      canonicalName: 'VAT.AMOUNT',
+      plugin: 'tax.js',
+      description: '부가세 포함 금액에서 부가세 계산',
+      parameters: [
+        { name: 'total', type: 'NUMBER', optional: false },
+        { name: 'rate', type: 'NUMBER', optional: true, defaultValue: 0.1 }
+      ],
+      repeatLastArgs: 0
+    }]);
+
+    const german = await server.request('GET', '/functions?language=deDE');
+    assert.deepEqual(german.body.categories.CUSTOM, ['MWST.BETRAG']);
+
+    const created = await server.request('POST', '/sessions', {});
+    const { sessionId } = created.body;
+    await server.request('POST', `/sessions/${sessionId}/load`, { excelData: [['=VAT.AMOUNT(11000)']] });
+    const cell = await server.request('GET', `/sessions/${sessionId}/cells?address=A1`);
+    assert.equal(cell.body.cell.value, 1000);
+  });
+
+  await t.test('함수명 충돌·잘못된 인수 형식·번역 언어는 로드하지 않고 오류로 기록', async () => {
+    const status = await server.request('GET', '/functions/plugins');
+    assert.equal(status.body.directory, directory);
+    assert.deepEqual(status.body.plugins.map(plugin => plugin.file), ['tax.js']);
+
+    const errors = Object.fromEntries(status.body.errors.map(({ file, error }) => [file, error]));
+    assert.deepEqual(Object.keys(errors), ['bad_argument.js', 'bad_language.js', 'builtin_sum.js', 'vat_copy.js']);
+    assert.match(errors['bad_argument.js'], /DOUBLE의 1번째 인수 형식이 잘못되었습니다: DECIMAL/);
+    assert.match(errors['bad_language.js'], /언어 코드를 지원하지 않습니다: xxXX/);
+    assert.match(errors['builtin_sum.js'], /SUM은\(는\) 내장 함수와 이름이 같습니다/);
+    assert.match(errors['vat_copy.js'], /VAT.AMOUNT 함수는 이미 tax.js 플러그인에 정의되어 있습니다/);
+  });
+
+  await t.test('검증 API는 새로 추가한 잘못된 파일도 서비스 중단 없이 보고', async () => {
+    await fs.writeFile(path.join(directory, 'broken.js'), 'throw new Error(\'플러그인 초기화 실패\');\n');
+    await fs.writeFile(path.join(directory, 'empty.js'), 'module.exports = { implementedFunctions: {} };\n');
+
+    const validated = await server.request('POST', '/functions/plugins/validate');
+    assert.equal(validated.status, 200);
+    assert.equal(validated.body.success, true);
+    assert.equal(validated.body.valid, false);
+    assert.deepEqual(validated.body.plugins.map(plugin => plugin.file), ['tax.js']);
+
+    const errors = Object.fromEntries(validated.body.errors.map(({ file, error }) => [file, error]));
+    assert.equal(errors['broken.js'], '플러그인 초기화 실패');
+    assert.match(errors['empty.js'], /FunctionPlugin을 상속한 클래스/);
+
+    const health = await server.request('GET', '/health');
+    assert.equal(health.status, 200);
+  });
+});
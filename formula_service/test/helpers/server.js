@@ -0,0 +1,89 @@
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+const SERVICE_DIR = path.join(__dirname, '..', '..');
+const STARTUP_TIMEOUT_MS = 20000;
+
+/**
+ * 테스트용 서비스 프로세스 실행 (index.js는 로드 시 바로 listen하므로 별도 프로세스로 띄움)
+ * @param {Object} env - 추가 환경 변수 (SESSION_STORE, SESSION_STORE_DIR 등)
+ * @returns {Promise<Object>} { baseUrl, request(method, path, body, headers), stop() }
+ */
+async function startServer(env = {}) {
+  const port = await findFreePort();
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: SERVICE_DIR,
+    env: { ...process.env, SESSION_STORE: 'memory', WORKER_POOL_SIZE: '1', ...env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child, () => output);
+
+  return {
+    baseUrl,
+    request: (method, urlPath, body, headers = {}) => request(baseUrl, method, urlPath, body, headers),
+    output: () => output,
+    async stop() {
+      if (child.exitCode === null) child.kill('SIGINT');
+      await exited;
+    }
+  };
+}
+
+// JSON 요청 (body가 Buffer·FormData면 그대로 전송)
+async function request(baseUrl, method, urlPath, body, headers) {
+  const options = { method, headers: { ...headers } };
+  if (body instanceof FormData || Buffer.isBuffer(body)) {
+    options.body = body;
+  } else if (body !== undefined) {
+    options.body = JSON.stringify(body);
+    options.headers['Content-Type'] = 'application/json';
+  }
+
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const contentType = response.headers.get('content-type') || '';
+  const payload = contentType.includes('application/json')
+    ? await response.json()
+    : Buffer.from(await response.arrayBuffer());
+  return { status: response.status, headers: response.headers, body: payload };
+}
+
+async function waitForHealth(baseUrl, child, getOutput) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`서비스가 시작되지 못했습니다:\n${getOutput()}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/health`);
+      if (response.ok) return;
+    } catch (error) {
+      // 아직 listen 전
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  child.kill('SIGINT');
+  throw new Error(`서비스 시작 시간 초과:\n${getOutput()}`);
+}
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+module.exports = {
+  startServer
+};
@@ -0,0 +1,91 @@
+const ExcelJS = require('exceljs');
+
+/**
+ * 테스트용 xlsx 파일 생성
+ * @param {Object} sheets - { 시트명: { A1: 값 | { formula, result } } }
+ * @param {Object} names - 이름 정의 { 이름: '시트!$A$1' }
+ * @returns {Promise<Buffer>} xlsx 파일
+ */
+async function buildXlsx(sheets, names = {}) {
+  const workbook = new ExcelJS.Workbook();
+  Object.entries(sheets).forEach(([sheetName, cells]) => {
+    const worksheet = workbook.addWorksheet(sheetName);
+    Object.entries(cells).forEach(([address, value]) => {
+      worksheet.getCell(address).value = value;
+    });
+  });
+  Object.entries(names).forEach(([name, range]) => {
+    workbook.definedNames.add(range, name);
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * 통합 세션을 만들고 파일 분석
+ * @param {Object} server - startServer() 결과
+ * @param {Buffer} buffer - 업로드할 파일
+ * @param {string} filename - 파일명
+ * @returns {Promise<Object>} { sessionId, analysis }
+ */
+async function analyzeWorkbook(server, buffer, filename = 'workbook.xlsx') {
+  const created = await server.request('POST', '/integrated/sessions', {});
+  const { sessionId } = created.body;
+
+  const form = new FormData();
+  form.append('excelFile', new Blob([buffer]), filename);
+  const analyzed = await server.request('POST', `/integrated/sessions/${sessionId}/analyze-file`, form);
+  return { sessionId, analysis: analyzed.body, status: analyzed.status };
+}
+
+/**
+ * 통합 세션을 만들고 비동기 분석 작업 시작
+ * @param {Object} server - startServer() 결과
+ * @param {Buffer} buffer - 업로드할 파일
+ * @param {string} [sessionId] - 기존 세션 ID (생략 시 새 세션)
+ * @returns {Promise<Object>} { sessionId, job } (job은 202 응답 본문)
+ */
+async function startAnalysisJob(server, buffer, sessionId) {
+  if (!sessionId) {
+    const created = await server.request('POST', '/integrated/sessions', {});
+    sessionId = created.body.sessionId;
+  }
+
+  const form = new FormData();
+  form.append('excelFile', new Blob([buffer]), 'workbook.xlsx');
+  form.append('async', 'true');
+  const started = await server.request('POST', `/integrated/sessions/${sessionId}/analyze-file`, form);
+  return { sessionId, job: started.body, status: started.status };
+}
+
+/**
+ * 분석 작업이 조건을 만족할 때까지 상태 조회
+ * @param {Object} server - startServer() 결과
+ * @param {string} statusUrl - 작업 상태 URL
+ * @param {Function} done - (작업 상태) => boolean
+ * @returns {Promise<Object>} 조건을 만족한 작업 상태
+ */
+async function pollJob(server, statusUrl, done) {
+  for (;;) {
+    const { body } = await server.request('GET', statusUrl);
+    if (done(body)) return body;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+// 셀 수가 많아 분석에 수 초가 걸리는 워크북 (취소 테스트용)
+async function buildLargeXlsx(rows = 10000) {
+  const cells = {};
+  for (let row = 1; row <= rows; row++) {
+    cells[`A${row}`] = row;
+    cells[`B${row}`] = { formula: `A${row}*2`, result: row * 2 };
+  }
+  return buildXlsx({ Sheet1: cells });
+}
+
+module.exports = {
+  buildXlsx,
+  buildLargeXlsx,
+  analyzeWorkbook,
+  startAnalysisJob,
+  pollJob
+};
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+const { buildXlsx, analyzeWorkbook } = require('./helpers/workbooks');
+
+test('영향 분석 API', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const buffer = await buildXlsx({
+    Input: { A1: 5, A2: 3, A3: 1 },
+    Calc: {
+      A1: { formula: 'Input!A1*2', result: 10 },
+      A2: { formula: 'SUM(Input!A1:A2)', result: 8 }
+    },
+    Out: {
+      A1: { formula: 'Calc!A1+Calc!A2', result: 18 },
+      B1: { formula: 'Calc!A1', result: 10 }
+    }
+  });
+  const { sessionId } = await analyzeWorkbook(server, buffer);
+  const impact = async target => server.request('GET', `/integrated/sessions/${sessionId}/impact?target=${encodeURIComponent(target)}`);
+
+  await t.test('전이적 종속 셀을 거리·시트별로 묶고 최종 출력을 표시', async () => {
+    const result = await impact('Input!A1');
+    assert.equal(result.status, 200);
+    const { impact: report } = result.body;
+
+    assert.equal(report.target, 'Input!A1');
+    assert.equal(report.totalDependents, 4);
+    assert.equal(report.maxDistance, 2);
+    // 범위 참조(Input!A1:A2)는 단계로 세지 않음
+    assert.deepEqual(report.byDistance, [
+      { distance: 1, cells: ['Calc!A1', 'Calc!A2'] },
+      { distance: 2, cells: ['Out!A1', 'Out!B1'] }
+    ]);
+    assert.deepEqual(report.bySheet, [
+      { sheet: 'Calc', cells: ['Calc!A1', 'Calc!A2'] },
+      { sheet: 'Out', cells: ['Out!A1', 'Out!B1'] }
+    ]);
+    assert.deepEqual(report.finalOutputs, ['Out!A1', 'Out!B1']);
+    assert.deepEqual(report.dependents[2], {
+      cell: 'Out!A1',
+      sheet: 'Out',
+      address: 'A1',
+      distance: 2,
+      formula: '=Calc!A1+Calc!A2',
+      value: 18,
+      finalOutput: true
+    });
+  });
+
+  await t.test('범위 대상은 범위 안의 셀을 제외한 종속 셀, 참조되지 않는 셀은 빈 결과', async () => {
+    const range = await impact('Input!A2:A3');
+    assert.deepEqual(range.body.impact.byDistance, [
+      { distance: 1, cells: ['Calc!A2'] },
+      { distance: 2, cells: ['Out!A1'] }
+    ]);
+
+    const output = await impact('Out!A1');
+    assert.equal(output.body.impact.totalDependents, 0);
+    assert.deepEqual(output.body.impact.finalOutputs, []);
+  });
+
+  await t.test('잘못된 참조는 400, 분석하지 않은 세션은 404', async () => {
+    const invalid = await impact('Nope!A1');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.type, 'invalid_cell_reference');
+
+    const tooLarge = await impact('Input!A1:Z10000');
+    assert.equal(tooLarge.status, 400);
+
+    const created = await server.request('POST', '/integrated/sessions', {});
+    const empty = await server.request('GET', `/integrated/sessions/${created.body.sessionId}/impact?target=A1`);
+    assert.equal(empty.status, 404);
+  });
+});
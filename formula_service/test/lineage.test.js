@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { buildFromSheets } = require('../sheet_cells');
+const { traceLineage } = require('../dependency_graph');
+const { startServer } = require('./helpers/server');
+const { buildXlsx, analyzeWorkbook } = require('./helpers/workbooks');
+
+const CONFIG = { licenseKey: 'gpl-v3', maxRows: 1048576, maxColumns: 16384 };
+
+// 트리를 깊이 우선 순서의 '단계 셀 [표시]' 목록으로 펼침
+function flatten(node, lines = []) {
+  const mark = node.circular ? ' circular' : node.repeated ? ' repeated' : '';
+  lines.push(`${node.level} ${node.cell}${node.sheetHop ? ' →' : ''}${mark}`);
+  node.children.forEach(child => flatten(child, lines));
+  return lines;
+}
+
+const buildWorkbook = () => buildFromSheets({
+  Input: [[10], [20]],
+  Calc: [['=Input!A1*2'], ['=A1+SUM(Input!A1:A2)']],
+  Out: [['=Calc!A1+Calc!A2', '=A1+B1']]
+}, CONFIG);
+
+test('시트를 건너는 여러 단계의 참조를 상수까지 펼치고 이미 펼친 셀은 repeated로 표시', () => {
+  const lineage = traceLineage(buildWorkbook(), 'Out!A1');
+
+  assert.deepEqual(flatten(lineage.tree), [
+    '0 Out!A1',
+    '1 Calc!A1 →',
+    '2 Input!A1 →',
+    '1 Calc!A2 →',
+    '2 Calc!A1 repeated',
+    '2 Input!A1:A2 →',
+    '3 Input!A1',
+    '3 Input!A2'
+  ]);
+  assert.deepEqual(lineage.tree.children[1].children[0].children, []);
+  assert.deepEqual(lineage.tree.children[0].children[0], {
+    cell: 'Input!A1', sheet: 'Input', type: 'input', address: 'A1', value: 10, level: 2, sheetHop: true, children: []
+  });
+  assert.deepEqual(
+    { depth: lineage.depth, totalNodes: lineage.totalNodes, formulaCells: lineage.formulaCells, inputCells: lineage.inputCells, sheetHops: lineage.sheetHops },
+    { depth: 3, totalNodes: 8, formulaCells: 3, inputCells: 2, sheetHops: 4 }
+  );
+  assert.deepEqual(lineage.sheets, ['Out', 'Calc', 'Input']);
+});
+
+test('현재 경로에 있는 셀을 다시 만나면 circular로 표시하고 멈춤', () => {
+  const lineage = traceLineage(buildWorkbook(), 'Out!B1');
+  const [, self] = lineage.tree.children;
+
+  assert.equal(lineage.tree.value, '#CYCLE!');
+  assert.deepEqual(
+    { cell: self.cell, level: self.level, circular: self.circular, children: self.children },
+    { cell: 'Out!B1', level: 1, circular: true, children: [] }
+  );
+  assert.equal(self.repeated, undefined);
+  assert.equal(lineage.depth, 4);
+});
+
+test('범위 대상은 CellReferenceError', () => {
+  assert.throws(() => traceLineage(buildWorkbook(), 'Input!A1:A2'), { statusCode: 400, type: 'invalid_cell_reference' });
+});
+
+test('계보 추적 API와 보고서 시트', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const buffer = await buildXlsx({
+    Input: { A1: 10, A2: 20 },
+    Calc: { A1: { formula: 'Input!A1*2', result: 20 }, A2: { formula: 'A1+SUM(Input!A1:A2)', result: 50 } },
+    Out: { A1: { formula: 'Calc!A1+Calc!A2', result: 70 }, B1: { formula: 'A1+B1', result: 0 } }
+  });
+  const { sessionId } = await analyzeWorkbook(server, buffer);
+  const lineageUrl = query => `/integrated/sessions/${sessionId}/lineage${query}`;
+
+  await t.test('JSON 응답, download=true이면 첨부 파일', async () => {
+    const inline = await server.request('GET', lineageUrl('?target=Out!A1'));
+    assert.equal(inline.status, 200);
+    assert.equal(inline.headers.get('content-disposition'), null);
+    assert.equal(inline.body.lineage.totalNodes, 8);
+    assert.equal(inline.body.lineage.tree.children[1].children[0].repeated, true);
+
+    const download = await server.request('GET', lineageUrl('?target=Out!A1&download=true'));
+    assert.equal(download.status, 200);
+    assert.equal(download.headers.get('content-disposition'), `attachment; filename="lineage_${sessionId}.json"`);
+    assert.deepEqual(download.body.lineage, inline.body.lineage);
+  });
+
+  await t.test('잘못된 대상은 400, 분석하지 않은 세션은 404', async () => {
+    const range = await server.request('GET', lineageUrl('?target=Input!A1:A2'));
+    assert.equal(range.status, 400);
+    assert.equal(range.body.type, 'invalid_cell_reference');
+
+    const created = await server.request('POST', '/integrated/sessions', {});
+    const empty = await server.request('GET', `/integrated/sessions/${created.body.sessionId}/lineage?target=A1`);
+    assert.equal(empty.status, 404);
+  });
+
+  await t.test('보고서의 계보 추적 시트는 트리를 들여쓰기한 행으로 펼침', async () => {
+    const report = await server.request('GET', `/integrated/sessions/${sessionId}/report?lineage=Out!A1&lineage=Out!B1`);
+    assert.equal(report.status, 200);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(report.body);
+    const sheet = workbook.getWorksheet('계보 추적');
+    assert.ok(sheet);
+
+    const rows = [];
+    sheet.eachRow(row => rows.push(row.values.slice(1)));
+    assert.deepEqual(rows[1], ['대상: Out!A1']);
+    assert.deepEqual(rows[2], ['깊이', 3, '수식 셀 수', 3, '입력 셀 수', 2, '시트 이동', 4]);
+    assert.deepEqual(rows.slice(4, 12).map(([level, cell, , hop, , , note]) => [level, cell, hop, note || '']), [
+      [0, 'Out!A1', '', ''],
+      [1, 'Calc!A1', '→ Calc', ''],
+      [2, 'Input!A1', '→ Input', ''],
+      [1, 'Calc!A2', '→ Calc', ''],
+      [2, 'Calc!A1', '', '위에서 펼침'],
+      [2, 'Input!A1:A2', '→ Input', ''],
+      [3, 'Input!A1', '', ''],
+      [3, 'Input!A2', '', '']
+    ]);
+    assert.equal(sheet.getRow(12).getCell(2).alignment.indent, 3);
+
+    // 두 번째 대상의 자기 참조는 순환 참조로 표시
+    assert.deepEqual(rows[12], ['대상: Out!B1']);
+    assert.deepEqual(rows.filter(row => row[6] === '순환 참조').map(row => [row[0], row[1]]), [[1, 'Out!B1']]);
+  });
+});
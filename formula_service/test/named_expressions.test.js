@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const IntegratedEngine = require('../integrated_engine');
+const { buildXlsx } = require('./helpers/workbooks');
+
+// xl/workbook.xml에 정의된 이름 추가 ([이름, 수식, localSheetId], ExcelJS는 시트 범위 이름을 쓰지 못함)
+async function withDefinedNames(buffer, names) {
+  const zip = await JSZip.loadAsync(buffer);
+  const xml = await zip.file('xl/workbook.xml').async('string');
+  const definedNames = names
+    .map(([name, formula, sheet]) => `<definedName name="${name}"${sheet === undefined ? '' : ` localSheetId="${sheet}"`}>${formula}</definedName>`)
+    .join('');
+  zip.file('xl/workbook.xml', xml.replace('</sheets>', `</sheets><definedNames>${definedNames}</definedNames>`));
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+test('통합 문서·시트 범위 이름을 등록하고 HyperFormula가 거부한 이름은 경고로 보고', async t => {
+  const engine = new IntegratedEngine('named-expressions', {});
+  t.after(() => engine.cleanup());
+
+  const buffer = await withDefinedNames(await buildXlsx({
+    Sheet1: { A1: 100, B1: { formula: 'A1*TaxRate', result: 10 }, B2: { formula: 'Local', result: 100 } },
+    Sheet2: { A1: 7, B1: { formula: 'Local', result: 7 } }
+  }), [
+    ['TaxRate', '0.1'],
+    ['Local', 'Sheet1!$A$1'],
+    ['Local', 'Sheet2!$A$1', 1],
+    ['A1', 'Sheet1!$A$1'],
+    ['Broken', 'Sheet1!$A$1+', 0]
+  ]);
+  const analysis = await engine.analyzeExcelFile(buffer, {});
+  assert.equal(analysis.success, true);
+
+  assert.deepEqual(analysis.conversion.namedExpressions, [
+    { name: 'TaxRate', scope: null, expression: '=0.1' },
+    { name: 'Local', scope: null, expression: '=Sheet1!$A$1' },
+    { name: 'Local', scope: 'Sheet2', expression: '=Sheet2!$A$1' }
+  ]);
+
+  // 시트 범위 이름은 해당 시트에서 통합 문서 범위 이름보다 우선
+  const value = (sheet, row, col) => engine.hyperFormula.getCellValue({ sheet, row, col });
+  assert.equal(value(0, 0, 1), 10);
+  assert.equal(value(0, 1, 1), 100);
+  assert.equal(value(1, 0, 1), 7);
+
+  // 셀 주소와 겹치는 이름은 등록 전에, 해석할 수 없는 수식은 등록 후 제거하고 경고
+  assert.deepEqual(
+    analysis.conversion.warnings.filter(warning => warning.type === 'named_expression_conversion_error'),
+    [
+      { name: 'A1', scope: null, formula: 'Sheet1!$A$1', error: 'HyperFormula에서 사용할 수 없는 이름입니다.', type: 'named_expression_conversion_error' },
+      { name: 'Broken', scope: 'Sheet1', formula: 'Sheet1!$A$1+', error: '이름 정의 수식을 해석할 수 없습니다: Parsing error.', type: 'named_expression_conversion_error' }
+    ]
+  );
+  assert.deepEqual(engine.hyperFormula.listNamedExpressions(0), []);
+});
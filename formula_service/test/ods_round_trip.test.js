@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const ExcelConverter = require('../excel_converter');
+const { readOdsDocument, OdsDocumentTooLargeError } = require('../ods_document');
+const { startServer } = require('./helpers/server');
+const { buildXlsx, analyzeWorkbook } = require('./helpers/workbooks');
+
+// content.xml만 있는 최소 ODS 파일
+async function buildOds(tables) {
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/vnd.oasis.opendocument.spreadsheet', { compression: 'STORE' });
+  zip.file('content.xml', '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"' +
+    ' xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"' +
+    ' xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0">' +
+    `<office:body><office:spreadsheet>${tables}</office:spreadsheet></office:body></office:document-content>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+const WORKBOOK = {
+  sheets: {
+    Sheet1: [[10, 0.05, null, '=Rate*A1']],
+    Sheet2: [['=Local*2']]
+  },
+  namedExpressions: [
+    { name: 'Rate', expression: '=Sheet1!$B$1' },
+    { name: 'Local', expression: '=3', scope: 1 }
+  ]
+};
+
+test('xlsx·ods 내보내기는 통합 문서·시트 범위 이름 정의를 기록', async t => {
+  const converter = new ExcelConverter();
+
+  for (const format of ['xlsx', 'ods']) {
+    await t.test(format, async () => {
+      const file = format === 'ods'
+        ? await converter.writeOdsFile(WORKBOOK)
+        : Buffer.from(await converter.writeExcelFile(WORKBOOK));
+      const reloaded = await converter.readExcelFile(file);
+
+      assert.deepEqual(reloaded.sheets, WORKBOOK.sheets);
+      // ods는 시트 범위 이름을 해당 시트 안에 기록하므로 순서는 비교하지 않음
+      assert.deepEqual(
+        [...reloaded.namedExpressions].sort((a, b) => a.name.localeCompare(b.name)),
+        [{ name: 'Local', expression: '=3', scope: 1 }, { name: 'Rate', expression: '=Sheet1!$B$1', scope: undefined }]
+      );
+      assert.equal(converter.validateDataIntegrity(WORKBOOK, reloaded).isValid, true);
+    });
+  }
+});
+
+test('무결성 검증은 없어진 이름 정의와 바뀐 수식을 실패로 보고', () => {
+  const converter = new ExcelConverter();
+  const report = converter.validateDataIntegrity(WORKBOOK, {
+    sheets: { Sheet1: [[10, 0.05, null, 0.5]], Sheet2: [['=Local*2']] },
+    namedExpressions: [{ name: 'local', expression: '=4', scope: 1 }]
+  });
+
+  assert.equal(report.isValid, false);
+  assert.equal(report.statistics.totalFormulas, 2);
+  assert.equal(report.statistics.mismatchedFormulas, 1);
+  assert.equal(report.statistics.totalNamedExpressions, 2);
+  assert.equal(report.statistics.mismatchedNamedExpressions, 2);
+});
+
+test('반복 행·열을 펼친 셀 수가 상한을 넘는 ODS는 펼치기 전에 거부', async () => {
+  const ods = await buildOds('<table:table table:name="Sheet1">' +
+    '<table:table-row table:number-rows-repeated="1000000">' +
+    '<table:table-cell table:number-columns-repeated="1000" office:value-type="float" office:value="1"/>' +
+    '</table:table-row></table:table>');
+
+  await assert.rejects(readOdsDocument(ods), error => {
+    assert.ok(error instanceof OdsDocumentTooLargeError);
+    assert.equal(error.statusCode, 413);
+    return true;
+  });
+});
+
+test('ODS 왕복 변환 API', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await t.test('health에 ods 형식 표시', async () => {
+    const health = await server.request('GET', '/integrated/health');
+    assert.deepEqual(health.body.supportedFormats, ['xlsx', 'ods', 'csv']);
+  });
+
+  await t.test('이름 정의를 쓰는 수식이 ods 내보내기 후 다시 분석해도 같은 값', async () => {
+    const xlsx = await buildXlsx(
+      { Sheet1: { A1: 10, B1: 0.05, D1: { formula: 'Rate*A1', result: 0.5 } } },
+      { Rate: 'Sheet1!$B$1' }
+    );
+    const { sessionId } = await analyzeWorkbook(server, xlsx);
+
+    const exported = await server.request('GET', `/integrated/sessions/${sessionId}/export?format=ods`);
+    assert.equal(exported.status, 200);
+
+    const created = await server.request('POST', '/integrated/sessions', {});
+    const form = new FormData();
+    form.append('excelFile', new Blob([exported.body]), 'workbook.ods');
+    form.append('validateCompatibility', 'true');
+    const analyzed = await server.request('POST', `/integrated/sessions/${created.body.sessionId}/analyze-file`, form);
+
+    assert.equal(analyzed.status, 200);
+    assert.equal(analyzed.body.excel.format, 'ods');
+    assert.equal(analyzed.body.compatibility.isCompatible, true);
+    assert.equal(analyzed.body.compatibility.statistics.totalNamedExpressions, 1);
+
+    const whatIf = await server.request('POST', `/integrated/sessions/${created.body.sessionId}/what-if`, {
+      outputs: ['D1'],
+      overrides: { B1: 0.1 }
+    });
+    assert.deepEqual(whatIf.body.baseline, { 'Sheet1!D1': 0.5 });
+    assert.deepEqual(whatIf.body.scenarios[0].values, { 'Sheet1!D1': 1 });
+  });
+
+  await t.test('셀 수 상한을 넘는 ODS 업로드는 413', async () => {
+    const ods = await buildOds('<table:table table:name="Sheet1">' +
+      '<table:table-row table:number-rows-repeated="1048576">' +
+      '<table:table-cell table:number-columns-repeated="16384" office:value-type="float" office:value="1"/>' +
+      '</table:table-row></table:table>');
+    const { status, analysis } = await analyzeWorkbook(server, ods, 'huge.ods');
+
+    assert.equal(status, 413);
+    assert.equal(analysis.type, 'workbook_too_large');
+  });
+});
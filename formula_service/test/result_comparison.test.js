@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const IntegratedEngine = require('../integrated_engine');
+const { buildXlsx } = require('./helpers/workbooks');
+
+test('저장된 결과 정규화: 날짜는 일련번호, 오류는 오류 문자열, 없으면 undefined', t => {
+  const engine = new IntegratedEngine('normalize-result', {});
+  t.after(() => engine.cleanup());
+
+  assert.equal(engine.normalizeExcelResult(new Date(Date.UTC(2024, 0, 15))), 45306);
+  assert.equal(engine.normalizeExcelResult(new Date(Date.UTC(2024, 0, 15, 12))), 45306.5);
+  assert.equal(engine.normalizeExcelResult({ error: '#N/A' }), '#N/A');
+  assert.equal(engine.normalizeExcelResult(true), true);
+  assert.equal(engine.normalizeExcelResult(null), null);
+  assert.equal(engine.normalizeExcelResult(undefined), undefined);
+});
+
+test('결과 일치: 숫자는 상대 허용 오차, 그 외는 같은 타입·값', t => {
+  const engine = new IntegratedEngine('results-match', {});
+  t.after(() => engine.cleanup());
+  const tolerance = engine.getResultTolerance();
+
+  assert.equal(tolerance, 1e-9);
+  assert.equal(engine.resultsMatch(0.1 + 0.2, 0.3, tolerance), true);
+  assert.equal(engine.resultsMatch(1e12 + 1, 1e12, tolerance), true);
+  assert.equal(engine.resultsMatch(1.001, 1, tolerance), false);
+  assert.equal(engine.resultsMatch(1.001, 1, engine.getResultTolerance({ tolerance: '0.01' })), true);
+
+  assert.equal(engine.resultsMatch(true, true, tolerance), true);
+  assert.equal(engine.resultsMatch(true, 1, tolerance), false);
+  assert.equal(engine.resultsMatch('#DIV/0!', '#DIV/0!', tolerance), true);
+  assert.equal(engine.resultsMatch('#N/A', '#VALUE!', tolerance), false);
+
+  // 빈 결과는 Excel에서 빈 문자열 또는 0으로 저장됨
+  assert.equal(engine.resultsMatch(null, '', tolerance), true);
+  assert.equal(engine.resultsMatch(null, 0, tolerance), true);
+  assert.equal(engine.resultsMatch(null, 'x', tolerance), false);
+
+  assert.equal(engine.getResultTolerance({ tolerance: '-1' }), 1e-9);
+  assert.equal(engine.getResultTolerance({ tolerance: 'abc' }), 1e-9);
+});
+
+test('compareWithOriginal은 저장된 결과와 비교해 불일치를 함수별로 묶고 결과가 없는 셀은 건너뜀', async t => {
+  const engine = new IntegratedEngine('result-comparison', {});
+  t.after(() => engine.cleanup());
+
+  const buffer = await buildXlsx({
+    Sheet1: {
+      A1: 0.1,
+      A2: 0.2,
+      B1: { formula: 'A1+A2', result: 0.3 },
+      B2: { formula: 'DATE(2024,1,15)', result: new Date(Date.UTC(2024, 0, 15)) },
+      B3: { formula: 'A1>0', result: true },
+      B4: { formula: '1/0', result: { error: '#DIV/0!' } },
+      B5: { formula: 'A1*10', result: 2 },
+      B6: { formula: '1+1' },
+      B7: { formula: 'IF(A1>1,"big","small")', result: 'big' }
+    }
+  });
+  const { formulas } = await engine.analyzeExcelFile(buffer, { compareWithOriginal: true });
+  const comparison = formulas.resultComparison;
+
+  assert.deepEqual(
+    [comparison.comparedCells, comparison.matchingCells, comparison.mismatchedCells, comparison.skippedCells],
+    [6, 4, 2, 1]
+  );
+  assert.deepEqual(comparison.sheets, { Sheet1: { compared: 6, mismatched: 2, skipped: 1 } });
+  assert.deepEqual(comparison.mismatches, [
+    { location: 'Sheet1!B5', formula: '=A1*10', hyperformulaValue: 1, excelValue: 2, functions: [], difference: -1 },
+    { location: 'Sheet1!B7', formula: '=IF(A1>1,"big","small")', hyperformulaValue: 'small', excelValue: 'big', functions: ['IF'] }
+  ]);
+  assert.deepEqual(comparison.byFunction, {
+    '(함수 없음)': { count: 1, cells: ['Sheet1!B5'] },
+    IF: { count: 1, cells: ['Sheet1!B7'] }
+  });
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionManager } = require('../session_manager');
+const { MemorySessionStore, SessionConflictError } = require('../session_store');
+
+// 세션 관리자 테스트용 엔진 (값 하나만 보관)
+class CounterEngine {
+  constructor(sessionId, options = {}) {
+    this.sessionId = sessionId;
+    this.value = options.value || 0;
+    this.lastActivity = Date.now();
+  }
+
+  serialize() {
+    return { type: 'counter', sessionId: this.sessionId, value: this.value };
+  }
+
+  static restore(data) {
+    return new CounterEngine(data.sessionId, { value: data.value });
+  }
+
+  cleanup() {}
+}
+
+function createManager(store, options = {}) {
+  const manager = new SessionManager({
+    store,
+    ttlMs: 60000,
+    maxSessions: 100,
+    maxSessionsPerClient: 10,
+    ...options
+  });
+  manager.registerType('counter', CounterEngine, '카운터');
+  return manager;
+}
+
+// save()가 resolve될 때까지 기다리는 저장소
+function createDelayedStore() {
+  const store = new MemorySessionStore();
+  const save = store.save.bind(store);
+  store.gates = [];
+  store.save = (...args) => new Promise((resolve, reject) => {
+    store.gates.push(() => save(...args).then(resolve, reject));
+  });
+  store.releaseAll = () => store.gates.splice(0).forEach(open => open());
+  return store;
+}
+
+test('리비전은 저장이 끝난 뒤에 바뀜', async () => {
+  const store = createDelayedStore();
+  const manager = createManager(store);
+
+  const creating = manager.create('counter', 'client-a');
+  await new Promise(setImmediate);
+  store.releaseAll();
+  const engine = await creating;
+  const savedRevision = engine.revision;
+  assert.equal(await store.getRevision(engine.sessionId), savedRevision);
+
+  engine.value = 1;
+  const persisting = manager.persist(engine);
+  await new Promise(setImmediate);
+  assert.equal(engine.revision, savedRevision);
+
+  // 저장 중에 들어온 조회는 저장이 끝난 뒤 같은 엔진을 반환 (다시 불러오지 않음)
+  const getting = manager.get('counter', engine.sessionId);
+  store.releaseAll();
+  await persisting;
+  assert.notEqual(engine.revision, savedRevision);
+  assert.equal(await store.getRevision(engine.sessionId), engine.revision);
+  assert.equal(await getting, engine);
+});
+
+test('같은 세션의 동시 저장은 순서대로 모두 성공', async () => {
+  const manager = createManager(new MemorySessionStore());
+  const engine = await manager.create('counter', 'client-a');
+
+  await Promise.all(Array.from({ length: 10 }, (_, index) => {
+    engine.value = index;
+    return manager.persist(engine);
+  }));
+
+  assert.equal((await manager.store.load(engine.sessionId)).value, 9);
+  assert.equal(await manager.store.getRevision(engine.sessionId), engine.revision);
+});
+
+test('다른 인스턴스가 먼저 저장하면 충돌로 거부하고 최신 상태를 다시 불러옴', async () => {
+  const store = new MemorySessionStore();
+  const instanceA = createManager(store);
+  const instanceB = createManager(store);
+
+  const engineA = await instanceA.create('counter', 'client-a');
+  const engineB = await instanceB.get('counter', engineA.sessionId);
+  assert.notEqual(engineB, engineA);
+
+  engineA.value = 10;
+  await instanceA.persist(engineA);
+
+  engineB.value = 20;
+  await assert.rejects(instanceB.persist(engineB), SessionConflictError);
+  assert.equal((await store.load(engineA.sessionId)).value, 10);
+
+  const reloaded = await instanceB.get('counter', engineA.sessionId);
+  assert.notEqual(reloaded, engineB);
+  assert.equal(reloaded.value, 10);
+  reloaded.value = 30;
+  await instanceB.persist(reloaded);
+  assert.equal((await store.load(engineA.sessionId)).value, 30);
+});
+
+test('저장소 장애는 경고만 남기고 리비전은 유지', async t => {
+  const store = new MemorySessionStore();
+  const manager = createManager(store);
+  const engine = await manager.create('counter', 'client-a');
+  const revision = engine.revision;
+
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(store, 'save', async () => { throw new Error('connection lost'); });
+  await manager.persist(engine);
+  assert.equal(engine.revision, revision);
+});
+
+test('클라이언트당 세션 수는 저장소를 공유하는 모든 인스턴스의 세션으로 셈', async () => {
+  const store = new MemorySessionStore();
+  const instances = [createManager(store, { maxSessionsPerClient: 3 }), createManager(store, { maxSessionsPerClient: 3 })];
+
+  await instances[0].create('counter', 'client-a');
+  await instances[1].create('counter', 'client-a');
+  await instances[0].create('counter', 'client-a');
+
+  await assert.rejects(instances[1].create('counter', 'client-a'), { statusCode: 429, limit: 3 });
+  assert.equal(instances[1].count(), 1);
+  assert.equal(store.entries.size, 3);
+
+  // 다른 클라이언트는 영향 없음
+  await instances[1].create('counter', 'client-b');
+});
+
+test('세션을 삭제하면 클라이언트 할당량이 다시 생김', async () => {
+  const store = new MemorySessionStore();
+  const manager = createManager(store, { maxSessionsPerClient: 1 });
+
+  const engine = await manager.create('counter', 'client-a');
+  await assert.rejects(manager.create('counter', 'client-a'), { type: 'session_quota_exceeded' });
+  await manager.delete('counter', engine.sessionId);
+  await manager.create('counter', 'client-a');
+});
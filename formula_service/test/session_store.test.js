@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RedisMock = require('ioredis-mock');
+const {
+  FileSessionStore,
+  MemorySessionStore,
+  RedisSessionStore,
+  SessionConflictError
+} = require('../session_store');
+
+const TTL_MS = 60000;
+
+async function createTempDirectory(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'formula-sessions-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+const STORES = {
+  memory: async () => new MemorySessionStore(),
+  file: async t => new FileSessionStore({ directory: await createTempDirectory(t) }),
+  redis: async t => {
+    const store = new RedisSessionStore({ client: new RedisMock(), keyPrefix: `test:${Date.now()}:` });
+    t.after(() => store.close());
+    return store;
+  }
+};
+
+for (const [name, createStore] of Object.entries(STORES)) {
+  test(`${name} 저장소: 리비전이 일치할 때만 저장 (compare-and-set)`, async t => {
+    const store = await createStore(t);
+
+    await store.save('session-1', { type: 'basic', value: 1, revision: 'r1' }, TTL_MS, null);
+    await assert.rejects(
+      store.save('session-1', { type: 'basic', value: 2, revision: 'r2' }, TTL_MS, null),
+      SessionConflictError
+    );
+    await assert.rejects(
+      store.save('session-1', { type: 'basic', value: 2, revision: 'r2' }, TTL_MS, 'stale'),
+      error => error instanceof SessionConflictError && error.statusCode === 409
+    );
+
+    await store.save('session-1', { type: 'basic', value: 3, revision: 'r3' }, TTL_MS, 'r1');
+    assert.equal(await store.getRevision('session-1'), 'r3');
+    assert.deepEqual(await store.load('session-1'), { type: 'basic', value: 3, revision: 'r3' });
+  });
+
+  test(`${name} 저장소: touch는 TTL만 연장하고 리비전을 바꾸지 않음`, async t => {
+    const store = await createStore(t);
+
+    await store.save('session-2', { type: 'basic', revision: 'r0' }, TTL_MS, null);
+    for (let index = 1; index <= 10; index++) {
+      const [revision] = await Promise.all([
+        store.touch('session-2', TTL_MS),
+        store.save('session-2', { type: 'basic', revision: `r${index}` }, TTL_MS, `r${index - 1}`)
+      ]);
+      assert.ok([`r${index - 1}`, `r${index}`].includes(revision));
+    }
+    assert.equal(await store.getRevision('session-2'), 'r10');
+  });
+
+  test(`${name} 저장소: 만료되거나 삭제된 세션은 조회되지 않고 다시 저장하면 충돌`, async t => {
+    const store = await createStore(t);
+
+    await store.save('session-3', { type: 'basic', revision: 'r1' }, 5, null);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(await store.touch('session-3', TTL_MS), null);
+    assert.equal(await store.load('session-3'), null);
+
+    await store.save('session-4', { type: 'basic', revision: 'r1' }, TTL_MS, null);
+    await store.delete('session-4');
+    assert.equal(await store.load('session-4'), null);
+    await assert.rejects(store.save('session-4', { type: 'basic', revision: 'r2' }, TTL_MS, 'r1'), SessionConflictError);
+  });
+}
+
+test('파일 저장소: 같은 세션을 동시에 저장해도 요청 순서대로 기록되고 임시 파일이 남지 않음', async t => {
+  const store = await STORES.file(t);
+
+  await Promise.all(Array.from({ length: 20 }, (_, index) =>
+    store.save('session-1', { type: 'basic', value: index, revision: `r${index}` }, TTL_MS, index === 0 ? null : `r${index - 1}`)));
+
+  assert.deepEqual(await store.load('session-1'), { type: 'basic', value: 19, revision: 'r19' });
+  const files = await fs.readdir(store.directory);
+  assert.deepEqual(files.filter(name => name.endsWith('.tmp') || name.endsWith('.lock')), []);
+});
+
+test('파일 저장소: 저장 직후 요청한 삭제는 저장이 끝난 뒤 실행', async t => {
+  const store = await STORES.file(t);
+
+  await Promise.all([
+    store.save('session-2', { type: 'basic', revision: 'r1' }, TTL_MS, null),
+    store.delete('session-2')
+  ]);
+
+  assert.equal(await store.load('session-2'), null);
+  assert.deepEqual(await fs.readdir(store.directory), []);
+});
+
+test('파일 저장소: 만료 파일을 쓰기 전에 조회해도 저장 중인 새 세션을 삭제하지 않음', async t => {
+  const store = await STORES.file(t);
+
+  // 메타 파일까지 쓴 뒤 만료 파일 쓰기를 멈춤
+  let resume;
+  const paused = new Promise(resolve => { resume = resolve; });
+  let metaWritten;
+  const reachedExpiry = new Promise(resolve => { metaWritten = resolve; });
+  const writeExpiry = store.writeExpiry.bind(store);
+  store.writeExpiry = async (...args) => {
+    metaWritten();
+    await paused;
+    return writeExpiry(...args);
+  };
+
+  const saving = store.save('session-3', { type: 'basic', revision: 'r1' }, TTL_MS, null);
+  await reachedExpiry;
+  const reading = Promise.all([store.load('session-3'), store.touch('session-3', TTL_MS), store.getRevision('session-3')]);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  resume();
+  await saving;
+  await reading;
+
+  assert.deepEqual(await store.load('session-3'), { type: 'basic', revision: 'r1' });
+  assert.equal(await store.getRevision('session-3'), 'r1');
+});
+
+test('파일 저장소: 같은 디렉터리를 쓰는 다른 인스턴스와도 한 번만 저장에 성공', async t => {
+  const directory = await createTempDirectory(t);
+  const stores = [new FileSessionStore({ directory }), new FileSessionStore({ directory })];
+  await stores[0].save('shared', { type: 'basic', revision: 'r1' }, TTL_MS, null);
+
+  const results = await Promise.allSettled(stores.map((store, index) =>
+    store.save('shared', { type: 'basic', revision: `instance-${index}` }, TTL_MS, 'r1')));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  assert.ok(results.find(result => result.status === 'rejected').reason instanceof SessionConflictError);
+  const { revision } = await stores[1].load('shared');
+  assert.equal(await stores[0].getRevision('shared'), revision);
+});
+
+test('파일 저장소: 만료 시각은 리비전과 별도 파일에 기록하고 이전 형식 메타 파일도 읽음', async t => {
+  const store = await STORES.file(t);
+
+  await store.save('session-5', { type: 'basic', revision: 'r1' }, TTL_MS, null);
+  assert.deepEqual(JSON.parse(await fs.readFile(store.metaPath('session-5'), 'utf8')), { revision: 'r1' });
+  assert.ok(Number(await fs.readFile(store.expiryPath('session-5'), 'utf8')) > Date.now());
+
+  await fs.writeFile(store.filePath('legacy'), JSON.stringify({ type: 'basic', revision: 'old' }));
+  await fs.writeFile(store.metaPath('legacy'), JSON.stringify({ revision: 'old', expiresAt: Date.now() + TTL_MS }));
+  assert.equal(await store.touch('legacy', TTL_MS), 'old');
+  assert.equal(await store.getRevision('legacy'), 'old');
+});
+
+test('파일 저장소: 시작 시 만료된 세션 파일 정리', async t => {
+  const store = await STORES.file(t);
+
+  await store.save('expired', { type: 'basic', revision: 'r1' }, 1, null);
+  await store.save('alive', { type: 'basic', revision: 'r1' }, TTL_MS, null);
+  // 메타 파일을 쓰기 전에 종료되어 데이터 파일만 남은 세션
+  await fs.writeFile(store.filePath('orphan'), JSON.stringify({ type: 'basic', revision: 'r1' }));
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  assert.equal(await store.purgeExpired(), 2);
+  assert.deepEqual((await fs.readdir(store.directory)).sort(), ['alive.expires', 'alive.json', 'alive.meta.json']);
+});
+
+for (const [name, createStore] of Object.entries(STORES)) {
+  test(`${name} 저장소: 클라이언트 세션 목록은 저장된 세션만 세고 제한을 넘으면 추가하지 않음`, async t => {
+    const store = await createStore(t);
+    const saveSession = sessionId => store.save(sessionId, { type: 'basic', revision: 'r1' }, TTL_MS, null);
+
+    for (const sessionId of ['s1', 's2']) {
+      await saveSession(sessionId);
+      assert.equal(await store.addClientSession('10.0.0.1', sessionId, 2, TTL_MS), true);
+    }
+
+    await saveSession('s3');
+    assert.equal(await store.addClientSession('10.0.0.1', 's3', 2, TTL_MS), false);
+    await saveSession('other');
+    assert.equal(await store.addClientSession('user:42', 'other', 2, TTL_MS), true);
+
+    // 삭제된 세션은 다시 세지 않음
+    await store.delete('s1');
+    assert.equal(await store.addClientSession('10.0.0.1', 's3', 2, TTL_MS), true);
+  });
+}
+
+test('파일 저장소: 시작 시 만료된 세션만 남은 클라이언트 세션 목록 정리', async t => {
+  const store = await STORES.file(t);
+
+  await store.save('short', { type: 'basic', revision: 'r1' }, 1, null);
+  await store.addClientSession('client-a', 'short', 10, TTL_MS);
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  await store.purgeExpired();
+  assert.deepEqual(await fs.readdir(store.clientsDirectory()), []);
+});
+
+test('redis 저장소: TTL 연장 시 클라이언트 세션 목록도 함께 연장', async t => {
+  const store = await STORES.redis(t);
+
+  await store.save('s1', { type: 'basic', revision: 'r1' }, 1000, null);
+  await store.addClientSession('client-a', 's1', 10, 1000);
+  assert.ok(await store.client.pttl(store.clientSetKey('client-a')) <= 1000);
+
+  assert.equal(await store.touch('s1', TTL_MS), 'r1');
+  assert.ok(await store.client.pttl(store.clientSetKey('client-a')) > 1000);
+  assert.ok(await store.client.pttl(store.clientKey('s1')) > 1000);
+});
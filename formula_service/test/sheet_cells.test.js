@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelConverter = require('../excel_converter');
+const { buildFromSheets, trackCellContents, trackRowShift, getPopulatedCells, serializeSheet } = require('../sheet_cells');
+const { buildXlsx } = require('./helpers/workbooks');
+
+const CONFIG = { licenseKey: 'gpl-v3', maxRows: 1048576, maxColumns: 16384, undoLimit: 10 };
+
+const cellsOf = (hf, sheetId = 0) => getPopulatedCells(hf, sheetId).map(({ row, col }) => [row, col]);
+
+test('셀 색인은 셀 변경·행 삽입·삭제와 undo 후에도 값이 있는 셀만 돌려줌', () => {
+  const rows = [[1, '=A1*2']];
+  rows[1000000] = [null, null, 'far'];
+  const hf = buildFromSheets({ Sheet1: rows }, CONFIG);
+  assert.deepEqual(cellsOf(hf), [[0, 0], [0, 1], [1000000, 2]]);
+
+  hf.setCellContents({ sheet: 0, row: 3, col: 4 }, [[7]]);
+  trackCellContents(hf, { sheet: 0, row: 3, col: 4 }, [[7]]);
+  hf.addRows(0, [1, 2]);
+  trackRowShift(hf, 0, 1, 2);
+  assert.deepEqual(cellsOf(hf), [[0, 0], [0, 1], [5, 4], [1000002, 2]]);
+
+  hf.removeRows(0, [0, 1]);
+  trackRowShift(hf, 0, 1, -1);
+  assert.deepEqual(cellsOf(hf), [[4, 4], [1000001, 2]]);
+
+  hf.undo();
+  hf.undo();
+  assert.deepEqual(cellsOf(hf), [[0, 0], [0, 1], [3, 4], [1000000, 2]]);
+});
+
+test('직렬화는 분산된 배열 값을 고정하지 않아 다시 만든 인스턴스도 같은 값', () => {
+  const hf = buildFromSheets({ Sheet1: [[1, 2], [], ['=TRANSPOSE(A1:B1)']] }, CONFIG);
+  assert.deepEqual(cellsOf(hf), [[0, 0], [0, 1], [2, 0], [3, 0]]);
+
+  const serialized = serializeSheet(hf, 0);
+  assert.equal(serialized.length, 3);
+  assert.deepEqual(serialized[0], [1, 2]);
+  assert.equal(1 in serialized, false);
+  assert.deepEqual(serialized[2], ['=TRANSPOSE(A1:B1)']);
+
+  const rebuilt = buildFromSheets({ Sheet1: serialized }, CONFIG);
+  assert.deepEqual(rebuilt.getSheetValues(0), [[1, 2], [], [1], [2]]);
+});
+
+test('xlsx 변환은 값이 있는 행만 만듦', async () => {
+  const converter = new ExcelConverter();
+  const converted = await converter.readExcelFile(await buildXlsx({ Sheet1: { A1: 1, C500000: 'far' } }));
+  const rows = converted.sheets.Sheet1;
+
+  assert.equal(rows.length, 500000);
+  assert.deepEqual(Object.keys(rows), ['0', '499999']);
+  assert.deepEqual(rows[499999], [null, null, 'far']);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+async function loadSession(server, options) {
+  const created = await server.request('POST', '/sessions', { options });
+  const sessionId = created.body.sessionId;
+  await server.request('POST', `/sessions/${sessionId}/load`, { excelData: [[1, '=A1*2']] });
+  return sessionId;
+}
+
+async function readB1(server, sessionId) {
+  const result = await server.request('GET', `/sessions/${sessionId}/cells?address=B1`);
+  return result.body.cell.value;
+}
+
+test('Undo/Redo 히스토리', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await t.test('undoLimit까지만 기록하고 취소·다시 실행한 작업의 값과 설명을 반환', async () => {
+    const sessionId = await loadSession(server, { undoLimit: 2 });
+    for (const value of [2, 3, 4]) {
+      await server.request('POST', `/sessions/${sessionId}/cells`, { address: 'A1', contents: value });
+    }
+
+    const history = await server.request('GET', `/sessions/${sessionId}/history`);
+    assert.equal(history.body.undoLimit, 2);
+    assert.deepEqual(history.body.undo.map(entry => entry.description), ['셀 변경: Sheet1!A1', '셀 변경: Sheet1!A1']);
+
+    const undone = await server.request('POST', `/sessions/${sessionId}/undo`);
+    assert.equal(undone.body.success, true);
+    assert.equal(undone.body.undone, '셀 변경: Sheet1!A1');
+    assert.equal(await readB1(server, sessionId), 6);
+
+    await server.request('POST', `/sessions/${sessionId}/undo`);
+    assert.equal(await readB1(server, sessionId), 4);
+
+    // 한도를 넘어 밀려난 첫 변경은 취소할 수 없음
+    const exhausted = await server.request('POST', `/sessions/${sessionId}/undo`);
+    assert.equal(exhausted.body.success, false);
+    assert.equal(await readB1(server, sessionId), 4);
+
+    const redone = await server.request('POST', `/sessions/${sessionId}/redo`);
+    assert.equal(redone.body.success, true);
+    assert.equal(await readB1(server, sessionId), 6);
+
+    const afterRedo = await server.request('GET', `/sessions/${sessionId}/history`);
+    assert.equal(afterRedo.body.undo.length, 1);
+    assert.equal(afterRedo.body.redo.length, 1);
+  });
+
+  await t.test('새 작업은 redo 스택을 비움', async () => {
+    const sessionId = await loadSession(server, { undoLimit: 5 });
+    await server.request('POST', `/sessions/${sessionId}/cells`, { address: 'A1', contents: 2 });
+    await server.request('POST', `/sessions/${sessionId}/undo`);
+    await server.request('POST', `/sessions/${sessionId}/cells`, { address: 'A1', contents: [[7]] });
+
+    const history = await server.request('GET', `/sessions/${sessionId}/history`);
+    assert.equal(history.body.canRedo, false);
+    assert.deepEqual(history.body.redo, []);
+    assert.deepEqual(history.body.undo.map(entry => entry.description), ['셀 변경: Sheet1!A1 (1x1)']);
+
+    const redo = await server.request('POST', `/sessions/${sessionId}/redo`);
+    assert.equal(redo.body.success, false);
+    assert.equal(await readB1(server, sessionId), 14);
+  });
+
+  await t.test('기본 설정은 히스토리를 기록하지 않음', async () => {
+    const sessionId = await loadSession(server);
+    await server.request('POST', `/sessions/${sessionId}/cells`, { address: 'A1', contents: 2 });
+
+    const history = await server.request('GET', `/sessions/${sessionId}/history`);
+    assert.equal(history.body.undoLimit, 0);
+    assert.deepEqual(history.body.undo, []);
+
+    const undo = await server.request('POST', `/sessions/${sessionId}/undo`);
+    assert.equal(undo.body.success, false);
+    assert.equal(await readB1(server, sessionId), 4);
+  });
+});
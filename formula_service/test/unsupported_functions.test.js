@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const IntegratedEngine = require('../integrated_engine');
+const { buildXlsx } = require('./helpers/workbooks');
+
+test('미지원 함수 셀은 함수별로 보고하고 그 #NAME?은 오류 통계에서 제외', async t => {
+  const engine = new IntegratedEngine('unsupported-functions', {});
+  t.after(() => engine.cleanup());
+
+  const buffer = await buildXlsx({
+    Sheet1: {
+      A1: { formula: 'WEBSERVICE("http://example.com")', result: 'x' },
+      B1: { formula: 'A1&"!"', result: 'x!' },
+      C1: { formula: '1/0', result: { error: '#DIV/0!' } },
+      D1: { formula: 'NoSuchName+1', result: { error: '#NAME?' } },
+      E1: { formula: 'CUBEVALUE("c")&CUBEVALUE("d")&WEBSERVICE("y")', result: '' }
+    },
+    Sheet2: { A1: { formula: 'IFERROR(WEBSERVICE("z"),0)', result: 0 } }
+  });
+  const { formulas } = await engine.analyzeExcelFile(buffer, {});
+
+  assert.deepEqual(formulas.unsupportedFunctions, {
+    totalFunctions: 2,
+    cells: 3,
+    // A1, E1과 A1의 #NAME?이 전파된 B1 (Sheet2!A1은 IFERROR로 오류가 아님)
+    excludedErrorCells: 3,
+    functions: [
+      { name: 'WEBSERVICE', count: 3, sampleCells: ['Sheet1!A1', 'Sheet1!E1', 'Sheet2!A1'] },
+      { name: 'CUBEVALUE', count: 1, sampleCells: ['Sheet1!E1'] }
+    ]
+  });
+  assert.equal(formulas.summary.unsupportedFunctionCells, 3);
+
+  // 0으로 나누기와 정의되지 않은 이름의 #NAME?은 사용자 오류로 남김
+  assert.equal(formulas.summary.errorCells, 2);
+  assert.deepEqual(formulas.errors.map(({ location, error }) => [location, error]), [
+    ['Sheet1!C1', '#DIV/0!'],
+    ['Sheet1!D1', '#NAME?']
+  ]);
+  assert.deepEqual(formulas.sheets.map(sheet => [sheet.errorCount, sheet.unsupportedFunctionCells, sheet.unsupportedErrorCells]), [[2, 2, 3], [0, 1, 0]]);
+});
+
+test('HyperFormula의 미등록 함수 오류 메시지에서 함수명을 읽음', async t => {
+  const engine = new IntegratedEngine('unknown-function-message', {});
+  t.after(() => engine.cleanup());
+
+  await engine.analyzeExcelFile(await buildXlsx({
+    Sheet1: {
+      A1: { formula: 'FOO.BAR(1)', result: 0 },
+      B1: { formula: 'A1+1', result: 1 },
+      C1: { formula: 'NoSuchName', result: 0 },
+      D1: { formula: '1/0', result: 0 }
+    }
+  }), {});
+  const unknownFunction = col => engine.getUnknownFunctionName(engine.hyperFormula.getCellValue({ sheet: 0, row: 0, col }));
+
+  assert.equal(unknownFunction(0), 'FOO.BAR');
+  assert.equal(unknownFunction(1), 'FOO.BAR');
+  assert.equal(unknownFunction(2), null);
+  assert.equal(unknownFunction(3), null);
+  assert.equal(engine.isFunctionSupported('SUM'), true);
+  assert.equal(engine.isFunctionSupported('FOO.BAR'), false);
+});
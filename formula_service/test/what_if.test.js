@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+const { buildXlsx, analyzeWorkbook } = require('./helpers/workbooks');
+
+test('what-if 시나리오 저장·비교·삭제', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const buffer = await buildXlsx({
+    Sheet1: {
+      A1: 100,
+      B1: 0.1,
+      C1: { formula: 'A1*(1+B1)', result: 110 },
+      D1: { formula: 'C1*2', result: 220 }
+    }
+  });
+  const { sessionId, analysis } = await analyzeWorkbook(server, buffer);
+  assert.equal(analysis.success, true);
+  const base = `/integrated/sessions/${sessionId}`;
+
+  await t.test('시나리오 저장 후 목록 조회', async () => {
+    const saved = await server.request('POST', `${base}/scenarios`, { name: '낙관', overrides: { 'Sheet1!B1': 0.5 } });
+    assert.equal(saved.status, 201);
+
+    const updated = await server.request('POST', `${base}/scenarios`, { name: '낙관', overrides: { B1: 0.5 } });
+    assert.equal(updated.status, 200);
+
+    const listed = await server.request('GET', `${base}/scenarios`);
+    assert.equal(listed.status, 200);
+    assert.deepEqual(listed.body.scenarios.map(scenario => scenario.name), ['낙관']);
+  });
+
+  await t.test('저장된 시나리오와 즉석 입력값을 기준값과 나란히 비교하고 세션 값은 그대로 유지', async () => {
+    const result = await server.request('POST', `${base}/what-if`, {
+      outputs: ['Sheet1!C1', 'D1'],
+      overrides: { 'Sheet1!A1': 200 },
+      scenarios: ['낙관']
+    });
+
+    assert.equal(result.status, 200);
+    assert.deepEqual(result.body.baseline, { 'Sheet1!C1': 110, 'Sheet1!D1': 220 });
+    const byName = Object.fromEntries(result.body.scenarios.map(scenario => [scenario.name, scenario]));
+    assert.deepEqual(byName['what-if'].values, { 'Sheet1!C1': 220, 'Sheet1!D1': 440 });
+    assert.deepEqual(byName['낙관'].values, { 'Sheet1!C1': 150, 'Sheet1!D1': 300 });
+    assert.deepEqual(byName['낙관'].differences, { 'Sheet1!C1': 40, 'Sheet1!D1': 80 });
+
+    const again = await server.request('POST', `${base}/what-if`, { outputs: ['D1'], scenarios: ['낙관'] });
+    assert.deepEqual(again.body.baseline, { 'Sheet1!D1': 220 });
+  });
+
+  await t.test('잘못된 요청은 400, 없는 시나리오·세션은 404', async () => {
+    const invalid = await server.request('POST', `${base}/what-if`, { outputs: [], overrides: { A1: 1 } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.type, 'invalid_scenario');
+
+    const badCell = await server.request('POST', `${base}/what-if`, { outputs: ['Nope!A1'], overrides: { A1: 1 } });
+    assert.equal(badCell.status, 400);
+
+    const missing = await server.request('DELETE', `${base}/scenarios/${encodeURIComponent('없음')}`);
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.type, 'scenario_not_found');
+
+    const noSession = await server.request('GET', '/integrated/sessions/unknown-session/scenarios');
+    assert.equal(noSession.status, 404);
+  });
+
+  await t.test('시나리오 삭제', async () => {
+    const deleted = await server.request('DELETE', `${base}/scenarios/${encodeURIComponent('낙관')}`);
+    assert.equal(deleted.status, 200);
+    const listed = await server.request('GET', `${base}/scenarios`);
+    assert.deepEqual(listed.body.scenarios, []);
+  });
+});
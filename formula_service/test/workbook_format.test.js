@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const { detectWorkbookFormat, assertSupportedWorkbook, UnsupportedFileFormatError } = require('../workbook_format');
+
+const CFB_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+// CFB 디렉터리 항목 이름만 흉내 낸 최소 버퍼
+function cfbWith(streamName) {
+  return Buffer.concat([CFB_SIGNATURE, Buffer.alloc(504), Buffer.from(`${streamName}\0`, 'utf16le')]);
+}
+
+test('xlsx 파일은 ZIP 시그니처로 판별', async () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Sheet1').getCell('A1').value = 1;
+  const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+  assert.equal(detectWorkbookFormat(buffer), 'xlsx');
+  assert.equal(assertSupportedWorkbook(buffer), 'xlsx');
+});
+
+test('ods 파일은 mimetype 항목으로 판별', async () => {
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/vnd.oasis.opendocument.spreadsheet', { compression: 'STORE' });
+  zip.file('content.xml', '<office:document-content/>');
+  const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+
+  assert.equal(detectWorkbookFormat(buffer), 'ods');
+});
+
+test('텍스트 파일은 csv로 판별', () => {
+  assert.equal(assertSupportedWorkbook(Buffer.from('a,b\n1,2\n')), 'csv');
+});
+
+test('.xls 파일은 변환하지 않고 415로 거부', () => {
+  for (const stream of ['Workbook', 'Book']) {
+    assert.throws(() => assertSupportedWorkbook(cfbWith(stream)), error => {
+      assert.ok(error instanceof UnsupportedFileFormatError);
+      assert.equal(error.statusCode, 415);
+      assert.equal(error.format, 'xls');
+      assert.match(error.message, /\.xlsx/);
+      return true;
+    });
+  }
+});
+
+test('암호로 보호된 파일과 알 수 없는 파일은 거부', () => {
+  assert.throws(() => assertSupportedWorkbook(cfbWith('EncryptedPackage')), { format: 'encrypted', statusCode: 415 });
+  assert.throws(() => assertSupportedWorkbook(cfbWith('WordDocument')), { format: 'unknown' });
+  assert.throws(() => assertSupportedWorkbook(Buffer.from([0, 1, 2, 3])), { format: 'unknown' });
+});
+
+test('xlsx 패키지에 의존하지 않음', () => {
+  const { dependencies } = require('../package.json');
+  assert.equal(dependencies.xlsx, undefined);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { WorkerPool, WorkerQueueFullError } = require('../worker_pool');
+
+const SCRIPT = path.join(__dirname, 'fixtures', 'pool_worker.js');
+
+function createPool(t, options = {}) {
+  const pool = new WorkerPool({ script: SCRIPT, size: 1, ...options });
+  t.after(() => pool.close());
+  return pool;
+}
+
+test('결과·진행 이벤트 전달과 작업 오류의 statusCode/type 유지', async t => {
+  const pool = createPool(t);
+  const events = [];
+
+  assert.equal(await pool.run({ type: 'sleep', ms: 1 }, { onProgress: event => events.push(event) }), 1);
+  assert.deepEqual(events, [{ type: 'step', step: 'sleep' }]);
+
+  await assert.rejects(pool.run({ type: 'fail' }), { message: '작업 실패', statusCode: 422, type: 'task_failed' });
+  assert.equal(await pool.run({ type: 'count' }), 3);
+});
+
+test('대기열이 가득 차면 WorkerQueueFullError', async t => {
+  const pool = createPool(t, { maxQueue: 1 });
+  const running = pool.run({ type: 'sleep', ms: 100 });
+  const queued = pool.run({ type: 'sleep', ms: 1 });
+
+  await assert.rejects(pool.run({ type: 'count' }), error => {
+    assert.ok(error instanceof WorkerQueueFullError);
+    assert.equal(error.statusCode, 503);
+    return true;
+  });
+  assert.deepEqual(await Promise.all([running, queued]), [100, 1]);
+});
+
+test('대기 중인 작업을 취소하면 실행하지 않고 거부', async t => {
+  const pool = createPool(t);
+  const controller = new AbortController();
+  const started = [];
+
+  const running = pool.run({ type: 'sleep', ms: 100 });
+  const cancelled = pool.run({ type: 'count' }, { signal: controller.signal, onStart: () => started.push('count') });
+  controller.abort();
+
+  await assert.rejects(cancelled, { name: 'AbortError' });
+  assert.equal(await running, 100);
+  assert.deepEqual(started, []);
+  // 워커는 sleep과 이번 count만 받음
+  assert.equal(await pool.run({ type: 'count' }), 2);
+  assert.equal(pool.getStats().cancelled, 1);
+});
+
+test('실행 중인 작업을 취소하면 워커를 종료하고 다음 작업은 새 워커에서 실행', async t => {
+  const pool = createPool(t);
+  const controller = new AbortController();
+  let started = false;
+
+  const running = pool.run({ type: 'sleep', ms: 60000 }, { signal: controller.signal, onStart: () => { started = true; } });
+  assert.equal(started, true);
+  controller.abort();
+
+  await assert.rejects(running, { name: 'AbortError' });
+  assert.equal(await pool.run({ type: 'count' }), 1);
+  assert.equal(pool.getStats().workers, 1);
+});
+
+test('워커 비정상 종료·메모리 초과는 해당 작업만 실패하고 풀은 계속 동작', async t => {
+  const pool = createPool(t, { size: 2, maxMemoryMb: 16 });
+
+  const [crashed, outOfMemory] = await Promise.allSettled([pool.run({ type: 'crash' }), pool.run({ type: 'oom' })]);
+  assert.match(crashed.reason.message, /비정상 종료되었습니다 \(코드 3\)/);
+  assert.match(outOfMemory.reason.message, /메모리 한도\(16MB\)/);
+
+  assert.deepEqual(await Promise.all([pool.run({ type: 'sleep', ms: 1 }), pool.run({ type: 'count' })]), [1, 1]);
+  assert.equal(pool.getStats().failed, 2);
+});
@@ -0,0 +1,190 @@
+const { DetailedCellError } = require('hyperformula');
+const { DependencyGraph, parseCellReference } = require('./dependency_graph');
+
+/**
+ * 입력값 변경(what-if) 시나리오 계산
+ *
+ * 세션 HyperFormula에 입력값을 하나의 배치로 덮어쓰고 출력 셀 값을 읽은 뒤 바로 되돌림
+ * - 계산은 동기적으로 실행되므로 다른 요청이 덮어쓴 상태를 보는 일은 없음
+ * - 되돌리기는 HyperFormula undo (undoLimit이 0이면 덮어쓴 셀의 원래 내용을 다시 기록)
+ */
+
+const MAX_SCENARIOS_PER_REQUEST = 100;
+const MAX_OUTPUT_CELLS = 1000;
+const MAX_SCENARIO_NAME_LENGTH = 100;
+
+/**
+ * 잘못된 시나리오 요청 (HTTP 400으로 응답)
+ */
+class ScenarioError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScenarioError';
+    this.statusCode = 400;
+    this.type = 'invalid_scenario';
+  }
+}
+
+/**
+ * 저장된 시나리오 없음 (HTTP 404로 응답)
+ */
+class ScenarioNotFoundError extends Error {
+  constructor(name) {
+    super(`시나리오를 찾을 수 없습니다: ${name}`);
+    this.name = 'ScenarioNotFoundError';
+    this.statusCode = 404;
+    this.type = 'scenario_not_found';
+  }
+}
+
+/**
+ * 시나리오 이름 확인
+ * @param {*} name - 시나리오 이름
+ * @returns {string} 앞뒤 공백을 제거한 이름
+ * @throws {ScenarioError} 빈 문자열이거나 너무 긴 경우
+ */
+function validateScenarioName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new ScenarioError('시나리오 이름(name)을 지정해야 합니다.');
+  }
+  if (name.trim().length > MAX_SCENARIO_NAME_LENGTH) {
+    throw new ScenarioError(`시나리오 이름은 ${MAX_SCENARIO_NAME_LENGTH}자 이하여야 합니다.`);
+  }
+  return name.trim();
+}
+
+/**
+ * 입력값 덮어쓰기 목록 확인 및 셀 키 정규화
+ * @param {HyperFormula} hyperFormula - HyperFormula 인스턴스
+ * @param {Object} overrides - { 'Sheet1!B3': 값 } (값: 숫자, 문자열, 논리값, null(빈 셀), '='로 시작하는 수식)
+ * @returns {Object} { 'Sheet1!B3': 값 } (셀 키는 따옴표 없는 시트명!A1 형식)
+ * @throws {ScenarioError|CellReferenceError} 형식이 잘못되었거나 셀이 아닌 참조인 경우
+ */
+function normalizeOverrides(hyperFormula, overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides) || Object.keys(overrides).length === 0) {
+    throw new ScenarioError('입력값(overrides)은 { "Sheet1!B3": 값 } 형식의 객체로 하나 이상 지정해야 합니다.');
+  }
+
+  const graph = new DependencyGraph(hyperFormula);
+  const normalized = {};
+  Object.entries(overrides).forEach(([reference, value]) => {
+    if (value !== null && !['number', 'string', 'boolean'].includes(typeof value)) {
+      throw new ScenarioError(`${reference}: 입력값은 숫자, 문자열, 논리값 또는 null이어야 합니다.`);
+    }
+    normalized[graph.cellKey(parseSingleCell(hyperFormula, reference))] = value;
+  });
+  return normalized;
+}
+
+/**
+ * 시나리오별 출력 셀 값을 계산하여 기준값(현재 세션)과 나란히 비교
+ * @param {HyperFormula} hyperFormula - HyperFormula 인스턴스
+ * @param {Object} request
+ * @param {string[]} request.outputs - 출력 셀 참조
+ * @param {Array} request.scenarios - [{ name, overrides }] (overrides는 normalizeOverrides() 결과)
+ * @param {Function} [request.toFormula] - 입력 수식을 HyperFormula 문법으로 변환 (기본: 그대로)
+ * @returns {Object} { outputs, baseline, scenarios: [{ name, overrides, values, differences }], comparison }
+ * @throws {ScenarioError|CellReferenceError} 출력 셀이나 입력 셀이 잘못된 경우
+ */
+function compareScenarios(hyperFormula, { outputs, scenarios, toFormula = formula => formula }) {
+  if (!Array.isArray(outputs) || outputs.length === 0) {
+    throw new ScenarioError('출력 셀 목록(outputs)을 하나 이상 지정해야 합니다.');
+  }
+  if (outputs.length > MAX_OUTPUT_CELLS) {
+    throw new ScenarioError(`출력 셀은 최대 ${MAX_OUTPUT_CELLS}개까지 지정할 수 있습니다.`);
+  }
+  if (scenarios.length === 0) {
+    throw new ScenarioError('계산할 시나리오가 없습니다. 입력값(overrides) 또는 시나리오(scenarios)를 지정하세요.');
+  }
+  if (scenarios.length > MAX_SCENARIOS_PER_REQUEST) {
+    throw new ScenarioError(`한 요청에서 최대 ${MAX_SCENARIOS_PER_REQUEST}개 시나리오까지 계산할 수 있습니다.`);
+  }
+
+  const graph = new DependencyGraph(hyperFormula);
+  const outputAddresses = outputs.map(reference => parseSingleCell(hyperFormula, reference));
+  const outputKeys = [...new Set(outputAddresses.map(address => graph.cellKey(address)))];
+  const readOutputs = () => Object.fromEntries(
+    outputAddresses.map(address => [graph.cellKey(address), serializeValue(hyperFormula.getCellValue(address))])
+  );
+
+  // 모든 시나리오의 입력 셀을 계산 전에 확인 (중간에 실패하지 않도록)
+  const prepared = scenarios.map(({ name, overrides }) => ({
+    name,
+    overrides,
+    contents: Object.entries(overrides).map(([key, value]) => {
+      const address = parseSingleCell(hyperFormula, key);
+      if (!hyperFormula.isItPossibleToSetCellContents(address)) {
+        throw new ScenarioError(`${name}: ${key} 셀의 값을 바꿀 수 없습니다.`);
+      }
+      return { address, contents: typeof value === 'string' && value.startsWith('=') ? toFormula(value) : value };
+    })
+  }));
+
+  const baseline = readOutputs();
+  const results = prepared.map(({ name, overrides, contents }) => {
+    const values = evaluateWithOverrides(hyperFormula, contents, readOutputs);
+    const differences = Object.fromEntries(outputKeys.map(key => [key,
+      typeof values[key] === 'number' && typeof baseline[key] === 'number' ? values[key] - baseline[key] : null]));
+    return { name, overrides, values, differences };
+  });
+
+  return {
+    outputs: outputKeys,
+    baseline,
+    scenarios: results,
+    comparison: outputKeys.map(key => ({
+      cell: key,
+      baseline: baseline[key],
+      values: Object.fromEntries(results.map(result => [result.name, result.values[key]]))
+    }))
+  };
+}
+
+// 입력값을 덮어쓴 상태에서 read()를 실행하고 원래 내용으로 되돌림
+function evaluateWithOverrides(hyperFormula, contents, read) {
+  const original = hyperFormula.getConfig().undoLimit > 0
+    ? null
+    : contents.map(({ address }) => ({ address, contents: hyperFormula.getCellSerialized(address) }));
+
+  hyperFormula.batch(() => {
+    contents.forEach(({ address, contents: value }) => hyperFormula.setCellContents(address, value));
+  });
+
+  try {
+    return read();
+  } finally {
+    if (original) {
+      hyperFormula.batch(() => {
+        original.forEach(({ address, contents: value }) => hyperFormula.setCellContents(address, value));
+      });
+    } else {
+      hyperFormula.undo();
+      hyperFormula.clearRedoStack();
+    }
+  }
+}
+
+// 하나의 셀 참조만 허용
+function parseSingleCell(hyperFormula, reference) {
+  const { start, end } = parseCellReference(hyperFormula, reference);
+  if (start.row !== end.row || start.col !== end.col) {
+    throw new ScenarioError(`시나리오의 입력·출력은 하나의 셀이어야 합니다: ${reference}`);
+  }
+  return start;
+}
+
+// 셀 값을 JSON용으로 변환 (오류 객체는 '#DIV/0!' 등 문자열로)
+function serializeValue(value) {
+  if (value instanceof DetailedCellError) {
+    return value.value;
+  }
+  return value === undefined ? null : value;
+}
+
+module.exports = {
+  ScenarioError,
+  ScenarioNotFoundError,
+  validateScenarioName,
+  normalizeOverrides,
+  compareScenarios
+};
@@ -0,0 +1,102 @@
+// 파일 시그니처
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const CFB_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+// ODF 패키지는 압축하지 않은 mimetype 파일이 첫 번째 항목 (로컬 헤더 30바이트 뒤에 파일명, 이어서 내용)
+const ODF_MIMETYPE_ENTRY = 'mimetype';
+const ODS_MIME_PREFIX = 'application/vnd.oasis.opendocument.spreadsheet';
+
+// CFB 디렉터리 항목 이름 (UTF-16LE, NUL 종료)
+const CFB_STREAM_NAMES = {
+  encrypted: Buffer.from('EncryptedPackage\0', 'utf16le'),
+  workbook: Buffer.from('Workbook\0', 'utf16le'),
+  book: Buffer.from('Book\0', 'utf16le')
+};
+
+// 텍스트(CSV) 여부를 판단할 때 검사하는 앞부분 바이트 수
+const TEXT_SAMPLE_BYTES = 8192;
+
+/**
+ * 지원하지 않는 파일 형식 (HTTP 415로 응답)
+ */
+class UnsupportedFileFormatError extends Error {
+  constructor(message, format) {
+    super(message);
+    this.name = 'UnsupportedFileFormatError';
+    this.statusCode = 415;
+    this.type = 'unsupported_file_format';
+    this.format = format;
+  }
+}
+
+/**
+ * 파일 내용으로 통합 문서 형식 판별 (확장자·MIME 타입은 신뢰하지 않음)
+ * - xlsx: ZIP 컨테이너 (Office Open XML)
+ * - ods: mimetype이 OpenDocument 스프레드시트인 ZIP 컨테이너
+ * - xls: CFB 컨테이너의 Workbook(BIFF8) 또는 Book(BIFF5) 스트림
+ * - encrypted: CFB 컨테이너의 EncryptedPackage (암호로 보호된 xlsx)
+ * - csv: 시그니처가 없고 NUL 바이트가 없는 텍스트 파일
+ * - unknown: 그 밖의 파일 (.doc 등 다른 CFB 문서 포함)
+ * @param {Buffer} buffer - 업로드된 파일 버퍼
+ * @returns {string} 형식
+ */
+function detectWorkbookFormat(buffer) {
+  if (startsWith(buffer, ZIP_SIGNATURE)) {
+    return detectOdfMimeType(buffer)?.startsWith(ODS_MIME_PREFIX) ? 'ods' : 'xlsx';
+  }
+  if (!startsWith(buffer, CFB_SIGNATURE)) {
+    return buffer.length > 0 && !buffer.subarray(0, TEXT_SAMPLE_BYTES).includes(0) ? 'csv' : 'unknown';
+  }
+
+  // CFB 파일은 분석하지 않으므로 안내 메시지를 고르는 데 필요한 만큼만 디렉터리 항목 이름으로 구분
+  if (buffer.includes(CFB_STREAM_NAMES.encrypted)) {
+    return 'encrypted';
+  }
+  if (buffer.includes(CFB_STREAM_NAMES.workbook) || buffer.includes(CFB_STREAM_NAMES.book)) {
+    return 'xls';
+  }
+  return 'unknown';
+}
+
+/**
+ * 지원하는 통합 문서인지 확인 (업로드 직후 분석 전에 호출)
+ * @param {Buffer} buffer - 업로드된 파일 버퍼
+ * @returns {string} 형식 (xlsx | ods | csv)
+ * @throws {UnsupportedFileFormatError} 암호화되었거나 .xls 파일이거나 Excel 통합 문서·CSV 파일이 아닌 경우
+ */
+function assertSupportedWorkbook(buffer) {
+  const format = detectWorkbookFormat(buffer);
+
+  if (format === 'xls') {
+    throw new UnsupportedFileFormatError('.xls(Excel 97-2003) 파일은 지원하지 않습니다. Excel에서 .xlsx 형식으로 저장한 뒤 업로드하세요.', format);
+  }
+  if (format === 'encrypted') {
+    throw new UnsupportedFileFormatError('암호로 보호된 Excel 파일은 분석할 수 없습니다. 암호를 해제한 뒤 업로드하세요.', format);
+  }
+  if (format === 'unknown') {
+    throw new UnsupportedFileFormatError('Excel 통합 문서(.xlsx), OpenDocument 스프레드시트(.ods) 또는 CSV 파일이 아니거나 손상된 파일입니다.', format);
+  }
+  return format;
+}
+
+// ODF 패키지의 mimetype 내용 (ODF 패키지가 아니면 null)
+function detectOdfMimeType(buffer) {
+  const nameLength = buffer.length >= 30 ? buffer.readUInt16LE(26) : 0;
+  const extraLength = buffer.length >= 30 ? buffer.readUInt16LE(28) : 0;
+  if (buffer.toString('latin1', 30, 30 + nameLength) !== ODF_MIMETYPE_ENTRY) {
+    return null;
+  }
+
+  const start = 30 + nameLength + extraLength;
+  return buffer.toString('latin1', start, start + buffer.readUInt32LE(18));
+}
+
+function startsWith(buffer, signature) {
+  return buffer.length >= signature.length && buffer.subarray(0, signature.length).equals(signature);
+}
+
+module.exports = {
+  UnsupportedFileFormatError,
+  detectWorkbookFormat,
+  assertSupportedWorkbook
+};
@@ -0,0 +1,50 @@
+const { serializeSheet, buildFromSheets } = require('./sheet_cells');
+
+/**
+ * HyperFormula 워크북 스냅샷 유틸리티
+ * 배치 롤백과 세션 영속화에서 공통으로 사용하는 직렬화 형식을 제공
+ * (이름 정의의 scope는 시트 ID 대신 시트명으로 저장하여 재생성 후에도 유지)
+ */
+
+/**
+ * HyperFormula 인스턴스를 JSON 직렬화 가능한 스냅샷으로 변환
+ * @param {HyperFormula} hyperFormula - HyperFormula 인스턴스
+ * @returns {Object} { sheets, namedExpressions }
+ */
+function createWorkbookSnapshot(hyperFormula) {
+  const sheetNames = new Map(
+    hyperFormula.getSheetNames().map(name => [hyperFormula.getSheetId(name), name])
+  );
+
+  return {
+    // 값이 있는 셀만 방문하여 직렬화 (getAllSheetsSerialized()는 시트 크기 전체를 순회)
+    sheets: Object.fromEntries([...sheetNames].map(([sheetId, name]) => [name, serializeSheet(hyperFormula, sheetId)])),
+    namedExpressions: hyperFormula.getAllNamedExpressionsSerialized().map(expression => ({
+      ...expression,
+      scope: expression.scope === undefined ? undefined : sheetNames.get(expression.scope)
+    }))
+  };
+}
+
+/**
+ * 스냅샷으로부터 HyperFormula 인스턴스 생성
+ * @param {Object} snapshot - createWorkbookSnapshot() 결과
+ * @param {Object} config - HyperFormula 설정
+ * @returns {HyperFormula} 새 HyperFormula 인스턴스
+ */
+function buildFromWorkbookSnapshot(snapshot, config) {
+  const sheetIds = new Map(Object.keys(snapshot.sheets).map((name, index) => [name, index]));
+  const namedExpressions = (snapshot.namedExpressions || []).map(expression => ({
+    ...expression,
+    scope: expression.scope === undefined || expression.scope === null
+      ? undefined
+      : sheetIds.get(expression.scope)
+  }));
+
+  return buildFromSheets(snapshot.sheets, config, namedExpressions);
+}
+
+module.exports = {
+  createWorkbookSnapshot,
+  buildFromWorkbookSnapshot
+};
@@ -0,0 +1,199 @@
+const os = require('os');
+const { Worker } = require('worker_threads');
+
+/**
+ * 작업 대기열이 가득 참 (HTTP 503으로 응답)
+ */
+class WorkerQueueFullError extends Error {
+  constructor(maxQueue) {
+    super(`분석 대기열이 가득 찼습니다 (최대 ${maxQueue}개). 잠시 후 다시 시도하세요.`);
+    this.name = 'WorkerQueueFullError';
+    this.statusCode = 503;
+    this.type = 'worker_queue_full';
+  }
+}
+
+/**
+ * 워커 스레드 풀
+ * ExcelJS 파싱·변환·분석처럼 오래 걸리는 작업을 이벤트 루프 밖에서 실행
+ * 워커는 필요할 때 최대 size개까지 생성되며, 초과 작업은 대기열(최대 maxQueue개)에서 순서대로 실행
+ * 실행 중인 작업을 취소하면 워커를 종료하므로 ExcelJS 파싱·변환 단계도 즉시 중단됨 (다음 작업은 새 워커에서 실행)
+ *
+ * 워커 메시지 형식
+ * - 요청: { type: 'task', taskId, task }
+ * - 응답: { type: 'progress', taskId, event } / { type: 'result', taskId, result } / { type: 'error', taskId, error }
+ */
+class WorkerPool {
+  /**
+   * @param {Object} options
+   * @param {string} options.script - 워커 스크립트 경로
+   * @param {number} options.size - 최대 워커 수 (기본: CPU 수 - 1, 최소 1)
+   * @param {number} options.maxQueue - 최대 대기 작업 수
+   * @param {number} options.maxMemoryMb - 워커별 힙 한도 (초과 시 해당 작업만 실패)
+   */
+  constructor(options) {
+    this.script = options.script;
+    this.size = options.size || Math.max(1, os.cpus().length - 1);
+    this.maxQueue = options.maxQueue || 100;
+    this.maxMemoryMb = options.maxMemoryMb || null;
+
+    this.workers = [];
+    this.queue = [];
+    this.nextTaskId = 1;
+    this.stats = { completed: 0, failed: 0, cancelled: 0 };
+  }
+
+  /**
+   * 작업 실행
+   * @param {Object} task - 워커에 전달할 작업 ({ type, ... })
+   * @param {Object} options - { signal: 취소용 AbortSignal, onProgress: 진행 이벤트 콜백, onStart: 워커에서 실행을 시작할 때 호출 }
+   * @returns {Promise<*>} 워커가 반환한 결과
+   */
+  run(task, options = {}) {
+    const { signal } = options;
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    if (this.queue.length >= this.maxQueue) {
+      return Promise.reject(new WorkerQueueFullError(this.maxQueue));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        taskId: this.nextTaskId++,
+        task,
+        onProgress: options.onProgress,
+        onStart: options.onStart,
+        signal,
+        resolve,
+        reject,
+        worker: null
+      };
+
+      // 대기 중이면 대기열에서 제거, 실행 중이면 워커를 종료 (종료된 워커는 exit 이벤트에서 풀에서 제거)
+      entry.onAbort = () => {
+        const slot = entry.worker;
+        if (slot) {
+          this.release(slot);
+          slot.failed = true;
+          slot.worker.terminate();
+        } else {
+          this.queue = this.queue.filter(queued => queued !== entry);
+        }
+        this.stats.cancelled++;
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+      this.queue.push(entry);
+      this.dispatch();
+    });
+  }
+
+  // 유휴 워커(없으면 새 워커)에 대기 작업 배정
+  dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.workers.find(candidate => !candidate.entry && !candidate.failed);
+      if (!slot) {
+        if (this.workers.length >= this.size) return;
+        slot = this.spawn();
+      }
+
+      const entry = this.queue.shift();
+      slot.entry = entry;
+      entry.worker = slot;
+      slot.worker.postMessage({ type: 'task', taskId: entry.taskId, task: entry.task });
+      entry.onStart?.();
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(this.script, this.maxMemoryMb
+      ? { resourceLimits: { maxOldGenerationSizeMb: this.maxMemoryMb } }
+      : {});
+    const slot = { worker, entry: null, failed: false };
+
+    worker.on('message', message => this.handleMessage(slot, message));
+    worker.on('error', error => {
+      slot.failed = true;
+      this.handleFailure(slot, error);
+    });
+    worker.on('exit', code => {
+      if (slot.entry) {
+        this.handleFailure(slot, new Error(`워커가 비정상 종료되었습니다 (코드 ${code})`));
+      }
+      this.workers = this.workers.filter(candidate => candidate !== slot);
+      this.dispatch();
+    });
+
+    this.workers.push(slot);
+    return slot;
+  }
+
+  handleMessage(slot, message) {
+    const { entry } = slot;
+    if (!entry || message.taskId !== entry.taskId) return;
+
+    if (message.type === 'progress') {
+      entry.onProgress?.(message.event);
+      return;
+    }
+
+    this.release(slot);
+    if (message.type === 'result') {
+      this.stats.completed++;
+      entry.resolve(message.result);
+    } else {
+      this.stats.failed++;
+      entry.reject(Object.assign(new Error(message.error), { statusCode: message.statusCode, type: message.errorType }));
+    }
+    this.dispatch();
+  }
+
+  // 워커 오류(메모리 초과 등) 시 실행 중이던 작업만 실패 처리하고 워커 교체
+  handleFailure(slot, error) {
+    const { entry } = slot;
+    if (!entry) return;
+
+    this.release(slot);
+    this.stats.failed++;
+    entry.reject(error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+      ? new Error(`워커 메모리 한도(${this.maxMemoryMb}MB)를 초과했습니다.`)
+      : error);
+  }
+
+  release(slot) {
+    const { entry } = slot;
+    entry.signal?.removeEventListener('abort', entry.onAbort);
+    slot.entry = null;
+  }
+
+  /**
+   * 풀 상태 (헬스 체크용)
+   */
+  getStats() {
+    const busy = this.workers.filter(slot => slot.entry).length;
+    return {
+      size: this.size,
+      workers: this.workers.length,
+      busy,
+      idle: this.workers.length - busy,
+      queued: this.queue.length,
+      maxQueue: this.maxQueue,
+      ...this.stats
+    };
+  }
+
+  /**
+   * 모든 워커 종료 (대기 작업은 실패 처리)
+   */
+  async close() {
+    this.queue.splice(0).forEach(entry => entry.reject(new Error('워커 풀이 종료되었습니다.')));
+    await Promise.all(this.workers.map(slot => slot.worker.terminate()));
+  }
+}
+
+module.exports = {
+  WorkerPool,
+  WorkerQueueFullError
+};